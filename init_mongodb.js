@@ -59,7 +59,7 @@ db.institutions.insertMany([
   {
     legal_name: "Bank B UK",
     bic: "BKBKGB2LXXX",
-    lei: "5493000KJTIIGC8Y1R13",
+    lei: "5493000KJTIIGC8Y1R37",
     country_code: "GB",
     created_at: new Date(),
     updated_at: new Date()
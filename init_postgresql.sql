@@ -187,7 +187,7 @@ BEGIN
     RETURNING id INTO bank_a_id;
     
     INSERT INTO institutions (legal_name, bic, lei, country_code) VALUES
-      ('Bank B UK', 'BKBKGB2LXXX', '5493000KJTIIGC8Y1R13', 'GB')
+      ('Bank B UK', 'BKBKGB2LXXX', '5493000KJTIIGC8Y1R37', 'GB')
     RETURNING id INTO bank_b_id;
     
     INSERT INTO institutions (legal_name, bic, lei, country_code) VALUES
@@ -38,7 +38,7 @@ db.institutions.insertMany([
   {
     legal_name: "Bank B UK",
     bic: "BKBKGB2LXXX",
-    lei: "5493000KJTIIGC8Y1R13",
+    lei: "5493000KJTIIGC8Y1R37",
     country_code: "GB",
     created_at: new Date(),
     updated_at: new Date()
@@ -1205,7 +1205,7 @@ db.payments.updateOne(
         role: "RECEIVER_BANK",
         institution_snapshot: {
           legal_name: "Final Bank",
-          bic: "FINALGB22XXX",
+          bic: "FINLGB22XXX",
           country_code: "GB"
         }
       }
@@ -1522,7 +1522,10 @@ try {
     { _id: messageResult.insertedId },
     {
       $push: { payment_ids: paymentResult.insertedId },
-      $set: { "totals.count": 1, updated_at: new Date() }
+      $set: {
+        totals: { count: 1, by_currency: [{ currency: "GBP", count: 1, sum: NumberDecimal("1000.00") }] },
+        updated_at: new Date()
+      }
     },
     { session: session }
   );
@@ -19,7 +19,7 @@ VALUES ('Simple Bank Inc');
 -- Insert multiple institutions (bulk insert)
 INSERT INTO institutions (legal_name, bic, lei, country_code) VALUES
   ('Bank A UK', 'BKUKGB22XXX', '213800D1EI4B9WTWWD28', 'GB'),
-  ('Bank B UK', 'BKBKGB2LXXX', '5493000KJTIIGC8Y1R13', 'GB'),
+  ('Bank B UK', 'BKBKGB2LXXX', '5493000KJTIIGC8Y1R37', 'GB'),
   ('Correspondent Bank AG', 'EXCBDEFFXXX', '5493001KJTIIGC8Y1R12', 'DE');
 
 -- Insert with explicit ID (if needed)
@@ -1,243 +1,414 @@
 // ============================================================================
 // MongoDB CRUD Operations Test Script
 // ============================================================================
-// This script tests basic CRUD operations on MongoDB
+// This script tests basic CRUD operations on MongoDB.
+//
+// It runs in a throwaway database (payment_db_test_<timestamp>) that is
+// dropped at the end, so the shared payment_db is never touched. Every test
+// case starts from the same fixture documents, so cases do not depend on each
+// other. The script exits with code 1 if any case fails.
 // ============================================================================
 
-// Connect to MongoDB
-// Note: If running via docker exec, authentication is handled via connection string
-// If running directly, uncomment the auth line below
-const db = db.getSiblingDB('payment_db');
-// db.auth('payment_user', 'payment_pass');
+// Switch to a throwaway database (the connection string may name payment_db)
+var testDbName = "payment_db_test_" + new Date().getTime();
+db = db.getSiblingDB(testDbName);
 
 print("============================================================================");
-print("MongoDB CRUD Operations Test");
+print("MongoDB CRUD Operations Test (database: " + testDbName + ")");
 print("============================================================================");
 print("");
 
-// Test 1: CREATE - Insert institution
-print("Test 1: CREATE - Insert institution");
-const testInstitution = db.institutions.insertOne({
-  legal_name: "Test Bank Ltd",
-  bic: "TESTGB22XXX",
-  country_code: "GB",
-  created_at: new Date(),
-  updated_at: new Date()
-});
-print("✓ Test 1 passed - Institution ID: " + testInstitution.insertedId);
-print("");
+// ============================================================================
+// ASSERTIONS
+// ============================================================================
 
-// Test 2: READ - Get institutions
-print("Test 2: READ - Get all institutions");
-const institutions = db.institutions.find().sort({ created_at: -1 }).limit(5).toArray();
-print("Found " + institutions.length + " institutions");
-print("✓ Test 2 passed");
-print("");
+function fail(message) {
+  throw new Error(message);
+}
 
-// Test 3: CREATE - Insert party
-print("Test 3: CREATE - Insert party");
-const testParty = db.parties.insertOne({
-  party_type: "DEBTOR",
-  display_name: "Test Company",
-  email: "test@example.com",
-  identifiers: [],
-  created_at: new Date(),
-  updated_at: new Date()
-});
-print("✓ Test 3 passed - Party ID: " + testParty.insertedId);
-print("");
+// Relaxed Extended JSON with sorted keys, so field order does not matter
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== "object") return value;
+  var sorted = {};
+  Object.keys(value).sort().forEach(function(key) {
+    sorted[key] = sortKeys(value[key]);
+  });
+  return sorted;
+}
 
-// Test 4: READ - Get parties with lookup
-print("Test 4: READ - Get parties with aggregation");
-const partiesWithInstitutions = db.parties.aggregate([
-  { $match: {} },
-  {
-    $lookup: {
-      from: "institutions",
-      localField: "institution_id",
-      foreignField: "_id",
-      as: "institution"
-    }
-  },
-  { $limit: 5 }
-]).toArray();
-print("Found " + partiesWithInstitutions.length + " parties");
-print("✓ Test 4 passed");
-print("");
+function show(value) {
+  return value === undefined ? "undefined" : JSON.stringify(sortKeys(EJSON.serialize(value, { relaxed: true })));
+}
 
-// Test 5: CREATE - Insert message
-print("Test 5: CREATE - Insert message");
-const testMessage = db.messages.insertOne({
-  external_ref: "TEST_MSG_001",
-  source_system: "TestSystem",
-  current_state: "RECEIVED",
-  received_at: new Date(),
-  last_state_changed_at: new Date(),
-  attributes: {
-    test: true,
-    format: "ISO20022-pacs.008"
-  },
-  payment_ids: [],
-  totals: {
-    count: 0,
-    by_currency: []
-  },
-  created_at: new Date(),
-  updated_at: new Date()
-});
-print("✓ Test 5 passed - Message ID: " + testMessage.insertedId);
-print("");
+function assertEqual(actual, expected, what) {
+  if (show(actual) !== show(expected)) {
+    fail(what + ": expected " + show(expected) + ", got " + show(actual));
+  }
+}
 
-// Test 6: READ - Query nested attributes
-print("Test 6: READ - Query messages with nested filter");
-const messagesWithTest = db.messages.find({
-  "attributes.test": true
-}).toArray();
-print("Found " + messagesWithTest.length + " messages with test attribute");
-print("✓ Test 6 passed");
-print("");
+function assertTrue(condition, what) {
+  if (!condition) fail(what);
+}
+
+function assertDecimal(actual, expected, what) {
+  assertTrue(actual !== null && actual !== undefined && actual._bsontype === "Decimal128",
+    what + ": expected a Decimal128, got " + show(actual));
+  assertEqual(actual.toString(), expected, what);
+}
+
+function assertThrows(fn, code, what) {
+  var error = null;
+  try {
+    fn();
+  } catch (caught) {
+    error = caught;
+  }
+  assertTrue(error !== null, what + ": expected an error");
+  if (code !== undefined) assertEqual(error.code, code, what + " (error code)");
+}
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+var ids = {
+  bankA: ObjectId("6755f0b2c3a9b2f3d4a10001"),
+  bankB: ObjectId("6755f0b2c3a9b2f3d4a10002"),
+  acme: ObjectId("6755f0b2c3a9b2f3d4a20001"),
+  widgets: ObjectId("6755f0b2c3a9b2f3d4a20002"),
+  message: ObjectId("6755f0b2c3a9b2f3d4a30001"),
+  settled: ObjectId("6755f0b2c3a9b2f3d4a40001"),
+  received: ObjectId("6755f0b2c3a9b2f3d4a40002")
+};
 
-// Test 7: CREATE - Insert payment
-print("Test 7: CREATE - Insert payment");
-const testPayment = db.payments.insertOne({
-  message_id: testMessage.insertedId,
-  payment_ref: "PMT-TEST-001",
-  scheme: "FPS",
-  amount: NumberDecimal("1000.00"),
-  currency: "GBP",
-  current_state: "RECEIVED",
-  last_state_changed_at: new Date(),
-  instructed_on: new Date(),
-  debtor_snapshot: {
-    display_name: "Test Debtor",
-    identifiers: []
-  },
-  creditor_snapshot: {
-    display_name: "Test Creditor",
-    identifiers: []
-  },
-  state_history: [{
-    seq_no: 1,
-    from_state: null,
-    to_state: "RECEIVED",
+function historyEvent(seqNo, fromState, toState, occurredAt) {
+  return {
+    seq_no: seqNo,
+    from_state: fromState,
+    to_state: toState,
     actor: { type: "SYSTEM", id: "test-script" },
-    occurred_at: new Date(),
+    occurred_at: ISODate(occurredAt),
     metadata: {}
-  }],
-  route_steps: [],
-  route_summary: {},
-  attributes: {},
-  created_at: new Date(),
-  updated_at: new Date()
+  };
+}
+
+function fixturePayment(id, ref, amount, state, history) {
+  return {
+    _id: id,
+    message_id: ids.message,
+    payment_ref: ref,
+    scheme: "FPS",
+    amount: NumberDecimal(amount),
+    currency: "GBP",
+    current_state: state,
+    last_state_changed_at: history[history.length - 1].occurred_at,
+    instructed_on: ISODate("2025-01-15T09:00:00Z"),
+    debtor_id: ids.acme,
+    creditor_id: ids.widgets,
+    debtor_snapshot: {
+      display_name: "Acme Manufacturing Ltd",
+      identifiers: [{ type: "ACCOUNT_NO", value: "12345678", scheme: "GB-ACCOUNT" }]
+    },
+    creditor_snapshot: {
+      display_name: "Widgets Wholesale PLC",
+      identifiers: [{ type: "ACCOUNT_NO", value: "87654321", scheme: "GB-ACCOUNT" }]
+    },
+    state_history: history,
+    route_steps: [],
+    route_summary: {},
+    attributes: {},
+    created_at: ISODate("2025-01-15T09:00:00Z"),
+    updated_at: history[history.length - 1].occurred_at
+  };
+}
+
+// Empties the collections and loads the same documents before every case
+function resetFixtures() {
+  ["institutions", "parties", "messages", "payments"].forEach(function(name) {
+    db.getCollection(name).deleteMany({});
+  });
+
+  db.institutions.insertMany([
+    { _id: ids.bankA, legal_name: "Bank A UK", bic: "BKUKGB22XXX", country_code: "GB",
+      created_at: ISODate("2025-01-01T00:00:00Z"), updated_at: ISODate("2025-01-01T00:00:00Z") },
+    { _id: ids.bankB, legal_name: "Bank B UK", bic: "BKBKGB2LXXX", country_code: "GB",
+      created_at: ISODate("2025-01-02T00:00:00Z"), updated_at: ISODate("2025-01-02T00:00:00Z") }
+  ]);
+
+  db.parties.insertMany([
+    { _id: ids.acme, party_type: "DEBTOR", display_name: "Acme Manufacturing Ltd", institution_id: ids.bankA,
+      identifiers: [], created_at: ISODate("2025-01-03T00:00:00Z"), updated_at: ISODate("2025-01-03T00:00:00Z") },
+    { _id: ids.widgets, party_type: "CREDITOR", display_name: "Widgets Wholesale PLC", institution_id: ids.bankB,
+      identifiers: [], created_at: ISODate("2025-01-03T00:00:00Z"), updated_at: ISODate("2025-01-03T00:00:00Z") }
+  ]);
+
+  db.messages.insertOne({
+    _id: ids.message,
+    external_ref: "BATCH_2025-01-15_001",
+    source_system: "UpstreamGateway-A",
+    current_state: "ACCEPTED",
+    received_at: ISODate("2025-01-15T09:00:00Z"),
+    last_state_changed_at: ISODate("2025-01-15T09:10:00Z"),
+    attributes: { format: "ISO20022-pacs.008" },
+    payment_ids: [ids.settled, ids.received],
+    totals: {
+      count: 2,
+      by_currency: [{ currency: "GBP", count: 2, sum: NumberDecimal("1250.50") }]
+    },
+    created_at: ISODate("2025-01-15T09:00:00Z"),
+    updated_at: ISODate("2025-01-15T09:10:00Z")
+  });
+
+  db.payments.insertMany([
+    fixturePayment(ids.settled, "PMT-TEST-0001", "1000.00", "SETTLED", [
+      historyEvent(1, null, "RECEIVED", "2025-01-15T09:00:00Z"),
+      historyEvent(2, "RECEIVED", "VALIDATED", "2025-01-15T09:01:00Z"),
+      historyEvent(3, "VALIDATED", "ROUTED", "2025-01-15T09:02:00Z"),
+      historyEvent(4, "ROUTED", "SENT_TO_SCHEME", "2025-01-15T09:03:00Z"),
+      historyEvent(5, "SENT_TO_SCHEME", "SETTLED", "2025-01-15T09:05:00Z")
+    ]),
+    fixturePayment(ids.received, "PMT-TEST-0002", "250.50", "RECEIVED", [
+      historyEvent(1, null, "RECEIVED", "2025-01-15T09:00:30Z")
+    ])
+  ]);
+}
+
+// ============================================================================
+// TEST RUNNER
+// ============================================================================
+
+var results = [];
+
+function test(name, fn) {
+  var number = results.length + 1;
+  print("Test " + number + ": " + name);
+  try {
+    resetFixtures();
+    fn();
+    results.push({ name: name, ok: true });
+    print("✓ Test " + number + " passed");
+  } catch (error) {
+    results.push({ name: name, ok: false, error: error.message });
+    print("✗ Test " + number + " FAILED - " + error.message);
+  }
+  print("");
+}
+
+// Same unique index the shared database has (init_mongodb.js)
+db.payments.createIndex({ payment_ref: 1 }, { name: "uq_payment_ref", unique: true });
+
+// ============================================================================
+// TEST CASES
+// ============================================================================
+
+test("CREATE - Insert institution", function() {
+  var result = db.institutions.insertOne({
+    legal_name: "Test Bank Ltd",
+    bic: "TESTGB22XXX",
+    country_code: "GB",
+    created_at: new Date(),
+    updated_at: new Date()
+  });
+  assertTrue(result.acknowledged, "insert acknowledged");
+  assertEqual(db.institutions.countDocuments({}), 3, "institution count");
+  var stored = db.institutions.findOne({ _id: result.insertedId });
+  assertEqual(stored.legal_name, "Test Bank Ltd", "stored legal_name");
+  assertEqual(stored.bic, "TESTGB22XXX", "stored bic");
+});
+
+test("READ - Get institutions sorted by created_at", function() {
+  var institutions = db.institutions.find({}, { _id: 0, legal_name: 1 }).sort({ created_at: -1 }).toArray();
+  assertEqual(institutions, [{ legal_name: "Bank B UK" }, { legal_name: "Bank A UK" }], "institutions, newest first");
+});
+
+test("CREATE - Insert party", function() {
+  var result = db.parties.insertOne({
+    party_type: "DEBTOR",
+    display_name: "Test Company",
+    email: "test@example.com",
+    identifiers: [],
+    created_at: new Date(),
+    updated_at: new Date()
+  });
+  assertEqual(db.parties.countDocuments({ party_type: "DEBTOR" }), 2, "debtor count");
+  assertEqual(db.parties.findOne({ _id: result.insertedId }).display_name, "Test Company", "stored display_name");
 });
-print("✓ Test 7 passed - Payment ID: " + testPayment.insertedId);
-print("");
 
-// Test 8: READ - Get payments with message lookup
-print("Test 8: READ - Get payments with message join");
-const paymentsWithMessages = db.payments.aggregate([
-  { $match: {} },
-  {
-    $lookup: {
-      from: "messages",
-      localField: "message_id",
-      foreignField: "_id",
-      as: "message"
+test("READ - Get parties with institution lookup", function() {
+  var parties = db.parties.aggregate([
+    { $lookup: { from: "institutions", localField: "institution_id", foreignField: "_id", as: "institution" } },
+    { $project: { _id: 0, display_name: 1, bank: { $first: "$institution.legal_name" } } },
+    { $sort: { display_name: 1 } }
+  ]).toArray();
+  assertEqual(parties, [
+    { display_name: "Acme Manufacturing Ltd", bank: "Bank A UK" },
+    { display_name: "Widgets Wholesale PLC", bank: "Bank B UK" }
+  ], "parties with their bank");
+});
+
+test("CREATE - Insert message and query nested attributes", function() {
+  var result = db.messages.insertOne({
+    external_ref: "TEST_MSG_001",
+    source_system: "TestSystem",
+    current_state: "RECEIVED",
+    received_at: new Date(),
+    last_state_changed_at: new Date(),
+    attributes: { test: true, format: "ISO20022-pacs.008" },
+    payment_ids: [],
+    totals: { count: 0, by_currency: [] },
+    created_at: new Date(),
+    updated_at: new Date()
+  });
+  var matches = db.messages.find({ "attributes.test": true }).toArray();
+  assertEqual(matches.length, 1, "messages with attributes.test");
+  assertEqual(matches[0]._id, result.insertedId, "matched message");
+  assertEqual(db.messages.countDocuments({ "attributes.format": "ISO20022-pacs.008" }), 2, "pacs.008 messages");
+});
+
+test("CREATE - Insert payment and link it to its message", function() {
+  var result = db.payments.insertOne(fixturePayment(new ObjectId(), "PMT-TEST-0003", "99.50", "RECEIVED", [
+    historyEvent(1, null, "RECEIVED", "2025-01-15T10:00:00Z")
+  ]));
+  var update = db.messages.updateOne(
+    { _id: ids.message, "totals.by_currency.currency": "GBP" },
+    {
+      $push: { payment_ids: result.insertedId },
+      $inc: { "totals.count": 1, "totals.by_currency.$.count": 1, "totals.by_currency.$.sum": NumberDecimal("99.50") },
+      $set: { updated_at: new Date() }
     }
-  },
-  { $limit: 5 }
-]).toArray();
-print("Found " + paymentsWithMessages.length + " payments");
-print("✓ Test 8 passed");
-print("");
+  );
+  assertEqual(update.modifiedCount, 1, "messages modified");
+  var message = db.messages.findOne({ _id: ids.message });
+  assertEqual(message.payment_ids.length, 3, "payment_ids length");
+  assertEqual(message.totals.count, 3, "totals.count");
+  assertDecimal(message.totals.by_currency[0].sum, "1350.00", "GBP sum");
+  assertDecimal(db.payments.findOne({ _id: result.insertedId }).amount, "99.50", "stored amount");
+});
 
-// Test 9: UPDATE - Update payment state with state_history
-print("Test 9: UPDATE - Update payment state with state_history");
-const updateResult = db.payments.updateOne(
-  { _id: testPayment.insertedId },
-  {
-    $push: {
-      state_history: {
-        seq_no: 2,
-        from_state: "RECEIVED",
-        to_state: "VALIDATED",
-        actor: { type: "SYSTEM", id: "test-script" },
-        occurred_at: new Date(),
-        metadata: { test: true }
-      }
-    },
-    $set: {
-      current_state: "VALIDATED",
-      last_state_changed_at: new Date(),
-      updated_at: new Date()
+test("READ - Get payments with message join", function() {
+  var payments = db.payments.aggregate([
+    { $lookup: { from: "messages", localField: "message_id", foreignField: "_id", as: "message" } },
+    { $project: { _id: 0, payment_ref: 1, external_ref: { $first: "$message.external_ref" } } },
+    { $sort: { payment_ref: 1 } }
+  ]).toArray();
+  assertEqual(payments, [
+    { payment_ref: "PMT-TEST-0001", external_ref: "BATCH_2025-01-15_001" },
+    { payment_ref: "PMT-TEST-0002", external_ref: "BATCH_2025-01-15_001" }
+  ], "payments with their message");
+});
+
+test("UPDATE - Update payment state with state_history", function() {
+  var changedAt = ISODate("2025-01-15T09:01:30Z");
+  var result = db.payments.updateOne(
+    { _id: ids.received, current_state: "RECEIVED" },
+    {
+      $push: { state_history: historyEvent(2, "RECEIVED", "VALIDATED", "2025-01-15T09:01:30Z") },
+      $set: { current_state: "VALIDATED", last_state_changed_at: changedAt, updated_at: changedAt }
     }
-  }
-);
-print("✓ Test 9 passed - Updated " + updateResult.modifiedCount + " document");
-print("");
+  );
+  assertEqual(result.matchedCount, 1, "payments matched");
+  assertEqual(result.modifiedCount, 1, "payments modified");
+  var payment = db.payments.findOne({ _id: ids.received });
+  assertEqual(payment.current_state, "VALIDATED", "current_state");
+  assertEqual(payment.last_state_changed_at, changedAt, "last_state_changed_at");
+  assertEqual(payment.state_history.map(function(event) { return event.to_state; }),
+    ["RECEIVED", "VALIDATED"], "state_history to_state order");
 
-// Test 10: READ - Get payment state history
-print("Test 10: READ - Get payment state history");
-const payment = db.payments.findOne({ _id: testPayment.insertedId });
-print("Payment state history:");
-payment.state_history.forEach(function(event) {
-  print("  Seq " + event.seq_no + ": " + event.from_state + " -> " + event.to_state);
+  // The same guarded update no longer matches once the state has moved on
+  var again = db.payments.updateOne({ _id: ids.received, current_state: "RECEIVED" }, { $set: { current_state: "VALIDATED" } });
+  assertEqual(again.matchedCount, 0, "stale update matched");
 });
-print("✓ Test 10 passed");
-print("");
 
-// Test 11: UPDATE - Add route step
-print("Test 11: UPDATE - Add route step to payment");
-const routeStepResult = db.payments.updateOne(
-  { _id: testPayment.insertedId },
-  {
-    $push: {
-      route_steps: {
-        step_no: 1,
-        role: "SENDER_BANK",
-        institution_snapshot: {
-          legal_name: "Test Bank",
-          bic: "TESTGB22XXX",
-          country_code: "GB"
-        },
-        metadata: { test: true }
-      }
-    },
-    $set: { updated_at: new Date() }
+test("READ - Get payment state history in order", function() {
+  var history = db.payments.aggregate([
+    { $match: { _id: ids.settled } },
+    { $unwind: "$state_history" },
+    { $sort: { "state_history.seq_no": 1 } },
+    { $replaceWith: "$state_history" }
+  ]).toArray();
+  assertEqual(history.map(function(event) { return event.seq_no; }), [1, 2, 3, 4, 5], "seq_no sequence");
+  assertEqual(history.map(function(event) { return event.to_state; }),
+    ["RECEIVED", "VALIDATED", "ROUTED", "SENT_TO_SCHEME", "SETTLED"], "to_state sequence");
+  for (var i = 1; i < history.length; i++) {
+    assertEqual(history[i].from_state, history[i - 1].to_state, "from_state of seq_no " + history[i].seq_no);
+    assertTrue(history[i].occurred_at >= history[i - 1].occurred_at, "occurred_at of seq_no " + history[i].seq_no + " goes back in time");
   }
-);
-print("✓ Test 11 passed - Updated " + routeStepResult.modifiedCount + " document");
-print("");
+  var payment = db.payments.findOne({ _id: ids.settled });
+  assertEqual(payment.current_state, history[history.length - 1].to_state, "current_state matches the last event");
+});
 
-// Test 12: READ - Analytics query (count by state)
-print("Test 12: READ - Analytics (payment count by state)");
-const paymentStats = db.payments.aggregate([
-  {
-    $group: {
-      _id: "$current_state",
-      count: { $sum: 1 },
-      total_amount: { $sum: "$amount" }
+test("UPDATE - Add route step to payment", function() {
+  var result = db.payments.updateOne(
+    { _id: ids.settled },
+    {
+      $push: {
+        route_steps: {
+          step_no: 1,
+          role: "SENDER_BANK",
+          institution_snapshot: { legal_name: "Bank A UK", bic: "BKUKGB22XXX", country_code: "GB" },
+          metadata: { test: true }
+        }
+      },
+      $set: { updated_at: new Date() }
     }
-  },
-  { $sort: { count: -1 } }
-]).toArray();
-print("Payment statistics by state:");
-paymentStats.forEach(function(stat) {
-  print("  " + stat._id + ": " + stat.count + " payments, Total: " + stat.total_amount);
+  );
+  assertEqual(result.modifiedCount, 1, "payments modified");
+  var steps = db.payments.findOne({ _id: ids.settled }).route_steps;
+  assertEqual(steps.length, 1, "route_steps length");
+  assertEqual(steps[0].role, "SENDER_BANK", "route step role");
+  assertEqual(db.payments.countDocuments({ "route_steps.institution_snapshot.bic": "BKUKGB22XXX" }), 1, "payments routed via Bank A");
 });
-print("✓ Test 12 passed");
-print("");
 
-// Test 13: DELETE - Cleanup test data
-print("Test 13: DELETE - Cleanup test data");
-db.payments.deleteOne({ _id: testPayment.insertedId });
-db.messages.deleteOne({ _id: testMessage.insertedId });
-db.parties.deleteOne({ _id: testParty.insertedId });
-db.institutions.deleteOne({ _id: testInstitution.insertedId });
-print("✓ Test 13 passed - Test data cleaned up");
-print("");
+test("READ - Analytics (payment count and amount by state)", function() {
+  var stats = db.payments.aggregate([
+    { $group: { _id: "$current_state", count: { $sum: 1 }, total_amount: { $sum: "$amount" } } },
+    { $sort: { _id: 1 } }
+  ]).toArray();
+  assertEqual(stats.map(function(stat) { return stat._id; }), ["RECEIVED", "SETTLED"], "states");
+  assertEqual(stats.map(function(stat) { return stat.count; }), [1, 1], "counts");
+  assertDecimal(stats[0].total_amount, "250.50", "RECEIVED total");
+  assertDecimal(stats[1].total_amount, "1000.00", "SETTLED total");
+});
+
+test("CREATE - Duplicate payment_ref is rejected", function() {
+  assertThrows(function() {
+    db.payments.insertOne(fixturePayment(new ObjectId(), "PMT-TEST-0001", "1.00", "RECEIVED", [
+      historyEvent(1, null, "RECEIVED", "2025-01-15T11:00:00Z")
+    ]));
+  }, 11000, "duplicate insert");
+  assertEqual(db.payments.countDocuments({ payment_ref: "PMT-TEST-0001" }), 1, "payments with PMT-TEST-0001");
+});
+
+test("DELETE - Delete payment and unlink it from its message", function() {
+  var result = db.payments.deleteOne({ _id: ids.received });
+  assertEqual(result.deletedCount, 1, "payments deleted");
+  db.messages.updateOne({ _id: ids.message }, { $pull: { payment_ids: ids.received }, $inc: { "totals.count": -1 } });
+  assertEqual(db.payments.countDocuments({}), 1, "payments left");
+  assertEqual(db.messages.findOne({ _id: ids.message }).payment_ids, [ids.settled], "payment_ids after delete");
+  assertEqual(db.payments.deleteOne({ _id: ids.received }).deletedCount, 0, "second delete");
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+var dropped = db.dropDatabase();
+if (!dropped.ok) {
+  print("✗ Could not drop " + testDbName + ": " + show(dropped));
+}
+
+var failed = results.filter(function(result) { return !result.ok; });
 
 print("============================================================================");
-print("All MongoDB CRUD tests completed successfully!");
+if (failed.length === 0) {
+  print("All " + results.length + " MongoDB CRUD tests passed!");
+} else {
+  print(failed.length + " of " + results.length + " MongoDB CRUD tests FAILED:");
+  failed.forEach(function(result) {
+    print("  ✗ " + result.name + " - " + result.error);
+  });
+}
 print("============================================================================");
 
+quit(failed.length > 0 || !dropped.ok ? 1 : 0);
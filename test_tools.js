@@ -0,0 +1,1249 @@
+// ============================================================================
+// Tools Test Script
+// ============================================================================
+// Behaviour checks for the tools/ modules that need no database: derivation
+// rules, pure helpers, parsers and translator output. Runs with plain Node.js:
+//
+//   node test_tools.js          # every case
+//   node test_tools.js states   # cases whose name starts with a section
+//
+// Each case is named "<section>: <what>".
+// Writes that would go to MongoDB are checked against small in-memory
+// collections that record their calls.
+// Failed cases are listed at the end, and the exit code is 1 if any case fails.
+// ============================================================================
+
+const vm = require("vm");
+const mongoShell = require("./tools/mongo_shell");
+const crossEngine = require("./tools/verify_cross_engine");
+const stateMachine = require("./tools/payment_state_machine");
+const sqlParser = require("./tools/sql_parser");
+const sqlToMql = require("./tools/sql_to_mql");
+const shellParser = require("./tools/shell_parser");
+const mqlToSql = require("./tools/mql_to_sql");
+const splitDataset = require("./tools/split_dataset");
+const nearDuplicates = require("./tools/near_duplicates");
+const evaluate = require("./tools/evaluate");
+const schemaLinking = require("./tools/schema_linking");
+const ids = require("./tools/identifier_validation");
+const money = require("./tools/money");
+const totals = require("./tools/message_totals");
+const rollup = require("./tools/message_rollup");
+const { loadSamples } = require("./tools/sample_loader");
+const { loadEnums } = require("./tools/pg_schema");
+
+// ============================================================================
+// ASSERTIONS
+// ============================================================================
+
+function fail(message) {
+  throw new Error(message);
+}
+
+// JSON with sorted keys, so field order does not matter
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== "object") return value;
+  const sorted = {};
+  Object.keys(value).sort().forEach(key => {
+    sorted[key] = sortKeys(value[key]);
+  });
+  return sorted;
+}
+
+function show(value) {
+  if (value === undefined) return "undefined";
+  return JSON.stringify(sortKeys(value), (key, inner) => typeof inner === "bigint" ? inner.toString() + "n" : inner);
+}
+
+function assertEqual(actual, expected, what) {
+  if (show(actual) !== show(expected)) {
+    fail(what + ": expected " + show(expected) + ", got " + show(actual));
+  }
+}
+
+function assertTrue(condition, what) {
+  if (!condition) fail(what);
+}
+
+async function assertThrows(fn, errorName, what) {
+  let error = null;
+  try {
+    await fn();
+  } catch (caught) {
+    error = caught;
+  }
+  assertTrue(error !== null, what + ": expected an error");
+  if (errorName !== undefined) assertEqual(error.name, errorName, what + " (error name)");
+  return error;
+}
+
+// A current_state filter: a state or { $in: [states] }
+function stateMatches(state, condition) {
+  return condition && condition.$in ? condition.$in.includes(state) : state === condition;
+}
+
+// A collection that answers findOne / find from fixed documents and records
+// every call with its options; insertOne and updateOne only record. With "mongosh", reads
+// take (filter, projection, options) and getFullName() is defined, as in the
+// shell; otherwise reads take the driver's (filter, options).
+function fakeCollection(documents, flavour) {
+  const shell = flavour === "mongosh";
+  const calls = [];
+  const read = (method, filter, rest) => shell
+    ? { method: method, filter: filter, projection: rest[0], options: rest[1] }
+    : { method: method, filter: filter, options: rest[0] };
+  const collection = {
+    calls: calls,
+    async findOne(filter, ...rest) {
+      calls.push(read("findOne", filter, rest));
+      return documents.find(document => document._id === filter._id) || null;
+    },
+    find(filter, ...rest) {
+      calls.push(read("find", filter, rest));
+      const found = documents.filter(document => Object.keys(filter).every(key => document[key] === filter[key]));
+      const cursor = { sort: () => cursor, toArray: async () => found };
+      return cursor;
+    },
+    async insertOne(document, options) {
+      calls.push({ method: "insertOne", document: document, options: options });
+      return { acknowledged: true, insertedId: document._id };
+    },
+    async updateOne(filter, update, options) {
+      calls.push({ method: "updateOne", filter: filter, update: update, options: options });
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+    async findOneAndUpdate(filter, update, options) {
+      calls.push({ method: "findOneAndUpdate", filter: filter, update: update, options: options });
+      const document = documents.find(candidate => candidate._id === filter._id);
+      return document && stateMatches(document.current_state, filter.current_state)
+        ? { current_state: update[0].$set.current_state.$literal, state_history: [{ from_state: document.current_state, seq_no: 1 }] }
+        : null;
+    }
+  };
+  if (shell) collection.getFullName = () => "payment_db.fake";
+  return collection;
+}
+
+// ============================================================================
+// TEST RUNNER
+// ============================================================================
+
+const cases = [];
+
+function test(name, fn) {
+  cases.push({ name: name, fn: fn });
+}
+
+// ============================================================================
+// RESULT CAPTURE (tools/mongo_shell.js)
+// ============================================================================
+
+// The shell collection a capture script sees: find() cursors sort and limit,
+// single-document updates pick the first match in `sort` order and $set it,
+// updateMany sets every match
+function captureCollection(documents) {
+  const matches = filter => documents.filter(document => Object.keys(filter).every(key =>
+    filter[key] && filter[key].$in ? filter[key].$in.includes(document[key]) : document[key] === filter[key]));
+  const sorted = (found, sort) => found.slice().sort((a, b) => Object.keys(sort || {})
+    .reduce((order, key) => order || (a[key] - b[key]) * sort[key], 0));
+  const update = (filter, change, options) => {
+    const document = sorted(matches(filter), options && options.sort)[0];
+    if (document) Object.assign(document, change.$set);
+    return document;
+  };
+  return {
+    find(filter) {
+      let found = matches(filter);
+      const cursor = {
+        sort(spec) { found = sorted(found, spec); return cursor; },
+        limit(count) { if (count > 0) found = found.slice(0, count); return cursor; },
+        toArray() { return found.map(document => Object.assign({}, document)); }
+      };
+      return cursor;
+    },
+    findOneAndUpdate: update,
+    updateOne(filter, change, options) {
+      return { modifiedCount: update(filter, change, options) ? 1 : 0 };
+    },
+    updateMany(filter, change) {
+      const found = matches(filter);
+      found.forEach(document => Object.assign(document, change.$set));
+      return { modifiedCount: found.length };
+    }
+  };
+}
+
+function runCapture(query, documents) {
+  const output = [];
+  vm.runInNewContext(mongoShell.buildCaptureScript(query).script, {
+    db: { payments: captureCollection(documents) },
+    EJSON: { stringify: value => JSON.stringify(value) },
+    print: text => output.push(text)
+  });
+  return mongoShell.parseCapturedOutput(output.join("\n")).value;
+}
+
+function capturePayments() {
+  return [
+    { _id: "p1", amount: 10, current_state: "RECEIVED" },
+    { _id: "p2", amount: 30, current_state: "RECEIVED" },
+    { _id: "p3", amount: 20, current_state: "RECEIVED" }
+  ];
+}
+
+test("capture: a single-document update is read back from the document its sort picks", () => {
+  const captured = runCapture("db.payments.findOneAndUpdate({ current_state: \"RECEIVED\" }, " +
+    "{ $set: { current_state: \"VALIDATED\" } }, { sort: { amount: -1 }, returnDocument: \"after\" });", capturePayments());
+  assertEqual(captured, [{ _id: "p2", amount: 30, current_state: "VALIDATED" }], "findOneAndUpdate");
+  const first = runCapture("db.payments.updateOne({ current_state: \"RECEIVED\" }, " +
+    "{ $set: { current_state: \"VALIDATED\" } }, { sort: { amount: 1 } });", capturePayments());
+  assertEqual(first.map(document => document._id), ["p1"], "updateOne with a sort");
+});
+
+test("capture: without a sort the first match is read back, and updateMany reads every match", () => {
+  const one = runCapture("db.payments.updateOne({ current_state: \"RECEIVED\" }, { $set: { current_state: \"FAILED\" } });",
+    capturePayments());
+  assertEqual(one.map(document => [document._id, document.current_state]), [["p1", "FAILED"]], "updateOne");
+  const many = runCapture("db.payments.updateMany({ current_state: \"RECEIVED\" }, { $set: { current_state: \"FAILED\" } }, " +
+    "{ sort: { amount: -1 } });", capturePayments());
+  assertEqual(many.map(document => document._id), ["p1", "p2", "p3"], "updateMany");
+});
+
+// ============================================================================
+// CROSS-ENGINE CHECK (tools/verify_cross_engine.js)
+// ============================================================================
+
+test("cross_engine: the shared PostgreSQL database is never reseeded", async () => {
+  const sample = loadSamples().samples.find(candidate => candidate.id === "Example_10");
+  const previous = process.env.PGDATABASE;
+  try {
+    delete process.env.PGDATABASE;
+    const shared = await assertThrows(() => crossEngine.verifyEquivalence(sample, { dbName: "payment_db" }),
+      "Error", "payment_db");
+    assertTrue(shared.message.startsWith("Refusing to reseed the shared PostgreSQL database payment_db"), shared.message);
+    process.env.PGDATABASE = "payments_live";
+    await assertThrows(() => crossEngine.verifyEquivalence(sample, { dbName: "payments_live" }), "Error", "PGDATABASE");
+  } finally {
+    if (previous === undefined) delete process.env.PGDATABASE;
+    else process.env.PGDATABASE = previous;
+  }
+});
+
+// ============================================================================
+// STATE MACHINE (tools/payment_state_machine.js)
+// ============================================================================
+
+test("states: a payment moves along the happy path, one step at a time", () => {
+  const path = ["RECEIVED", "VALIDATED", "PENDING_FUNDS", "ROUTED", "SENT_TO_SCHEME", "SETTLED"];
+  path.slice(1).forEach((to, index) => {
+    assertTrue(stateMachine.isValidTransition(path[index], to), path[index] + " → " + to);
+  });
+  assertTrue(stateMachine.isValidTransition("VALIDATED", "ROUTED"), "PENDING_FUNDS is optional");
+  assertTrue(!stateMachine.isValidTransition("RECEIVED", "ROUTED"), "RECEIVED → ROUTED skips validation");
+  assertTrue(!stateMachine.isValidTransition("ROUTED", "VALIDATED"), "no way back");
+});
+
+test("states: only RECEIVED starts, and final states are terminal", () => {
+  assertTrue(stateMachine.isValidTransition(null, "RECEIVED"), "null → RECEIVED");
+  assertTrue(!stateMachine.isValidTransition(null, "VALIDATED"), "null → VALIDATED");
+  ["SETTLED", "REJECTED", "FAILED"].forEach(state => {
+    assertTrue(stateMachine.isTerminal(state), state + " is terminal");
+    assertTrue(stateMachine.isTerminal(state, stateMachine.MESSAGE_TRANSITIONS), state + " is terminal for messages");
+  });
+  assertTrue(!stateMachine.isTerminal("PARTIALLY_ACCEPTED", stateMachine.MESSAGE_TRANSITIONS), "PARTIALLY_ACCEPTED");
+});
+
+test("states: REJECTED and FAILED are reachable from every non-terminal payment state", () => {
+  assertEqual(stateMachine.sourceStates("REJECTED"),
+    ["RECEIVED", "VALIDATED", "PENDING_FUNDS", "ROUTED", "SENT_TO_SCHEME"], "REJECTED sources");
+  assertEqual(stateMachine.sourceStates("FAILED"), stateMachine.sourceStates("REJECTED"), "FAILED sources");
+});
+
+test("states: both graphs use exactly the PostgreSQL enum values", () => {
+  const enums = loadEnums();
+  [[stateMachine.PAYMENT_TRANSITIONS, "payment_state"], [stateMachine.MESSAGE_TRANSITIONS, "message_state"]].forEach(([graph, type]) => {
+    const states = Object.keys(graph).concat(...Object.values(graph));
+    assertEqual([...new Set(states)].sort(), enums[type].slice().sort(), type);
+  });
+});
+
+test("states: the guarded update only matches states that may make the move", () => {
+  const { filter, update } = stateMachine.transitionUpdate("p1", "SETTLED", {}, stateMachine.PAYMENT_TRANSITIONS, true);
+  assertEqual(filter, { _id: "p1", current_state: { $in: ["SENT_TO_SCHEME"] } }, "filter");
+  const event = update[0].$set.state_history.$concatArrays[1][0];
+  assertEqual([event.from_state, event.to_state], ["$current_state", { $literal: "SETTLED" }], "event");
+  assertEqual(event.seq_no, { $add: [{ $ifNull: [{ $max: "$state_history.seq_no" }, 0] }, 1] }, "next seq_no");
+  const exact = stateMachine.transitionUpdate({ payment_ref: "PMT-1" }, "FAILED", { from: "ROUTED" },
+    stateMachine.PAYMENT_TRANSITIONS, false);
+  assertEqual(exact.filter, { payment_ref: "PMT-1", current_state: "ROUTED" }, "options.from");
+  assertTrue(!("state_history" in exact.update[0].$set), "no history");
+});
+
+test("states: impossible moves are refused before writing", async () => {
+  const error = await assertThrows(() => stateMachine.transitionUpdate("p1", "SETTLED", { from: "RECEIVED" },
+    stateMachine.PAYMENT_TRANSITIONS, true), "InvalidTransitionError", "from RECEIVED");
+  assertEqual([error.from, error.to], ["RECEIVED", "SETTLED"], "error states");
+  await assertThrows(() => stateMachine.transitionUpdate("p1", "RECEIVED", {}, stateMachine.PAYMENT_TRANSITIONS, true),
+    "InvalidTransitionError", "back to RECEIVED");
+});
+
+test("states: transitionPayment writes once and reports the event", async () => {
+  const payments = fakeCollection([{ _id: "p1", current_state: "RECEIVED" }]);
+  const result = await stateMachine.transitionPayment(payments, "p1", "VALIDATED");
+  assertEqual([result.from, result.to, result.seq_no], ["RECEIVED", "VALIDATED", 1], "result");
+  assertEqual(payments.calls.map(call => call.method), ["findOneAndUpdate"], "calls");
+});
+
+test("states: a payment in the wrong state is reported with its state", async () => {
+  const payments = fakeCollection([{ _id: "p1", current_state: "SETTLED" }]);
+  const error = await assertThrows(() => stateMachine.transitionPayment(payments, "p1", "VALIDATED"),
+    "InvalidTransitionError", "settled payment");
+  assertEqual([error.from, error.to], ["SETTLED", "VALIDATED"], "error states");
+  const missing = await assertThrows(() => stateMachine.transitionPayment(payments, "p2", "VALIDATED"),
+    "InvalidTransitionError", "missing payment");
+  assertEqual(missing.from, null, "missing payment has no state");
+});
+
+test("states: a transition inside a session reads and writes in it", async () => {
+  const session = { id: "session-1" };
+  const payments = fakeCollection([{ _id: "p1", current_state: "RECEIVED" }]);
+  await stateMachine.transitionPayment(payments, "p1", "VALIDATED", { session: session });
+  await assertThrows(() => stateMachine.transitionPayment(payments, "p1", "SETTLED", { session: session }),
+    "InvalidTransitionError", "illegal move");
+  assertEqual(payments.calls.map(call => call.method), ["findOneAndUpdate", "findOneAndUpdate", "findOne"], "calls");
+  assertTrue(payments.calls.every(call => call.options.session === session), "every call carries the session");
+  assertEqual(payments.calls[2].options.projection, { current_state: 1 }, "driver projection");
+
+  const shell = fakeCollection([{ _id: "p1", current_state: "SETTLED" }], "mongosh");
+  await assertThrows(() => stateMachine.transitionPayment(shell, "p1", "VALIDATED", { session: session }),
+    "InvalidTransitionError", "mongosh");
+  const read = shell.calls.find(call => call.method === "findOne");
+  assertEqual(read.projection, { current_state: 1 }, "mongosh projection");
+  assertTrue(read.options.session === session, "mongosh session in the options");
+});
+
+test("states: checkHistory finds gaps, broken chains and a stale current_state", () => {
+  const history = [
+    { seq_no: 1, from_state: null, to_state: "RECEIVED" },
+    { seq_no: 2, from_state: "RECEIVED", to_state: "VALIDATED" }
+  ];
+  assertEqual(stateMachine.checkHistory({ current_state: "VALIDATED", state_history: history }), [], "consistent");
+  assertEqual(stateMachine.checkHistory({
+    current_state: "ROUTED",
+    state_history: [history[0], { seq_no: 3, from_state: "VALIDATED", to_state: "ROUTED" }]
+  }), [
+    "event 2 has seq_no 3",
+    "event 2 starts from VALIDATED, expected RECEIVED"
+  ], "gap and broken chain");
+  assertEqual(stateMachine.checkHistory({ current_state: "SETTLED", state_history: history }),
+    ["current_state SETTLED does not match last event VALIDATED"], "stale current_state");
+});
+
+// ============================================================================
+// SQL PARSER (tools/sql_parser.js)
+// ============================================================================
+
+test("sql_parser: tokens are typed, keywords upper-cased and comments dropped", () => {
+  const tokens = sqlParser.tokenize("SELECT \"Name\", x->>'a' FROM t -- note\n WHERE y=1.5");
+  assertEqual(tokens.map(token => token.type + ":" + token.value), [
+    "keyword:SELECT", "ident:Name", "op:,", "ident:x", "op:->>", "string:a", "keyword:FROM", "ident:t",
+    "keyword:WHERE", "ident:y", "op:=", "number:1.5", "end:"
+  ], "tokens");
+  assertTrue(tokens[1].quoted, "quoted identifier keeps its case");
+});
+
+test("sql_parser: a SELECT parses into joins, filters, window and order", () => {
+  const query = sqlParser.parseSql("SELECT p.amount AS a, COUNT(*) OVER (PARTITION BY c ORDER BY d " +
+    "ROWS BETWEEN 1 PRECEDING AND CURRENT ROW) FROM payments p LEFT JOIN messages m ON m.id = p.message_id " +
+    "WHERE p.amount BETWEEN 1 AND 2 ORDER BY 1 DESC NULLS LAST LIMIT 3");
+  assertEqual(query.items[0], { expr: { type: "column", table: "p", name: "amount" }, alias: "a" }, "first item");
+  assertEqual(query.from, { table: "payments", query: null, alias: "p" }, "from");
+  assertEqual([query.joins[0].kind, query.joins[0].source.table], ["LEFT", "messages"], "join");
+  assertEqual(query.where.type, "between", "where");
+  const over = query.items[1].expr.over;
+  assertEqual([over.frame.unit, over.frame.start.kind, over.frame.start.direction, over.frame.end.kind],
+    ["ROWS", "OFFSET", "PRECEDING", "CURRENT"], "frame");
+  assertEqual([query.orderBy[0].desc, query.orderBy[0].nulls, query.limit.value], [true, "LAST", "3"], "order and limit");
+});
+
+test("sql_parser: CTEs and UNION ALL form a compound query", () => {
+  const query = sqlParser.parseSql("WITH x AS (SELECT 1) SELECT a FROM x UNION ALL SELECT b FROM y");
+  assertEqual([query.type, query.op, query.all], ["compound", "UNION", true], "compound");
+  assertEqual(query.with.map(cte => cte.name), ["x"], "CTE names");
+  assertEqual([query.left.from.table, query.right.from.table], ["x", "y"], "sides");
+});
+
+test("sql_parser: visit reaches subqueries, parents first", () => {
+  const types = [];
+  sqlParser.visit(sqlParser.parseSql("SELECT a FROM t WHERE b IN (SELECT c FROM u)"), node => types.push(node.type));
+  assertEqual(types, ["select", "column", "in", "column", "select", "column"], "visit order");
+});
+
+test("sql_parser: writes and broken queries raise SqlSyntaxError with a position", async () => {
+  const write = await assertThrows(() => sqlParser.parseSql("DELETE FROM payments"), "SqlSyntaxError", "DELETE");
+  assertEqual(write.position, 0, "DELETE position");
+  const broken = await assertThrows(() => sqlParser.parseSql("SELECT FROM"), "SqlSyntaxError", "SELECT FROM");
+  assertEqual(broken.message, "expected an expression, found \"FROM\" (at offset 7)", "message");
+});
+
+// ============================================================================
+// SQL TO MQL (tools/sql_to_mql.js)
+// ============================================================================
+// Golden pipelines: a change to any of them is a change to the translation.
+
+function assertPipeline(sql, collection, pipeline) {
+  const translation = sqlToMql.translateSql(sql);
+  assertEqual(translation.collection, collection, "collection");
+  assertEqual(translation.pipeline, pipeline, "pipeline");
+  return translation;
+}
+
+test("sql_to_mql: filter, sort and limit map columns to fields", () => {
+  assertPipeline("SELECT payment_ref, amount FROM payments WHERE payment_state = 'SETTLED' AND amount > 1000 " +
+    "ORDER BY amount DESC LIMIT 5", "payments", [
+    { $match: { current_state: "SETTLED", amount: { $gt: 1000 } } },
+    { $project: { _id: 0, payment_ref: 1, amount: 1 } },
+    { $sort: { amount: -1 } },
+    { $limit: 5 }
+  ]);
+});
+
+test("sql_to_mql: GROUP BY and HAVING become $group and $match", () => {
+  assertPipeline("SELECT currency, COUNT(*) AS payment_count, SUM(amount) AS total FROM payments " +
+    "GROUP BY currency HAVING COUNT(*) > 1 ORDER BY currency", "payments", [
+    { $group: { _id: "$currency", payment_count: { $sum: 1 }, total: { $sum: "$amount" } } },
+    { $match: { payment_count: { $gt: 1 } } },
+    { $project: { _id: 0, currency: "$_id", payment_count: 1, total: 1 } },
+    { $sort: { currency: 1 } }
+  ]);
+});
+
+test("sql_to_mql: a join to parties reads the debtor snapshot", () => {
+  const translation = assertPipeline("SELECT p.payment_ref, d.display_name AS sender FROM payments p " +
+    "JOIN parties d ON d.id = p.debtor_id", "payments", [
+    { $match: { debtor_id: { $ne: null } } },
+    { $project: { _id: 0, payment_ref: 1, sender: "$debtor_snapshot.display_name" } }
+  ]);
+  assertEqual(translation.warnings.length, 1, "snapshot warning");
+});
+
+test("sql_to_mql: an embedded table is unwound", () => {
+  assertPipeline("SELECT p.payment_ref, e.to_state FROM payments p JOIN payment_events e ON e.payment_id = p.id " +
+    "ORDER BY p.payment_ref, e.seq_no", "payments", [
+    { $unwind: "$state_history" },
+    { $sort: { payment_ref: 1, "state_history.seq_no": 1 } },
+    { $project: { _id: 0, payment_ref: 1, to_state: "$state_history.to_state" } }
+  ]);
+});
+
+test("sql_to_mql: IN (SELECT ...) becomes a $lookup pipeline", () => {
+  assertPipeline("SELECT payment_ref FROM payments WHERE message_id IN " +
+    "(SELECT id FROM messages WHERE message_state = 'SETTLED')", "payments", [
+    { $lookup: { from: "messages", pipeline: [{ $match: { current_state: "SETTLED" } }, { $project: { _id: 1 } }], as: "__sub0" } },
+    { $match: { $expr: { $in: ["$message_id", "$__sub0._id"] } } },
+    { $project: { _id: 0, payment_ref: 1 } }
+  ]);
+});
+
+test("sql_to_mql: running totals keep the RANGE frame", () => {
+  assertPipeline("SELECT payment_ref, SUM(amount) OVER (ORDER BY created_at) AS running_total FROM payments", "payments", [
+    { $setWindowFields: { sortBy: { created_at: 1 }, output: {
+      running_total: { $sum: "$amount", window: { range: ["unbounded", "current"], unit: "millisecond" } }
+    } } },
+    { $project: { _id: 0, payment_ref: 1, running_total: 1 } }
+  ]);
+});
+
+test("sql_to_mql: a unique tie-breaker or a ROWS frame counts documents", () => {
+  const documents = { documents: ["unbounded", "current"] };
+  const unique = sqlToMql.translateSql("SELECT payment_ref, SUM(amount) OVER (ORDER BY currency, id) AS running_total FROM payments");
+  assertEqual(unique.pipeline[0].$setWindowFields.sortBy, { currency: 1, _id: 1 }, "sort by");
+  assertEqual(unique.pipeline[0].$setWindowFields.output.running_total.window, documents, "unique key");
+  const rows = sqlToMql.translateSql("SELECT payment_ref, SUM(amount) OVER (ORDER BY currency " +
+    "ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS running_total FROM payments");
+  assertEqual(rows.pipeline[0].$setWindowFields.output.running_total.window, documents, "ROWS frame");
+});
+
+test("sql_to_mql: unsupported constructs are refused by name", async () => {
+  const tied = await assertThrows(() => sqlToMql.translateSql(
+    "SELECT payment_ref, SUM(amount) OVER (ORDER BY currency) AS running_total FROM payments"), "UnsupportedSqlError", "ties");
+  assertTrue(tied.message.includes("RANGE frame"), "ties message: " + tied.message);
+  const right = await assertThrows(() => sqlToMql.translateSql(
+    "SELECT p.payment_ref FROM payments p RIGHT JOIN messages m ON m.id = p.message_id"), "UnsupportedSqlError", "RIGHT JOIN");
+  assertEqual(right.message, "RIGHT JOIN is not supported", "RIGHT JOIN message");
+});
+
+test("sql_to_mql: training samples translate except INTERSECT and ROLLUP", () => {
+  const results = loadSamples().samples.map(sample => sqlToMql.translateSample(sample));
+  const unsupported = results.filter(result => result.status === "UNSUPPORTED")
+    .map(result => result.sample + ": " + result.detail);
+  assertEqual(unsupported, ["Example_18: INTERSECT is not supported", "Example_29: ROLLUP is not supported"], "unsupported");
+  assertEqual(results.filter(result => result.status === "TRANSLATED").length, 18, "translated");
+});
+
+// ============================================================================
+// SHELL PARSER (tools/shell_parser.js)
+// ============================================================================
+
+test("shell_parser: literals come back as Extended JSON", () => {
+  assertEqual(shellParser.parseShellValue("{ a: 1, b: 'x', c: [1, 2,], d: ObjectId(\"507f1f77bcf86cd799439011\"), " +
+    "e: ISODate(\"2025-01-15T00:00:00Z\"), f: NumberDecimal(\"1.50\"), g: /^PMT/i, h: NumberLong(5), i: NumberInt(3) }"), {
+    a: 1,
+    b: "x",
+    c: [1, 2],
+    d: { $oid: "507f1f77bcf86cd799439011" },
+    e: { $date: "2025-01-15T00:00:00.000Z" },
+    f: { $numberDecimal: "1.50" },
+    g: { $regularExpression: { pattern: "^PMT", options: "i" } },
+    h: { $numberLong: "5" },
+    i: 3
+  }, "value");
+});
+
+test("shell_parser: the current time is an offset from now", () => {
+  assertEqual(shellParser.parseShellValue("new Date(Date.now() - 86400000)"), { $now: -86400000 }, "yesterday");
+});
+
+test("shell_parser: a call splits into collection, method, arguments and cursor", () => {
+  assertEqual(shellParser.parseShellCall("db.payments.find({ scheme: \"FPS\" }, { payment_ref: 1 }).sort({ amount: -1 }).limit(5)"), {
+    collection: "payments",
+    method: "find",
+    args: [{ scheme: "FPS" }, { payment_ref: 1 }],
+    cursor: [{ name: "sort", args: [{ amount: -1 }] }, { name: "limit", args: [5] }]
+  }, "call");
+});
+
+test("shell_parser: cursor callbacks stay source text and non-calls are null", () => {
+  const call = shellParser.parseShellCall("db.payments.find().forEach(function (doc) { print(doc._id); })");
+  assertEqual(call.cursor, [{ name: "forEach", args: ["function (doc) { print(doc._id); }"] }], "forEach");
+  assertEqual(shellParser.parseShellCall("use payment_db"), null, "use");
+});
+
+test("shell_parser: lastShellCall skips declarations and earlier calls", () => {
+  const { call } = shellParser.lastShellCall("use payment_db;\nconst x = 1;\ndb.messages.countDocuments({});\n" +
+    "db.payments.aggregate([{ $match: {} }]);");
+  assertEqual([call.collection, call.method], ["payments", "aggregate"], "last call");
+});
+
+test("shell_parser: variables raise ShellSyntaxError", async () => {
+  const error = await assertThrows(() => shellParser.parseShellValue("{ a: someVar }"), "ShellSyntaxError", "variable");
+  assertEqual(error.message, "Variables are not supported (someVar) (at offset 5)", "message");
+});
+
+// ============================================================================
+// MQL TO SQL (tools/mql_to_sql.js)
+// ============================================================================
+// Golden SQL, one line per statement line.
+
+function assertSql(call, statements) {
+  const translation = mqlToSql.translateMql(call);
+  assertEqual(translation.statements.map(statement => statement.split("\n")), statements, "statements");
+  return translation;
+}
+
+test("mql_to_sql: find with projection, sort and limit", () => {
+  assertSql("db.payments.find({ current_state: \"SETTLED\", amount: { $gt: 1000 } }, { payment_ref: 1, amount: 1, _id: 0 })" +
+    ".sort({ amount: -1 }).limit(5)", [[
+    "SELECT",
+    "    p.payment_ref,",
+    "    p.amount",
+    "FROM payments p",
+    "WHERE p.payment_state = 'SETTLED' AND p.amount > 1000",
+    "ORDER BY amount DESC",
+    "LIMIT 5"
+  ]]);
+});
+
+test("mql_to_sql: $group becomes GROUP BY with _id as the key column", () => {
+  assertSql("db.payments.aggregate([{ $group: { _id: \"$currency\", n: { $sum: 1 }, total: { $sum: \"$amount\" } } }, " +
+    "{ $sort: { _id: 1 } }])", [[
+    "SELECT",
+    "    p.currency AS _id,",
+    "    COUNT(*) AS n,",
+    "    SUM(p.amount) AS total",
+    "FROM payments p",
+    "GROUP BY p.currency",
+    "ORDER BY _id"
+  ]]);
+});
+
+test("mql_to_sql: $ne also matches missing fields", () => {
+  assertSql("db.payments.find({ scheme: { $ne: \"FPS\" } }, { payment_ref: 1 })", [[
+    "SELECT",
+    "    p.id AS _id,",
+    "    p.payment_ref",
+    "FROM payments p",
+    "WHERE p.scheme IS DISTINCT FROM 'FPS'"
+  ]]);
+});
+
+test("mql_to_sql: embedded arrays are child tables", () => {
+  assertSql("db.payments.aggregate([{ $unwind: \"$state_history\" }, " +
+    "{ $project: { payment_ref: 1, to_state: \"$state_history.to_state\" } }])", [[
+    "SELECT",
+    "    p.id AS _id,",
+    "    p.payment_ref,",
+    "    pe.to_state",
+    "FROM payments p",
+    "JOIN payment_events pe ON pe.payment_id = p.id"
+  ]]);
+  assertSql("db.payments.find({ \"state_history.to_state\": \"REJECTED\" }, { payment_ref: 1 })", [[
+    "SELECT",
+    "    p.id AS _id,",
+    "    p.payment_ref",
+    "FROM payments p",
+    "WHERE EXISTS (SELECT 1 FROM payment_events pe WHERE pe.payment_id = p.id AND pe.to_state = 'REJECTED')"
+  ]]);
+});
+
+test("mql_to_sql: updateOne on a unique filter updates in place", () => {
+  assertSql("db.payments.updateOne({ payment_ref: \"PMT-1\" }, { $set: { current_state: \"VALIDATED\" } })", [[
+    "UPDATE payments p",
+    "SET payment_state = 'VALIDATED'",
+    "WHERE p.payment_ref = 'PMT-1'"
+  ]]);
+});
+
+test("mql_to_sql: deleteOne captures its target once, ordered by id", () => {
+  const translation = assertSql("db.payments.deleteOne({ current_state: \"FAILED\" })", [[
+    "WITH target_payment AS (",
+    "    SELECT p.id FROM payments p WHERE p.payment_state = 'FAILED' ORDER BY p.id LIMIT 1",
+    ")",
+    ", deleted_payment_events AS (",
+    "    DELETE FROM payment_events pe",
+    "    WHERE pe.payment_id IN (SELECT id FROM target_payment)",
+    ")",
+    ", deleted_payment_route_steps AS (",
+    "    DELETE FROM payment_route_steps prs",
+    "    WHERE prs.payment_id IN (SELECT id FROM target_payment)",
+    ")",
+    "DELETE FROM payments p",
+    "WHERE p.id = (SELECT id FROM target_payment)"
+  ]]);
+  assertEqual(translation.warnings.length, 1, "lowest id warning");
+});
+
+test("mql_to_sql: unsupported constructs are refused by name", async () => {
+  const upsert = await assertThrows(() => mqlToSql.translateMql("db.payments.updateOne({ payment_ref: \"PMT-1\" }, " +
+    "{ $set: { current_state: \"VALIDATED\" } }, { upsert: true })"), "UnsupportedMqlError", "upsert");
+  assertEqual(upsert.message, "upsert is not supported", "upsert message");
+  const bucket = await assertThrows(() => mqlToSql.translateMql("db.payments.aggregate([{ $bucket: " +
+    "{ groupBy: \"$amount\", boundaries: [0, 100] } }])"), "UnsupportedMqlError", "$bucket");
+  assertEqual(bucket.message, "$bucket is not supported", "$bucket message");
+});
+
+test("mql_to_sql: training samples translate except index builds, variables and $$ references", () => {
+  const results = loadSamples().samples.map(sample => mqlToSql.translateSample(sample));
+  assertEqual(results.filter(result => result.status === "UNSUPPORTED").map(result => result.sample),
+    ["Example_02", "Example_04", "Example_06", "Example_14", "Example_20", "Example_23"], "unsupported");
+  assertEqual(results.filter(result => result.status === "TRANSLATED").length, 22, "translated");
+});
+
+// ============================================================================
+// SPLIT (tools/split_dataset.js)
+// ============================================================================
+
+// A tagged sample with its own query, unless overridden
+function splitSample(number, overrides) {
+  return Object.assign({
+    id: "Example_" + String(number).padStart(2, "0"),
+    number: number,
+    category: number % 2 === 1 ? "Read" : "Write",
+    difficulty: "easy",
+    text: "Sample " + number,
+    postgresQuery: "SELECT c" + number + " FROM payments",
+    mongoQuery: "db.payments.find({ f" + number + ": 1 })",
+    mongoExpected: null,
+    paraphraseOf: null,
+    template: null
+  }, overrides);
+}
+
+function splitSamples(count) {
+  return Array.from({ length: count }, (unused, index) => splitSample(index + 1));
+}
+
+test("split_dataset: paraphrases, templates and query skeletons group samples", () => {
+  const groups = splitDataset.groupSamples([
+    splitSample(1),
+    splitSample(2, { category: "Read", paraphraseOf: "Example_01", postgresQuery: "SELECT x FROM t" }),
+    splitSample(3, { template: "by_currency" }),
+    splitSample(4, { category: "Read", template: "by_currency" }),
+    splitSample(5, { postgresQuery: "SELECT c5 FROM payments WHERE amount > 10" }),
+    splitSample(6, { category: "Read", postgresQuery: "-- other literal\nSELECT c5 FROM payments WHERE amount > 99" })
+  ]);
+  assertEqual(groups.map(group => [group.id, group.samples.map(sample => sample.id)]), [
+    ["Example_01", ["Example_01", "Example_02"]],
+    ["Example_03", ["Example_03", "Example_04"]],
+    ["Example_05", ["Example_05", "Example_06"]]
+  ], "groups");
+  assertEqual(groups[0].stratum, "Read / easy", "stratum of the first sample");
+});
+
+test("split_dataset: every stratum is spread over the splits in proportion", () => {
+  const manifest = splitDataset.buildManifest(splitSamples(40), { seed: 3 });
+  assertEqual(manifest.counts, { train: 32, validation: 4, test: 4 }, "counts");
+  ["Read / easy", "Write / easy"].forEach(stratum => {
+    const entries = manifest.samples.filter(entry => entry.stratum === stratum);
+    assertEqual(splitDataset.SPLITS.map(split => entries.filter(entry => entry.split === split).length), [16, 2, 2], stratum);
+  });
+});
+
+test("split_dataset: the same seed gives the same manifest", () => {
+  assertEqual(splitDataset.buildManifest(splitSamples(20), { seed: 5 }),
+    splitDataset.buildManifest(splitSamples(20), { seed: 5 }), "manifest");
+  assertEqual(splitDataset.buildManifest(splitSamples(20), { seed: 5, ratios: [1, 0, 1] }).counts,
+    { train: 10, validation: 0, test: 10 }, "ratios");
+});
+
+test("split_dataset: sample hashes follow the sample's files", () => {
+  assertEqual(splitDataset.sampleHash(splitSample(1)), splitDataset.sampleHash(splitSample(1)), "same files");
+  assertTrue(splitDataset.sampleHash(splitSample(1)) !== splitDataset.sampleHash(splitSample(1, { text: "Changed" })),
+    "changed description");
+});
+
+test("split_dataset: checkManifest reports added, removed and changed samples", () => {
+  const samples = splitSamples(40);
+  const manifest = splitDataset.buildManifest(samples, { seed: 3 });
+  assertEqual(splitDataset.checkManifest(samples, manifest), [], "unchanged corpus");
+  const current = samples.slice(1).concat([splitSample(41)]);
+  current[0] = splitSample(2, { text: "Changed" });
+  const problems = splitDataset.checkManifest(current, manifest);
+  ["Example_02:changed", "Example_41:added", "Example_01:removed"].forEach(expected => {
+    assertTrue(problems.some(problem => problem.sample + ":" + problem.problem === expected), expected);
+  });
+});
+
+test("split_dataset: ratios must not all be zero", async () => {
+  await assertThrows(() => splitDataset.buildManifest(splitSamples(4), { ratios: [0, 0, 0] }), "Error", "zero ratios");
+});
+
+// ============================================================================
+// NEAR DUPLICATES (tools/near_duplicates.js)
+// ============================================================================
+
+function corpusItem(id, overrides) {
+  return Object.assign({ id: id, origin: "sample", text: null, mongoQuery: null, postgresQuery: null, paraphraseOf: null, order: 0 }, overrides);
+}
+
+function duplicatePair(a, b) {
+  return { a: a, b: b, query: 0.8, text: 0.7, identical: false };
+}
+
+test("near_duplicates: query shapes ignore layout, aliases, key order and literals", () => {
+  const sql = code => nearDuplicates.sqlQueryShape(code).canonical;
+  const mongo = code => nearDuplicates.mongoQueryShape(code).canonical;
+  assertEqual(sql("SELECT a AS x FROM t WHERE b = 1 -- note"), sql("select A from T where b=2"), "SQL");
+  assertEqual(mongo("db.payments.find({ a: 1, b: \"x\" })"), mongo("use payment_db\ndb.payments.find({b: \"y\", a: 2})"), "MongoDB");
+  assertTrue(mongo("db.payments.find({ a: 1 })") !== mongo("db.payments.find({ c: 1 })"), "different fields");
+});
+
+test("near_duplicates: a paraphrase is not compared with its own source", () => {
+  const query = "SELECT payment_ref FROM payments WHERE payment_state = 'SETTLED' AND amount > 1000";
+  const items = [
+    corpusItem("A", { order: 0, text: "Find settled payments over 1000", postgresQuery: query }),
+    corpusItem("A2", { order: 1, origin: "paraphrase", paraphraseOf: "A", text: "Show settled payments above 1000", postgresQuery: query }),
+    corpusItem("S", { order: 2, origin: "snippet", text: "Settled payments over an amount",
+      postgresQuery: "SELECT payment_ref FROM payments WHERE payment_state = 'FAILED' AND amount > 5" }),
+    corpusItem("B", { order: 3, text: "Count messages by state",
+      postgresQuery: "SELECT message_state, COUNT(*) FROM messages GROUP BY message_state" })
+  ];
+  const pairs = nearDuplicates.findDuplicatePairs(items);
+  assertEqual(pairs.map(pair => [pair.a, pair.b, pair.identical]), [["A", "S", true]], "pairs");
+  assertEqual(nearDuplicates.clusterDuplicates(items, pairs).map(cluster => [cluster.keep, cluster.drop]), [["A", ["S"]]], "clusters");
+});
+
+test("near_duplicates: only direct duplicates of the kept item are dropped", () => {
+  const items = [
+    corpusItem("K", { order: 0 }),
+    corpusItem("X", { order: 1, origin: "snippet" }),
+    corpusItem("Y", { order: 2, origin: "snippet" })
+  ];
+  const clusters = nearDuplicates.clusterDuplicates(items, [duplicatePair("K", "X"), duplicatePair("X", "Y")]);
+  assertEqual(clusters.map(cluster => [cluster.keep, cluster.drop]), [["K", ["X"]]], "Y only matches X");
+});
+
+test("near_duplicates: paraphrases stay with a kept source and go with a dropped one", () => {
+  const items = [
+    corpusItem("K", { order: 0 }),
+    corpusItem("G", { order: 1, origin: "generated" }),
+    corpusItem("G2", { order: 2, origin: "paraphrase", paraphraseOf: "G" }),
+    corpusItem("K2", { order: 3, origin: "paraphrase", paraphraseOf: "K" })
+  ];
+  const clusters = nearDuplicates.clusterDuplicates(items, [duplicatePair("K", "G")]);
+  assertEqual(clusters.map(cluster => [cluster.keep, cluster.drop]), [["K", ["G", "G2"]]], "clusters");
+});
+
+test("near_duplicates: the hand-written sample is kept over generated items and snippets", () => {
+  const items = [
+    corpusItem("X", { order: 0, origin: "snippet" }),
+    corpusItem("G", { order: 1, origin: "generated" }),
+    corpusItem("K", { order: 2 })
+  ];
+  const clusters = nearDuplicates.clusterDuplicates(items, [duplicatePair("X", "K"), duplicatePair("G", "K")]);
+  assertEqual(clusters.map(cluster => [cluster.keep, cluster.drop]), [["K", ["G", "X"]]], "clusters");
+});
+
+// ============================================================================
+// EVALUATE (tools/evaluate.js)
+// ============================================================================
+
+test("evaluate: predictions are read by id or by sample and task", () => {
+  const predictions = evaluate.parsePredictions("{\"id\": \"Example_07:text-to-sql\", \"prediction\": \"SELECT 1\"}\n\n" +
+    "{\"sample_id\": \"Example_09\", \"task\": \"text-to-mql\", \"prediction\": \"db.payments.find()\"}");
+  assertEqual(predictions.map(prediction => [prediction.id, prediction.line]),
+    [["Example_07:text-to-sql", 1], ["Example_09:text-to-mql", 3]], "predictions");
+});
+
+test("evaluate: malformed prediction lines are refused with their line", async () => {
+  const unknown = await assertThrows(() => evaluate.parsePredictions("{\"id\": \"Example_07:nope\", \"prediction\": \"x\"}"),
+    "Error", "unknown task");
+  assertTrue(unknown.message.startsWith("predictions line 1: unknown task nope"), unknown.message);
+  const missing = await assertThrows(() => evaluate.parsePredictions("\n{\"id\": \"Example_07:text-to-sql\"}"),
+    "Error", "no prediction");
+  assertEqual(missing.message, "predictions line 2: \"prediction\" must be a string", "message");
+});
+
+test("evaluate: psql meta-commands are found outside literals only", () => {
+  assertEqual(evaluate.psqlMetaCommand("SELECT 1;\n\\! rm -rf /"), "\\!", "shell escape");
+  assertEqual(evaluate.psqlMetaCommand("SELECT E'it\\'s' \\gexec"), "\\gexec", "after an E'' string");
+  assertEqual(evaluate.psqlMetaCommand("SELECT 'a\\b', \"x\\y\", $$ \\q $$"), null, "inside literals");
+  assertEqual(evaluate.psqlMetaCommand("SELECT 1"), null, "plain query");
+});
+
+test("evaluate: results compare as multisets of values, in order when the gold sorts", () => {
+  assertEqual(evaluate.compareResults([{ a: 1, b: "x" }, { a: 2, b: "y" }], [{ y: "y", z: 2 }, { b: "x", a: 1 }]).match,
+    true, "names and order ignored");
+  assertEqual(evaluate.compareResults([{ a: 1 }, { a: 2 }], [{ a: 2 }, { a: 1 }], { ordered: true }),
+    { match: false, detail: "same rows, different order (first at position 0)" }, "ordered");
+  assertEqual(evaluate.compareResults([{ a: 1 }, { a: 1 }], [{ a: 1 }]).match, false, "duplicates count");
+});
+
+test("evaluate: exact match ignores layout, comments and key order but not literals", () => {
+  assertTrue(evaluate.exactMatch("postgresql", "SELECT payment_ref FROM payments p WHERE amount > 10",
+    "select p.payment_ref  from payments p where amount>10 -- note"), "SQL layout");
+  assertTrue(!evaluate.exactMatch("postgresql", "SELECT a FROM t WHERE b = 1", "SELECT a FROM t WHERE b = 2"), "SQL literal");
+  assertTrue(evaluate.exactMatch("mongodb", "db.payments.find({ a: 1, b: 2 })", "db.payments.find({b: 2, a: 1})"), "key order");
+});
+
+test("evaluate: without execution only exact match is scored", () => {
+  const samples = loadSamples().samples;
+  const gold = samples.find(sample => sample.id === "Example_07").postgresQuery;
+  const predictions = evaluate.parsePredictions([
+    JSON.stringify({ id: "Example_07:text-to-sql", prediction: gold }),
+    JSON.stringify({ id: "Example_99:text-to-sql", prediction: "SELECT 1" })
+  ].join("\n"));
+  const results = evaluate.evaluatePredictions(predictions, samples, { execute: false });
+  assertEqual(results.map(result => [result.status, result.exactMatch, result.detail]),
+    [["SKIP", true, "not executed"], ["SKIP", false, "no sample Example_99"]], "results");
+  assertEqual(evaluate.summarize(results).overall, { predictions: 2, executed: 0, correct: 0, scored: 1, exact: 1 }, "overall");
+});
+
+test("evaluate: predictions do not run locally or on the shared database unless allowed", async () => {
+  const predictions = evaluate.parsePredictions(JSON.stringify({ id: "Example_07:text-to-sql", prediction: "SELECT 1" }));
+  const environment = { PG_CONTAINER: process.env.PG_CONTAINER, MONGO_CONTAINER: process.env.MONGO_CONTAINER };
+  delete process.env.PG_CONTAINER;
+  delete process.env.MONGO_CONTAINER;
+  try {
+    const local = await assertThrows(() => evaluate.evaluatePredictions(predictions, [], {}), "Error", "local psql");
+    assertTrue(local.message.includes("--trust-predictions"), local.message);
+  } finally {
+    Object.keys(environment).forEach(key => {
+      if (environment[key] !== undefined) process.env[key] = environment[key];
+    });
+  }
+  const previous = process.env.PGDATABASE;
+  try {
+    delete process.env.PGDATABASE;
+    const shared = await assertThrows(() => evaluate.evaluatePredictions(predictions, [], { dbName: "payment_db", trustPredictions: true }),
+      "Error", "shared database");
+    assertTrue(shared.message.startsWith("Refusing to reseed the shared payment_db"), shared.message);
+    process.env.PGDATABASE = "payments_live";
+    await assertThrows(() => evaluate.evaluatePredictions(predictions, [], { dbName: "payments_live", trustPredictions: true }),
+      "Error", "PGDATABASE");
+  } finally {
+    if (previous === undefined) delete process.env.PGDATABASE;
+    else process.env.PGDATABASE = previous;
+  }
+});
+
+// ============================================================================
+// SCHEMA LINKING (tools/schema_linking.js)
+// ============================================================================
+
+let linkingVocabulary = null;
+
+function linkVocabulary() {
+  if (!linkingVocabulary) linkingVocabulary = schemaLinking.buildVocabulary();
+  return linkingVocabulary;
+}
+
+function usedElements(elements) {
+  return elements.filter(element => element.used)
+    .map(element => element.entity + (element.field ? "." + element.field : "") + (element.value ? " = " + element.value : ""));
+}
+
+test("schema_linking: phrases, enum values and tables link to what both queries use", () => {
+  const result = schemaLinking.linkText("Show the sender name of settled payments in messages", {
+    postgresQuery: "SELECT debtor_snapshot->>'display_name' FROM payments WHERE payment_state = 'SETTLED'",
+    mongoQuery: "db.payments.find({ current_state: \"SETTLED\" }, { \"debtor_snapshot.display_name\": 1 })"
+  }, { vocabulary: linkVocabulary() });
+  assertEqual(result.links.map(link => [link.span, link.verified, usedElements(link.postgresql), usedElements(link.mongodb)]), [
+    ["sender name", "both", ["payments.debtor_snapshot->>'display_name'"], ["payments.debtor_snapshot.display_name"]],
+    ["settled", "both", ["payments.payment_state = SETTLED"], ["payments.current_state = SETTLED"]],
+    ["payments", "both", ["payments"], ["payments"]]
+  ], "links; \"messages\" is prose, neither query uses it");
+});
+
+test("schema_linking: fields no span names are listed as unlinked", () => {
+  const result = schemaLinking.linkText("Show the payments", {
+    postgresQuery: "SELECT amount FROM payments",
+    mongoQuery: null
+  }, { vocabulary: linkVocabulary() });
+  assertEqual(result.unlinked, { postgresql: ["payments.amount"], mongodb: [] }, "unlinked");
+});
+
+test("schema_linking: query usage reads JSONB accessors, field paths and collections", () => {
+  const sql = schemaLinking.postgresUsage("SELECT p.creditor_snapshot -> 'a' ->> 'b' FROM payments p JOIN parties x ON true");
+  assertTrue(sql.fields.has("creditor_snapshot.a.b"), "JSONB path");
+  assertEqual([...sql.entities], ["payments", "parties"], "tables");
+  const mongo = schemaLinking.mongoUsage("db.payments.aggregate([{ $lookup: { from: \"parties\" } }, " +
+    "{ $project: { n: \"$debtor_snapshot.display_name\" } }])");
+  assertEqual([...mongo.entities], ["payments", "parties"], "collections");
+  assertTrue(mongo.fields.has("debtor_snapshot.display_name") && mongo.fields.has("display_name"), "field path and suffix");
+});
+
+test("schema_linking: a training sample links its column phrases", () => {
+  const sample = loadSamples().samples.find(candidate => candidate.id === "Example_15");
+  const links = schemaLinking.linkSample(sample, { vocabulary: linkVocabulary() });
+  assertEqual(links.links.filter(link => link.phrase.endsWith(" name")).map(link => link.span + " " + link.verified),
+    ["sender name both", "receiver name both"], "name links");
+});
+
+// ============================================================================
+// IDENTIFIERS (tools/identifier_validation.js)
+// ============================================================================
+
+test("identifiers: IBAN check digits are MOD 97-10", () => {
+  assertEqual(ids.checkIban("GB82WEST12345698765432"), null, "valid IBAN");
+  assertEqual(ids.ibanCheckDigits("GB", "WEST12345698765432"), "82", "computed check digits");
+  assertEqual(ids.checkIban("GB82WEST12345698765433"), "check digits are 82, should be 55", "wrong check digits");
+});
+
+test("identifiers: IBANs need their country's registered length", () => {
+  assertEqual(ids.checkIban("GB82WEST1234569876543"), "GB IBANs are 22 characters, not 21", "short GB IBAN");
+  assertEqual(ids.checkIban("US12345678901234"), "US does not use IBANs", "no IBAN country");
+});
+
+test("identifiers: the IBAN print format is accepted", () => {
+  assertEqual(ids.checkIban("GB82 WEST 1234 5698 7654 32"), null, "grouped by four");
+  assertEqual(ids.compactIban("GB82 WEST 1234 5698 7654 32"), "GB82WEST12345698765432", "electronic format");
+  assertEqual(ids.checkIban("GB82\tWEST12345698765432"), "contains spaces", "tab");
+  assertEqual(ids.checkSortCode("12 34 56"), "contains spaces", "sort codes keep their rule");
+});
+
+test("identifiers: only single spaces between groups of 4 are the IBAN print format", () => {
+  [
+    ["doubled", "GB82  WEST 1234 5698 7654 32"],
+    ["leading", " GB82 WEST 1234 5698 7654 32"],
+    ["trailing", "GB82 WEST 1234 5698 7654 32 "],
+    ["groups of 3", "GB8 2WE ST1 234 569 876 543 2"],
+    ["a short group inside", "GB82 WES T1234 5698 7654 32"]
+  ].forEach(([what, value]) => {
+    assertEqual(ids.checkIban(value), "spaces must separate groups of 4 characters", what);
+    assertEqual(ids.compactIban(value), value, what + " is not compacted");
+  });
+});
+
+test("identifiers: LEI check digits are MOD 97-10", () => {
+  assertEqual(ids.checkLei("5493001KJTIIGC8Y1R12"), null, "valid LEI");
+  assertEqual(ids.leiCheckDigits("5493001KJTIIGC8Y1R"), "12", "computed check digits");
+  assertEqual(ids.checkLei("5493001KJTIIGC8Y1R13"), "check digits are 13, should be 12", "wrong check digits");
+});
+
+test("identifiers: a BIC names a real country matching the institution's", () => {
+  assertEqual(ids.checkBic("NWBKGB2L"), null, "8 characters");
+  assertEqual(ids.checkBic("NWBKGB2LXXX", "GB"), null, "11 characters");
+  assertEqual(ids.checkBic("NWBKXX2L"), "XX is not a country code", "unknown country");
+  assertEqual(ids.checkInstitution({ bic: "NWBKGB2L", country_code: "FR", lei: null }),
+    [{ field: "bic", type: "BIC", value: "NWBKGB2L", reason: "country GB does not match country_code FR" }], "institution");
+});
+
+test("identifiers: types without a check pass", () => {
+  assertEqual(ids.checkIdentifier("ACCOUNT_NO", "12 34"), null, "ACCOUNT_NO");
+});
+
+test("identifiers: insertParty refuses a bad identifier and writes nothing", async () => {
+  const parties = fakeCollection([]);
+  const error = await assertThrows(() => ids.insertParty(parties, {
+    display_name: "Acme", identifiers: [{ type: "IBAN", value: "GB82WEST12345698765433" }]
+  }), "InvalidIdentifierError", "bad IBAN");
+  assertEqual(error.problems.map(problem => problem.field), ["identifiers.0.value"], "problem fields");
+  assertEqual(parties.calls, [], "calls");
+});
+
+test("identifiers: insertParty stores IBANs without spaces", async () => {
+  const parties = fakeCollection([]);
+  await ids.insertParty(parties, {
+    display_name: "Acme",
+    identifiers: [{ type: "IBAN", value: "GB82 WEST 1234 5698 7654 32" }, { type: "ACCOUNT_NO", value: "12 34" }]
+  });
+  assertEqual(parties.calls[0].document.identifiers, [
+    { type: "IBAN", value: "GB82WEST12345698765432" },
+    { type: "ACCOUNT_NO", value: "12 34" }
+  ], "stored identifiers");
+});
+
+// ============================================================================
+// MONEY (tools/money.js)
+// ============================================================================
+
+test("money: amounts round half to even at the currency's minor units", () => {
+  assertEqual(money.formatAmount(money.money("2050.005", "GBP")), "2050.00", "half down to even");
+  assertEqual(money.formatAmount(money.money("2050.015", "GBP")), "2050.02", "half up to even");
+  assertEqual(money.formatAmount(money.money("2050.0051", "GBP")), "2050.01", "above half");
+  assertEqual(money.formatAmount(money.money("-0.125", "EUR")), "-0.12", "negative half");
+  assertEqual(money.formatAmount(money.money("1500.5", "JPY")), "1500", "yen has no minor units");
+  assertEqual(money.formatAmount(money.money("1501.5", "JPY")), "1502", "yen half up to even");
+});
+
+test("money: decimals are read exactly from every input form", async () => {
+  assertEqual(money.parseDecimal("12.340"), { coefficient: 12340n, exponent: -3 }, "string");
+  assertEqual(money.parseDecimal({ $numberDecimal: "1E+2" }), { coefficient: 1n, exponent: 2 }, "Extended JSON");
+  assertEqual(money.parseDecimal(0.1), { coefficient: 1n, exponent: -1 }, "number");
+  assertEqual(money.money(7n, "GBP").minor, 700n, "BigInt");
+  await assertThrows(() => money.parseDecimal("12,5"), "Error", "comma");
+});
+
+test("money: sums do not drift like floats", () => {
+  const amounts = Array.from({ length: 10 }, () => money.money("0.1", "GBP"));
+  assertEqual(money.formatAmount(money.sum(amounts, "GBP")), "1.00", "ten times 0.1");
+});
+
+test("money: different currencies need an FX rate", async () => {
+  const pounds = money.money("10", "GBP");
+  const dollars = money.money("10", "USD");
+  const error = await assertThrows(() => money.add(pounds, dollars), "CurrencyMismatchError", "add");
+  assertEqual([error.left, error.right], ["GBP", "USD"], "currencies");
+  assertEqual(money.formatAmount(money.add(pounds, dollars, { rate: "0.785" })), "17.85", "with a rate");
+  assertEqual(money.compare(pounds, dollars, { rate: "1" }), 0, "compare with a rate");
+});
+
+test("money: conversion and multiplication round at the target minor units", () => {
+  assertEqual(money.formatAmount(money.convert(money.money("100", "USD"), "JPY", "149.555")), "14956", "to yen");
+  assertEqual(money.formatAmount(money.convert(money.money("1000", "JPY"), "GBP", "0.005245")), "5.24", "from yen");
+  assertEqual(money.formatAmount(money.multiply(money.money("10.05", "GBP"), "0.5")), "5.02", "half of 10.05");
+});
+
+test("money: totals are per currency, summed after rounding each payment", () => {
+  const totals = money.totalsByCurrency([
+    { amount: "1.005", currency: "GBP" },
+    { amount: { $numberDecimal: "2.015" }, currency: "GBP" },
+    { amount: "100.5", currency: "JPY" }
+  ]);
+  assertEqual(totals, {
+    count: 3,
+    by_currency: [
+      { currency: "GBP", count: 2, sum: { $numberDecimal: "3.02" } },
+      { currency: "JPY", count: 1, sum: { $numberDecimal: "100" } }
+    ]
+  }, "totals");
+});
+
+test("money: unknown currencies and fractional minor units are refused", async () => {
+  await assertThrows(() => money.money("1", "XYZ"), "Error", "unknown currency");
+  await assertThrows(() => money.fromMinor(1.5, "GBP"), "Error", "fractional minor units");
+  await assertThrows(() => money.convert(money.money("1", "GBP"), "USD", "0"), "Error", "zero rate");
+});
+
+// ============================================================================
+// MESSAGE TOTALS (tools/message_totals.js)
+// ============================================================================
+
+test("totals: recomputeMessage rebuilds the totals from the message's payments", async () => {
+  const payments = fakeCollection([
+    { _id: "p1", message_id: "m1", amount: "10.005", currency: "GBP" },
+    { _id: "p2", message_id: "m1", amount: "5", currency: "JPY" },
+    { _id: "p3", message_id: "m2", amount: "1", currency: "GBP" }
+  ]);
+  const messages = fakeCollection([]);
+  assertTrue(await totals.recomputeMessage(payments, messages, "m1"), "changed");
+  const set = messages.calls[0].update[0].$set;
+  assertEqual(set.payment_ids, { $literal: ["p1", "p2"] }, "payment_ids");
+  assertEqual(set.totals.by_currency.map(entry => [entry.currency.$literal, entry.count, entry.sum.$toDecimal]),
+    [["GBP", 1, "10.00"], ["JPY", 1, "5"]], "by_currency");
+});
+
+test("totals: reads pass mongosh the projection and the session separately", async () => {
+  const session = { id: "session-1" };
+  const payments = fakeCollection([{ _id: "p1", message_id: "m1", amount: "10.00", currency: "GBP" }], "mongosh");
+  const messages = fakeCollection([], "mongosh");
+  await totals.recomputeMessage(payments, messages, "m1", { session: session });
+  await totals.reamountPayment(payments, messages, "p9", { amount: "1" }, { session: session });
+  assertEqual(payments.calls.map(call => [call.method, call.projection]),
+    [["find", { amount: 1, currency: 1 }], ["findOne", {}]], "projections");
+  assertTrue(payments.calls.concat(messages.calls).every(call => call.options.session === session), "sessions");
+});
+
+// ============================================================================
+// MESSAGE ROLLUP (tools/message_rollup.js)
+// ============================================================================
+
+test("rollup: all payments settled settles the message", () => {
+  assertEqual(rollup.deriveMessageState(["SETTLED", "SETTLED"]).state, "SETTLED", "derived state");
+});
+
+test("rollup: final payments with a rejection are partial acceptance", () => {
+  const derived = rollup.deriveMessageState(["SETTLED", "SETTLED", "REJECTED"]);
+  assertEqual(derived.state, "PARTIALLY_ACCEPTED", "derived state");
+  assertEqual(derived.rule, "partially-accepted", "rule");
+  assertEqual(rollup.deriveMessageState(["SETTLED", "FAILED"]).state, "PARTIALLY_ACCEPTED", "settled and failed");
+});
+
+test("rollup: no settled payment among final ones fails the message", () => {
+  assertEqual(rollup.deriveMessageState(["REJECTED", "REJECTED"]).state, "REJECTED", "all rejected");
+  assertEqual(rollup.deriveMessageState(["REJECTED", "FAILED"]).state, "FAILED", "rejected and failed");
+});
+
+test("rollup: a rejection while others are in flight is partial acceptance", () => {
+  assertEqual(rollup.deriveMessageState(["REJECTED", "SENT_TO_SCHEME"]).state, "PARTIALLY_ACCEPTED", "derived state");
+  assertEqual(rollup.deriveMessageState(["FAILED", "ROUTED", "SETTLED"]).state, "PARTIALLY_ACCEPTED", "with a settled one");
+});
+
+test("rollup: the earliest payment holds the message back", () => {
+  assertEqual(rollup.deriveMessageState(["RECEIVED", "SETTLED"]).state, "RECEIVED", "received");
+  assertEqual(rollup.deriveMessageState(["PENDING_FUNDS", "REJECTED"]).state, "VALIDATED", "pending funds");
+  assertEqual(rollup.deriveMessageState(["ROUTED", "SETTLED"]).state, "ACCEPTED", "routed");
+  assertEqual(rollup.deriveMessageState(["SENT_TO_SCHEME", "SETTLED"]).state, "SENT_TO_SCHEME", "sent");
+});
+
+test("rollup: a message without payments is left alone", () => {
+  const plan = rollup.planRollup({ _id: "m1", current_state: "RECEIVED" }, []);
+  assertEqual([plan.to, plan.status], [null, "unchanged"], "plan");
+});
+
+test("rollup: unknown payment states are refused", async () => {
+  await assertThrows(() => rollup.deriveMessageState(["SETTLED", "PAID"]), "Error", "unknown state");
+});
+
+test("rollup: a direct transition is planned as one move", () => {
+  const plan = rollup.planRollup({ _id: "m1", current_state: "SENT_TO_SCHEME" }, ["SETTLED", "REJECTED"]);
+  assertEqual([plan.from, plan.to, plan.status], ["SENT_TO_SCHEME", "PARTIALLY_ACCEPTED", "move"], "plan");
+});
+
+test("rollup: stale batches move straight to the state their payments give", () => {
+  const stale = [
+    ["RECEIVED", ["SETTLED", "SETTLED"], "SETTLED"],
+    ["VALIDATED", ["SETTLED", "SETTLED"], "SETTLED"],
+    ["ROUTED", ["SETTLED", "SETTLED"], "SETTLED"],
+    ["ACCEPTED", ["REJECTED", "REJECTED"], "REJECTED"],
+    ["PARTIALLY_ACCEPTED", ["REJECTED", "REJECTED"], "REJECTED"],
+    ["ACCEPTED", ["ROUTED", "REJECTED"], "PARTIALLY_ACCEPTED"]
+  ];
+  stale.forEach(([from, payments, to]) => {
+    const plan = rollup.planRollup({ _id: "m1", current_state: from }, payments);
+    assertEqual([plan.to, plan.status], [to, "move"], from + " with " + payments.join(", "));
+  });
+});
+
+test("rollup: a stale batch is recorded as one event, without intermediate states", async () => {
+  const messages = fakeCollection([{ _id: "m1", current_state: "RECEIVED" }]);
+  const payments = fakeCollection([
+    { _id: "p1", message_id: "m1", current_state: "SETTLED" },
+    { _id: "p2", message_id: "m1", current_state: "SETTLED" }
+  ]);
+  const plan = await rollup.rollupMessage(messages, payments, "m1");
+  assertEqual([plan.from, plan.to, plan.status], ["RECEIVED", "SETTLED", "move"], "plan");
+  const writes = messages.calls.filter(call => call.method === "findOneAndUpdate");
+  assertEqual(writes.length, 1, "writes");
+  assertEqual(writes[0].filter, { _id: "m1", current_state: "RECEIVED" }, "guarded filter");
+  const events = writes[0].update[0].$set.state_history.$concatArrays[1];
+  assertEqual(events.map(event => event.to_state), [{ $literal: "SETTLED" }], "one event");
+});
+
+test("rollup: moves back or out of a terminal state are blocked", () => {
+  const back = rollup.planRollup({ _id: "m1", current_state: "SENT_TO_SCHEME" }, ["ROUTED", "SETTLED"]);
+  assertEqual([back.to, back.status], ["ACCEPTED", "blocked"], "SENT_TO_SCHEME to ACCEPTED");
+  const terminal = rollup.planRollup({ _id: "m1", current_state: "SETTLED" }, ["SETTLED", "REJECTED"]);
+  assertEqual([terminal.to, terminal.status], ["PARTIALLY_ACCEPTED", "blocked"], "out of SETTLED");
+});
+
+test("rollup: the fixture dataset is up to date", () => {
+  const plans = rollup.planDataset(require("./tools/fixtures/training_dataset"));
+  assertEqual(plans.map(plan => plan.status), ["unchanged", "unchanged"], "statuses");
+});
+
+test("rollup: rollupMessage reads and writes in the given session", async () => {
+  const session = { id: "session-1" };
+  const messages = fakeCollection([{ _id: "m1", current_state: "SENT_TO_SCHEME" }]);
+  const payments = fakeCollection([
+    { _id: "p1", message_id: "m1", current_state: "SETTLED" },
+    { _id: "p2", message_id: "m1", current_state: "REJECTED" }
+  ]);
+  const plan = await rollup.rollupMessage(messages, payments, "m1", { session: session });
+
+  assertEqual(plan.status, "move", "status");
+  const calls = messages.calls.concat(payments.calls);
+  assertEqual(calls.map(call => call.method).sort(), ["find", "findOne", "findOneAndUpdate"], "calls");
+  assertTrue(calls.every(call => call.options.session === session), "every call carries the session");
+  const write = messages.calls.find(call => call.method === "findOneAndUpdate");
+  assertEqual(write.filter, { _id: "m1", current_state: "SENT_TO_SCHEME" }, "guarded filter");
+  const event = write.update[0].$set.state_history.$concatArrays[1][0];
+  assertEqual(event.to_state, { $literal: "PARTIALLY_ACCEPTED" }, "recorded transition");
+});
+
+test("rollup: rollupMessage passes mongosh its projection and session separately", async () => {
+  const session = { id: "session-1" };
+  const messages = fakeCollection([{ _id: "m1", current_state: "SENT_TO_SCHEME" }], "mongosh");
+  const payments = fakeCollection([{ _id: "p1", message_id: "m1", current_state: "SETTLED" }], "mongosh");
+  const plan = await rollup.rollupMessage(messages, payments, "m1", { session: session });
+  assertEqual(plan.status, "move", "status");
+  const reads = messages.calls.concat(payments.calls).filter(call => call.method !== "findOneAndUpdate");
+  assertEqual(reads.map(call => [call.method, call.projection]),
+    [["findOne", { current_state: 1 }], ["find", { current_state: 1 }]], "projections");
+  assertTrue(reads.every(call => call.options.session === session), "sessions");
+});
+
+test("rollup: a blocked message is not written", async () => {
+  const messages = fakeCollection([{ _id: "m1", current_state: "SETTLED" }]);
+  const payments = fakeCollection([{ _id: "p1", message_id: "m1", current_state: "RECEIVED" }]);
+  const plan = await rollup.rollupMessage(messages, payments, "m1");
+  assertEqual(plan.status, "blocked", "status");
+  assertTrue(!messages.calls.some(call => call.method === "findOneAndUpdate"), "no write");
+});
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+async function main(sections) {
+  const selected = cases.filter(testCase => sections.length === 0 ||
+    sections.some(section => testCase.name.startsWith(section + ":")));
+  const results = [];
+  for (const testCase of selected) {
+    try {
+      await testCase.fn();
+      results.push({ name: testCase.name, ok: true });
+      console.log("✓ " + testCase.name);
+    } catch (error) {
+      results.push({ name: testCase.name, ok: false, error: error.message });
+      console.log("✗ " + testCase.name + " - " + error.message);
+    }
+  }
+
+  const failed = results.filter(result => !result.ok);
+  console.log("============================================================================");
+  if (failed.length === 0) {
+    console.log("All " + results.length + " tools tests passed!");
+  } else {
+    console.log(failed.length + " of " + results.length + " tools tests FAILED:");
+    failed.forEach(result => console.log("  ✗ " + result.name + " - " + result.error));
+  }
+  console.log("============================================================================");
+  return failed.length > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
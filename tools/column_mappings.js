@@ -0,0 +1,469 @@
+// ============================================================================
+// Column Mapping Parser
+// ============================================================================
+// Reads the tables in column_mappings.md into structured entries:
+//
+//   { engine: "postgresql"|"mongodb", kind: "field"|"join"|"calculated",
+//     entity: "payments", phrase: "payment amount", field: "amount",
+//     type: "NUMERIC(19,4)", notes: "..." }
+//
+// and derives which PostgreSQL column corresponds to which MongoDB field
+// path: two fields correspond when the same natural language phrase maps to
+// both for a table and a collection of the same name.
+//
+// The registry built from the entries answers both directions: which
+// columns / paths a phrase may mean (with types and the JOIN or $lookup
+// needed to reach them), and which phrases describe a given field.
+//
+// Usage:
+//   node tools/column_mappings.js                          # whole registry as JSON
+//   node tools/column_mappings.js "money transferred"      # candidates for a phrase
+//   node tools/column_mappings.js --field debtor_snapshot.display_name [--engine mongodb]
+//                                 [--entity payments] [--json]
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const COLUMN_MAPPINGS_FILE = path.join(__dirname, "..", "column_mappings.md");
+
+/**
+ * @typedef {Object} MappingEntry
+ * @property {"postgresql"|"mongodb"} engine
+ * @property {"field"|"join"|"calculated"} kind
+ * @property {string|null} entity  table / collection, null for join and
+ *                                 calculated rows
+ * @property {string} phrase       natural language description
+ * @property {string} field        column, field path or expression
+ * @property {string|null} type
+ * @property {string|null} notes
+ * @property {string} access       the whole column/path cell without
+ *                                 backticks (join rows spell out the
+ *                                 JOIN chain or $lookup steps there)
+ */
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map(cell => cell.trim());
+}
+
+function engineOf(heading) {
+  if (/postgres/i.test(heading)) return "postgresql";
+  if (/mongo/i.test(heading)) return "mongodb";
+  return null;
+}
+
+function fieldOf(cell) {
+  const code = cell.match(/`([^`]+)`/);
+  return code ? code[1] : cell;
+}
+
+function isFieldReference(field) {
+  return jsonbPath(field) !== null || /^[\w$.]+$/.test(field);
+}
+
+/**
+ * @param {string} content  column_mappings.md
+ * @returns {MappingEntry[]}
+ */
+function parseColumnMappings(content) {
+  const entries = [];
+  let section = null;
+  let engine = null;
+  let entity = null;
+  let header = null;
+
+  for (const line of content.split("\n")) {
+    const h2 = line.match(/^##\s+(.*)$/);
+    if (h2) {
+      section = h2[1];
+      engine = engineOf(section);
+      entity = null;
+      header = null;
+      continue;
+    }
+    const h3 = line.match(/^###\s+(.*)$/);
+    if (h3) {
+      const name = h3[1].match(/\(`([^`]+)`\)/);
+      entity = name ? name[1] : null;
+      engine = engineOf(h3[1]) || engineOf(section);
+      header = null;
+      continue;
+    }
+    if (!line.trim().startsWith("|")) {
+      header = null;
+      continue;
+    }
+
+    const cells = splitRow(line);
+    if (!header) {
+      header = cells;
+      continue;
+    }
+    if (cells.every(cell => /^:?-+:?$/.test(cell)) || !engine) {
+      continue;
+    }
+
+    const field = fieldOf(cells[1]);
+    let kind = "field";
+    if (/join|lookup/i.test(section)) kind = "join";
+    else if (/calculated/i.test(section) || /^Calculated:/i.test(cells[1]) || !isFieldReference(field)) kind = "calculated";
+
+    entries.push({
+      engine: engine,
+      kind: kind,
+      entity: kind === "join" || /calculated/i.test(section) ? null : entity,
+      phrase: cells[0],
+      field: field,
+      type: header.length > 3 ? cells[2] || null : null,
+      notes: cells[header.length - 1] || null,
+      access: cells[1].replace(/`/g, "")
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * @param {string} [file]
+ * @returns {MappingEntry[]}
+ */
+function loadColumnMappings(file = COLUMN_MAPPINGS_FILE) {
+  return parseColumnMappings(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Translates a PostgreSQL JSONB accessor (`debtor_snapshot->>'display_name'`)
+ * to the equivalent MongoDB dotted path; plain columns are returned as-is.
+ */
+function jsonbPath(expression) {
+  const match = expression.match(/^(\w+)((?:\s*->>?\s*'[^']+')*)$/);
+  if (!match) return null;
+  const keys = (match[2].match(/'[^']+'/g) || []).map(key => key.slice(1, -1));
+  return [match[1]].concat(keys).join(".");
+}
+
+/**
+ * Derives PostgreSQL column → MongoDB field path correspondences per
+ * table/collection from the phrases they share. JSONB accessors are keyed by
+ * their dotted form (debtor_snapshot.display_name). Calculated expressions
+ * are left out. Primary keys always correspond (id → _id), whether or not
+ * the document lists a phrase for them.
+ *
+ * @param {MappingEntry[]} [entries]
+ * @returns {Map<string, Map<string, string>>}  entity → (column → path)
+ */
+function fieldCorrespondences(entries = loadColumnMappings()) {
+  const mongo = new Map();
+  for (const entry of entries) {
+    if (entry.engine === "mongodb" && entry.kind === "field" && entry.entity) {
+      mongo.set(entry.entity + "\u0000" + entry.phrase.toLowerCase(), entry.field);
+    }
+  }
+
+  const result = new Map();
+  for (const entry of entries) {
+    if (entry.engine === "mongodb" && entry.kind === "field" && entry.entity && !result.has(entry.entity)) {
+      result.set(entry.entity, new Map([["id", "_id"]]));
+    }
+  }
+  for (const entry of entries) {
+    if (entry.engine !== "postgresql" || entry.kind !== "field" || !entry.entity) continue;
+    const column = jsonbPath(entry.field);
+    const target = mongo.get(entry.entity + "\u0000" + entry.phrase.toLowerCase());
+    if (!column || !target || !/^[\w.]+$/.test(target)) continue;
+
+    if (!result.has(entry.entity)) result.set(entry.entity, new Map());
+    const columns = result.get(entry.entity);
+    if (!columns.has(column)) columns.set(column, target);
+  }
+  return result;
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * @typedef {Object} FieldCandidate
+ * @property {"postgresql"|"mongodb"} engine
+ * @property {"field"|"join"|"calculated"} kind
+ * @property {string|null} entity    table / collection that holds the value
+ * @property {string} field          column, path or expression as documented
+ * @property {string|null} path      column or dotted path (JSONB accessors in
+ *                                   MongoDB form), null for expressions
+ * @property {string|null} type
+ * @property {boolean} requiresJoin  needs a JOIN / $lookup
+ * @property {string[]} joins        tables / collections the join touches,
+ *                                   in the order the document lists them
+ * @property {string|null} via       foreign key the join starts from
+ * @property {string|null} notes
+ */
+
+/**
+ * @typedef {Object} PhraseMatch
+ * @property {string} phrase         phrase as documented
+ * @property {number} score          1 for an exact match, else word overlap
+ * @property {FieldCandidate[]} postgresql
+ * @property {FieldCandidate[]} mongodb
+ */
+
+/**
+ * @typedef {Object} MappingRegistry
+ * @property {Object<string, { phrase: string, postgresql: FieldCandidate[], mongodb: FieldCandidate[] }>} phrases
+ *           keyed by normalized phrase
+ */
+
+function normalizePhrase(text) {
+  return String(text).toLowerCase().replace(/["'\u201c\u201d]/g, "").replace(/[^a-z0-9$_.]+/g, " ").trim();
+}
+
+// "p.display_name from parties p JOIN payments pay ON pay.debtor_id = p.id"
+function postgresJoin(entry) {
+  const aliases = new Map();
+  const tables = [];
+  const pattern = /\b(?:from|JOIN)\s+(\w+)\s+(\w+)/gi;
+  let match;
+  while ((match = pattern.exec(entry.access)) !== null) {
+    if (/^(ON|JOIN)$/i.test(match[2])) continue;
+    aliases.set(match[2], match[1]);
+    tables.push(match[1]);
+  }
+  const column = entry.field.match(/^(\w+)\.(\w+)$/);
+  const root = tables.length > 0 ? [...aliases].find(([, table]) => table === tables[tables.length - 1]) : null;
+  const via = root ? entry.access.match(new RegExp("\\b" + root[0] + "\\.(\\w+_id)\\b")) : null;
+  return {
+    entity: column && aliases.has(column[1]) ? aliases.get(column[1]) : null,
+    path: column ? column[2] : entry.field,
+    joins: tables,
+    via: via ? via[1] : null
+  };
+}
+
+// "$lookup from parties then $lookup from institutions", "... then access totals.count"
+function mongoJoin(entry, postgres) {
+  const collections = (entry.access.match(/\bfrom\s+(\w+)/g) || []).map(text => text.replace(/^from\s+/, ""));
+  const access = entry.access.match(/\baccess\s+([\w.]+)/);
+  const via = entry.access.match(/\busing\s+(\w+)/);
+  return {
+    entity: collections.length > 0 ? collections[collections.length - 1] : null,
+    path: access ? access[1] : postgres ? postgres.path : null,
+    joins: collections,
+    via: via ? via[1] : postgres ? postgres.via : null
+  };
+}
+
+/**
+ * Builds the phrase registry: for every documented phrase, the PostgreSQL
+ * and MongoDB fields it can mean, with their types and whether a JOIN or
+ * $lookup is needed to reach them.
+ *
+ * @param {MappingEntry[]} [entries]
+ * @returns {MappingRegistry}
+ */
+function buildRegistry(entries = loadColumnMappings()) {
+  const types = new Map();
+  const postgresJoins = new Map();
+  entries.forEach(entry => {
+    if (entry.kind === "field" && entry.entity && entry.type) {
+      types.set([entry.engine, entry.entity, jsonbPath(entry.field) || entry.field].join("\u0000"), entry.type);
+    }
+    if (entry.kind === "join" && entry.engine === "postgresql") {
+      postgresJoins.set(normalizePhrase(entry.phrase), postgresJoin(entry));
+    }
+  });
+
+  const phrases = {};
+  entries.forEach(entry => {
+    let candidate;
+    if (entry.kind === "join") {
+      const join = entry.engine === "postgresql"
+        ? postgresJoin(entry)
+        : mongoJoin(entry, postgresJoins.get(normalizePhrase(entry.phrase)));
+      candidate = {
+        engine: entry.engine,
+        kind: "join",
+        entity: join.entity,
+        field: entry.field,
+        path: join.path,
+        type: types.get([entry.engine, join.entity, join.path].join("\u0000")) || null,
+        requiresJoin: true,
+        joins: join.joins,
+        via: join.via,
+        notes: entry.notes
+      };
+    } else {
+      candidate = {
+        engine: entry.engine,
+        kind: entry.kind,
+        entity: entry.entity,
+        field: entry.field,
+        path: entry.kind === "field" ? jsonbPath(entry.field) || entry.field : null,
+        type: entry.type,
+        requiresJoin: /requires (?:a )?(?:join|\$lookup)/i.test(entry.notes || ""),
+        joins: [],
+        via: null,
+        notes: entry.notes
+      };
+    }
+
+    const key = normalizePhrase(entry.phrase);
+    const slot = phrases[key] = phrases[key] || { phrase: entry.phrase, postgresql: [], mongodb: [] };
+    const duplicate = slot[entry.engine].some(existing =>
+      existing.kind === candidate.kind && existing.field === candidate.field &&
+      (existing.entity === candidate.entity || !candidate.entity));
+    if (!duplicate) slot[entry.engine].push(candidate);
+  });
+
+  return { phrases: phrases };
+}
+
+let defaultRegistry = null;
+
+function registryOrDefault(registry) {
+  if (registry) return registry;
+  if (!defaultRegistry) defaultRegistry = buildRegistry();
+  return defaultRegistry;
+}
+
+/**
+ * Finds the fields a natural language phrase refers to. An exact
+ * (case-insensitive) match wins; otherwise documented phrases sharing enough
+ * words with the query are returned, best first.
+ *
+ * @param {string} phrase
+ * @param {Object} [options]
+ * @param {number} [options.minScore]  word overlap (shared / all words), default 0.5
+ * @param {MappingRegistry} [options.registry]
+ * @returns {PhraseMatch[]}
+ */
+function lookupPhrase(phrase, options = {}) {
+  const registry = registryOrDefault(options.registry);
+  const key = normalizePhrase(phrase);
+  if (registry.phrases[key]) {
+    return [Object.assign({ score: 1 }, registry.phrases[key])];
+  }
+
+  const words = new Set(key.split(" ").filter(Boolean));
+  const minScore = options.minScore === undefined ? 0.5 : options.minScore;
+  return Object.keys(registry.phrases).map(candidate => {
+    const candidateWords = new Set(candidate.split(" "));
+    const shared = [...candidateWords].filter(word => words.has(word)).length;
+    const score = shared / new Set([...words, ...candidateWords]).size;
+    return Object.assign({ score: Math.round(score * 100) / 100 }, registry.phrases[candidate]);
+  })
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.phrase.localeCompare(b.phrase));
+}
+
+/**
+ * Reverse lookup: every documented phrase for a column or field path.
+ * JSONB accessors and dotted paths are interchangeable
+ * (`debtor_snapshot->>'display_name'` = `debtor_snapshot.display_name`).
+ *
+ * @param {string} field
+ * @param {Object} [options]
+ * @param {"postgresql"|"mongodb"} [options.engine]
+ * @param {string} [options.entity]  table / collection
+ * @param {MappingRegistry} [options.registry]
+ * @returns {{ phrase: string, engine: string, entity: string|null, kind: string }[]}
+ */
+function phrasesFor(field, options = {}) {
+  const registry = registryOrDefault(options.registry);
+  const path = jsonbPath(field.trim()) || field.trim();
+  const results = [];
+  Object.keys(registry.phrases).forEach(key => {
+    const slot = registry.phrases[key];
+    ["postgresql", "mongodb"].forEach(engine => {
+      if (options.engine && options.engine !== engine) return;
+      slot[engine].forEach(candidate => {
+        if (options.entity && candidate.entity !== options.entity) return;
+        if (candidate.path !== path && candidate.field !== field.trim()) return;
+        if (!results.some(result => result.phrase === slot.phrase && result.engine === engine && result.entity === candidate.entity)) {
+          results.push({ phrase: slot.phrase, engine: engine, entity: candidate.entity, kind: candidate.kind });
+        }
+      });
+    });
+  });
+  return results;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { phrase: null, field: null, engine: null, entity: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--field": args.field = argv[++i]; break;
+      case "--engine": args.engine = argv[++i]; break;
+      case "--entity": args.entity = argv[++i]; break;
+      case "--json": args.json = true; break;
+      default:
+        if (argv[i].startsWith("--") || args.phrase !== null) throw new Error("Unknown argument: " + argv[i]);
+        args.phrase = argv[i];
+    }
+  }
+  if (args.engine && !["postgresql", "mongodb"].includes(args.engine)) {
+    throw new Error("--engine must be postgresql or mongodb");
+  }
+  return args;
+}
+
+function describeCandidate(candidate) {
+  const target = candidate.path || candidate.field;
+  return (candidate.entity ? candidate.entity + "." : "") + target +
+    (candidate.type ? " (" + candidate.type + ")" : "") +
+    (candidate.kind === "calculated" ? " [calculated]" : "") +
+    (candidate.requiresJoin ? " [" + (candidate.engine === "mongodb" ? "$lookup" : "join") +
+      (candidate.joins.length > 0 ? ": " + candidate.joins.join(" -> ") : "") +
+      (candidate.via ? " via " + candidate.via : "") + "]" : "");
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.field) {
+    const phrases = phrasesFor(args.field, { engine: args.engine, entity: args.entity });
+    if (args.json) {
+      console.log(JSON.stringify(phrases, null, 2));
+    } else {
+      phrases.forEach(item => console.log(item.phrase + "  (" + item.engine + (item.entity ? ", " + item.entity : "") + ")"));
+    }
+    return phrases.length > 0 ? 0 : 1;
+  }
+
+  if (args.phrase === null) {
+    console.log(JSON.stringify(buildRegistry(), null, 2));
+    return 0;
+  }
+
+  const matches = lookupPhrase(args.phrase);
+  if (args.json) {
+    console.log(JSON.stringify(matches, null, 2));
+  } else {
+    matches.forEach(match => {
+      console.log("\"" + match.phrase + "\"" + (match.score < 1 ? " (score " + match.score + ")" : ""));
+      ["postgresql", "mongodb"].forEach(engine => {
+        if (args.engine && args.engine !== engine) return;
+        match[engine].forEach(candidate => console.log("  " + engine.padEnd(11) + describeCandidate(candidate)));
+      });
+    });
+  }
+  return matches.length > 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  COLUMN_MAPPINGS_FILE,
+  parseColumnMappings,
+  loadColumnMappings,
+  fieldCorrespondences,
+  normalizePhrase,
+  buildRegistry,
+  lookupPhrase,
+  phrasesFor
+};
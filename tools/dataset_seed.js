@@ -0,0 +1,225 @@
+// ============================================================================
+// Dataset Seeding
+// ============================================================================
+// Renders a logical payment dataset ({ institutions, parties, messages,
+// payments } in canonical Extended JSON, see tools/fixtures/) into a script
+// that loads it into a database.
+//
+// The same dataset seeds both engines. In PostgreSQL, ObjectIds become UUIDs
+// (the 24 hex digits followed by eight zeros), embedded identifiers,
+// state_history and route_steps become party_identifiers, payment_events and
+// payment_route_steps rows, and current_state / totals.count become
+// payment_state, message_state and total_payments.
+// ============================================================================
+
+const COLLECTIONS = ["institutions", "parties", "messages", "payments"];
+
+// Tables the PostgreSQL seed empties (in one TRUNCATE) and refills
+const POSTGRES_TABLES = [
+  "payment_route_steps", "payment_events", "payments", "message_events",
+  "messages", "party_identifiers", "parties", "institutions"
+];
+
+/**
+ * Renders a mongosh script that switches to `dbName`, empties the four
+ * payment collections and inserts the dataset. Indexes and validators on the
+ * collections are left in place.
+ *
+ * @param {Object<string, Object[]>} dataset
+ * @param {Object} [options]
+ * @param {string} [options.dbName]  defaults to "payment_db"
+ * @returns {string}
+ */
+function mongoSeedScript(dataset, options = {}) {
+  const dbName = options.dbName || "payment_db";
+  const lines = [
+    "// Seed " + dbName + " with a fixed dataset",
+    "db = db.getSiblingDB(" + JSON.stringify(dbName) + ");"
+  ];
+
+  for (const collection of COLLECTIONS) {
+    const documents = dataset[collection] || [];
+    lines.push("db." + collection + ".deleteMany({});");
+    if (documents.length > 0) {
+      lines.push("db." + collection + ".insertMany(EJSON.deserialize(" + JSON.stringify(documents) + "));");
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// ============================================================================
+// POSTGRESQL
+// ============================================================================
+
+/**
+ * Maps an ObjectId (hex string or { $oid }) to the UUID it is stored under in
+ * PostgreSQL.
+ *
+ * @param {string|{ $oid: string }} id
+ * @returns {string}
+ */
+function objectIdToUuid(id) {
+  const hex = (typeof id === "string" ? id : id.$oid).toLowerCase() + "00000000";
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join("-");
+}
+
+/**
+ * Reverses objectIdToUuid. Returns null for UUIDs that were not derived from
+ * an ObjectId (e.g. generated by uuid_generate_v4()).
+ *
+ * @param {string} uuid
+ * @returns {string|null}  24-digit hex
+ */
+function uuidToObjectId(uuid) {
+  const hex = String(uuid).toLowerCase().replace(/-/g, "");
+  return /^[0-9a-f]{24}0{8}$/.test(hex) ? hex.slice(0, 24) : null;
+}
+
+/**
+ * Converts Extended JSON to the plain JSON stored in JSONB columns: ObjectIds
+ * become hex strings, dates ISO strings and decimals numbers.
+ */
+function plainJson(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(plainJson);
+  if (value.$oid !== undefined) return value.$oid;
+  if (value.$date !== undefined) return new Date(value.$date.$numberLong ? Number(value.$date.$numberLong) : value.$date).toISOString();
+  if (value.$numberDecimal !== undefined) return Number(value.$numberDecimal);
+  if (value.$numberLong !== undefined) return Number(value.$numberLong);
+  if (value.$numberInt !== undefined) return Number(value.$numberInt);
+  if (value.$numberDouble !== undefined) return Number(value.$numberDouble);
+  const result = {};
+  for (const key of Object.keys(value)) {
+    result[key] = plainJson(value[key]);
+  }
+  return result;
+}
+
+function sqlLiteral(value, type) {
+  if (value === undefined || value === null) return "NULL";
+  let text;
+  if (type === "jsonb") {
+    text = JSON.stringify(plainJson(value));
+  } else if (type === "uuid") {
+    text = objectIdToUuid(value);
+  } else if (type === "timestamptz") {
+    text = plainJson(value);
+  } else if (type === "numeric") {
+    return String(value.$numberDecimal !== undefined ? value.$numberDecimal : plainJson(value));
+  } else {
+    text = String(plainJson(value));
+  }
+  return "'" + text.replace(/'/g, "''") + "'" + (type ? "::" + type : "");
+}
+
+function insertRows(table, columns, rows) {
+  if (rows.length === 0) return [];
+  const names = Object.keys(columns);
+  const values = rows.map(row => "  (" + names.map(name => sqlLiteral(row[name], columns[name])).join(", ") + ")");
+  return ["INSERT INTO " + table + " (" + names.join(", ") + ") VALUES", values.join(",\n") + ";"];
+}
+
+/**
+ * Renders SQL that empties the payment tables and inserts the dataset, in one
+ * transaction. Enum columns are written as text literals and cast implicitly.
+ *
+ * @param {Object<string, Object[]>} dataset
+ * @returns {string}
+ */
+function postgresSeedSql(dataset) {
+  const institutions = dataset.institutions || [];
+  const parties = dataset.parties || [];
+  const messages = dataset.messages || [];
+  const payments = dataset.payments || [];
+  const institutionByBic = new Map(institutions.filter(i => i.bic).map(i => [i.bic, i._id]));
+  const timestamps = { created_at: "timestamptz", updated_at: "timestamptz" };
+
+  const lines = [
+    "-- Seed with a fixed dataset",
+    "BEGIN;",
+    "TRUNCATE " + POSTGRES_TABLES.join(", ") + ";"
+  ];
+
+  lines.push(...insertRows("institutions", Object.assign({
+    id: "uuid", legal_name: null, bic: null, lei: null, country_code: null
+  }, timestamps), institutions.map(i => Object.assign({ id: i._id }, i))));
+
+  lines.push(...insertRows("parties", Object.assign({
+    id: "uuid", party_type: null, display_name: null, institution_id: "uuid", email: null, phone: null
+  }, timestamps), parties.map(p => Object.assign({ id: p._id }, p))));
+
+  lines.push(...insertRows("party_identifiers", {
+    party_id: "uuid", id_type: null, id_value: null, scheme: null
+  }, [].concat(...parties.map(p => (p.identifiers || []).map(identifier => ({
+    party_id: p._id, id_type: identifier.type, id_value: identifier.value, scheme: identifier.scheme
+  }))))));
+
+  lines.push(...insertRows("messages", Object.assign({
+    id: "uuid", external_ref: null, source_system: null, message_state: null, total_payments: "int",
+    received_at: "timestamptz", last_state_changed_at: "timestamptz", attributes: "jsonb"
+  }, timestamps), messages.map(m => Object.assign({
+    id: m._id,
+    message_state: m.current_state,
+    total_payments: m.totals ? plainJson(m.totals.count) : (m.payment_ids || []).length,
+    attributes: m.attributes || {}
+  }, m))));
+
+  lines.push(...insertRows("payments", Object.assign({
+    id: "uuid", message_id: "uuid", payment_ref: null, scheme: null, amount: "numeric", currency: null,
+    payment_state: null, last_state_changed_at: "timestamptz", instructed_on: "timestamptz",
+    debtor_snapshot: "jsonb", creditor_snapshot: "jsonb", debtor_id: "uuid", creditor_id: "uuid",
+    route_summary: "jsonb", attributes: "jsonb"
+  }, timestamps), payments.map(p => Object.assign({
+    id: p._id,
+    payment_state: p.current_state,
+    route_summary: p.route_summary || {},
+    attributes: p.attributes || {}
+  }, p))));
+
+  lines.push(...insertRows("payment_events", {
+    payment_id: "uuid", seq_no: "bigint", from_state: null, to_state: null, reason_code: null, reason_text: null,
+    actor_type: null, actor_id: null, occurred_at: "timestamptz", metadata: "jsonb"
+  }, [].concat(...payments.map(p => (p.state_history || []).map(e => ({
+    payment_id: p._id,
+    seq_no: plainJson(e.seq_no),
+    from_state: e.from_state,
+    to_state: e.to_state,
+    reason_code: e.reason_code || (e.metadata && e.metadata.reason_code),
+    reason_text: e.reason_text,
+    actor_type: (e.actor && e.actor.type) || "SYSTEM",
+    actor_id: e.actor && e.actor.id,
+    occurred_at: e.occurred_at,
+    metadata: e.metadata || {}
+  }))))));
+
+  lines.push(...insertRows("payment_route_steps", {
+    payment_id: "uuid", step_no: "int", role: null, institution_id: "uuid", institution_name: null,
+    bic: null, lei: null, country_code: null, metadata: "jsonb"
+  }, [].concat(...payments.map(p => (p.route_steps || []).map(step => {
+    const snapshot = step.institution_snapshot || {};
+    return {
+      payment_id: p._id,
+      step_no: plainJson(step.step_no),
+      role: step.role,
+      institution_id: step.institution_id || institutionByBic.get(snapshot.bic),
+      institution_name: snapshot.legal_name,
+      bic: snapshot.bic,
+      lei: snapshot.lei,
+      country_code: snapshot.country_code,
+      metadata: step.metadata || {}
+    };
+  })))));
+
+  lines.push("COMMIT;");
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  COLLECTIONS,
+  POSTGRES_TABLES,
+  mongoSeedScript,
+  postgresSeedSql,
+  objectIdToUuid,
+  uuidToObjectId
+};
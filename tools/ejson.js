@@ -0,0 +1,285 @@
+// ============================================================================
+// Extended JSON Parsing, Normalization and Comparison
+// ============================================================================
+// MongoDb_json.txt files mix canonical Extended JSON ({ "$date": ... }) with
+// mongosh constructors (ObjectId("..."), ISODate("..."), NumberDecimal("..."))
+// and the odd line of prose. mongosh itself prints canonical Extended JSON.
+// This module reads both into plain JSON and normalizes values so documents
+// from either side can be compared.
+// ============================================================================
+
+// mongosh constructor → Extended JSON wrapper
+const SHELL_CONSTRUCTORS = [
+  [/\bObjectId\(\s*(["'])(.*?)\1\s*\)/g, (m, q, v) => JSON.stringify({ $oid: v })],
+  [/\b(?:ISODate|new\s+Date)\(\s*(["'])(.*?)\1\s*\)/g, (m, q, v) => JSON.stringify({ $date: v })],
+  [/\b(?:NumberDecimal|Decimal128)\(\s*(["'])(.*?)\1\s*\)/g, (m, q, v) => JSON.stringify({ $numberDecimal: v })],
+  [/\bNumberLong\(\s*(["']?)(-?\d+)\1\s*\)/g, (m, q, v) => JSON.stringify({ $numberLong: v })],
+  [/\bNumberInt\(\s*(["']?)(-?\d+)\1\s*\)/g, (m, q, v) => v]
+];
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Returns the end offset of the JSON object or array starting at `start`.
+ */
+function jsonValueEnd(text, start) {
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === "\"") inString = false;
+      continue;
+    }
+    if (ch === "\"") inString = true;
+    else if (ch === "{" || ch === "[") stack.push(ch);
+    else if (ch === "}" || ch === "]") {
+      stack.pop();
+      if (stack.length === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses the content of a MongoDb_json.txt file. Prose around the JSON is
+ * ignored; when the file holds several JSON values they are returned as an
+ * array. Returns null when there is no JSON at all (e.g. "N/A - ...").
+ *
+ * @param {string} text
+ * @returns {*|null}
+ */
+function parseShellJson(text) {
+  let source = text;
+  for (const [pattern, replacer] of SHELL_CONSTRUCTORS) {
+    source = source.replace(pattern, replacer);
+  }
+
+  const values = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch !== "{" && ch !== "[") {
+      i++;
+      continue;
+    }
+    const end = jsonValueEnd(source, i);
+    if (end === -1) {
+      break;
+    }
+    try {
+      values.push(JSON.parse(source.slice(i, end)));
+      i = end;
+    } catch (error) {
+      // Not JSON (e.g. "[...]" inside prose); keep scanning
+      i++;
+    }
+  }
+
+  if (values.length === 0) return null;
+  return values.length === 1 ? values[0] : values;
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Canonical decimal string: no exponent, no leading "+", no trailing zeros.
+ * "2000.00", 2000 and "2.0E+3" all become "2000".
+ */
+function canonicalNumber(value) {
+  const text = String(value).trim();
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+    return text;
+  }
+
+  let [mantissa, exponent] = text.toLowerCase().split("e");
+  const negative = mantissa.startsWith("-");
+  mantissa = mantissa.replace(/^[-+]/, "");
+  let [intPart, fracPart = ""] = mantissa.split(".");
+  let shift = parseInt(exponent || "0", 10);
+
+  let digits = intPart + fracPart;
+  let point = intPart.length + shift;
+  if (point < 0) {
+    digits = "0".repeat(-point) + digits;
+    point = 0;
+  } else if (point > digits.length) {
+    digits = digits + "0".repeat(point - digits.length);
+  }
+
+  intPart = digits.slice(0, point).replace(/^0+(?=\d)/, "") || "0";
+  fracPart = digits.slice(point).replace(/0+$/, "");
+  const result = fracPart ? intPart + "." + fracPart : intPart;
+  return negative && result !== "0" ? "-" + result : result;
+}
+
+function canonicalDate(value) {
+  let raw = value;
+  if (raw && typeof raw === "object" && raw.$numberLong !== undefined) {
+    raw = Number(raw.$numberLong);
+  }
+  const date = new Date(raw);
+  return isNaN(date.getTime()) ? String(raw) : date.toISOString();
+}
+
+/**
+ * Normalizes Extended JSON (canonical or relaxed) into a comparison form:
+ *   { $oid }            → { $oid: "<lowercase hex>" }
+ *   { $date }           → { $date: "<ISO-8601 with milliseconds>" }
+ *   numbers, $number*   → { $number: "<canonical decimal string>" }
+ * Other values are copied recursively.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function normalize(value) {
+  if (value === undefined) return null;
+  if (value === null || typeof value === "string" || typeof value === "boolean") return value;
+  if (typeof value === "number") return { $number: canonicalNumber(value) };
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (Array.isArray(value)) return value.map(normalize);
+
+  if (typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+      const key = keys[0];
+      const inner = value[key];
+      switch (key) {
+        case "$oid": return { $oid: String(inner).toLowerCase() };
+        case "$date": return { $date: canonicalDate(inner) };
+        case "$numberDecimal":
+        case "$numberDouble":
+        case "$numberInt":
+        case "$numberLong":
+          return { $number: canonicalNumber(inner) };
+      }
+    }
+
+    const result = {};
+    for (const key of keys) {
+      result[key] = normalize(value[key]);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+function isWrapper(value, key) {
+  return value !== null && typeof value === "object" && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && value[key] !== undefined;
+}
+
+function describe(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Checks that `actual` contains `expected`: every key of an expected object
+ * must be present with a matching value; arrays must have the same length and
+ * match element by element. Expected ObjectIds that are not 24-hex
+ * placeholders (ObjectId("...")) match any ObjectId.
+ *
+ * Both values must already be normalized.
+ *
+ * @returns {string|null} path and reason of the first mismatch, or null
+ */
+function containsMismatch(expected, actual, options, path) {
+  if (isWrapper(expected, "$oid") && !OBJECT_ID_PATTERN.test(expected.$oid)) {
+    return isWrapper(actual, "$oid") ? null : path + ": expected an ObjectId, got " + describe(actual);
+  }
+  if (isWrapper(expected, "$date") && options.looseDates) {
+    return isWrapper(actual, "$date") ? null : path + ": expected a date, got " + describe(actual);
+  }
+
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) {
+      return path + ": expected an array, got " + describe(actual);
+    }
+    if (expected.length !== actual.length) {
+      return path + ": expected " + expected.length + " elements, got " + actual.length;
+    }
+    for (let i = 0; i < expected.length; i++) {
+      const mismatch = containsMismatch(expected[i], actual[i], options, path + "[" + i + "]");
+      if (mismatch) return mismatch;
+    }
+    return null;
+  }
+
+  if (expected !== null && typeof expected === "object") {
+    if (actual === null || typeof actual !== "object" || Array.isArray(actual)) {
+      return path + ": expected " + describe(expected) + ", got " + describe(actual);
+    }
+    for (const key of Object.keys(expected)) {
+      if (!(key in actual)) {
+        return path + "." + key + ": missing";
+      }
+      const mismatch = containsMismatch(expected[key], actual[key], options, path + "." + key);
+      if (mismatch) return mismatch;
+    }
+    return null;
+  }
+
+  return expected === actual ? null : path + ": expected " + describe(expected) + ", got " + describe(actual);
+}
+
+/**
+ * Compares a sample's expected output with what a query returned.
+ *
+ * - expected object, actual object: containment
+ * - expected object, actual array: some returned document must contain it
+ * - expected array: every expected document must be contained in a distinct
+ *   returned document (order is not checked)
+ *
+ * @param {*} expected        parsed MongoDb_json.txt (any Extended JSON form)
+ * @param {*} actual          query result (any Extended JSON form)
+ * @param {Object} [options]
+ * @param {boolean} [options.looseDates]  any date matches any date
+ * @returns {{ match: boolean, detail: string|null }}
+ */
+function compareExpected(expected, actual, options = {}) {
+  const want = normalize(expected);
+  const got = normalize(actual);
+
+  if (!Array.isArray(want) && !Array.isArray(got)) {
+    const mismatch = containsMismatch(want, got, options, "$");
+    return { match: mismatch === null, detail: mismatch };
+  }
+
+  const wanted = Array.isArray(want) ? want : [want];
+  const returned = Array.isArray(got) ? got.slice() : [got];
+  for (let i = 0; i < wanted.length; i++) {
+    let firstMismatch = null;
+    const index = returned.findIndex(candidate => {
+      const mismatch = containsMismatch(wanted[i], candidate, options, "$[" + i + "]");
+      if (mismatch && firstMismatch === null) firstMismatch = mismatch;
+      return mismatch === null;
+    });
+    if (index === -1) {
+      const detail = returned.length === 0
+        ? "$[" + i + "]: query returned no (more) documents"
+        : "no returned document matches expected[" + i + "] (closest: " + firstMismatch + ")";
+      return { match: false, detail: detail };
+    }
+    returned.splice(index, 1);
+  }
+  return { match: true, detail: null };
+}
+
+module.exports = {
+  parseShellJson,
+  canonicalNumber,
+  normalize,
+  compareExpected
+};
@@ -0,0 +1,589 @@
+// ============================================================================
+// Execution-Accuracy Evaluation
+// ============================================================================
+// Scores model predictions for the export_jsonl.js tasks (text-to-sql,
+// text-to-mql, sql-to-mql) against the training samples. Predictions are
+// JSONL, one per line, keyed like the exported records:
+//
+//   {"id": "Example_07:text-to-sql", "prediction": "SELECT ..."}
+//   {"sample_id": "Example_09", "task": "text-to-mql", "prediction": "db.payments.find(...)"}
+//
+// For each prediction the gold query (the sample's Postgres_query.txt or
+// Mongo_Db_query.txt) and the predicted one run against the same seeded
+// database (tools/fixtures/training_dataset.js, reset before every run), and
+// their results are compared:
+//   - rows / documents as multisets of their values, so column names, field
+//     names and column order do not matter; in order when the gold query
+//     sorts (ORDER BY, .sort(), $sort)
+//   - dates only by type when the gold query writes
+//
+// Both engines use the scratch database named by --db (default
+// payment_db_eval). In PostgreSQL it is created from init_postgresql.sql on
+// first use; the shared database (PGDATABASE, payment_db) is never reseeded,
+// and --db naming it is refused.
+//
+// Each run happens inside a transaction that is rolled back: BEGIN ...
+// ROLLBACK in PostgreSQL (BEGIN / COMMIT in the query itself are dropped),
+// a session transaction that is aborted in MongoDB. MongoDB transactions need
+// a replica set (tools/memory_server.js --replset, or MONGO_URI); on a
+// standalone server the MongoDB query runs without one.
+//
+// Predicted queries are untrusted input: psql runs "\!" shell commands and
+// mongosh scripts can require("child_process"). They are executed only
+// inside the docker-compose containers (--docker, or PG_CONTAINER /
+// MONGO_CONTAINER), unless --trust-predictions allows local psql / mongosh.
+// psql meta-commands in a predicted query are rejected either way, and are
+// dropped from gold queries (Example_01 starts with "\c payment_db").
+//
+// Exact match compares the normalized queries of tools/near_duplicates.js
+// with literal values kept: key order, layout, comments, keyword case and SQL
+// aliases do not count.
+//
+// The report gives execution accuracy and exact match overall, per category
+// and difficulty tier (category_mapper.txt) and per operator the gold query
+// uses (tools/tag_samples.js).
+//
+// Usage:
+//   node tools/evaluate.js predictions.jsonl [--samples dir] [--db payment_db_eval] [--docker]
+//   node tools/evaluate.js predictions.jsonl --trust-predictions   # local psql / mongosh
+//   node tools/evaluate.js predictions.jsonl --no-execute      # exact match only
+//   node tools/evaluate.js predictions.jsonl --json
+// ============================================================================
+
+const fs = require("fs");
+const { SAMPLES_DIR, loadSamples } = require("./sample_loader");
+const { TASKS } = require("./export_jsonl");
+const { normalize } = require("./ejson");
+const { mongoSeedScript, postgresSeedSql } = require("./dataset_seed");
+const { runMongosh, buildCaptureScript, parseCapturedOutput } = require("./mongo_shell");
+const { runPsql, sharedDatabase, preparePostgresDatabase, buildSqlCapture } = require("./pg_shell");
+const { splitSqlStatements, statementKind } = require("./sql_statements");
+const { isOrdered, stableKey } = require("./verify_cross_engine");
+const { mongoQueryShape, sqlQueryShape } = require("./near_duplicates");
+const { mongoTags, sqlTags, tagSample } = require("./tag_samples");
+const trainingDataset = require("./fixtures/training_dataset");
+
+const STATUS_SYMBOLS = { CORRECT: "✓", INCORRECT: "✗", ERROR: "!", SKIP: "-" };
+
+const ENGINES = { postgresQuery: "postgresql", mongoQuery: "mongodb" };
+
+const DEFAULT_DB = "payment_db_eval";
+
+const MONGO_TRANSACTION_OPEN = [
+  "var __evaluation_session = null;",
+  "if (db.hello().setName) {",
+  "  __evaluation_session = db.getMongo().startSession();",
+  "  db = __evaluation_session.getDatabase(db.getName());",
+  "  __evaluation_session.startTransaction();",
+  "}"
+].join("\n");
+
+const MONGO_TRANSACTION_CLOSE = [
+  "if (__evaluation_session) {",
+  "  __evaluation_session.abortTransaction();",
+  "  __evaluation_session.endSession();",
+  "}"
+].join("\n");
+
+/**
+ * @typedef {Object} Prediction
+ * @property {string} id             "<sample id>:<task>"
+ * @property {string} sample
+ * @property {string} task
+ * @property {string} prediction
+ * @property {number} line           line in the predictions file
+ */
+
+/**
+ * @typedef {Object} ExecutionRun
+ * @property {boolean} ok
+ * @property {"read"|"write"|"other"} operation
+ * @property {*} value               captured rows / value, null without one
+ * @property {string|null} detail    why the run failed
+ */
+
+/**
+ * @typedef {Object} PredictionResult
+ * @property {string} id
+ * @property {string} sample
+ * @property {string} task
+ * @property {"postgresql"|"mongodb"} engine
+ * @property {"CORRECT"|"INCORRECT"|"ERROR"|"SKIP"} status  SKIP when the gold
+ *           query gives nothing to compare, or executions are off
+ * @property {string|null} detail
+ * @property {boolean} hasGold       the sample has a query for the task
+ * @property {boolean} exactMatch
+ * @property {string|null} category
+ * @property {string} difficulty
+ * @property {string[]} operators    operators of the gold query
+ */
+
+// ============================================================================
+// PREDICTIONS
+// ============================================================================
+
+/**
+ * @param {string} content  JSONL
+ * @returns {Prediction[]}
+ */
+function parsePredictions(content) {
+  const predictions = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    if (text.trim() === "") return;
+    const where = "predictions line " + (index + 1);
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (err) {
+      throw new Error(where + ": " + err.message);
+    }
+
+    const [idSample, idTask] = typeof record.id === "string" ? record.id.split(":") : [];
+    const sample = record.sample_id || idSample;
+    const task = record.task || idTask;
+    if (!sample || !task) throw new Error(where + ": needs \"id\" (<sample>:<task>) or \"sample_id\" and \"task\"");
+    if (!TASKS[task]) throw new Error(where + ": unknown task " + task + " (expected " + Object.keys(TASKS).join(", ") + ")");
+    if (typeof record.prediction !== "string") throw new Error(where + ": \"prediction\" must be a string");
+
+    predictions.push({ id: sample + ":" + task, sample: sample, task: task, prediction: record.prediction, line: index + 1 });
+  });
+  return predictions;
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * The first psql meta-command (a backslash outside string literals, quoted
+ * identifiers and dollar-quoted bodies) in a query, or null.
+ *
+ * @param {string} sql
+ * @returns {string|null}
+ */
+function psqlMetaCommand(sql) {
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (ch === "'" || ch === "\"") {
+      const escapes = ch === "'" && /[Ee]/.test(sql[i - 1] || "") && !/\w/.test(sql[i - 2] || "");
+      let j = i + 1;
+      while (j < sql.length) {
+        if (escapes && sql[j] === "\\") {
+          j += 2;
+          continue;
+        }
+        if (sql[j] === ch && sql[j + 1] === ch) {
+          j += 2;
+          continue;
+        }
+        if (sql[j] === ch) break;
+        j++;
+      }
+      i = j + 1;
+      continue;
+    }
+    if (ch === "$") {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_]\w*)?\$/);
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        i = close === -1 ? sql.length : close + tag[0].length;
+        continue;
+      }
+    }
+    if (ch === "\\") return sql.slice(i).split(/\s/)[0];
+    i++;
+  }
+  return null;
+}
+
+/**
+ * Whether predictions for an engine would run inside a docker container.
+ *
+ * @param {"postgresql"|"mongodb"} engine
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function sandboxed(engine, options) {
+  return engine === "postgresql"
+    ? Boolean(options.postgresContainer || process.env.PG_CONTAINER)
+    : Boolean(options.mongoContainer || process.env.MONGO_CONTAINER);
+}
+
+function runnableStatements(sql) {
+  return splitSqlStatements(sql)
+    .filter(statement => !["transaction", "meta"].includes(statementKind(statement.code)))
+    .map(statement => statement.code)
+    .join("\n");
+}
+
+function failure(run, output) {
+  return (run.stderr || output.log || "no output").trim().split("\n").slice(-3).join(" | ");
+}
+
+/**
+ * Runs a PostgreSQL query on the seeded scratch database inside a
+ * transaction that is rolled back.
+ *
+ * @param {string} query
+ * @param {Object} options
+ * @param {string} options.dbName           scratch database, never the shared one
+ * @param {Object} [options.dataset]
+ * @param {string} [options.postgresContainer]
+ * @returns {ExecutionRun}
+ */
+function executePostgres(query, options) {
+  const capture = buildSqlCapture(runnableStatements(query));
+  if (!capture.captured) {
+    return { ok: false, operation: capture.operation, value: null, detail: "returns no rows" };
+  }
+  try {
+    preparePostgresDatabase(options.dbName, { container: options.postgresContainer });
+  } catch (error) {
+    return { ok: false, operation: capture.operation, value: null, detail: error.message };
+  }
+  const run = runPsql(postgresSeedSql(options.dataset || trainingDataset) +
+    "\nBEGIN;\n" + capture.script + "ROLLBACK;\n", { container: options.postgresContainer, database: options.dbName });
+  const output = parseCapturedOutput(run.stdout);
+  if (!run.ok || !output.found) {
+    return { ok: false, operation: capture.operation, value: null, detail: failure(run, output) };
+  }
+  return { ok: true, operation: capture.operation, value: output.value, detail: null };
+}
+
+/**
+ * Runs a mongosh query on the seeded database inside a session transaction
+ * that is aborted (when the server is a replica set).
+ *
+ * @param {string} query
+ * @param {Object} options
+ * @param {string} options.dbName
+ * @param {Object} [options.dataset]
+ * @param {string} [options.mongoContainer]
+ * @returns {ExecutionRun}
+ */
+function executeMongo(query, options) {
+  const capture = buildCaptureScript(query);
+  if (capture.operation === "other") {
+    return { ok: false, operation: "other", value: null, detail: "calls no collection method" };
+  }
+  const run = runMongosh(mongoSeedScript(options.dataset || trainingDataset, { dbName: options.dbName }) +
+    "\n" + MONGO_TRANSACTION_OPEN + "\n" + capture.script + MONGO_TRANSACTION_CLOSE + "\n",
+  { container: options.mongoContainer });
+  const output = parseCapturedOutput(run.stdout);
+  if (!run.ok || !output.found) {
+    return { ok: false, operation: capture.operation, value: null, detail: failure(run, output) };
+  }
+  return { ok: true, operation: capture.operation, value: output.value, detail: null };
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+function looseDates(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(looseDates);
+  if (value.$date !== undefined && Object.keys(value).length === 1) return { $date: "*" };
+  const result = {};
+  Object.keys(value).forEach(key => { result[key] = looseDates(value[key]); });
+  return result;
+}
+
+// A row or document as the sorted keys of its values, names ignored
+function rowKey(row) {
+  if (row === null || typeof row !== "object" || Array.isArray(row) || Object.keys(row).some(key => key.startsWith("$"))) {
+    return stableKey(row);
+  }
+  return "[" + Object.values(row).map(stableKey).sort().join(",") + "]";
+}
+
+function resultRows(value, loose) {
+  const rows = value === null || value === undefined ? [] : Array.isArray(value) ? value : [value];
+  return rows.map(row => rowKey(loose ? looseDates(normalize(row)) : normalize(row)));
+}
+
+/**
+ * Compares a predicted result with the gold one (see the header).
+ *
+ * @param {*} gold
+ * @param {*} predicted
+ * @param {{ ordered?: boolean, looseDates?: boolean }} [options]
+ * @returns {{ match: boolean, detail: string|null }}
+ */
+function compareResults(gold, predicted, options = {}) {
+  const want = resultRows(gold, options.looseDates);
+  const got = resultRows(predicted, options.looseDates);
+
+  const counts = new Map();
+  want.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  const extra = got.filter(key => {
+    if (!counts.get(key)) return true;
+    counts.set(key, counts.get(key) - 1);
+    return false;
+  });
+  const missing = [...counts].filter(([, count]) => count > 0).map(([key]) => key);
+
+  if (missing.length > 0 || extra.length > 0) {
+    const parts = [want.length + " gold row(s) vs " + got.length + " predicted"];
+    if (missing.length > 0) parts.push("missing: " + missing[0]);
+    if (extra.length > 0) parts.push("unexpected: " + extra[0]);
+    return { match: false, detail: parts.join("; ") };
+  }
+  if (options.ordered) {
+    const position = want.findIndex((key, i) => key !== got[i]);
+    if (position !== -1) return { match: false, detail: "same rows, different order (first at position " + position + ")" };
+  }
+  return { match: true, detail: null };
+}
+
+function goldOrdered(engine, gold) {
+  if (engine === "postgresql") {
+    const capture = buildSqlCapture(gold);
+    return capture.captured && isOrdered(capture.statement);
+  }
+  return /\.sort\s*\(|["']?\$sort["']?\s*:/.test(gold);
+}
+
+/**
+ * Whether two queries are the same after normalization (literals kept).
+ *
+ * @param {"postgresql"|"mongodb"} engine
+ * @param {string} gold
+ * @param {string} predicted
+ * @returns {boolean}
+ */
+function exactMatch(engine, gold, predicted) {
+  const shape = engine === "postgresql" ? sqlQueryShape : mongoQueryShape;
+  let want;
+  let got;
+  try {
+    want = shape(gold, { literals: true });
+    got = shape(predicted, { literals: true });
+  } catch (err) {
+    return false;
+  }
+  return Boolean(want && got && want.canonical === got.canonical);
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Scores every prediction. Gold runs are shared by predictions of the same
+ * sample and engine.
+ *
+ * @param {Prediction[]} predictions
+ * @param {import("./sample_loader").TrainingSample[]} samples
+ * @param {Object} options
+ * @param {boolean} [options.execute]      run the queries (default true)
+ * @param {string} [options.dbName]        scratch database on both engines
+ *                                         (default "payment_db_eval")
+ * @param {Object} [options.dataset]
+ * @param {string} [options.mongoContainer]
+ * @param {string} [options.postgresContainer]
+ * @param {boolean} [options.trustPredictions]  run predictions in local psql /
+ *                                         mongosh when no container is set
+ * @param {function(PredictionResult): void} [options.onResult]
+ * @returns {PredictionResult[]}
+ * @throws {Error} when predictions would run locally without trustPredictions
+ */
+function evaluatePredictions(predictions, samples, options) {
+  options = Object.assign({}, options, { dbName: options.dbName || DEFAULT_DB });
+  if (options.execute !== false && options.dbName === sharedDatabase()) {
+    throw new Error("Refusing to reseed the shared " + options.dbName + "; pass a scratch --db name");
+  }
+  if (options.execute !== false && !options.trustPredictions) {
+    const local = [...new Set(predictions.map(prediction => ENGINES[TASKS[prediction.task].target]))]
+      .filter(engine => !sandboxed(engine, options));
+    if (local.length > 0) {
+      throw new Error("Predicted queries can run shell commands; run the " + local.join(" and ") +
+        " predictions in the containers with --docker, or pass --trust-predictions to run them locally");
+    }
+  }
+  const byId = new Map(samples.map(sample => [sample.id, sample]));
+  const goldRuns = new Map();
+
+  return predictions.map(prediction => {
+    const sample = byId.get(prediction.sample);
+    const target = TASKS[prediction.task].target;
+    const engine = ENGINES[target];
+    const gold = sample ? sample[target] : null;
+    const result = {
+      id: prediction.id,
+      sample: prediction.sample,
+      task: prediction.task,
+      engine: engine,
+      status: "SKIP",
+      detail: null,
+      hasGold: Boolean(gold),
+      exactMatch: false,
+      category: sample ? sample.category : null,
+      difficulty: sample ? sample.difficulty || tagSample(sample).difficulty : "unknown",
+      operators: gold ? (engine === "postgresql" ? sqlTags(gold) : mongoTags(gold)).operators : []
+    };
+
+    if (!gold) {
+      result.detail = sample ? "sample has no " + engine + " query" : "no sample " + prediction.sample;
+    } else {
+      result.exactMatch = exactMatch(engine, gold, prediction.prediction);
+      if (options.execute === false) {
+        result.detail = "not executed";
+      } else {
+        const execute = engine === "postgresql" ? executePostgres : executeMongo;
+        const key = prediction.sample + ":" + engine;
+        if (!goldRuns.has(key)) goldRuns.set(key, execute(gold, options));
+        const goldRun = goldRuns.get(key);
+
+        if (!goldRun.ok) {
+          result.detail = "gold query " + goldRun.detail;
+        } else {
+          const meta = engine === "postgresql" ? psqlMetaCommand(prediction.prediction) : null;
+          const predictedRun = meta
+            ? { ok: false, detail: "psql meta-command " + meta + " is not allowed" }
+            : execute(prediction.prediction, options);
+          if (!predictedRun.ok) {
+            result.status = "ERROR";
+            result.detail = predictedRun.detail;
+          } else {
+            const comparison = compareResults(goldRun.value, predictedRun.value, {
+              ordered: goldOrdered(engine, gold),
+              looseDates: goldRun.operation === "write"
+            });
+            result.status = comparison.match ? "CORRECT" : "INCORRECT";
+            result.detail = comparison.detail;
+          }
+        }
+      }
+    }
+
+    if (options.onResult) options.onResult(result);
+    return result;
+  });
+}
+
+function score(results) {
+  const executed = results.filter(result => result.status !== "SKIP");
+  const scored = results.filter(result => result.hasGold);
+  return {
+    predictions: results.length,
+    executed: executed.length,
+    correct: executed.filter(result => result.status === "CORRECT").length,
+    scored: scored.length,
+    exact: scored.filter(result => result.exactMatch).length
+  };
+}
+
+/**
+ * Execution accuracy and exact match, overall and broken down by category,
+ * difficulty and gold-query operator.
+ *
+ * @param {PredictionResult[]} results
+ * @returns {{ overall: Object, byCategory: Object, byDifficulty: Object, byOperator: Object }}
+ */
+function summarize(results) {
+  const breakdown = keysOf => {
+    const groups = new Map();
+    results.forEach(result => keysOf(result).forEach(key => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(result);
+    }));
+    const table = {};
+    [...groups.keys()].sort().forEach(key => { table[key] = score(groups.get(key)); });
+    return table;
+  };
+  return {
+    overall: score(results),
+    byCategory: breakdown(result => [result.category || "Uncategorized"]),
+    byDifficulty: breakdown(result => [result.difficulty]),
+    byOperator: breakdown(result => result.operators)
+  };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = {
+    predictions: null, samples: SAMPLES_DIR, dbName: DEFAULT_DB, execute: true,
+    mongoContainer: null, postgresContainer: null, trustPredictions: false, json: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--samples": args.samples = argv[++i]; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--no-execute": args.execute = false; break;
+      case "--docker":
+        args.mongoContainer = "payment_mongodb";
+        args.postgresContainer = "payment_postgres";
+        break;
+      case "--trust-predictions": args.trustPredictions = true; break;
+      case "--json": args.json = true; break;
+      default:
+        if (argv[i].startsWith("--") || args.predictions) throw new Error("Unknown argument: " + argv[i]);
+        args.predictions = argv[i];
+    }
+  }
+  if (!args.predictions) throw new Error("Usage: node tools/evaluate.js predictions.jsonl [options]");
+  return args;
+}
+
+function ratio(count, total) {
+  return (count + "/" + total).padStart(9) + (total > 0 ? (count / total * 100).toFixed(1).padStart(7) + "%" : "       -");
+}
+
+function printTable(title, table) {
+  console.log(title);
+  Object.entries(table).forEach(([key, counts]) => {
+    console.log("  " + key.padEnd(30) + " exec " + ratio(counts.correct, counts.executed) +
+      "   exact " + ratio(counts.exact, counts.scored));
+  });
+  console.log("");
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const predictions = parsePredictions(fs.readFileSync(args.predictions, "utf8"));
+  const { samples } = loadSamples(args.samples);
+
+  const results = evaluatePredictions(predictions, samples, Object.assign({}, args, {
+    onResult: args.json ? null : result => {
+      console.log(STATUS_SYMBOLS[result.status] + " " + result.id + "  " + result.status +
+        (result.exactMatch ? "  exact" : "") + (result.detail ? "  " + result.detail : ""));
+    }
+  }));
+  const summary = summarize(results);
+
+  if (args.json) {
+    console.log(JSON.stringify({ summary: summary, results: results }, null, 2));
+    return 0;
+  }
+
+  console.log("");
+  printTable("By category", summary.byCategory);
+  printTable("By difficulty", summary.byDifficulty);
+  printTable("By operator", summary.byOperator);
+  const overall = summary.overall;
+  const share = (count, total) => count + "/" + total + (total > 0 ? " (" + (count / total * 100).toFixed(1) + "%)" : "");
+  console.log("Execution accuracy " + share(overall.correct, overall.executed) +
+    ", exact match " + share(overall.exact, overall.scored) +
+    ", " + (overall.predictions - overall.executed) + " not executed");
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parsePredictions,
+  psqlMetaCommand,
+  executePostgres,
+  executeMongo,
+  compareResults,
+  exactMatch,
+  evaluatePredictions,
+  summarize
+};
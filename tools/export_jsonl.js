@@ -0,0 +1,297 @@
+// ============================================================================
+// Training Sample JSONL Exporter
+// ============================================================================
+// Turns the training_samples corpus into JSONL files for fine-tuning.
+//
+// Formats:
+//   instruction  { instruction, context, response }
+//   chat         { messages: [system, user, assistant] }  (OpenAI style)
+//   alpaca       { instruction, input, output }
+//
+// Tasks:
+//   text-to-sql  text_description.txt → Postgres_query.txt
+//   text-to-mql  text_description.txt → Mongo_Db_query.txt
+//   sql-to-mql   Postgres_query.txt   → Mongo_Db_query.txt
+//
+// Every record carries the schema context of the engine(s) involved, taken
+// from payment_model_postgresql.md and payment_model_mongodb.md.
+//
+// Usage:
+//   node tools/export_jsonl.js [--format instruction|chat|alpaca]
+//                              [--task text-to-sql,text-to-mql,sql-to-mql]
+//                              [--samples <dir>] [--out <file>]
+//                              [--no-schema] [--no-metadata]
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { SAMPLES_DIR, loadSamples } = require("./sample_loader");
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+
+const FORMATS = ["instruction", "chat", "alpaca"];
+
+// Where each engine's schema context comes from: model document and the
+// fenced code blocks in it that describe the schema.
+const SCHEMA_SOURCES = {
+  postgresql: { file: "payment_model_postgresql.md", languages: ["sql"], comment: "--" },
+  mongodb: { file: "payment_model_mongodb.md", languages: ["json", "js"], comment: "//" }
+};
+
+const TASKS = {
+  "text-to-sql": {
+    source: "text",
+    target: "postgresQuery",
+    schemas: ["postgresql"],
+    prompt: "Write a PostgreSQL query for the payment processing database that fulfils the request."
+  },
+  "text-to-mql": {
+    source: "text",
+    target: "mongoQuery",
+    schemas: ["mongodb"],
+    prompt: "Write a MongoDB (mongosh) query for the payment processing database that fulfils the request."
+  },
+  "sql-to-mql": {
+    source: "postgresQuery",
+    target: "mongoQuery",
+    schemas: ["postgresql", "mongodb"],
+    prompt: "Translate the PostgreSQL query into an equivalent MongoDB (mongosh) query for the payment processing database."
+  }
+};
+
+// ============================================================================
+// SCHEMA CONTEXT
+// ============================================================================
+
+/**
+ * Extracts the schema-describing code blocks of a model document. Each block
+ * is preceded by its Markdown heading as a comment so the collection or
+ * section it belongs to stays visible.
+ *
+ * @param {"postgresql"|"mongodb"} engine
+ * @param {string} [rootDir]
+ * @returns {string}
+ */
+function loadSchemaContext(engine, rootDir = REPO_ROOT) {
+  const source = SCHEMA_SOURCES[engine];
+  if (!source) {
+    throw new Error("Unknown schema engine: " + engine);
+  }
+
+  const lines = fs.readFileSync(path.join(rootDir, source.file), "utf8").split(/\r?\n/);
+  const blocks = [];
+  let heading = null;
+  let block = null;
+
+  for (const line of lines) {
+    if (block) {
+      if (line.startsWith("```")) {
+        blocks.push(block.join("\n").trim());
+        block = null;
+      } else {
+        block.push(line);
+      }
+      continue;
+    }
+
+    const headingMatch = line.match(/^#+\s+(.*)$/);
+    if (headingMatch) {
+      // A second top-level title means another model document was appended
+      if (line.startsWith("# ") && heading !== null) {
+        break;
+      }
+      heading = headingMatch[1].replace(/`/g, "").trim();
+      continue;
+    }
+
+    const fence = line.match(/^```(\w+)/);
+    if (fence && source.languages.includes(fence[1])) {
+      block = [source.comment + " " + heading];
+    }
+  }
+
+  return blocks.join("\n\n");
+}
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+function schemaContextFor(task, schemaContexts) {
+  if (!schemaContexts) {
+    return "";
+  }
+  return TASKS[task].schemas.map(engine => schemaContexts[engine]).join("\n\n");
+}
+
+function sourceLabel(task) {
+  return TASKS[task].source === "text" ? "Request" : "PostgreSQL query";
+}
+
+/**
+ * Builds one JSONL record for a sample and task, or null when the sample
+ * lacks one of the parts the task needs.
+ *
+ * @param {import("./sample_loader").TrainingSample} sample
+ * @param {string} task
+ * @param {Object} options
+ * @param {string} options.format
+ * @param {Object<string, string>|null} options.schemaContexts
+ * @param {boolean} [options.metadata]
+ * @returns {Object|null}
+ */
+function buildRecord(sample, task, options) {
+  const spec = TASKS[task];
+  const source = sample[spec.source];
+  const target = sample[spec.target];
+  if (!source || !target) {
+    return null;
+  }
+
+  const context = schemaContextFor(task, options.schemaContexts);
+  const userContent = sourceLabel(task) + ":\n" + source;
+  let record;
+
+  switch (options.format) {
+    case "instruction":
+      record = {
+        instruction: spec.prompt + "\n\n" + userContent,
+        context: context,
+        response: target
+      };
+      break;
+    case "chat":
+      record = {
+        messages: [
+          { role: "system", content: context ? spec.prompt + "\n\nSchema:\n" + context : spec.prompt },
+          { role: "user", content: source },
+          { role: "assistant", content: target }
+        ]
+      };
+      break;
+    case "alpaca":
+      record = {
+        instruction: spec.prompt,
+        input: context ? "Schema:\n" + context + "\n\n" + userContent : userContent,
+        output: target
+      };
+      break;
+    default:
+      throw new Error("Unknown export format: " + options.format);
+  }
+
+  if (options.metadata !== false) {
+    record = Object.assign({
+      id: sample.id + ":" + task,
+      sample_id: sample.id,
+      task: task,
+      category: sample.category
+    }, sample.difficulty ? { difficulty: sample.difficulty } : {},
+    sample.paraphraseOf ? { paraphrase_of: sample.paraphraseOf } : {}, record);
+  }
+
+  return record;
+}
+
+/**
+ * @param {import("./sample_loader").TrainingSample[]} samples
+ * @param {Object} options
+ * @param {string} options.format
+ * @param {string[]} [options.tasks]
+ * @param {boolean} [options.schema]     include schema context (default true)
+ * @param {boolean} [options.metadata]   include id/task/category, difficulty and
+ *                                       paraphrase_of (default true)
+ * @returns {{ records: Object[], skipped: string[] }}
+ */
+function buildRecords(samples, options) {
+  const tasks = options.tasks || Object.keys(TASKS);
+  tasks.forEach(task => {
+    if (!TASKS[task]) {
+      throw new Error("Unknown export task: " + task);
+    }
+  });
+
+  const schemaContexts = options.schema === false ? null : {
+    postgresql: loadSchemaContext("postgresql"),
+    mongodb: loadSchemaContext("mongodb")
+  };
+
+  const records = [];
+  const skipped = [];
+  for (const sample of samples) {
+    for (const task of tasks) {
+      // A paraphrase only rewords the text; other tasks would repeat its source
+      if (sample.paraphraseOf && TASKS[task].source !== "text") continue;
+      const record = buildRecord(sample, task, {
+        format: options.format,
+        schemaContexts: schemaContexts,
+        metadata: options.metadata
+      });
+      if (record) {
+        records.push(record);
+      } else {
+        skipped.push(sample.id + ":" + task);
+      }
+    }
+  }
+
+  return { records: records, skipped: skipped };
+}
+
+function toJsonl(records) {
+  return records.map(record => JSON.stringify(record)).join("\n") + (records.length ? "\n" : "");
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { format: "instruction", tasks: null, samples: SAMPLES_DIR, out: null, schema: true, metadata: true };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--format": args.format = argv[++i]; break;
+      case "--task": args.tasks = argv[++i].split(","); break;
+      case "--samples": args.samples = argv[++i]; break;
+      case "--out": args.out = argv[++i]; break;
+      case "--no-schema": args.schema = false; break;
+      case "--no-metadata": args.metadata = false; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (!FORMATS.includes(args.format)) {
+    throw new Error("--format must be one of: " + FORMATS.join(", "));
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const { samples } = loadSamples(args.samples);
+  const { records, skipped } = buildRecords(samples, args);
+  const output = toJsonl(records);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  console.error("Exported " + records.length + " " + args.format + " records" +
+    (args.out ? " to " + args.out : "") + ", skipped " + skipped.length);
+  skipped.forEach(id => console.error("  skipped " + id + " (missing part)"));
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  FORMATS,
+  TASKS,
+  loadSchemaContext,
+  buildRecord,
+  buildRecords,
+  toJsonl
+};
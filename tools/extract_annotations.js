@@ -0,0 +1,339 @@
+// ============================================================================
+// Natural Language Annotation Extractor
+// ============================================================================
+// Turns the annotated examples in advanced_mongodb_queries.js into training
+// samples. Each pipeline with a comment block like
+//
+//   // Example 1: Simple field access with natural language
+//   // Natural Language: "Show me the money transferred for each transaction"
+//   // Maps: "money transferred" → amount
+//
+// becomes one sample: the question (text_description.txt), the commented
+// pipeline (Mongo_Db_query.txt) and, with --capture, the pipeline's result
+// on the fixture dataset (MongoDb_json.txt). Samples are written as
+// Example_NN folders plus a category_mapper.txt, the layout of
+// training_samples/, so tools/sample_loader.js and export_jsonl.js read them.
+//
+// Every "Maps:" target (a field path, a calculation or a $lookup) is checked
+// against the pipeline, and entries whose mapped fields do not appear in it
+// are flagged.
+//
+// Usage:
+//   node tools/extract_annotations.js                    # list entries and flags
+//   node tools/extract_annotations.js --json
+//   node tools/extract_annotations.js --out annotated_samples [--capture --docker]
+//
+// Options:
+//   --file <crud|advanced|path>   script to read (default: advanced)
+//   --out <dir>                   write Example_NN folders and category_mapper.txt
+//   --capture                     run each pipeline on the fixtures (see
+//                                 tools/snippets.js) and write MongoDb_json.txt
+//   --db <name>, --docker         where --capture runs
+//
+// Exits with status 1 when any entry is flagged (or a capture fails).
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { loadSnippets, runSnippet } = require("./snippets");
+const { CATEGORY_MAPPER_FILE, SAMPLE_PARTS } = require("./sample_loader");
+
+/**
+ * @typedef {Object} FieldMapping
+ * @property {string|null} phrase     natural language phrase ("money transferred")
+ * @property {string} target          right-hand side as written
+ * @property {"field"|"calculated"|"lookup"|"note"} kind
+ * @property {string[]} fields        field paths the pipeline should mention
+ * @property {string[]} collections   collections the pipeline should join
+ */
+
+/**
+ * @typedef {Object} AnnotatedExample
+ * @property {string} id              snippet id (see tools/snippets.js)
+ * @property {string} file
+ * @property {number} line
+ * @property {string} section
+ * @property {string} title
+ * @property {string} naturalLanguage
+ * @property {FieldMapping[]} mappings
+ * @property {string} code
+ * @property {string[]} problems      mapped fields or joins missing from the pipeline
+ */
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function unquote(text) {
+  return text.trim().replace(/^["“']|["”']$/g, "").trim();
+}
+
+// Splits on commas outside parentheses and quotes
+function splitMappings(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === "\"") {
+      quote = ch;
+    } else if (ch === "(") {
+      depth++;
+    } else if (ch === ")") {
+      depth--;
+    } else if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function identifiers(text) {
+  return (text.match(/[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*/g) || []).filter(name => name.includes("_") || name.includes("."));
+}
+
+/**
+ * Parses the text after "Maps:".
+ *
+ * @param {string} text
+ * @returns {FieldMapping[]}
+ */
+function parseMappings(text) {
+  return splitMappings(text).map(part => {
+    const arrow = part.match(/^(.*?)\s*(?:→|->)\s*([\s\S]*)$/);
+    if (!arrow) {
+      return { phrase: null, target: part, kind: "note", fields: [], collections: [] };
+    }
+
+    const phrase = unquote(arrow[1]);
+    const target = arrow[2].trim();
+    const calculated = target.match(/^calculated\b:?\s*(.*)$/i);
+    if (calculated) {
+      return { phrase: phrase, target: target, kind: "calculated", fields: identifiers(calculated[1]), collections: [] };
+    }
+
+    const lookup = target.match(/^requires\s+\$lookup\b:?\s*(.*)$/i);
+    if (lookup) {
+      const chain = lookup[1].split(/\s*->\s*/).filter(Boolean);
+      const joined = lookup[1].match(/\bto\s+(\w+)\s+collection\b/i);
+      return {
+        phrase: phrase,
+        target: target,
+        kind: "lookup",
+        fields: chain.length > 1 ? [chain[chain.length - 1]] : [],
+        collections: joined ? [joined[1]] : chain.slice(0, -1)
+      };
+    }
+
+    const field = target.replace(/\([^)]*\)/g, "").replace(/\s+field$/i, "").trim();
+    return {
+      phrase: phrase,
+      target: target,
+      kind: "field",
+      fields: /^[A-Za-z_$][\w.$]*$/.test(field) ? [field] : [],
+      collections: []
+    };
+  });
+}
+
+function mentions(code, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp("(^|[^\\w])" + escaped + "(?![\\w])").test(code);
+}
+
+/**
+ * Lists mapped fields and joined collections that the pipeline never names.
+ *
+ * @param {FieldMapping[]} mappings
+ * @param {string} code
+ * @returns {string[]}
+ */
+function checkMappings(mappings, code) {
+  const problems = [];
+  mappings.forEach(mapping => {
+    mapping.fields.forEach(field => {
+      if (!mentions(code, field)) {
+        problems.push("\"" + (mapping.phrase || mapping.target) + "\" maps to " + field + ", which the pipeline does not use");
+      }
+    });
+    mapping.collections.forEach(collection => {
+      if (!new RegExp("\\bfrom\\s*:\\s*[\"']" + collection + "[\"']").test(code)) {
+        problems.push("\"" + (mapping.phrase || mapping.target) + "\" needs a $lookup from " + collection + ", which the pipeline does not do");
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * Extracts the examples that carry a "Natural Language:" annotation.
+ *
+ * @param {import("./snippets").Snippet[]} snippets
+ * @returns {AnnotatedExample[]}
+ */
+function extractAnnotations(snippets) {
+  const examples = [];
+  snippets.forEach(snippet => {
+    const lines = [snippet.title].concat(snippet.notes);
+    const question = lines.find(line => /^Natural Language:/i.test(line));
+    if (!question) return;
+
+    const maps = lines.filter(line => /^Maps:/i.test(line)).map(line => line.replace(/^Maps:\s*/i, ""));
+    const mappings = [].concat(...maps.map(parseMappings));
+    examples.push({
+      id: snippet.id,
+      file: snippet.file,
+      line: snippet.line,
+      section: snippet.section,
+      title: snippet.title === question ? unquote(question.replace(/^Natural Language:/i, "")) : snippet.title,
+      naturalLanguage: unquote(question.replace(/^Natural Language:/i, "")),
+      mappings: mappings,
+      code: snippet.code,
+      problems: checkMappings(mappings, snippet.code)
+    });
+  });
+  return examples;
+}
+
+// ============================================================================
+// SAMPLE FOLDERS
+// ============================================================================
+
+function mapperHeading(number, title) {
+  const words = title.replace(/^Example\s+\d+:\s*/i, "").replace(/[^A-Za-z0-9]+/g, " ").trim().split(/\s+/);
+  return String(number).padStart(2, "0") + "_" + words.map(word => word[0].toUpperCase() + word.slice(1)).join("_");
+}
+
+// Documents one after another, the way MongoDb_json.txt files show results
+function formatResult(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.map(item => JSON.stringify(item, null, 2)).join("\n\n") + "\n";
+}
+
+/**
+ * Writes the examples as Example_NN folders and a category_mapper.txt.
+ *
+ * @param {AnnotatedExample[]} examples
+ * @param {string} outDir
+ * @param {Object<string, *>} [results]  captured value per example id
+ */
+function writeSamples(examples, outDir, results = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const mapper = [
+    "Category Mapper for Annotated Advanced MongoDB Queries",
+    "======================================================",
+    "",
+    "Generated by tools/extract_annotations.js from the \"Natural Language:\" annotations.",
+    ""
+  ];
+
+  examples.forEach((example, index) => {
+    const number = index + 1;
+    const dir = path.join(outDir, "Example_" + String(number).padStart(2, "0"));
+    fs.mkdirSync(dir, { recursive: true });
+
+    const header = ["// " + example.title, "// Natural Language: \"" + example.naturalLanguage + "\""];
+    example.mappings.forEach(mapping => {
+      header.push("// Maps: " + (mapping.phrase ? "\"" + mapping.phrase + "\" → " : "") + mapping.target);
+    });
+    fs.writeFileSync(path.join(dir, SAMPLE_PARTS.text), example.naturalLanguage + "\n");
+    fs.writeFileSync(path.join(dir, SAMPLE_PARTS.mongoQuery), header.join("\n") + "\n" + example.code + "\n");
+    if (Object.prototype.hasOwnProperty.call(results, example.id)) {
+      fs.writeFileSync(path.join(dir, SAMPLE_PARTS.mongoExpected), formatResult(results[example.id]));
+    }
+
+    const heading = mapperHeading(number, example.title);
+    mapper.push(heading, "-".repeat(heading.length));
+    mapper.push("Category: " + (example.section || "Advanced Queries"));
+    mapper.push("Description: " + example.naturalLanguage);
+    mapper.push("Source: " + example.file + ":" + example.line);
+    mapper.push("Snippet: " + example.id);
+    if (example.mappings.length > 0) {
+      mapper.push("Maps: " + example.mappings.map(mapping =>
+        (mapping.phrase ? mapping.phrase + " → " : "") + mapping.target).join("; "));
+    }
+    mapper.push("");
+  });
+
+  fs.writeFileSync(path.join(outDir, CATEGORY_MAPPER_FILE), mapper.join("\n"));
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { files: [], out: null, capture: false, dbName: undefined, container: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--file": args.files.push(argv[++i]); break;
+      case "--out": args.out = argv[++i]; break;
+      case "--capture": args.capture = true; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--docker": args.container = "payment_mongodb"; break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (args.capture && !args.out) throw new Error("--capture needs --out");
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const snippets = loadSnippets(args.files.length > 0 ? args.files : ["advanced"]);
+  const examples = extractAnnotations(snippets);
+  let captureFailed = false;
+
+  if (args.out) {
+    const results = {};
+    if (args.capture) {
+      examples.forEach(example => {
+        const snippet = snippets.find(candidate => candidate.id === example.id);
+        const run = runSnippet(snippet, { dbName: args.dbName, container: args.container });
+        if (run.ok) {
+          results[example.id] = run.value;
+        } else {
+          captureFailed = true;
+          console.error("✗ " + example.id + ": " + run.detail);
+        }
+      });
+    }
+    writeSamples(examples, args.out, results);
+    console.error("✓ Wrote " + examples.length + " samples to " + args.out +
+      (args.capture ? " (" + Object.keys(results).length + " with results)" : ""));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(examples, null, 2));
+  } else {
+    examples.forEach(example => {
+      console.log((example.problems.length === 0 ? "✓ " : "✗ ") + example.file + ":" + example.line + "  " + example.naturalLanguage);
+      example.problems.forEach(problem => console.log("    " + problem));
+    });
+    const flagged = examples.filter(example => example.problems.length > 0).length;
+    console.log("");
+    console.log(examples.length + " annotated examples, " +
+      examples.filter(example => example.mappings.length > 0).length + " with Maps:, " + flagged + " flagged");
+  }
+
+  return examples.some(example => example.problems.length > 0) || captureFailed ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseMappings,
+  checkMappings,
+  extractAnnotations,
+  formatResult,
+  writeSamples
+};
@@ -0,0 +1,290 @@
+// ============================================================================
+// Fixed Training Dataset
+// ============================================================================
+// A small, fixed payment_db dataset built from the entities the training
+// samples talk about (Bank A UK, Acme Manufacturing Ltd, BATCH_2025-01-15_001,
+// PMT-2025-01-15-0001, ...) and the ObjectIds used in
+// mongodb_crud_operations.js and payment_model_mongodb.md.
+//
+// Documents are written in canonical Extended JSON so they can be seeded
+// through mongosh (EJSON.deserialize) and rendered to SQL without a BSON
+// library.
+// ============================================================================
+
+function oid(suffix) {
+  return { $oid: "6755f0b2c3a9b2f3d4a" + suffix };
+}
+
+function date(iso) {
+  return { $date: iso };
+}
+
+function dec(value) {
+  return { $numberDecimal: value };
+}
+
+function event(seqNo, fromState, toState, actorId, occurredAt, metadata) {
+  return {
+    seq_no: seqNo,
+    from_state: fromState,
+    to_state: toState,
+    actor: actorId ? { type: "SYSTEM", id: actorId } : { type: "SYSTEM" },
+    occurred_at: date(occurredAt),
+    metadata: metadata || {}
+  };
+}
+
+function institutionSnapshot(institution) {
+  const snapshot = { legal_name: institution.legal_name };
+  if (institution.bic) snapshot.bic = institution.bic;
+  if (institution.lei) snapshot.lei = institution.lei;
+  snapshot.country_code = institution.country_code;
+  return snapshot;
+}
+
+// ============================================================================
+// INSTITUTIONS
+// ============================================================================
+
+const bankA = {
+  _id: oid("10001"),
+  legal_name: "Bank A UK",
+  bic: "BKUKGB22XXX",
+  lei: "213800D1EI4B9WTWWD28",
+  country_code: "GB",
+  created_at: date("2025-01-15T10:00:00Z"),
+  updated_at: date("2025-01-15T10:00:00Z")
+};
+
+const bankB = {
+  _id: oid("10002"),
+  legal_name: "Bank B UK",
+  bic: "BKBKGB2LXXX",
+  lei: "5493000KJTIIGC8Y1R37",
+  country_code: "GB",
+  created_at: date("2025-01-15T10:00:00Z"),
+  updated_at: date("2025-01-15T10:00:00Z")
+};
+
+const correspondent = {
+  _id: oid("10003"),
+  legal_name: "Correspondent Bank AG",
+  bic: "EXCBDEFFXXX",
+  lei: "5493001KJTIIGC8Y1R12",
+  country_code: "DE",
+  created_at: date("2025-01-15T10:00:00Z"),
+  updated_at: date("2025-01-15T10:00:00Z")
+};
+
+// ============================================================================
+// PARTIES
+// ============================================================================
+
+const acme = {
+  _id: oid("20001"),
+  party_type: "DEBTOR",
+  display_name: "Acme Manufacturing Ltd",
+  institution_id: bankA._id,
+  email: "ap@acme.example",
+  phone: "+44-20-1234-5678",
+  identifiers: [
+    { type: "ACCOUNT_NO", value: "12345678", scheme: "GB-ACCOUNT" },
+    { type: "SORT_CODE", value: "12-34-56", scheme: "GB-SORTCODE" }
+  ],
+  created_at: date("2025-01-15T10:05:00Z"),
+  updated_at: date("2025-01-15T10:05:00Z")
+};
+
+const widgets = {
+  _id: oid("20002"),
+  party_type: "CREDITOR",
+  display_name: "Widgets Wholesale PLC",
+  institution_id: bankB._id,
+  email: "info@widgets.example",
+  phone: "+44-20-8765-4321",
+  identifiers: [
+    { type: "ACCOUNT_NO", value: "87654321", scheme: "GB-ACCOUNT" },
+    { type: "SORT_CODE", value: "65-43-21", scheme: "GB-SORTCODE" }
+  ],
+  created_at: date("2025-01-15T10:05:00Z"),
+  updated_at: date("2025-01-15T10:05:00Z")
+};
+
+function partySnapshot(party, withSortCode) {
+  return {
+    display_name: party.display_name,
+    identifiers: party.identifiers.filter(id => withSortCode || id.type === "ACCOUNT_NO")
+  };
+}
+
+// ============================================================================
+// PAYMENTS
+// ============================================================================
+
+const payments = [
+  {
+    _id: oid("40001"),
+    message_id: oid("30001"),
+    payment_ref: "PMT-2025-01-15-0001",
+    scheme: "FPS",
+    amount: dec("2000.00"),
+    currency: "GBP",
+    current_state: "SETTLED",
+    last_state_changed_at: date("2025-01-15T10:30:00Z"),
+    instructed_on: date("2025-01-15T10:15:00Z"),
+    debtor_snapshot: partySnapshot(acme, false),
+    creditor_snapshot: partySnapshot(widgets, false),
+    debtor_id: acme._id,
+    creditor_id: widgets._id,
+    route_steps: [
+      { step_no: 1, role: "SENDER_BANK", institution_snapshot: institutionSnapshot(bankA), metadata: { channel: "API" } },
+      { step_no: 2, role: "INTERMEDIARY", institution_snapshot: institutionSnapshot(correspondent), metadata: { corridor: "GB-DE-GB" } },
+      { step_no: 3, role: "RECEIVER_BANK", institution_snapshot: institutionSnapshot(bankB), metadata: {} }
+    ],
+    state_history: [
+      event(1, null, "RECEIVED", "ingestion-svc", "2025-01-15T10:15:00Z", { source: "UpstreamGateway-A" }),
+      event(2, "RECEIVED", "VALIDATED", "validation-svc", "2025-01-15T10:20:00Z", { aml: "PASS", schema: "ISO20022" }),
+      event(3, "VALIDATED", "ROUTED", "routing-svc", "2025-01-15T10:22:00Z", { corridor: "FPS:Direct" }),
+      event(4, "ROUTED", "SENT_TO_SCHEME", "scheme-gateway", "2025-01-15T10:25:00Z"),
+      event(5, "SENT_TO_SCHEME", "SETTLED", "scheme-gateway", "2025-01-15T10:30:00Z")
+    ],
+    route_summary: { method: "DIRECT" },
+    attributes: { priority: "HIGH", fee_model: "OUR" },
+    created_at: date("2025-01-15T10:15:00Z"),
+    updated_at: date("2025-01-15T10:30:00Z")
+  },
+  {
+    _id: oid("40002"),
+    message_id: oid("30001"),
+    payment_ref: "PMT-2025-01-15-0002",
+    scheme: "SEPA",
+    amount: dec("1500.00"),
+    currency: "EUR",
+    current_state: "SETTLED",
+    last_state_changed_at: date("2025-01-15T11:05:00Z"),
+    instructed_on: date("2025-01-15T10:40:00Z"),
+    debtor_snapshot: partySnapshot(acme, false),
+    creditor_snapshot: partySnapshot(widgets, false),
+    debtor_id: acme._id,
+    creditor_id: widgets._id,
+    route_steps: [
+      { step_no: 1, role: "SENDER_BANK", institution_snapshot: institutionSnapshot(bankA), metadata: { channel: "API" } },
+      { step_no: 2, role: "CORRESPONDENT", institution_snapshot: institutionSnapshot(correspondent), metadata: { corridor: "GB-DE" } },
+      { step_no: 3, role: "RECEIVER_BANK", institution_snapshot: institutionSnapshot(bankB), metadata: {} }
+    ],
+    state_history: [
+      event(1, null, "RECEIVED", "ingestion-svc", "2025-01-15T10:40:00Z", { source: "UpstreamGateway-A" }),
+      event(2, "RECEIVED", "VALIDATED", "validation-svc", "2025-01-15T10:41:00Z", { aml: "PASS" }),
+      event(3, "VALIDATED", "ROUTED", "routing-svc", "2025-01-15T10:45:00Z", { corridor: "SEPA:Correspondent" }),
+      event(4, "ROUTED", "SENT_TO_SCHEME", "scheme-gateway", "2025-01-15T10:50:00Z"),
+      event(5, "SENT_TO_SCHEME", "SETTLED", "scheme-gateway", "2025-01-15T11:05:00Z")
+    ],
+    route_summary: { method: "INDIRECT" },
+    attributes: { priority: "NORMAL", fee_model: "SHA" },
+    created_at: date("2025-01-15T10:40:00Z"),
+    updated_at: date("2025-01-15T11:05:00Z")
+  },
+  {
+    _id: oid("40003"),
+    message_id: oid("30001"),
+    payment_ref: "PMT-2025-01-15-0003",
+    scheme: "FPS",
+    amount: dec("50.00"),
+    currency: "GBP",
+    current_state: "REJECTED",
+    last_state_changed_at: date("2025-01-15T11:10:00Z"),
+    instructed_on: date("2025-01-15T11:00:00Z"),
+    debtor_snapshot: partySnapshot(acme, false),
+    creditor_snapshot: partySnapshot(widgets, false),
+    debtor_id: acme._id,
+    creditor_id: widgets._id,
+    route_steps: [],
+    state_history: [
+      event(1, null, "RECEIVED", null, "2025-01-15T11:00:00Z"),
+      event(2, "RECEIVED", "VALIDATED", null, "2025-01-15T11:00:20Z", { aml: "PASS" }),
+      event(3, "VALIDATED", "REJECTED", "funding-svc", "2025-01-15T11:10:00Z", { reason_code: "INSUFFICIENT_FUNDS" })
+    ],
+    route_summary: {},
+    attributes: { priority: "NORMAL", fee_model: "OUR" },
+    created_at: date("2025-01-15T11:00:00Z"),
+    updated_at: date("2025-01-15T11:10:00Z")
+  },
+  {
+    _id: oid("40004"),
+    message_id: oid("30002"),
+    payment_ref: "PMT-2025-01-16-0001",
+    scheme: "SEPA",
+    amount: dec("750.00"),
+    currency: "EUR",
+    current_state: "FAILED",
+    last_state_changed_at: date("2025-01-16T09:20:00Z"),
+    instructed_on: date("2025-01-16T09:00:00Z"),
+    debtor_snapshot: partySnapshot(widgets, true),
+    creditor_snapshot: partySnapshot(acme, true),
+    debtor_id: widgets._id,
+    creditor_id: acme._id,
+    route_steps: [
+      { step_no: 1, role: "SENDER_BANK", institution_snapshot: institutionSnapshot(bankB), metadata: { channel: "FILE" } },
+      { step_no: 2, role: "INTERMEDIARY", institution_snapshot: institutionSnapshot(correspondent), metadata: { corridor: "GB-DE-GB" } }
+    ],
+    state_history: [
+      event(1, null, "RECEIVED", "ingestion-svc", "2025-01-16T09:00:00Z", { source: "UpstreamGateway-B" }),
+      event(2, "RECEIVED", "VALIDATED", "validation-svc", "2025-01-16T09:01:00Z", { aml: "PASS" }),
+      event(3, "VALIDATED", "ROUTED", "routing-svc", "2025-01-16T09:05:00Z", { corridor: "SEPA:Correspondent" }),
+      event(4, "ROUTED", "FAILED", "scheme-gateway", "2025-01-16T09:20:00Z", { reason_code: "SCHEME_TIMEOUT" })
+    ],
+    route_summary: { method: "INDIRECT" },
+    attributes: { priority: "NORMAL", fee_model: "SHA" },
+    created_at: date("2025-01-16T09:00:00Z"),
+    updated_at: date("2025-01-16T09:20:00Z")
+  }
+];
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+const messages = [
+  {
+    _id: oid("30001"),
+    external_ref: "BATCH_2025-01-15_001",
+    source_system: "UpstreamGateway-A",
+    current_state: "PARTIALLY_ACCEPTED",
+    received_at: date("2025-01-15T10:10:00Z"),
+    last_state_changed_at: date("2025-01-15T11:10:00Z"),
+    attributes: { format: "ISO20022-pacs.008", file_hash: "sha256:abcd1234" },
+    payment_ids: [oid("40001"), oid("40002"), oid("40003")],
+    totals: {
+      count: 3,
+      by_currency: [
+        { currency: "EUR", count: 1, sum: dec("1500.00") },
+        { currency: "GBP", count: 2, sum: dec("2050.00") }
+      ]
+    },
+    created_at: date("2025-01-15T10:10:00Z"),
+    updated_at: date("2025-01-15T11:10:00Z")
+  },
+  {
+    _id: oid("30002"),
+    external_ref: "BATCH_2025-01-16_001",
+    source_system: "UpstreamGateway-B",
+    current_state: "FAILED",
+    received_at: date("2025-01-16T08:55:00Z"),
+    last_state_changed_at: date("2025-01-16T09:20:00Z"),
+    attributes: { format: "ISO20022-pacs.008" },
+    payment_ids: [oid("40004")],
+    totals: {
+      count: 1,
+      by_currency: [{ currency: "EUR", count: 1, sum: dec("750.00") }]
+    },
+    created_at: date("2025-01-16T08:55:00Z"),
+    updated_at: date("2025-01-16T09:20:00Z")
+  }
+];
+
+module.exports = {
+  institutions: [bankA, bankB, correspondent],
+  parties: [acme, widgets],
+  messages: messages,
+  payments: payments
+};
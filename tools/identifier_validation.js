@@ -0,0 +1,511 @@
+// ============================================================================
+// Institution and Party Identifier Validation
+// ============================================================================
+// Checks the identifiers stored on institutions and parties:
+//
+//   BIC        ISO 9362: 4 letters bank code, ISO 3166 country, 2 character
+//              location, optional 3 character branch
+//   IBAN       ISO 13616: the country's registered length and MOD 97-10
+//              check digits. The print format ("GB82 WEST 1234 5698 7654 32"),
+//              groups of 4 separated by single spaces, is also accepted.
+//   LEI        ISO 17442: 18 characters and MOD 97-10 check digits
+//   SORT_CODE  UK sort code, 6 digits written as NN-NN-NN or NNNNNN
+//
+// Other identifier types (ACCOUNT_NO, IFSC, ...) are not checked.
+//
+// insertInstitution() and insertParty() check a document and insert it only
+// if every identifier is valid; insertParty() stores IBANs without spaces.
+// Like tools/payment_state_machine.js they accept a collection from either
+// mongosh or the Node.js driver.
+// tools/synthetic_data.js computes its check digits here and checks every
+// institution and party it generates.
+//
+// Usage (mongosh):
+//   const ids = require("/path/to/tools/identifier_validation.js");
+//   await ids.insertInstitution(db.institutions,
+//     { legal_name: "...", bic: "...", country_code: "GB" });
+//
+// Usage (CLI):
+//   node tools/identifier_validation.js              # check the example data files
+//   node tools/identifier_validation.js <file>...    # check other scripts
+//   node tools/identifier_validation.js --value GB82WEST12345698765432
+//
+// Options:
+//   --value <v>   check one value; its type is guessed from its shape
+//   --type <t>    the type of --value (BIC, IBAN, LEI, SORT_CODE)
+//   --json        print the problems as JSON
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { loadEnums } = require("./pg_schema");
+
+const ROOT = path.join(__dirname, "..");
+
+const DATA_FILES = [
+  "init_mongodb.js",
+  "mongodb_crud_operations.js",
+  "init_postgresql.sql",
+  "postgresql_crud_operations.sql"
+];
+
+// ISO 3166-1 alpha-2, plus XK (Kosovo), which SWIFT also assigns
+const COUNTRY_CODES = new Set((
+  "AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS " +
+  "BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE " +
+  "EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM " +
+  "HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC " +
+  "LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA " +
+  "NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW " +
+  "SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO " +
+  "TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW XK").split(" "));
+
+// IBAN length per country, from the SWIFT IBAN registry
+const IBAN_LENGTHS = {
+  AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BI: 27, BR: 29, BY: 28,
+  CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DJ: 27, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18,
+  FK: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22,
+  IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20,
+  LV: 21, LY: 25, MC: 27, MD: 24, ME: 22, MK: 19, MN: 20, MR: 27, MT: 31, MU: 30, NI: 28, NL: 18,
+  NO: 15, OM: 23, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, RU: 33, SA: 24, SC: 31,
+  SD: 18, SE: 24, SI: 19, SK: 24, SM: 27, SO: 23, ST: 25, SV: 28, TL: 23, TN: 24, TR: 26, UA: 29,
+  VA: 22, VG: 24, XK: 20, YE: 30
+};
+
+/**
+ * Raised when a document carries an identifier that fails its check.
+ */
+class InvalidIdentifierError extends Error {
+  /**
+   * @param {IdentifierProblem[]} problems
+   */
+  constructor(problems) {
+    super("Invalid identifier" + (problems.length === 1 ? "" : "s") + ": " +
+      problems.map(problem => problem.field + " " + JSON.stringify(problem.value) + " (" + problem.reason + ")").join("; "));
+    this.name = "InvalidIdentifierError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {Object} IdentifierProblem
+ * @property {string} field     bic, lei or identifiers.N.value
+ * @property {string} type      BIC, LEI, IBAN or SORT_CODE
+ * @property {*} value
+ * @property {string} reason
+ */
+
+// ============================================================================
+// CHECK DIGITS
+// ============================================================================
+
+/** ISO 7064 MOD 97-10 remainder of an alphanumeric string (A=10 ... Z=35). */
+function mod97(text) {
+  const digits = text.toUpperCase().replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i += 7) {
+    remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+  }
+  return remainder;
+}
+
+/**
+ * The two check digits that complete an IBAN.
+ *
+ * @param {string} country
+ * @param {string} bban
+ * @returns {string}
+ */
+function ibanCheckDigits(country, bban) {
+  return String(98 - mod97(bban + country + "00")).padStart(2, "0");
+}
+
+/**
+ * The two check digits that complete an 18 character LEI prefix.
+ *
+ * @param {string} base
+ * @returns {string}
+ */
+function leiCheckDigits(base) {
+  return String(98 - mod97(base + "00")).padStart(2, "0");
+}
+
+// ============================================================================
+// SINGLE VALUES
+// ============================================================================
+// Each check returns null for a valid value, or the reason it is invalid.
+
+function stringProblem(value) {
+  if (typeof value !== "string") return "not a string";
+  if (value !== value.trim() || /\s/.test(value)) return "contains spaces";
+  return null;
+}
+
+/**
+ * @param {*} value
+ * @param {string} [country]  the institution's country_code, if known
+ * @returns {string|null}
+ */
+function checkBic(value, country) {
+  const problem = stringProblem(value);
+  if (problem) return problem;
+  if (value.length !== 8 && value.length !== 11) return "must be 8 or 11 characters, not " + value.length;
+  if (!/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(value)) return "must be 4 letters, 2 letters, 2 and optionally 3 letters or digits";
+  const bicCountry = value.slice(4, 6);
+  if (!COUNTRY_CODES.has(bicCountry)) return bicCountry + " is not a country code";
+  if (country && bicCountry !== country) return "country " + bicCountry + " does not match country_code " + country;
+  return null;
+}
+
+// The print format: groups of 4 separated by single spaces, the last one
+// possibly shorter
+const IBAN_PRINT_FORMAT = /^[^ ]{4}(?: [^ ]{4})*(?: [^ ]{1,3})?$/;
+
+/**
+ * An IBAN in its electronic format, without the spaces of the print format.
+ * Other values, including spaced ones not in the print format, are returned
+ * unchanged.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function compactIban(value) {
+  return typeof value === "string" && IBAN_PRINT_FORMAT.test(value) ? value.replace(/ /g, "") : value;
+}
+
+/**
+ * @param {*} value  electronic or print format
+ * @returns {string|null}
+ */
+function checkIban(value) {
+  value = compactIban(value);
+  if (typeof value === "string" && value.trim() !== "" && value.includes(" ")) {
+    return "spaces must separate groups of 4 characters";
+  }
+  const problem = stringProblem(value);
+  if (problem) return problem;
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(value)) return "must be a country code, 2 check digits and letters or digits";
+  const country = value.slice(0, 2);
+  if (!(country in IBAN_LENGTHS)) return country + " does not use IBANs";
+  if (value.length !== IBAN_LENGTHS[country]) return country + " IBANs are " + IBAN_LENGTHS[country] + " characters, not " + value.length;
+  if (mod97(value.slice(4) + value.slice(0, 4)) !== 1) return "check digits are " + value.slice(2, 4) + ", should be " + ibanCheckDigits(country, value.slice(4));
+  return null;
+}
+
+/**
+ * @param {*} value
+ * @returns {string|null}
+ */
+function checkLei(value) {
+  const problem = stringProblem(value);
+  if (problem) return problem;
+  if (value.length !== 20) return "must be 20 characters, not " + value.length;
+  if (!/^[A-Z0-9]{18}\d{2}$/.test(value)) return "must be 18 letters or digits and 2 check digits";
+  if (mod97(value) !== 1) return "check digits are " + value.slice(18) + ", should be " + leiCheckDigits(value.slice(0, 18));
+  return null;
+}
+
+/**
+ * @param {*} value
+ * @returns {string|null}
+ */
+function checkSortCode(value) {
+  const problem = stringProblem(value);
+  if (problem) return problem;
+  if (!/^\d{2}-\d{2}-\d{2}$/.test(value) && !/^\d{6}$/.test(value)) return "must be NN-NN-NN or NNNNNN";
+  return null;
+}
+
+const CHECKS = {
+  BIC: checkBic,
+  IBAN: checkIban,
+  LEI: checkLei,
+  SORT_CODE: checkSortCode
+};
+
+/**
+ * Checks one value of an identifier_type. Types without a check pass.
+ *
+ * @param {string} type
+ * @param {*} value
+ * @returns {string|null}
+ */
+function checkIdentifier(type, value) {
+  return CHECKS[type] ? CHECKS[type](value) : null;
+}
+
+/**
+ * Guesses the type of a bare value from its shape, for --value.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function guessType(value) {
+  if (/^\d{2}-?\d{2}-?\d{2}$/.test(value)) return "SORT_CODE";
+  if (/^[A-Z]{2}\d{2}/.test(value) && value.length > 12) return "IBAN";
+  if (value.length === 20) return "LEI";
+  return "BIC";
+}
+
+// ============================================================================
+// DOCUMENTS
+// ============================================================================
+
+/**
+ * Checks bic and lei on an institution, or on a route step's
+ * institution_snapshot. Missing values are allowed; both are optional.
+ *
+ * @param {Object} institution
+ * @returns {IdentifierProblem[]}
+ */
+function checkInstitution(institution) {
+  const problems = [];
+  const fields = [["bic", "BIC"], ["lei", "LEI"]];
+  for (const [field, type] of fields) {
+    const value = institution[field];
+    if (value === undefined || value === null) continue;
+    const reason = type === "BIC" ? checkBic(value, institution.country_code) : checkLei(value);
+    if (reason) problems.push({ field, type, value, reason });
+  }
+  return problems;
+}
+
+/**
+ * Checks the identifiers array of a party, or of a debtor/creditor snapshot.
+ *
+ * @param {Object} party
+ * @returns {IdentifierProblem[]}
+ */
+function checkParty(party) {
+  const problems = [];
+  (party.identifiers || []).forEach((identifier, index) => {
+    const reason = checkIdentifier(identifier.type, identifier.value);
+    if (reason) {
+      problems.push({ field: "identifiers." + index + ".value", type: identifier.type, value: identifier.value, reason });
+    }
+  });
+  return problems;
+}
+
+/**
+ * @param {Object} institution
+ * @throws {InvalidIdentifierError}
+ */
+function assertInstitution(institution) {
+  const problems = checkInstitution(institution);
+  if (problems.length > 0) throw new InvalidIdentifierError(problems);
+}
+
+/**
+ * @param {Object} party
+ * @throws {InvalidIdentifierError}
+ */
+function assertParty(party) {
+  const problems = checkParty(party);
+  if (problems.length > 0) throw new InvalidIdentifierError(problems);
+}
+
+// ============================================================================
+// MONGODB WRITES
+// ============================================================================
+
+/**
+ * Inserts an institution if its bic and lei are valid.
+ *
+ * @param {Object} collection  db.institutions (mongosh or driver)
+ * @param {Object} institution
+ * @returns {Promise<Object>}  the insertOne result
+ * @throws {InvalidIdentifierError}
+ */
+async function insertInstitution(collection, institution) {
+  assertInstitution(institution);
+  return collection.insertOne(institution);
+}
+
+/**
+ * Inserts a party if all of its identifiers are valid. IBANs are stored in
+ * their electronic format.
+ *
+ * @param {Object} collection  db.parties (mongosh or driver)
+ * @param {Object} party
+ * @returns {Promise<Object>}  the insertOne result
+ * @throws {InvalidIdentifierError}
+ */
+async function insertParty(collection, party) {
+  assertParty(party);
+  if (!party.identifiers) return collection.insertOne(party);
+  return collection.insertOne(Object.assign({}, party, {
+    identifiers: party.identifiers.map(identifier => identifier.type === "IBAN"
+      ? Object.assign({}, identifier, { value: compactIban(identifier.value) })
+      : identifier)
+  }));
+}
+
+// ============================================================================
+// SCRIPT SCANNING
+// ============================================================================
+
+function lineAt(source, index) {
+  return source.slice(0, index).split("\n").length;
+}
+
+// SQL values of one INSERT tuple: quoted strings, NULL or bare words
+function tupleValues(tuple) {
+  const values = [];
+  const pattern = /'((?:[^']|'')*)'|([^,\s][^,]*)/g;
+  let match;
+  while ((match = pattern.exec(tuple))) {
+    values.push(match[1] !== undefined ? match[1].replace(/''/g, "'") : match[2].trim());
+  }
+  return values;
+}
+
+/**
+ * Finds the BICs, LEIs and typed identifier values written as literals in a
+ * mongosh or SQL script:
+ *
+ *   bic: "..." / lei: "..."            (mongosh documents and filters)
+ *   bic = '...' / lei = '...'          (SQL filters and SET clauses)
+ *   type: "IBAN", value: "..."         (identifiers arrays)
+ *   'IBAN', '...'                      (party_identifiers rows)
+ *   INSERT INTO ... (..., bic, lei, country_code, ...) VALUES (...)
+ *
+ * @param {string} source
+ * @returns {{ line: number, type: string, value: string, country: string|null }[]}
+ */
+function scanScript(source) {
+  const found = [];
+  const seen = new Set();
+  const typeNames = new Set(loadEnums().identifier_type);
+  const add = (index, type, value, country) => {
+    const key = index + ":" + type;
+    // "$field" references and the identifier_type enum list are not values
+    if (seen.has(key) || value.startsWith("$") || typeNames.has(value)) return;
+    seen.add(key);
+    found.push({ line: lineAt(source, index), type, value, country: country || null });
+  };
+
+  const fieldPattern = /\b(bic|lei)\s*(?::|=)\s*(["'])([^"']*)\2/g;
+  let match;
+  while ((match = fieldPattern.exec(source))) {
+    add(match.index, match[1].toUpperCase(), match[3]);
+  }
+
+  const typedPattern = /(["'])(BIC|IBAN|LEI|SORT_CODE)\1\s*,\s*(?:value\s*:\s*)?(["'])([^"']*)\3/g;
+  while ((match = typedPattern.exec(source))) {
+    add(match.index, match[2], match[4]);
+  }
+
+  const insertPattern = /INSERT\s+INTO\s+\w+\s*\(([^)]*)\)\s*VALUES\s*([\s\S]*?);/gi;
+  while ((match = insertPattern.exec(source))) {
+    const columns = match[1].split(",").map(column => column.trim().toLowerCase());
+    if (!columns.includes("bic") && !columns.includes("lei")) continue;
+    const valuesStart = match.index + match[0].indexOf(match[2]);
+    const tuplePattern = /\(((?:[^()']|'(?:[^']|'')*')*)\)/g;
+    let tuple;
+    while ((tuple = tuplePattern.exec(match[2]))) {
+      const values = tupleValues(tuple[1]);
+      const country = values[columns.indexOf("country_code")];
+      for (const column of ["bic", "lei"]) {
+        const value = values[columns.indexOf(column)];
+        if (value === undefined || value.toUpperCase() === "NULL") continue;
+        add(valuesStart + tuple.index + tuple[0].indexOf(value), column.toUpperCase(), value, column === "bic" ? country : null);
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * @param {string} file
+ * @returns {{ file: string, line: number, type: string, value: string, reason: string|null }[]}
+ */
+function checkScript(file) {
+  const source = fs.readFileSync(file, "utf8");
+  return scanScript(source).map(entry => ({
+    file: path.relative(process.cwd(), file),
+    line: entry.line,
+    type: entry.type,
+    value: entry.value,
+    reason: entry.type === "BIC" ? checkBic(entry.value, entry.country) : checkIdentifier(entry.type, entry.value)
+  }));
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+const STATUS_SYMBOLS = { valid: "✓", invalid: "✗" };
+
+function parseArgs(argv) {
+  const args = { files: [], value: null, type: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--value": args.value = argv[++i]; break;
+      case "--type": args.type = argv[++i].toUpperCase(); break;
+      case "--json": args.json = true; break;
+      default:
+        if (argv[i].startsWith("--")) throw new Error("Unknown argument: " + argv[i]);
+        args.files.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.value !== null) {
+    const type = args.type || guessType(args.value);
+    if (!CHECKS[type]) throw new Error("No check for identifier type " + type);
+    const reason = checkIdentifier(type, args.value);
+    console.log((reason ? STATUS_SYMBOLS.invalid : STATUS_SYMBOLS.valid) + " " + type + " " + args.value + (reason ? "  " + reason : ""));
+    return reason ? 1 : 0;
+  }
+
+  const files = args.files.length > 0 ? args.files : DATA_FILES.map(file => path.join(ROOT, file));
+  const results = files.flatMap(checkScript);
+  const invalid = results.filter(result => result.reason);
+
+  if (args.json) {
+    console.log(JSON.stringify(invalid, null, 2));
+    return invalid.length > 0 ? 1 : 0;
+  }
+
+  for (const result of invalid) {
+    console.log(STATUS_SYMBOLS.invalid + " " + result.file + ":" + result.line + "  " + result.type + " " + result.value + "  " + result.reason);
+  }
+  const byType = {};
+  for (const result of results) byType[result.type] = (byType[result.type] || 0) + 1;
+  console.log("\n" + results.length + " identifiers (" + Object.entries(byType).map(([type, count]) => count + " " + type).join(", ") +
+    "): " + (results.length - invalid.length) + " valid, " + invalid.length + " invalid");
+  return invalid.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  COUNTRY_CODES,
+  IBAN_LENGTHS,
+  InvalidIdentifierError,
+  mod97,
+  ibanCheckDigits,
+  leiCheckDigits,
+  compactIban,
+  checkBic,
+  checkIban,
+  checkLei,
+  checkSortCode,
+  checkIdentifier,
+  checkInstitution,
+  checkParty,
+  assertInstitution,
+  assertParty,
+  insertInstitution,
+  insertParty,
+  scanScript,
+  checkScript
+};
@@ -0,0 +1,300 @@
+// ============================================================================
+// mongosh Script Statement Splitter
+// ============================================================================
+// Splits mongosh scripts (Mongo_Db_query.txt, mongodb_crud_operations.js, ...)
+// into top-level statements without evaluating them. Each statement keeps the
+// comment blocks that precede it, which is where this repo puts titles,
+// "Natural Language:" lines and section banners.
+//
+// This is a scanner, not a parser: it tracks strings, template literals,
+// regex literals, comments and bracket depth, and ends a statement at a
+// top-level ";" or at a line break where JavaScript would insert one.
+// ============================================================================
+
+/**
+ * @typedef {Object} ScriptStatement
+ * @property {string} code              Statement source, trimmed
+ * @property {number} start             Offset of the first character
+ * @property {number} end               Offset after the last character
+ * @property {number} line              1-based line of the first character
+ * @property {string[][]} commentBlocks Comment lines since the previous
+ *                                      statement, grouped by blank lines,
+ *                                      without the leading "//"
+ */
+
+const CONTINUATION_KEYWORDS = /^(catch|finally|else)\b/;
+const CONTINUATION_START = /^(\.(?!\.\.)|\?|:|\+|-|\*|\/(?![/*])|%|&&|\|\||==|!=|<|>|,|\(|\[|=(?!>)|\bin\b|\binstanceof\b)/;
+const REGEX_PRECEDERS = "(,=:[!&|?{};+-*%<>~^";
+const REGEX_KEYWORDS = /\b(return|typeof|case|do|else|in|of|void|delete|new)$/;
+
+/**
+ * Returns the offset just past the string, template or regex literal that
+ * starts at `index`.
+ */
+function skipLiteral(source, index) {
+  const quote = source[index];
+  let i = index + 1;
+  let inClass = false;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (quote === "/") {
+      if (ch === "[") inClass = true;
+      else if (ch === "]") inClass = false;
+      else if (ch === "/" && !inClass) {
+        i++;
+        while (i < source.length && /[a-z]/i.test(source[i])) i++;
+        return i;
+      } else if (ch === "\n") {
+        return i;
+      }
+    } else if (ch === quote) {
+      return i + 1;
+    } else if (ch === "\n" && quote !== "`") {
+      return i;
+    }
+    i++;
+  }
+  return i;
+}
+
+function regexAllowed(source, index) {
+  let j = index - 1;
+  while (j >= 0 && /\s/.test(source[j])) j--;
+  if (j < 0) return true;
+  if (REGEX_PRECEDERS.includes(source[j])) return true;
+  return REGEX_KEYWORDS.test(source.slice(Math.max(0, j - 10), j + 1));
+}
+
+/**
+ * Scans `source` and calls `visit(index, ch, depth)` for every character
+ * outside comments and literals. Comments are reported through
+ * `onComment(start, end)`. Returns nothing; callers keep their own state.
+ */
+function scan(source, visit, onComment) {
+  let depth = 0;
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    const next = source[i + 1];
+
+    if (ch === "/" && next === "/") {
+      const end = source.indexOf("\n", i);
+      const stop = end === -1 ? source.length : end;
+      if (onComment) onComment(i, stop);
+      i = stop;
+      continue;
+    }
+    if (ch === "/" && next === "*") {
+      const end = source.indexOf("*/", i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      if (onComment) onComment(i, stop);
+      i = stop;
+      continue;
+    }
+    if (ch === "\"" || ch === "'" || ch === "`" || (ch === "/" && regexAllowed(source, i))) {
+      const stop = skipLiteral(source, i);
+      visit(i, ch, depth, stop);
+      i = stop;
+      continue;
+    }
+
+    if (ch === "(" || ch === "[" || ch === "{") depth++;
+    if (ch === ")" || ch === "]" || ch === "}") depth = Math.max(0, depth - 1);
+    if (visit(i, ch, depth) === false) return;
+    i++;
+  }
+}
+
+function nextSignificant(source, index) {
+  let i = index;
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+    } else if (source.startsWith("//", i)) {
+      const end = source.indexOf("\n", i);
+      i = end === -1 ? source.length : end;
+    } else if (source.startsWith("/*", i)) {
+      const end = source.indexOf("*/", i + 2);
+      i = end === -1 ? source.length : end + 2;
+    } else {
+      return source.slice(i, i + 12);
+    }
+  }
+  return "";
+}
+
+function lineOf(source, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (source[i] === "\n") line++;
+  }
+  return line;
+}
+
+/**
+ * Splits a mongosh script into top-level statements.
+ *
+ * @param {string} source
+ * @returns {ScriptStatement[]}
+ */
+function splitStatements(source) {
+  const statements = [];
+  let start = -1;
+  let lastSignificant = "";
+  let blocks = [];
+  let currentBlock = null;
+  let lastCommentLineEnd = -1;
+
+  function pushStatement(end) {
+    const code = source.slice(start, end).trim();
+    if (code !== "" && code !== ";") {
+      statements.push({
+        code: code,
+        start: start,
+        end: end,
+        line: lineOf(source, start),
+        commentBlocks: blocks
+      });
+    }
+    start = -1;
+    lastSignificant = "";
+    blocks = [];
+    currentBlock = null;
+  }
+
+  function onComment(from, to) {
+    if (start !== -1) return;
+    const text = source.slice(from, to);
+    const lines = text.startsWith("//")
+      ? [text.slice(2).trim()]
+      : text.slice(2, -2).split("\n").map(line => line.replace(/^\s*\*?\s?/, "").trimEnd());
+
+    // A blank line between two comments starts a new block
+    const gap = source.slice(lastCommentLineEnd === -1 ? from : lastCommentLineEnd, from);
+    if (!currentBlock || /\n\s*\n/.test(gap)) {
+      currentBlock = [];
+      blocks.push(currentBlock);
+    }
+    currentBlock.push(...lines);
+    lastCommentLineEnd = to;
+  }
+
+  scan(source, (i, ch, depth, literalEnd) => {
+    if (/\s/.test(ch)) {
+      if (ch === "\n" && start !== -1 && depth === 0 && /[\w$)\]}"'`]$/.test(lastSignificant)) {
+        const following = nextSignificant(source, i);
+        if (following === "" || !(CONTINUATION_START.test(following) || CONTINUATION_KEYWORDS.test(following))) {
+          pushStatement(i);
+        }
+      }
+      return;
+    }
+
+    if (start === -1) {
+      start = i;
+      // Comments separated from the statement by a blank line stay attached;
+      // callers decide which block is the statement's title.
+    }
+    lastSignificant = literalEnd ? source.slice(i, literalEnd) : ch;
+
+    if (ch === ";" && depth === 0) {
+      pushStatement(i + 1);
+    }
+  }, onComment);
+
+  if (start !== -1) {
+    pushStatement(source.length);
+  }
+
+  return statements;
+}
+
+/**
+ * Splits the text between the parentheses of a call into its top-level
+ * argument sources, e.g. "{ a: 1 }, { $set: { b: 2 } }" → two strings.
+ *
+ * @param {string} argsSource
+ * @returns {string[]}
+ */
+function splitArguments(argsSource) {
+  const args = [];
+  let from = 0;
+  scan(argsSource, (i, ch, depth) => {
+    if (ch === "," && depth === 0) {
+      args.push(argsSource.slice(from, i).trim());
+      from = i + 1;
+    }
+  });
+  const last = argsSource.slice(from).trim();
+  if (last !== "" || args.length > 0) {
+    args.push(last);
+  }
+  return args;
+}
+
+/**
+ * Finds the offset of the bracket that closes the one opened at `openIndex`.
+ *
+ * @param {string} source
+ * @param {number} openIndex
+ * @returns {number} -1 when unbalanced
+ */
+function findClosing(source, openIndex) {
+  let result = -1;
+  const tail = source.slice(openIndex);
+  scan(tail, (i, ch, depth) => {
+    if (i > 0 && depth === 0 && (ch === ")" || ch === "]" || ch === "}")) {
+      result = openIndex + i;
+      return false;
+    }
+  });
+  return result;
+}
+
+/**
+ * Breaks an expression statement into its member-call chain:
+ * `db.payments.find({...}).sort({...}).limit(10)` →
+ *   [{ name: "db.payments.find", args: "{...}", start, end }, { name: "sort", ... }, ...]
+ * Returns null when the statement is not a plain call chain.
+ *
+ * @param {string} code
+ * @returns {{ name: string, args: string, start: number, end: number }[]|null}
+ */
+function callChain(code) {
+  const source = code.replace(/;\s*$/, "");
+  const calls = [];
+  let i = 0;
+  while (i < source.length) {
+    const nameMatch = source.slice(i).match(/^\s*\.?\s*([A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*)\s*\(/);
+    if (!nameMatch) {
+      return null;
+    }
+    const open = i + nameMatch[0].length - 1;
+    const close = findClosing(source, open);
+    if (close === -1) {
+      return null;
+    }
+    calls.push({
+      name: nameMatch[1].replace(/\s+/g, ""),
+      args: source.slice(open + 1, close),
+      start: i,
+      end: close + 1
+    });
+    i = close + 1;
+    if (source.slice(i).trim() === "") {
+      return calls;
+    }
+  }
+  return calls;
+}
+
+module.exports = {
+  splitStatements,
+  splitArguments,
+  findClosing,
+  callChain
+};
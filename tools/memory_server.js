@@ -0,0 +1,441 @@
+// ============================================================================
+// In-Memory MongoDB Test Mode
+// ============================================================================
+// Starts a throwaway mongod (mongodb-memory-server style: free port, data in
+// a temporary directory that is removed afterwards), applies init_mongodb.js
+// and runs the MongoDB suites against it, so no Docker stack is needed.
+//
+// Suites:
+//   test      test_mongodb.js (exit code of the assertion suite)
+//   crud      mongodb_crud_operations.js, statement by statement
+//   advanced  advanced_mongodb_queries.js, statement by statement
+//   samples   tools/verify_mongo_samples.js (every Mongo_Db_query.txt)
+//
+// The crud suite opens transactions, so it runs on a single-node replica set
+// (also available for any suite with --replset).
+//
+// The mongod binary is taken from --mongod, $MONGOD, `mongod` on the PATH, or
+// the mongodb-memory-server package (which downloads one). That package is
+// not a dependency of this repository; install it yourself with
+// `npm install --no-save mongodb-memory-server` to use it. mongosh must be
+// installed ($MONGOSH, see tools/mongo_shell.js).
+//
+// mongosh and the suites run as asynchronous child processes, so Ctrl-C
+// stops the running one, stops mongod and removes the data directory.
+//
+// Usage:
+//   node tools/memory_server.js                         # test suite
+//   node tools/memory_server.js --suite test,samples
+//   node tools/memory_server.js --suite all --validators
+//   node tools/memory_server.js --mongod ~/mongodb/bin/mongod --replset
+//
+// Exits with status 1 when any suite fails.
+// ============================================================================
+
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+const { DEFAULT_MONGO_URI } = require("./mongo_shell");
+const { splitStatements } = require("./js_statements");
+const { buildValidators, migrationScript } = require("./schema_validators");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const REPLICA_SET = "rs0";
+const STATEMENT_ERROR_MARKER = "__STATEMENT_ERROR__";
+
+// Suites run in this order; samples reseeds the payment collections, so last
+const SUITES = {
+  test: { file: "test_mongodb.js", mode: "script" },
+  crud: { file: "mongodb_crud_operations.js", mode: "statements", replSet: true },
+  advanced: { file: "advanced_mongodb_queries.js", mode: "statements" },
+  samples: { file: "tools/verify_mongo_samples.js", mode: "node" }
+};
+
+/**
+ * @typedef {Object} MemoryServer
+ * @property {string} uri       connection string for payment_db
+ * @property {number} port
+ * @property {string} dbPath    temporary data directory
+ * @property {boolean} replSet  true when running as a single-node replica set
+ * @property {() => Promise<void>} stop  stops mongod and removes dbPath
+ */
+
+/**
+ * @typedef {Object} SuiteResult
+ * @property {string} suite
+ * @property {boolean} ok
+ * @property {string[]} failures  one line per failing statement or case
+ * @property {string} output      suite output (stdout and stderr)
+ */
+
+// ============================================================================
+// MONGOD
+// ============================================================================
+
+function commandExists(command) {
+  const result = spawnSync(command, ["--version"], { encoding: "utf8", timeout: 30000 });
+  return !result.error && result.status === 0;
+}
+
+/**
+ * Finds a mongod binary.
+ *
+ * @param {string} [explicit]  path given on the command line
+ * @returns {Promise<string>}
+ */
+async function resolveMongod(explicit) {
+  if (explicit) return explicit;
+  if (process.env.MONGOD) return process.env.MONGOD;
+  if (commandExists("mongod")) return "mongod";
+
+  let memoryServer = null;
+  try {
+    memoryServer = require("mongodb-memory-server");
+  } catch (error) {
+    // optional dependency, not installed
+  }
+  if (memoryServer && memoryServer.MongoBinary) {
+    return memoryServer.MongoBinary.getPath();
+  }
+  throw new Error("No mongod binary found: pass --mongod <path>, set MONGOD, add mongod to the PATH " +
+    "or run npm install --no-save mongodb-memory-server");
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const port = server.address().port;
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function canConnect(port) {
+  return new Promise(resolve => {
+    const socket = net.connect({ port: port, host: "127.0.0.1" });
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once("error", () => resolve(false));
+  });
+}
+
+// Child processes still running, killed on Ctrl-C
+const running = new Set();
+
+/**
+ * Runs a command without blocking the event loop.
+ *
+ * @param {string} command
+ * @param {string[]} args
+ * @param {Object} [options]
+ * @param {Object} [options.env]
+ * @param {number} [options.timeoutMs]  default 60s
+ * @returns {Promise<{ ok: boolean, stdout: string, stderr: string }>}
+ */
+function runProcess(command, args, options = {}) {
+  return new Promise(resolve => {
+    const child = spawn(command, args, { env: options.env || process.env, stdio: ["ignore", "pipe", "pipe"] });
+    const stdout = [];
+    const stderr = [];
+    let failure = null;
+    running.add(child);
+    const timer = setTimeout(() => {
+      failure = command + " timed out after " + (options.timeoutMs || 60000) + " ms";
+      child.kill("SIGKILL");
+    }, options.timeoutMs || 60000);
+    child.stdout.on("data", chunk => stdout.push(chunk));
+    child.stderr.on("data", chunk => stderr.push(chunk));
+    child.once("error", error => {
+      failure = failure || error.message;
+    });
+    child.once("close", code => {
+      clearTimeout(timer);
+      running.delete(child);
+      resolve({
+        ok: failure === null && code === 0,
+        stdout: Buffer.concat(stdout).toString("utf8"),
+        stderr: failure !== null ? failure : Buffer.concat(stderr).toString("utf8")
+      });
+    });
+  });
+}
+
+/**
+ * Runs a mongosh script against a local server, like runMongosh in
+ * tools/mongo_shell.js but without blocking the event loop.
+ *
+ * @param {string} script
+ * @param {Object} [options]
+ * @param {string} [options.uri]
+ * @param {number} [options.timeoutMs]  default 60s
+ * @returns {Promise<{ ok: boolean, stdout: string, stderr: string }>}
+ */
+async function runMongoshAsync(script, options = {}) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "mongosh-")), "script.js");
+  fs.writeFileSync(file, script);
+  try {
+    return await runProcess(process.env.MONGOSH || "mongosh",
+      ["--quiet", options.uri || process.env.MONGO_URI || DEFAULT_MONGO_URI, file], { timeoutMs: options.timeoutMs });
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function logTail(file, lines = 20) {
+  try {
+    return fs.readFileSync(file, "utf8").trim().split("\n").slice(-lines).join("\n");
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Starts mongod on a free port with its data in a temporary directory.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mongod]     mongod binary
+ * @param {boolean} [options.replSet]   start a single-node replica set
+ * @param {number} [options.timeoutMs]  startup timeout, default 60s
+ * @returns {Promise<MemoryServer>}
+ */
+async function startMemoryServer(options = {}) {
+  const binary = await resolveMongod(options.mongod);
+  const port = await freePort();
+  const dbPath = fs.mkdtempSync(path.join(os.tmpdir(), "mongod-"));
+  const logPath = path.join(dbPath, "mongod.log");
+  const timeout = options.timeoutMs || 60000;
+  const replSet = Boolean(options.replSet);
+
+  const args = [
+    "--dbpath", dbPath, "--port", String(port), "--bind_ip", "127.0.0.1",
+    "--logpath", logPath, "--unixSocketPrefix", dbPath, "--wiredTigerCacheSizeGB", "0.25"
+  ].concat(replSet ? ["--replSet", REPLICA_SET] : []);
+
+  const child = spawn(binary, args, { stdio: "ignore" });
+  let exited = null;
+  const exit = new Promise(resolve => {
+    child.once("exit", code => {
+      exited = code;
+      resolve();
+    });
+    child.once("error", error => {
+      exited = error.message;
+      resolve();
+    });
+  });
+
+  const stop = async () => {
+    if (exited === null) {
+      child.kill("SIGTERM");
+      const timer = setTimeout(() => child.kill("SIGKILL"), 10000);
+      await exit;
+      clearTimeout(timer);
+    }
+    fs.rmSync(dbPath, { recursive: true, force: true });
+  };
+
+  const deadline = Date.now() + timeout;
+  while (!(await canConnect(port))) {
+    if (exited !== null || Date.now() > deadline) {
+      const tail = logTail(logPath);
+      await stop();
+      throw new Error("mongod did not start (" + (exited !== null ? "exit " + exited : "timeout") + ")" +
+        (tail ? "\n" + tail : ""));
+    }
+    await delay(200);
+  }
+
+  const uri = "mongodb://127.0.0.1:" + port + "/payment_db?directConnection=true";
+
+  if (replSet) {
+    const initiate = await runMongoshAsync([
+      "rs.initiate({ _id: " + JSON.stringify(REPLICA_SET) + ", members: [{ _id: 0, host: \"127.0.0.1:" + port + "\" }] });",
+      "var deadline = Date.now() + " + timeout + ";",
+      "while (!db.hello().isWritablePrimary) {",
+      "  if (Date.now() > deadline) throw new Error(\"replica set has no primary\");",
+      "  sleep(200);",
+      "}",
+      ""
+    ].join("\n"), { uri: uri, timeoutMs: timeout });
+    if (!initiate.ok) {
+      await stop();
+      throw new Error("rs.initiate failed: " + initiate.stderr.trim());
+    }
+  }
+
+  return { uri: uri, port: port, dbPath: dbPath, replSet: replSet, stop: stop };
+}
+
+// ============================================================================
+// SUITES
+// ============================================================================
+
+/**
+ * Rewrites a mongosh script so every top-level statement runs on its own:
+ * a failing statement prints STATEMENT_ERROR_MARKER, its line and the error,
+ * and the script goes on. let/const become var so later statements still see
+ * the names.
+ *
+ * @param {string} source
+ * @returns {string}
+ */
+function statementScript(source) {
+  return splitStatements(source).map(statement => {
+    const code = statement.code.replace(/^(const|let)(\s)/, "var$2");
+    return [
+      "try {",
+      code,
+      "} catch (error) {",
+      "  print(" + JSON.stringify(STATEMENT_ERROR_MARKER + " " + statement.line + " ") + " + error.message);",
+      "}"
+    ].join("\n");
+  }).join("\n") + "\n";
+}
+
+/**
+ * Runs one suite against a running server.
+ *
+ * @param {string} name  a key of SUITES
+ * @param {MemoryServer} server
+ * @returns {Promise<SuiteResult>}
+ */
+async function runSuite(name, server) {
+  const suite = SUITES[name];
+  const file = path.join(ROOT_DIR, suite.file);
+  const timeoutMs = 600000;
+
+  if (suite.mode === "node") {
+    const env = Object.assign({}, process.env, { MONGO_URI: server.uri });
+    delete env.MONGO_CONTAINER;
+    const run = await runProcess(process.execPath, [file], { env: env, timeoutMs: timeoutMs });
+    const output = run.stdout + run.stderr;
+    return {
+      suite: name,
+      ok: run.ok,
+      failures: output.split("\n").filter(line => /^\s*[✗!]/.test(line)).map(line => line.trim()),
+      output: output
+    };
+  }
+
+  const source = fs.readFileSync(file, "utf8");
+  const script = suite.mode === "statements" ? statementScript(source) : source;
+  const run = await runMongoshAsync(script, { uri: server.uri, timeoutMs: timeoutMs });
+  const output = run.stdout + run.stderr;
+
+  if (suite.mode === "statements") {
+    const failures = run.stdout.split("\n")
+      .filter(line => line.startsWith(STATEMENT_ERROR_MARKER + " "))
+      .map(line => suite.file + ":" + line.slice(STATEMENT_ERROR_MARKER.length + 1));
+    if (!run.ok) failures.push(suite.file + ": " + (run.stderr.trim() || "mongosh failed"));
+    return { suite: name, ok: run.ok && failures.length === 0, failures: failures, output: output };
+  }
+
+  const failures = output.split("\n").filter(line => /^✗/.test(line));
+  if (!run.ok && failures.length === 0) failures.push(suite.file + ": " + (run.stderr.trim() || "mongosh failed"));
+  return { suite: name, ok: run.ok, failures: failures, output: output };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { suites: ["test"], mongod: null, replSet: false, validators: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--suite": {
+        const value = argv[++i] || "";
+        args.suites = value === "all" ? Object.keys(SUITES) : value.split(",").map(name => name.trim()).filter(Boolean);
+        break;
+      }
+      case "--mongod": args.mongod = argv[++i]; break;
+      case "--replset": args.replSet = true; break;
+      case "--validators": args.validators = true; break;
+      case "--verbose": args.verbose = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  args.suites.forEach(name => {
+    if (!SUITES[name]) throw new Error("Unknown suite: " + name + " (expected " + Object.keys(SUITES).join(", ") + " or all)");
+  });
+  args.suites = Object.keys(SUITES).filter(name => args.suites.includes(name));
+  return args;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  // Everything runs against the local server, never a docker container
+  delete process.env.MONGO_CONTAINER;
+  const replSet = args.replSet || args.suites.some(name => SUITES[name].replSet);
+  const server = await startMemoryServer({ mongod: args.mongod, replSet: replSet });
+  const interrupt = () => {
+    running.forEach(child => child.kill("SIGTERM"));
+    server.stop().then(() => process.exit(130));
+  };
+  process.once("SIGINT", interrupt);
+  console.error("✓ mongod on port " + server.port + (replSet ? " (replica set " + REPLICA_SET + ")" : ""));
+
+  try {
+    const init = await runMongoshAsync(fs.readFileSync(path.join(ROOT_DIR, "init_mongodb.js"), "utf8"), { uri: server.uri });
+    if (!init.ok) {
+      console.error("✗ init_mongodb.js: " + init.stderr.trim());
+      return 1;
+    }
+    console.error("✓ init_mongodb.js applied");
+
+    if (args.validators) {
+      const migration = await runMongoshAsync(migrationScript(buildValidators()), { uri: server.uri });
+      if (!migration.ok) {
+        console.error("✗ validators: " + (migration.stdout + migration.stderr).trim());
+        return 1;
+      }
+      console.error("✓ $jsonSchema validators applied");
+    }
+
+    let ok = true;
+    for (const name of args.suites) {
+      const result = await runSuite(name, server);
+      ok = ok && result.ok;
+      console.log((result.ok ? "✓ " : "✗ ") + name + " (" + SUITES[name].file + ")" +
+        (result.failures.length > 0 ? ": " + result.failures.length + " failure(s)" : ""));
+      if (args.verbose) {
+        process.stdout.write(result.output.replace(/^/gm, "    ").replace(/ +$/, ""));
+      } else {
+        result.failures.forEach(failure => console.log("    " + failure));
+      }
+    }
+    return ok ? 0 : 1;
+  } finally {
+    process.removeListener("SIGINT", interrupt);
+    await server.stop();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error("✗ " + error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  SUITES,
+  STATEMENT_ERROR_MARKER,
+  resolveMongod,
+  startMemoryServer,
+  statementScript,
+  runSuite
+};
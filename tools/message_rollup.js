@@ -0,0 +1,378 @@
+// ============================================================================
+// Message State Rollup
+// ============================================================================
+// Derives a message's current_state from the current_state of its payments
+// and records the move in the message's state_history.
+//
+// The rules, first match wins (see MESSAGE_RULES):
+//
+//   all SETTLED                                   → SETTLED
+//   all REJECTED                                  → REJECTED
+//   all REJECTED or FAILED                        → FAILED
+//   any RECEIVED                                  → RECEIVED
+//   any VALIDATED or PENDING_FUNDS                → VALIDATED
+//   some REJECTED/FAILED, the rest ROUTED or later → PARTIALLY_ACCEPTED
+//   any ROUTED, the rest SENT_TO_SCHEME/SETTLED   → ACCEPTED
+//   the rest (SENT_TO_SCHEME and SETTLED)         → SENT_TO_SCHEME
+//
+// A batch with some payments settled and others rejected stays
+// PARTIALLY_ACCEPTED once they are all final, as for the fixture's
+// BATCH_2025-01-15_001; only a batch whose payments all settled is SETTLED.
+//
+// A message without payments is left alone. The move is a single transition
+// of the message graph in tools/payment_state_machine.js, recorded as one
+// state_history event; states the message never passed through are not
+// invented. The graph lets every open state move straight to SETTLED,
+// REJECTED or FAILED, so a batch whose payments were all decided before it
+// moved on is not stuck. When the derived state is still not a direct
+// successor (a move back to an earlier state, or out of a terminal one) the
+// message is reported as blocked and not written.
+// Every event has the actor { type: "SYSTEM", id: "message-rollup" } and
+// metadata naming the rule and the payment state counts it was derived from.
+//
+// Usage (mongosh):
+//   const rollup = require("/path/to/tools/message_rollup.js");
+//   await rollup.rollupMessage(db.messages, db.payments, ObjectId("..."));
+//
+// Usage (CLI):
+//   node tools/message_rollup.js --audit --docker   # stale message states in payment_db
+//   node tools/message_rollup.js --apply --docker   # move them
+//   node tools/message_rollup.js --check [file]     # stale states in an Extended JSON dataset
+//
+// Options:
+//   --db <name>   database (default: payment_db)
+//   --docker      run mongosh inside the payment_mongodb container
+//   --json        print the plan as JSON
+// ============================================================================
+
+const fs = require("fs");
+const { MESSAGE_TRANSITIONS, transitionMessage, transitionUpdate, readArguments } = require("./payment_state_machine");
+const { runMongosh } = require("./mongo_shell");
+const trainingDataset = require("./fixtures/training_dataset");
+
+const ROLLUP_ACTOR = { type: "SYSTEM", id: "message-rollup" };
+const READ_MARKER = "__MESSAGE_ROLLUP__";
+
+const FAILED_STATES = ["REJECTED", "FAILED"];
+const ACCEPTED_STATES = ["ROUTED", "SENT_TO_SCHEME", "SETTLED"];
+
+/**
+ * Message state rules in the order they are tried. `test` receives the
+ * number of payments in each payment state and the total.
+ */
+const MESSAGE_RULES = [
+  { name: "all-settled", state: "SETTLED", test: (counts, total) => counts.SETTLED === total },
+  { name: "all-rejected", state: "REJECTED", test: (counts, total) => counts.REJECTED === total },
+  { name: "all-unsuccessful", state: "FAILED", test: (counts, total) => countOf(counts, FAILED_STATES) === total },
+  { name: "awaiting-validation", state: "RECEIVED", test: counts => counts.RECEIVED > 0 },
+  { name: "validating", state: "VALIDATED", test: counts => counts.VALIDATED > 0 || counts.PENDING_FUNDS > 0 },
+  { name: "partially-accepted", state: "PARTIALLY_ACCEPTED", test: counts => countOf(counts, FAILED_STATES) > 0 },
+  { name: "accepted", state: "ACCEPTED", test: counts => counts.ROUTED > 0 },
+  { name: "sent-to-scheme", state: "SENT_TO_SCHEME", test: () => true }
+];
+
+/**
+ * @typedef {Object} RollupPlan
+ * @property {string} message       message _id
+ * @property {string} from          stored current_state
+ * @property {string|null} to       derived state (null: no payments)
+ * @property {string|null} rule     MESSAGE_RULES name
+ * @property {Object<string, number>} paymentStates  payments per state
+ * @property {string} status        "unchanged", "move" (`from` → `to` is a
+ *                                  transition of the message graph) or "blocked"
+ */
+
+function countOf(counts, states) {
+  return states.reduce((sum, state) => sum + (counts[state] || 0), 0);
+}
+
+// ============================================================================
+// DERIVATION
+// ============================================================================
+
+/**
+ * Derives a message state from its payments' states.
+ *
+ * @param {string[]} states  payment current_state values
+ * @returns {{ state: string|null, rule: string|null, counts: Object<string, number> }}
+ */
+function deriveMessageState(states) {
+  const counts = {};
+  for (const state of states) counts[state] = (counts[state] || 0) + 1;
+  if (states.length === 0) return { state: null, rule: null, counts: counts };
+
+  const unknown = states.find(state => !FAILED_STATES.includes(state) && !ACCEPTED_STATES.includes(state) &&
+    !["RECEIVED", "VALIDATED", "PENDING_FUNDS"].includes(state));
+  if (unknown) throw new Error("Unknown payment state: " + unknown);
+
+  const rule = MESSAGE_RULES.find(candidate => candidate.test(counts, states.length));
+  return { state: rule.state, rule: rule.name, counts: counts };
+}
+
+/**
+ * Plans the rollup of one message.
+ *
+ * @param {Object} message          needs _id and current_state
+ * @param {string[]} paymentStates  its payments' current_state values
+ * @returns {RollupPlan}
+ */
+function planRollup(message, paymentStates) {
+  const derived = deriveMessageState(paymentStates);
+  const plan = {
+    message: idKey(message._id),
+    from: message.current_state,
+    to: derived.state,
+    rule: derived.rule,
+    paymentStates: derived.counts,
+    status: "unchanged"
+  };
+  if (derived.state === null || derived.state === message.current_state) return plan;
+
+  plan.status = (MESSAGE_TRANSITIONS[message.current_state] || []).includes(derived.state) ? "move" : "blocked";
+  return plan;
+}
+
+function idKey(id) {
+  return id && id.$oid ? id.$oid : String(id);
+}
+
+/**
+ * Plans the rollup of every message in an Extended JSON dataset.
+ *
+ * @param {{ messages: Object[], payments: Object[] }} dataset
+ * @returns {RollupPlan[]}
+ */
+function planDataset(dataset) {
+  const states = new Map();
+  for (const payment of dataset.payments || []) {
+    if (!payment.message_id) continue;
+    const key = idKey(payment.message_id);
+    if (!states.has(key)) states.set(key, []);
+    states.get(key).push(payment.current_state);
+  }
+  return (dataset.messages || []).map(message => planRollup(message, states.get(idKey(message._id)) || []));
+}
+
+/**
+ * The transitionMessage() options of a planned move: the guarded source
+ * state, the rollup actor and metadata naming the rule and payment state
+ * counts.
+ *
+ * @param {RollupPlan} plan         a plan with status "move"
+ * @param {Object} [options]
+ * @param {Object} [options.actor]  default ROLLUP_ACTOR
+ * @param {Date} [options.at]
+ * @param {Object} [options.session]
+ * @returns {Object}
+ */
+function transitionOptions(plan, options = {}) {
+  return {
+    from: plan.from,
+    history: true,
+    actor: options.actor || ROLLUP_ACTOR,
+    at: options.at,
+    session: options.session,
+    metadata: { rule: plan.rule, payment_states: plan.paymentStates }
+  };
+}
+
+// ============================================================================
+// MONGODB WRITES
+// ============================================================================
+
+/**
+ * Derives a message's state from its payments and, when that is a legal
+ * move, makes it with one guarded transitionMessage() that appends the
+ * state_history event.
+ *
+ * The payments are read before the message is written. Pass a session with
+ * a transaction started to keep a payment from moving in between; the reads
+ * and the write then commit or abort together.
+ *
+ * @param {Object} messages          db.messages (mongosh or driver)
+ * @param {Object} payments          db.payments
+ * @param {*} messageId
+ * @param {Object} [options]
+ * @param {Object} [options.actor]   default ROLLUP_ACTOR
+ * @param {Object} [options.session] client session (mongosh or driver)
+ * @returns {Promise<RollupPlan>}
+ * @throws {InvalidTransitionError}  when the message changed state meanwhile
+ */
+async function rollupMessage(messages, payments, messageId, options = {}) {
+  const message = await messages.findOne({ _id: messageId }, ...readArguments(messages, { current_state: 1 }, options));
+  if (!message) throw new Error("No message " + String(messageId));
+  const own = await payments.find({ message_id: messageId }, ...readArguments(payments, { current_state: 1 }, options)).toArray();
+
+  const plan = planRollup(message, own.map(payment => payment.current_state));
+  if (plan.status === "move") {
+    await transitionMessage(messages, messageId, plan.to, transitionOptions(plan, options));
+  }
+  return plan;
+}
+
+// ============================================================================
+// MONGOSH SCRIPTS
+// ============================================================================
+
+/**
+ * Renders a mongosh script that prints message and payment states as
+ * canonical Extended JSON, after READ_MARKER.
+ *
+ * @param {string} dbName
+ * @returns {string}
+ */
+function readScript(dbName) {
+  return [
+    "// Read message and payment states for tools/message_rollup.js",
+    "db = db.getSiblingDB(" + JSON.stringify(dbName) + ");",
+    "var dataset = {",
+    "  messages: db.messages.find({}, { current_state: 1 }).toArray(),",
+    "  payments: db.payments.find({}, { message_id: 1, current_state: 1 }).toArray()",
+    "};",
+    "print(" + JSON.stringify(READ_MARKER) + " + EJSON.stringify(dataset, { relaxed: false }));",
+    ""
+  ].join("\n");
+}
+
+/**
+ * Renders a mongosh script that applies the planned moves with the same
+ * guarded updates as transitionMessage(). A move whose message is no longer
+ * in the expected state matches nothing and is reported.
+ *
+ * @param {string} dbName
+ * @param {RollupPlan[]} plans
+ * @returns {string}
+ */
+function applyScript(dbName, plans) {
+  const moves = plans.filter(plan => plan.status === "move").map(plan => {
+    const change = transitionUpdate({ _id: { $oid: plan.message } }, plan.to, transitionOptions(plan), MESSAGE_TRANSITIONS, true);
+    return { message: plan.message, from: plan.from, to: plan.to, filter: change.filter, update: change.update };
+  });
+  return [
+    "// Roll payment states up to their messages (generated by tools/message_rollup.js)",
+    "db = db.getSiblingDB(" + JSON.stringify(dbName) + ");",
+    "var moves = EJSON.parse(" + JSON.stringify(JSON.stringify(moves)) + ");",
+    "var failed = 0;",
+    "moves.forEach(function (move) {",
+    "  if (db.messages.updateOne(move.filter, move.update).modifiedCount === 0) {",
+    "    failed++;",
+    "    print(\"✗ \" + move.message + \": no longer \" + move.from + \", not moved to \" + move.to);",
+    "    return;",
+    "  }",
+    "  print(\"✓ \" + move.message + \": \" + move.from + \" → \" + move.to);",
+    "});",
+    "if (failed > 0) quit(1);",
+    ""
+  ].join("\n");
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+const STATUS_SYMBOLS = { unchanged: "-", move: "✓", blocked: "!" };
+
+function parseArgs(argv) {
+  const args = { mode: null, files: [], dbName: "payment_db", docker: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--audit": args.mode = "audit"; break;
+      case "--apply": args.mode = "apply"; break;
+      case "--check": args.mode = "check"; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--docker": args.docker = true; break;
+      case "--json": args.json = true; break;
+      default:
+        if (args.mode === "check" && !argv[i].startsWith("--")) {
+          args.files.push(argv[i]);
+          break;
+        }
+        throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (!args.mode) {
+    throw new Error("Usage: node tools/message_rollup.js --audit|--apply|--check [options]");
+  }
+  return args;
+}
+
+function readDatabase(args) {
+  const run = runMongosh(readScript(args.dbName), { container: args.docker ? "payment_mongodb" : null });
+  const line = run.stdout.split("\n").find(text => text.startsWith(READ_MARKER));
+  if (!run.ok || !line) {
+    throw new Error("Could not read " + args.dbName + ": " + (run.stderr.trim() || "no output from mongosh"));
+  }
+  return JSON.parse(line.slice(READ_MARKER.length));
+}
+
+function describePlan(plan) {
+  const states = Object.entries(plan.paymentStates).map(([state, count]) => count + " " + state).join(", ");
+  if (plan.status === "unchanged") {
+    return plan.message + ": " + plan.from + (plan.to ? " (" + states + ")" : " (no payments)");
+  }
+  const target = plan.status === "move" ? plan.to : plan.to + " is not a transition from " + plan.from;
+  return plan.message + ": " + plan.from + " → " + target + "  [" + plan.rule + ": " + states + "]";
+}
+
+function printPlans(name, plans) {
+  const stale = plans.filter(plan => plan.status !== "unchanged");
+  for (const plan of stale) console.log(STATUS_SYMBOLS[plan.status] + " " + describePlan(plan));
+  const counts = { unchanged: 0, move: 0, blocked: 0 };
+  plans.forEach(plan => counts[plan.status]++);
+  console.log((stale.length > 0 ? "\n" : "") + name + ": " + plans.length + " messages, " + counts.move + " to move, " +
+    counts.blocked + " blocked, " + counts.unchanged + " up to date");
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.mode === "check") {
+    const sources = args.files.length > 0
+      ? args.files.map(file => ({ name: file, dataset: JSON.parse(fs.readFileSync(file, "utf8")) }))
+      : [{ name: "tools/fixtures/training_dataset.js", dataset: trainingDataset }];
+    const results = sources.map(source => ({ source: source.name, plans: planDataset(source.dataset) }));
+    if (args.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      results.forEach(result => printPlans(result.source, result.plans));
+    }
+    return results.some(result => result.plans.some(plan => plan.status !== "unchanged")) ? 1 : 0;
+  }
+
+  const plans = planDataset(readDatabase(args));
+
+  if (args.mode === "audit") {
+    if (args.json) {
+      console.log(JSON.stringify(plans.filter(plan => plan.status !== "unchanged"), null, 2));
+    } else {
+      printPlans(args.dbName, plans);
+    }
+    return plans.some(plan => plan.status !== "unchanged") ? 1 : 0;
+  }
+
+  if (!plans.some(plan => plan.status === "move")) {
+    printPlans(args.dbName, plans);
+    return 0;
+  }
+  const run = runMongosh(applyScript(args.dbName, plans), { container: args.docker ? "payment_mongodb" : null });
+  process.stdout.write(run.stdout);
+  if (!run.ok) console.error("✗ " + (run.stderr.trim() || "mongosh failed"));
+  plans.filter(plan => plan.status === "blocked").forEach(plan => console.log(STATUS_SYMBOLS.blocked + " " + describePlan(plan)));
+  return run.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  ROLLUP_ACTOR,
+  MESSAGE_RULES,
+  deriveMessageState,
+  planRollup,
+  planDataset,
+  transitionOptions,
+  rollupMessage,
+  readScript,
+  applyScript
+};
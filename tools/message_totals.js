@@ -0,0 +1,540 @@
+// ============================================================================
+// Message Totals Maintainer
+// ============================================================================
+// Messages carry a denormalized copy of their payments: payment_ids,
+// totals.count and totals.by_currency ({ currency, count, sum } per
+// currency, sorted by currency). This module keeps them in step with the
+// payments collection.
+//
+// insertPayment(), deletePayment() and reamountPayment() write the payment
+// and then update its message with a single update pipeline that adjusts
+// payment_ids, totals.count and the matching by_currency entry. The message
+// filter checks whether payment_ids already lists the payment, so applying
+// the same change twice does not count it twice. Pass options.session to
+// make both writes part of one transaction. recomputeMessage() rebuilds a
+// message's fields from its payments. Like tools/payment_state_machine.js,
+// the helpers accept collections from either mongosh or the Node.js driver.
+//
+// Amounts are taken at their currency's minor units (tools/money.js).
+//
+// Usage (mongosh):
+//   const totals = require("/path/to/tools/message_totals.js");
+//   await totals.insertPayment(db.payments, db.messages, { message_id: id, amount: NumberDecimal("99.50"), currency: "GBP", ... });
+//   await totals.reamountPayment(db.payments, db.messages, { payment_ref: "PMT-..." }, { amount: "120.00" });
+//
+// Usage (CLI):
+//   node tools/message_totals.js --audit --docker    # messages that disagree with their payments
+//   node tools/message_totals.js --repair --docker   # recompute those messages
+//   node tools/message_totals.js --check [file]      # audit an Extended JSON dataset offline
+//
+// Options:
+//   --db <name>   database (default: payment_db)
+//   --all         with --repair, recompute every message
+//   --docker      run mongosh inside the payment_mongodb container
+//   --json        print the problems as JSON
+// ============================================================================
+
+const fs = require("fs");
+const { money, formatAmount, minorUnits, parseDecimal, roundHalfEven, totalsByCurrency, MINOR_UNIT_EXCEPTIONS } = require("./money");
+const { unwrapDocument, idFilter, readArguments } = require("./payment_state_machine");
+const { runMongosh } = require("./mongo_shell");
+const trainingDataset = require("./fixtures/training_dataset");
+
+const AUDIT_MARKER = "__MESSAGE_TOTALS__";
+
+/**
+ * @typedef {Object} TotalsProblem
+ * @property {string} message   message _id
+ * @property {string} field     payment_ids, totals.count or totals.by_currency
+ * @property {string} detail
+ */
+
+// ============================================================================
+// UPDATE PIPELINES
+// ============================================================================
+
+// The payment's amount as a Decimal128 expression at its currency's minor units
+function amountExpression(payment, sign) {
+  const amount = money(payment.amount, payment.currency);
+  return { $toDecimal: (sign < 0 ? "-" : "") + formatAmount(amount) };
+}
+
+// by_currency with one currency's count and sum moved by the given deltas.
+// Entries whose count drops to 0 are removed; the result stays sorted.
+function changeEntry(entries, currency, countDelta, sumDelta) {
+  return {
+    $sortArray: {
+      input: {
+        $filter: {
+          input: {
+            $cond: [
+              { $in: [currency, { $ifNull: [{ $map: { input: entries, in: "$$this.currency" } }, []] }] },
+              {
+                $map: {
+                  input: entries,
+                  in: {
+                    $cond: [
+                      { $eq: ["$$this.currency", currency] },
+                      { currency: "$$this.currency", count: { $add: ["$$this.count", countDelta] }, sum: { $add: ["$$this.sum", sumDelta] } },
+                      "$$this"
+                    ]
+                  }
+                }
+              },
+              { $concatArrays: [entries, [{ currency: currency, count: countDelta, sum: sumDelta }]] }
+            ]
+          },
+          cond: { $gt: ["$$this.count", 0] }
+        }
+      },
+      sortBy: { currency: 1 }
+    }
+  };
+}
+
+const BY_CURRENCY = { $ifNull: ["$totals.by_currency", []] };
+
+/**
+ * The message update that adds a payment: appends its _id to payment_ids
+ * and counts its amount. Matches nothing when payment_ids already lists it.
+ *
+ * @param {Object} payment  needs _id, message_id, amount and currency
+ * @returns {{ filter: Object, update: Object[] }}
+ */
+function addPaymentUpdate(payment) {
+  return {
+    filter: { _id: payment.message_id, payment_ids: { $ne: payment._id } },
+    update: [{
+      $set: {
+        payment_ids: { $concatArrays: [{ $ifNull: ["$payment_ids", []] }, [{ $literal: payment._id }]] },
+        totals: {
+          count: { $add: [{ $ifNull: ["$totals.count", 0] }, 1] },
+          by_currency: changeEntry(BY_CURRENCY, payment.currency, 1, amountExpression(payment, 1))
+        },
+        updated_at: "$$NOW"
+      }
+    }]
+  };
+}
+
+/**
+ * The message update that removes a payment. Matches nothing when
+ * payment_ids does not list it.
+ *
+ * @param {Object} payment  needs _id, message_id, amount and currency
+ * @returns {{ filter: Object, update: Object[] }}
+ */
+function removePaymentUpdate(payment) {
+  return {
+    filter: { _id: payment.message_id, payment_ids: payment._id },
+    update: [{
+      $set: {
+        payment_ids: { $filter: { input: "$payment_ids", cond: { $ne: ["$$this", { $literal: payment._id }] } } },
+        totals: {
+          count: { $max: [{ $add: [{ $ifNull: ["$totals.count", 0] }, -1] }, 0] },
+          by_currency: changeEntry(BY_CURRENCY, payment.currency, -1, amountExpression(payment, -1))
+        },
+        updated_at: "$$NOW"
+      }
+    }]
+  };
+}
+
+/**
+ * The message update for a payment whose amount or currency changed: the
+ * old amount is taken out and the new one counted, in one write.
+ *
+ * @param {Object} before  the payment as it was
+ * @param {Object} after   the payment as it is now
+ * @returns {{ filter: Object, update: Object[] }}
+ */
+function reamountPaymentUpdate(before, after) {
+  return {
+    filter: { _id: after.message_id, payment_ids: after._id },
+    update: [
+      { $set: { "totals.by_currency": changeEntry(BY_CURRENCY, before.currency, -1, amountExpression(before, -1)) } },
+      {
+        $set: {
+          "totals.by_currency": changeEntry(BY_CURRENCY, after.currency, 1, amountExpression(after, 1)),
+          updated_at: "$$NOW"
+        }
+      }
+    ]
+  };
+}
+
+// ============================================================================
+// MONGODB WRITES
+// ============================================================================
+
+function sessionOptions(options) {
+  return options.session ? { session: options.session } : {};
+}
+
+async function updateMessage(messages, change, options) {
+  const result = await messages.updateOne(change.filter, change.update, sessionOptions(options));
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Inserts a payment and counts it on its message.
+ *
+ * @param {Object} payments     db.payments (mongosh or driver)
+ * @param {Object} messages     db.messages
+ * @param {Object} payment
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<{ insertedId: *, messageUpdated: boolean }>}
+ */
+async function insertPayment(payments, messages, payment, options = {}) {
+  money(payment.amount, payment.currency);
+  const result = await payments.insertOne(payment, sessionOptions(options));
+  const inserted = Object.assign({}, payment, { _id: result.insertedId });
+  const messageUpdated = payment.message_id
+    ? await updateMessage(messages, addPaymentUpdate(inserted), options)
+    : false;
+  return { insertedId: result.insertedId, messageUpdated: messageUpdated };
+}
+
+/**
+ * Deletes a payment and takes it off its message.
+ *
+ * @param {Object} payments
+ * @param {Object} messages
+ * @param {*} idOrFilter        _id, or a filter such as { payment_ref }
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<{ deleted: Object|null, messageUpdated: boolean }>}
+ */
+async function deletePayment(payments, messages, idOrFilter, options = {}) {
+  const deleted = unwrapDocument(await payments.findOneAndDelete(idFilter(idOrFilter), sessionOptions(options)));
+  const messageUpdated = deleted && deleted.message_id
+    ? await updateMessage(messages, removePaymentUpdate(deleted), options)
+    : false;
+  return { deleted: deleted || null, messageUpdated: messageUpdated };
+}
+
+/**
+ * Changes a payment's amount (and optionally its currency) and moves the
+ * difference into its message's totals.
+ *
+ * @param {Object} payments
+ * @param {Object} messages
+ * @param {*} idOrFilter
+ * @param {{ amount: *, currency?: string }} change
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<{ before: Object|null, after: Object|null, messageUpdated: boolean }>}
+ */
+async function reamountPayment(payments, messages, idOrFilter, change, options = {}) {
+  const current = await payments.findOne(idFilter(idOrFilter), ...readArguments(payments, null, options));
+  if (!current) return { before: null, after: null, messageUpdated: false };
+
+  const currency = change.currency || current.currency;
+  const amount = formatAmount(money(change.amount, currency));
+  const before = unwrapDocument(await payments.findOneAndUpdate(
+    { _id: current._id, amount: current.amount, currency: current.currency },
+    [{ $set: { amount: { $toDecimal: amount }, currency: { $literal: currency }, updated_at: "$$NOW" } }],
+    Object.assign({ returnDocument: "before" }, sessionOptions(options))
+  ));
+  if (!before) {
+    throw new Error("Payment " + String(current._id) + " changed while it was being re-amounted");
+  }
+
+  const after = Object.assign({}, before, { amount: amount, currency: currency });
+  const messageUpdated = before.message_id
+    ? await updateMessage(messages, reamountPaymentUpdate(before, after), options)
+    : false;
+  return { before: before, after: after, messageUpdated: messageUpdated };
+}
+
+/**
+ * Rebuilds payment_ids, totals.count and totals.by_currency of one message
+ * from the payments that reference it.
+ *
+ * @param {Object} payments
+ * @param {Object} messages
+ * @param {*} messageId
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<boolean>}  whether the message changed
+ */
+async function recomputeMessage(payments, messages, messageId, options = {}) {
+  const own = await payments.find({ message_id: messageId }, ...readArguments(payments, { amount: 1, currency: 1 }, options))
+    .sort({ _id: 1 }).toArray();
+  const totals = totalsByCurrency(own);
+  const update = [{
+    $set: {
+      payment_ids: { $literal: own.map(payment => payment._id) },
+      totals: {
+        count: totals.count,
+        by_currency: totals.by_currency.map(entry => ({
+          currency: { $literal: entry.currency },
+          count: entry.count,
+          sum: { $toDecimal: entry.sum.$numberDecimal }
+        }))
+      },
+      updated_at: "$$NOW"
+    }
+  }];
+  const result = await messages.updateOne({ _id: messageId }, update, sessionOptions(options));
+  return result.modifiedCount > 0;
+}
+
+// ============================================================================
+// AUDIT
+// ============================================================================
+
+function idKey(id) {
+  return id && id.$oid ? id.$oid : String(id);
+}
+
+// Whether a stored sum equals an amount, whatever decimals the sum was written with
+function sameAmount(stored, expected) {
+  const { coefficient, exponent } = parseDecimal(stored);
+  const scale = minorUnits(expected.currency);
+  return roundHalfEven(coefficient, exponent, scale + 10) === expected.minor * 10n ** 10n;
+}
+
+function parseDecimalText(value) {
+  return value && value.$numberDecimal !== undefined ? value.$numberDecimal : String(value);
+}
+
+/**
+ * Compares a message's payment_ids and totals with its payments.
+ *
+ * @param {Object} message
+ * @param {Object[]} payments  the payments whose message_id is this message
+ * @returns {TotalsProblem[]}
+ */
+function auditMessage(message, payments) {
+  const id = idKey(message._id);
+  const problems = [];
+  const report = (field, detail) => problems.push({ message: id, field: field, detail: detail });
+
+  const listed = (message.payment_ids || []).map(idKey);
+  const actual = payments.map(payment => idKey(payment._id));
+  const missing = actual.filter(key => !listed.includes(key));
+  const dangling = listed.filter(key => !actual.includes(key));
+  const repeated = listed.filter((key, index) => listed.indexOf(key) !== index);
+  if (missing.length > 0) report("payment_ids", "missing " + missing.join(", "));
+  if (dangling.length > 0) report("payment_ids", "lists payments that do not reference it: " + dangling.join(", "));
+  if (repeated.length > 0) report("payment_ids", "lists twice: " + [...new Set(repeated)].join(", "));
+
+  const totals = message.totals || {};
+  const count = Number(totals.count && totals.count.$numberInt !== undefined ? totals.count.$numberInt : totals.count);
+  if (count !== payments.length) report("totals.count", "is " + totals.count + ", payments: " + payments.length);
+
+  const expected = totalsByCurrency(payments).by_currency;
+  const stored = totals.by_currency || [];
+  for (const entry of expected) {
+    const match = stored.find(candidate => candidate.currency === entry.currency);
+    const sum = money(entry.sum, entry.currency);
+    if (!match) {
+      report("totals.by_currency", entry.currency + " missing (" + entry.count + " payments, " + formatAmount(sum) + ")");
+      continue;
+    }
+    const storedCount = Number(match.count && match.count.$numberInt !== undefined ? match.count.$numberInt : match.count);
+    if (storedCount !== entry.count) {
+      report("totals.by_currency", entry.currency + " count is " + storedCount + ", payments: " + entry.count);
+    }
+    if (!sameAmount(match.sum, sum)) {
+      report("totals.by_currency", entry.currency + " sum is " + parseDecimalText(match.sum) + ", payments: " + formatAmount(sum));
+    }
+  }
+  for (const entry of stored) {
+    if (!expected.some(candidate => candidate.currency === entry.currency)) {
+      report("totals.by_currency", entry.currency + " has no payments");
+    }
+  }
+  return problems;
+}
+
+/**
+ * Audits every message of an Extended JSON dataset (the fixture dataset,
+ * `synthetic_data.js --format json`, or what --audit reads from a database).
+ *
+ * @param {{ messages: Object[], payments: Object[] }} dataset
+ * @returns {TotalsProblem[]}
+ */
+function auditDataset(dataset) {
+  const byMessage = new Map();
+  for (const payment of dataset.payments || []) {
+    if (!payment.message_id) continue;
+    const key = idKey(payment.message_id);
+    if (!byMessage.has(key)) byMessage.set(key, []);
+    byMessage.get(key).push(payment);
+  }
+  return (dataset.messages || []).flatMap(message => auditMessage(message, byMessage.get(idKey(message._id)) || []));
+}
+
+// ============================================================================
+// MONGOSH SCRIPTS
+// ============================================================================
+
+/**
+ * Renders a mongosh script that prints the messages and the payment fields
+ * the audit needs as canonical Extended JSON, after AUDIT_MARKER.
+ *
+ * @param {string} dbName
+ * @returns {string}
+ */
+function auditScript(dbName) {
+  return [
+    "// Read messages and payments for tools/message_totals.js --audit",
+    "db = db.getSiblingDB(" + JSON.stringify(dbName) + ");",
+    "var dataset = {",
+    "  messages: db.messages.find({}, { payment_ids: 1, totals: 1 }).toArray(),",
+    "  payments: db.payments.find({}, { message_id: 1, amount: 1, currency: 1 }).toArray()",
+    "};",
+    "print(" + JSON.stringify(AUDIT_MARKER) + " + EJSON.stringify(dataset, { relaxed: false }));",
+    ""
+  ].join("\n");
+}
+
+/**
+ * Renders a mongosh script that rebuilds payment_ids and totals of the given
+ * messages (all messages when ids is null) from their payments. Each payment
+ * is rounded half to even to its currency's minor units, as in
+ * tools/money.js, before it is summed.
+ *
+ * @param {string} dbName
+ * @param {string[]|null} ids  message _id hex strings
+ * @returns {string}
+ */
+function repairScript(dbName, ids) {
+  const zeroDecimals = Object.keys(MINOR_UNIT_EXCEPTIONS);
+  const groupStages = [
+    {
+      $group: {
+        _id: "$currency",
+        count: { $sum: 1 },
+        sum: { $sum: { $round: ["$amount", { $cond: [{ $in: ["$currency", zeroDecimals] }, 0, 2] }] } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, currency: "$_id", count: 1, sum: 1 } }
+  ];
+  return [
+    "// Recompute message totals (generated by tools/message_totals.js)",
+    "db = db.getSiblingDB(" + JSON.stringify(dbName) + ");",
+    "var ids = " + (ids ? "[" + ids.map(id => "ObjectId(" + JSON.stringify(id) + ")").join(", ") + "]" : "null") + ";",
+    "var groupStages = " + JSON.stringify(groupStages) + ";",
+    "db.messages.find(ids ? { _id: { $in: ids } } : {}, { _id: 1 }).forEach(function (message) {",
+    "  var byCurrency = db.payments.aggregate([{ $match: { message_id: message._id } }].concat(groupStages)).toArray();",
+    "  var paymentIds = db.payments.find({ message_id: message._id }, { _id: 1 }).sort({ _id: 1 }).toArray().map(function (payment) { return payment._id; });",
+    "  var result = db.messages.updateOne({ _id: message._id }, { $set: {",
+    "    payment_ids: paymentIds,",
+    "    totals: { count: paymentIds.length, by_currency: byCurrency },",
+    "    updated_at: new Date()",
+    "  } });",
+    "  print((result.modifiedCount > 0 ? \"✓ \" : \"- \") + message._id.toHexString() + \": \" + paymentIds.length + \" payment(s)\");",
+    "});",
+    ""
+  ].join("\n");
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+const STATUS_SYMBOLS = { ok: "✓", drift: "✗", repaired: "✓" };
+
+function parseArgs(argv) {
+  const args = { mode: null, files: [], dbName: "payment_db", all: false, docker: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--audit": args.mode = "audit"; break;
+      case "--repair": args.mode = "repair"; break;
+      case "--check": args.mode = "check"; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--all": args.all = true; break;
+      case "--docker": args.docker = true; break;
+      case "--json": args.json = true; break;
+      default:
+        if (args.mode === "check" && !argv[i].startsWith("--")) {
+          args.files.push(argv[i]);
+          break;
+        }
+        throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (!args.mode) {
+    throw new Error("Usage: node tools/message_totals.js --audit|--repair|--check [options]");
+  }
+  return args;
+}
+
+function readDatabase(args) {
+  const run = runMongosh(auditScript(args.dbName), { container: args.docker ? "payment_mongodb" : null });
+  const line = run.stdout.split("\n").find(text => text.startsWith(AUDIT_MARKER));
+  if (!run.ok || !line) {
+    throw new Error("Could not read " + args.dbName + ": " + (run.stderr.trim() || "no output from mongosh"));
+  }
+  return JSON.parse(line.slice(AUDIT_MARKER.length));
+}
+
+function printProblems(name, dataset, problems) {
+  const messages = (dataset.messages || []).length;
+  const drifted = new Set(problems.map(problem => problem.message));
+  console.log((drifted.size === 0 ? STATUS_SYMBOLS.ok : STATUS_SYMBOLS.drift) + " " + name + ": " + messages +
+    " messages, " + drifted.size + " disagree with their payments");
+  problems.forEach(problem => console.log("  " + problem.message + " " + problem.field + ": " + problem.detail));
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.mode === "check") {
+    const sources = args.files.length > 0
+      ? args.files.map(file => ({ name: file, dataset: JSON.parse(fs.readFileSync(file, "utf8")) }))
+      : [{ name: "tools/fixtures/training_dataset.js", dataset: trainingDataset }];
+    const results = sources.map(source => ({ source: source.name, problems: auditDataset(source.dataset) }));
+    if (args.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      sources.forEach((source, index) => printProblems(source.name, source.dataset, results[index].problems));
+    }
+    return results.some(result => result.problems.length > 0) ? 1 : 0;
+  }
+
+  const dataset = readDatabase(args);
+  const problems = auditDataset(dataset);
+
+  if (args.mode === "audit") {
+    if (args.json) {
+      console.log(JSON.stringify(problems, null, 2));
+    } else {
+      printProblems(args.dbName, dataset, problems);
+    }
+    return problems.length > 0 ? 1 : 0;
+  }
+
+  const ids = args.all ? null : [...new Set(problems.map(problem => problem.message))];
+  if (ids && ids.length === 0) {
+    console.log(STATUS_SYMBOLS.ok + " " + args.dbName + ": nothing to repair");
+    return 0;
+  }
+  const run = runMongosh(repairScript(args.dbName, ids), { container: args.docker ? "payment_mongodb" : null });
+  process.stdout.write(run.stdout);
+  if (!run.ok) console.error(STATUS_SYMBOLS.drift + " " + (run.stderr.trim() || "mongosh failed"));
+  return run.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  addPaymentUpdate,
+  removePaymentUpdate,
+  reamountPaymentUpdate,
+  insertPayment,
+  deletePayment,
+  reamountPayment,
+  recomputeMessage,
+  auditMessage,
+  auditDataset,
+  auditScript,
+  repairScript
+};
@@ -0,0 +1,342 @@
+// ============================================================================
+// Currency-Aware Money
+// ============================================================================
+// Payment amounts are Decimal128 in MongoDB and NUMERIC in PostgreSQL, but
+// every currency has a fixed number of minor units (ISO 4217): JPY and KRW
+// have none, the other currency_code values in init_postgresql.sql have 2.
+// This module keeps an amount as a whole number of minor units (a BigInt)
+// together with its currency, so no arithmetic ever goes through a float:
+//
+//   { currency: "GBP", minor: 205000n }   // 2050.00 GBP
+//
+// Values are rounded to the currency's minor units with banker's rounding
+// (half to even), which is also what MongoDB's $round does for decimals.
+// Amounts in different currencies cannot be added, subtracted or compared
+// unless an FX rate is given; CurrencyMismatchError is raised instead.
+//
+// totalsByCurrency() builds the totals document that messages carry:
+//   { count: 2, by_currency: [{ currency: "GBP", count: 2, sum: { $numberDecimal: "2050.00" } }] }
+//
+// Usage:
+//   node tools/money.js                   # prints { currency: minor units }
+//   node tools/money.js 1234.565 GBP      # rounds an amount for a currency
+// ============================================================================
+
+const { loadEnums } = require("./pg_schema");
+
+// ISO 4217 minor units that differ from the default of 2
+const MINOR_UNIT_EXCEPTIONS = { JPY: 0, KRW: 0 };
+const DEFAULT_MINOR_UNITS = 2;
+
+/**
+ * @typedef {Object} Money
+ * @property {string} currency  a currency_code value
+ * @property {bigint} minor     amount in minor units (cents, pence, yen, ...)
+ */
+
+/**
+ * Raised when amounts in two currencies meet without an FX rate.
+ */
+class CurrencyMismatchError extends Error {
+  /**
+   * @param {string} left
+   * @param {string} right
+   * @param {string} [operation]
+   */
+  constructor(left, right, operation) {
+    super("Cannot " + (operation || "combine") + " " + left + " and " + right + " without an FX rate");
+    this.name = "CurrencyMismatchError";
+    this.left = left;
+    this.right = right;
+  }
+}
+
+let currencies = null;
+
+/** The currency_code enum, read once. */
+function currencyCodes() {
+  if (!currencies) currencies = new Set(loadEnums().currency_code);
+  return currencies;
+}
+
+/**
+ * @param {string} currency
+ * @returns {number}  ISO 4217 minor units
+ */
+function minorUnits(currency) {
+  if (!currencyCodes().has(currency)) {
+    throw new Error("Unknown currency: " + currency);
+  }
+  return currency in MINOR_UNIT_EXCEPTIONS ? MINOR_UNIT_EXCEPTIONS[currency] : DEFAULT_MINOR_UNITS;
+}
+
+// ============================================================================
+// DECIMALS
+// ============================================================================
+
+/**
+ * Reads a decimal exactly as coefficient × 10^exponent. Accepts strings,
+ * numbers, BigInts, Extended JSON { $numberDecimal } and Decimal128 values
+ * from mongosh or the Node.js driver.
+ *
+ * @param {*} value
+ * @returns {{ coefficient: bigint, exponent: number }}
+ */
+function parseDecimal(value) {
+  if (typeof value === "bigint") return { coefficient: value, exponent: 0 };
+  let text = value;
+  if (value && typeof value === "object") {
+    text = value.$numberDecimal !== undefined ? value.$numberDecimal : value.toString();
+  } else if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new Error("Not a finite amount: " + value);
+    text = String(value);
+  }
+  const match = typeof text === "string" && /^\s*([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?\s*$/.exec(text);
+  if (!match || (match[2] + (match[3] || "")) === "") {
+    throw new Error("Not a decimal amount: " + JSON.stringify(value));
+  }
+  const fraction = match[3] || "";
+  const coefficient = BigInt(match[2] + fraction || "0");
+  return {
+    coefficient: match[1] === "-" ? -coefficient : coefficient,
+    exponent: Number(match[4] || 0) - fraction.length
+  };
+}
+
+/**
+ * coefficient × 10^exponent as a whole number of 10^-scale units, rounded
+ * half to even.
+ *
+ * @param {bigint} coefficient
+ * @param {number} exponent
+ * @param {number} scale
+ * @returns {bigint}
+ */
+function roundHalfEven(coefficient, exponent, scale) {
+  const shift = exponent + scale;
+  if (shift >= 0) return coefficient * 10n ** BigInt(shift);
+
+  const divisor = 10n ** BigInt(-shift);
+  const negative = coefficient < 0n;
+  const magnitude = negative ? -coefficient : coefficient;
+  let quotient = magnitude / divisor;
+  const twice = (magnitude % divisor) * 2n;
+  if (twice > divisor || (twice === divisor && quotient % 2n === 1n)) quotient += 1n;
+  return negative ? -quotient : quotient;
+}
+
+// ============================================================================
+// AMOUNTS
+// ============================================================================
+
+/**
+ * An amount in a currency, rounded half to even to its minor units.
+ *
+ * @param {*} amount     anything parseDecimal() reads
+ * @param {string} currency
+ * @returns {Money}
+ */
+function money(amount, currency) {
+  const { coefficient, exponent } = parseDecimal(amount);
+  return fromMinor(roundHalfEven(coefficient, exponent, minorUnits(currency)), currency);
+}
+
+/**
+ * @param {bigint|number} minor  whole minor units
+ * @param {string} currency
+ * @returns {Money}
+ */
+function fromMinor(minor, currency) {
+  minorUnits(currency);
+  if (typeof minor === "number" && !Number.isInteger(minor)) {
+    throw new Error("Minor units must be whole: " + minor);
+  }
+  return Object.freeze({ currency: currency, minor: BigInt(minor) });
+}
+
+/**
+ * The amount with exactly the currency's decimals: "2050.00", "1500".
+ *
+ * @param {Money} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+  const scale = minorUnits(amount.currency);
+  const negative = amount.minor < 0n;
+  const digits = String(negative ? -amount.minor : amount.minor).padStart(scale + 1, "0");
+  const text = scale === 0 ? digits : digits.slice(0, -scale) + "." + digits.slice(-scale);
+  return (negative ? "-" : "") + text;
+}
+
+/**
+ * Extended JSON Decimal128, as written by tools/synthetic_data.js and read
+ * by tools/dataset_seed.js.
+ *
+ * @param {Money} amount
+ * @returns {{ $numberDecimal: string }}
+ */
+function toDecimal(amount) {
+  return { $numberDecimal: formatAmount(amount) };
+}
+
+// ============================================================================
+// ARITHMETIC
+// ============================================================================
+
+/**
+ * Converts an amount at `rate` units of `currency` per unit of the amount's
+ * own currency, rounding half to even.
+ *
+ * @param {Money} amount
+ * @param {string} currency
+ * @param {*} rate
+ * @returns {Money}
+ */
+function convert(amount, currency, rate) {
+  if (rate === undefined || rate === null) {
+    if (currency === amount.currency) return amount;
+    throw new CurrencyMismatchError(amount.currency, currency, "convert");
+  }
+  const factor = parseDecimal(rate);
+  if (factor.coefficient <= 0n) throw new Error("FX rate must be positive: " + rate);
+  return fromMinor(roundHalfEven(amount.minor * factor.coefficient,
+    factor.exponent - minorUnits(amount.currency), minorUnits(currency)), currency);
+}
+
+// The right-hand amount in the left one's currency, converted only with a rate
+function alike(left, right, rate, operation) {
+  if (right.currency === left.currency) return right;
+  if (rate === undefined || rate === null) {
+    throw new CurrencyMismatchError(left.currency, right.currency, operation);
+  }
+  return convert(right, left.currency, rate);
+}
+
+/**
+ * @param {Money} left
+ * @param {Money} right
+ * @param {Object} [options]
+ * @param {*} [options.rate]  units of left's currency per unit of right's
+ * @returns {Money}           in left's currency
+ * @throws {CurrencyMismatchError}
+ */
+function add(left, right, options = {}) {
+  return fromMinor(left.minor + alike(left, right, options.rate, "add").minor, left.currency);
+}
+
+/**
+ * @param {Money} left
+ * @param {Money} right
+ * @param {Object} [options]  as for add
+ * @returns {Money}
+ * @throws {CurrencyMismatchError}
+ */
+function subtract(left, right, options = {}) {
+  return fromMinor(left.minor - alike(left, right, options.rate, "subtract").minor, left.currency);
+}
+
+/**
+ * Multiplies by a plain decimal factor (a fee rate, a split share, ...).
+ *
+ * @param {Money} amount
+ * @param {*} factor
+ * @returns {Money}
+ */
+function multiply(amount, factor) {
+  const { coefficient, exponent } = parseDecimal(factor);
+  return fromMinor(roundHalfEven(amount.minor * coefficient, exponent, 0), amount.currency);
+}
+
+/**
+ * @param {Money} left
+ * @param {Money} right
+ * @param {Object} [options]  as for add
+ * @returns {number}          -1, 0 or 1
+ * @throws {CurrencyMismatchError}
+ */
+function compare(left, right, options = {}) {
+  const other = alike(left, right, options.rate, "compare").minor;
+  return left.minor < other ? -1 : left.minor > other ? 1 : 0;
+}
+
+/**
+ * Adds amounts that must all be in `currency`.
+ *
+ * @param {Money[]} amounts
+ * @param {string} currency
+ * @returns {Money}
+ * @throws {CurrencyMismatchError}
+ */
+function sum(amounts, currency) {
+  return amounts.reduce((total, amount) => add(total, amount), fromMinor(0n, currency));
+}
+
+// ============================================================================
+// TOTALS
+// ============================================================================
+
+/**
+ * The per-currency totals a message carries for its payments. Each payment
+ * amount is taken at its currency's minor units; currencies are sorted.
+ *
+ * @param {{ amount: *, currency: string }[]} payments
+ * @returns {{ count: number, by_currency: { currency: string, count: number, sum: { $numberDecimal: string } }[] }}
+ */
+function totalsByCurrency(payments) {
+  const byCurrency = new Map();
+  for (const payment of payments) {
+    const entry = byCurrency.get(payment.currency) || { count: 0, total: fromMinor(0n, payment.currency) };
+    entry.count++;
+    entry.total = add(entry.total, money(payment.amount, payment.currency));
+    byCurrency.set(payment.currency, entry);
+  }
+  return {
+    count: payments.length,
+    by_currency: [...byCurrency.keys()].sort().map(currency => ({
+      currency: currency,
+      count: byCurrency.get(currency).count,
+      sum: toDecimal(byCurrency.get(currency).total)
+    }))
+  };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function main(argv) {
+  if (argv.length === 0) {
+    const table = {};
+    for (const currency of currencyCodes()) table[currency] = minorUnits(currency);
+    console.log(JSON.stringify(table, null, 2));
+    return 0;
+  }
+  if (argv.length !== 2) {
+    throw new Error("Usage: node tools/money.js [<amount> <currency>]");
+  }
+  console.log(formatAmount(money(argv[0], argv[1].toUpperCase())) + " " + argv[1].toUpperCase());
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  MINOR_UNIT_EXCEPTIONS,
+  CurrencyMismatchError,
+  minorUnits,
+  parseDecimal,
+  roundHalfEven,
+  money,
+  fromMinor,
+  formatAmount,
+  toDecimal,
+  convert,
+  add,
+  subtract,
+  multiply,
+  compare,
+  sum,
+  totalsByCurrency
+};
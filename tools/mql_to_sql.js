@@ -0,0 +1,2671 @@
+// ============================================================================
+// MongoDB → SQL Translator
+// ============================================================================
+// Translates mongosh collection calls over the document model
+// (payment_model_mongodb.md), as written in mongodb_crud_operations.js and
+// the Mongo_Db_query.txt files, into PostgreSQL for the relational schema
+// (init_postgresql.sql). It is the reverse of tools/sql_to_mql.js and gives
+// MongoDB-only examples (e.g. the samples tools/extract_annotations.js
+// writes) a Postgres_query.txt.
+//
+// Schema knowledge (shared with tools/sql_to_mql.js):
+//   - fields map to columns through column_mappings.md (current_state →
+//     payment_state, totals.count → total_payments, _id → id, ...); paths
+//     inside JSONB columns (attributes.priority) become ->/->> accessors
+//   - state_history, route_steps and identifiers are the payment_events,
+//     payment_route_steps and party_identifiers tables: $unwind joins them on
+//     their parent key, and filters on their elements ("state_history.to_state",
+//     $elemMatch) become EXISTS subqueries
+//   - $lookup on _id (or another unique column) becomes a LEFT JOIN, turned
+//     into an inner JOIN by a following $unwind; other lookups are joined when
+//     unwound and read through correlated subqueries ($size, $sum, ...)
+//     otherwise
+//
+// Supported: find / findOne (projection, sort, skip, limit), countDocuments,
+// distinct, aggregate ($match, $project, $addFields / $set, $unset, $group,
+// $sort, $skip, $limit, $count, $sortByCount, $unwind, $lookup (also with a
+// pipeline), $facet, $setWindowFields, $unionWith, $replaceRoot), updateOne /
+// updateMany (update operators and update pipelines; $push / $pull /
+// positional updates of embedded arrays become INSERT / DELETE / UPDATE on
+// the child table),
+// deleteOne / deleteMany and insertOne / insertMany. updateOne / deleteOne
+// without a unique filter pick the matching row with the lowest id once, in
+// a CTE every statement of the write reads. A stage that cannot
+// follow the query built so far ($match after $limit or a window, a second
+// $group, ...) wraps it in a subquery. Everything else ($bucket, upserts,
+// replaceOne, sessions, ...) raises an UnsupportedMqlError naming the
+// construct.
+//
+// Output columns are named after the MongoDB fields they hold (current_state,
+// "_id.role"), the convention tools/verify_cross_engine.js compares by.
+// $ne and $nin also match missing fields, so they become IS DISTINCT FROM
+// and NOT IN ... OR IS NULL. Window accumulators without a window cover the
+// whole partition in MongoDB, so the SQL spells the frame out. PostgreSQL
+// sorts nulls last in ascending order where MongoDB sorts them first.
+//
+// Usage:
+//   node tools/mql_to_sql.js 'db.payments.find({ scheme: "FPS" }).sort({ amount: -1 })'
+//   node tools/mql_to_sql.js --file crud               # SQL for every example
+//   node tools/mql_to_sql.js --samples annotated_samples [--write]
+//   node tools/mql_to_sql.js --samples --check [--docker] [--db name]
+//
+// Options:
+//   --file <crud|advanced|path>   translate every example of a mongosh script
+//                                 (see tools/snippets.js); titles are kept as
+//                                 comments, so the output is a SQL script
+//   --samples [dir]    translate each sample's Mongo_Db_query.txt (default:
+//                      training_samples/)
+//   --only <ids>       comma-separated sample ids
+//   --write            write Postgres_query.txt where a sample has none
+//                      (existing files are never overwritten)
+//   --check            run each translation and the sample's Mongo_Db_query.txt
+//                      on tools/fixtures/training_dataset.js and compare the
+//                      results (see tools/verify_cross_engine.js)
+//   --show             print the translated SQL in --samples mode
+//   --db <name>        scratch database --check seeds on both engines (default:
+//                      payment_db_translations; never the shared PGDATABASE,
+//                      payment_db)
+//   --docker           run mongosh and psql in the docker-compose containers
+//   --json             machine-readable output
+//
+// Exits with status 1 when a call cannot be translated (single call or
+// --file), or when --check finds a difference or an error.
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { ShellSyntaxError, parseShellCall, lastShellCall } = require("./shell_parser");
+const { EMBEDDED_TABLES, loadSchema } = require("./sql_to_mql");
+const { splitStatements } = require("./js_statements");
+const { objectIdToUuid } = require("./dataset_seed");
+const { loadSnippets } = require("./snippets");
+const { SAMPLES_DIR, SAMPLE_PARTS, loadSamples } = require("./sample_loader");
+const { verifyEquivalence } = require("./verify_cross_engine");
+const { sharedDatabase } = require("./pg_shell");
+
+/**
+ * @typedef {Object} SqlTranslation
+ * @property {string} collection
+ * @property {string} method           find, aggregate, updateOne, ...
+ * @property {string[]} statements     SQL statements, without the final ";"
+ * @property {string} sql              the statements as a script (in a
+ *                                     transaction when there are several)
+ * @property {string[]} warnings       places where the SQL only approximates
+ *                                     the MongoDB call
+ */
+
+/**
+ * @typedef {Object} SampleTranslation
+ * @property {string} sample
+ * @property {"TRANSLATED"|"WRITTEN"|"EQUIVALENT"|"DIFFERENT"|"UNSUPPORTED"|"SKIP"|"ERROR"} status
+ * @property {string|null} detail
+ * @property {SqlTranslation} [translation]
+ */
+
+/** Raised for MongoDB calls the translator has no SQL equivalent for. */
+class UnsupportedMqlError extends Error {
+  /**
+   * @param {string} construct  e.g. "$facet", "$lookup with a pipeline"
+   * @param {string} [message]
+   */
+  constructor(construct, message) {
+    super(message || construct + " is not supported");
+    this.name = "UnsupportedMqlError";
+    this.construct = construct;
+  }
+}
+
+const STATUS_SYMBOLS = {
+  TRANSLATED: "✓", WRITTEN: "✓", EQUIVALENT: "✓", DIFFERENT: "✗", UNSUPPORTED: "-", SKIP: "-", ERROR: "!"
+};
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+const TABLE_ALIASES = {
+  payments: "p", messages: "m", parties: "pt", institutions: "i",
+  payment_events: "pe", payment_route_steps: "prs", party_identifiers: "pi"
+};
+
+// Columns with a UNIQUE constraint in init_postgresql.sql: a $lookup on one
+// of them finds at most one document, and updateOne / deleteOne filtering on
+// one of them needs no LIMIT 1
+const UNIQUE_COLUMNS = {
+  payments: ["id", "payment_ref"],
+  messages: ["id", "external_ref"],
+  parties: ["id"],
+  institutions: ["id", "bic", "lei"]
+};
+
+// Order of the elements of each embedded array
+const ELEMENT_ORDER = { payment_events: "seq_no", payment_route_steps: "step_no" };
+
+// Embedded array fields per collection: { state_history: "payment_events", ... }
+const ARRAY_FIELDS = {};
+Object.entries(EMBEDDED_TABLES).forEach(([table, embedded]) => {
+  ARRAY_FIELDS[embedded.parent] = Object.assign(ARRAY_FIELDS[embedded.parent] || {}, { [embedded.array]: table });
+});
+
+// Arrays of ids whose elements are rows referencing the document: a
+// message's payment_ids are the payments with its message_id
+const REFERENCE_ARRAYS = {
+  messages: { payment_ids: { table: "payments", foreignColumn: "message_id", element: "id" } }
+};
+
+// Arrays of documents kept inside JSONB columns
+const JSON_ARRAYS = {
+  payments: ["debtor_snapshot.identifiers", "creditor_snapshot.identifiers"]
+};
+
+const COMPARISON_OPERATORS = { $eq: "=", $ne: "<>", $gt: ">", $gte: ">=", $lt: "<", $lte: "<=" };
+
+const DATE_PARTS = {
+  $year: "YEAR", $month: "MONTH", $dayOfMonth: "DAY", $hour: "HOUR", $minute: "MINUTE", $second: "SECOND",
+  $dayOfYear: "DOY", $isoDayOfWeek: "ISODOW", $isoWeek: "WEEK", $isoWeekYear: "ISOYEAR"
+};
+
+const DATE_FORMATS = {
+  Y: "YYYY", m: "MM", d: "DD", H: "HH24", M: "MI", S: "SS", L: "MS", j: "DDD", u: "ID", V: "IW", G: "IYYY"
+};
+
+const UNIT_MILLISECONDS = [["day", 86400000], ["hour", 3600000], ["minute", 60000], ["second", 1000]];
+
+const SCALAR_FUNCTIONS = {
+  $abs: "ABS", $ceil: "CEIL", $floor: "FLOOR", $sqrt: "SQRT", $exp: "EXP", $ln: "LN", $log10: "LOG",
+  $pow: "POWER", $toUpper: "UPPER", $toLower: "LOWER", $strLenCP: "LENGTH", $strLenBytes: "OCTET_LENGTH"
+};
+
+const CASTS = {
+  $toString: "text", $toInt: "int", $toLong: "bigint", $toDouble: "double precision", $toDecimal: "numeric",
+  $toDate: "timestamptz", $toBool: "boolean"
+};
+
+const ACCUMULATORS = {
+  $sum: "SUM", $avg: "AVG", $min: "MIN", $max: "MAX", $stdDevPop: "STDDEV_POP", $stdDevSamp: "STDDEV_SAMP"
+};
+
+const RESERVED_WORDS = new Set(("all and any array as asc case cast check collate column constraint create " +
+  "current_date current_time current_timestamp current_user default desc distinct do else end except false " +
+  "fetch for foreign from grant group having in initially intersect into lateral leading limit localtime " +
+  "localtimestamp not null offset on only or order placing primary references returning select session_user " +
+  "some symmetric table then to trailing true union unique user using variadic when where window with").split(" "));
+
+const MISSING = { kind: "missing" };
+
+// ============================================================================
+// SQL TEXT
+// ============================================================================
+
+function sqlString(text) {
+  return "'" + String(text).replace(/'/g, "''") + "'";
+}
+
+function quoteName(name) {
+  return /^[a-z_][a-z0-9_]*$/.test(name) && !RESERVED_WORDS.has(name) ? name : "\"" + name.replace(/"/g, "\"\"") + "\"";
+}
+
+function indent(text, prefix = "    ") {
+  return text.split("\n").map(line => line ? prefix + line : line).join("\n");
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith("$"));
+}
+
+// Extended JSON values the shell parser produces for constructors
+function isSpecialValue(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 1 && ["$oid", "$date", "$numberDecimal", "$numberLong", "$regularExpression", "$now"].includes(keys[0]);
+}
+
+function nowSql(offset) {
+  if (!offset) return "now()";
+  const size = Math.abs(offset);
+  const [unit, milliseconds] = UNIT_MILLISECONDS.find(([, ms]) => size % ms === 0) || ["millisecond", 1];
+  const count = size / milliseconds;
+  return "now() " + (offset < 0 ? "-" : "+") + " INTERVAL '" + count + " " + unit + (count === 1 ? "" : "s") + "'";
+}
+
+function dateText(iso) {
+  return iso.replace(/\.000Z$/, "Z");
+}
+
+// Extended JSON → the plain JSON stored in JSONB columns
+function plainJson(value) {
+  if (Array.isArray(value)) return value.map(plainJson);
+  if (!isPlainObject(value)) return value;
+  if (value.$oid) return objectIdToUuid(value.$oid);
+  if (value.$date) return dateText(value.$date);
+  if (value.$numberDecimal !== undefined) return Number(value.$numberDecimal);
+  if (value.$numberLong !== undefined) return Number(value.$numberLong);
+  const result = {};
+  Object.keys(value).forEach(key => { result[key] = plainJson(value[key]); });
+  return result;
+}
+
+function containsNow(value) {
+  if (Array.isArray(value)) return value.some(containsNow);
+  if (!isPlainObject(value)) return false;
+  return value.$now !== undefined || Object.values(value).some(containsNow);
+}
+
+/**
+ * A literal value as SQL.
+ *
+ * @returns {{ sql: string, type: string|null }}
+ */
+function literal(value) {
+  if (value === null || value === undefined) return { sql: "NULL", type: null };
+  if (typeof value === "boolean") return { sql: value ? "TRUE" : "FALSE", type: "boolean" };
+  if (typeof value === "number") {
+    if (!isFinite(value)) return { sql: sqlString(String(value)) + "::numeric", type: "numeric" };
+    return { sql: String(value), type: Number.isInteger(value) ? "int" : "numeric" };
+  }
+  if (typeof value === "string") return { sql: sqlString(value), type: "text" };
+  if (Array.isArray(value)) {
+    return { sql: "ARRAY[" + value.map(item => literal(item).sql).join(", ") + "]", type: "array" };
+  }
+  if (value.$oid) return { sql: sqlString(objectIdToUuid(value.$oid)), type: "uuid" };
+  if (value.$date) return { sql: sqlString(dateText(value.$date)) + "::timestamptz", type: "timestamptz" };
+  if (value.$now !== undefined) return { sql: nowSql(value.$now), type: "timestamptz" };
+  if (value.$numberDecimal !== undefined) return { sql: value.$numberDecimal, type: "numeric" };
+  if (value.$numberLong !== undefined) return { sql: value.$numberLong, type: "int" };
+  if (value.$regularExpression) throw new UnsupportedMqlError("regular expression value");
+  return { sql: jsonbSql(value), type: "jsonb" };
+}
+
+/** A value as a JSONB expression, e.g. for jsonb_set(). */
+function jsonbSql(value) {
+  if (!containsNow(value)) return sqlString(JSON.stringify(plainJson(value))) + "::jsonb";
+  if (isPlainObject(value) && value.$now !== undefined) return "to_jsonb(" + nowSql(value.$now) + ")";
+  // Inside jsonb_build_*() plain values need no JSON literal
+  const item = inner => containsNow(inner) || isPlainObject(inner) && !isSpecialValue(inner) || Array.isArray(inner)
+    ? jsonbSql(inner) : literal(inner).sql;
+  if (Array.isArray(value)) return "jsonb_build_array(" + value.map(item).join(", ") + ")";
+  return "jsonb_build_object(" + Object.keys(value).map(key => sqlString(key) + ", " + item(value[key])).join(", ") + ")";
+}
+
+/** Text a LIKE pattern matches for a regex of literal characters, or null. */
+function likePattern(pattern) {
+  let body = pattern;
+  const start = body.startsWith("^");
+  if (start) body = body.slice(1);
+  const end = /(^|[^\\])\$$/.test(body);
+  if (end) body = body.slice(0, -1);
+  let text = "";
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === "\\") {
+      const next = body[++i];
+      if (next === undefined || /[A-Za-z0-9]/.test(next)) return null;
+      text += next;
+    } else if (".*+?()[]{}|^$".includes(ch)) {
+      return null;
+    } else {
+      text += ch;
+    }
+  }
+  const escaped = text.replace(/[\\%_]/g, "\\$&");
+  return (start ? "" : "%") + escaped + (end ? "" : "%");
+}
+
+function dateFormat(format) {
+  const parts = [];
+  let textPart = "";
+  const flush = () => {
+    if (textPart) parts.push(/[A-Za-z]/.test(textPart) ? "\"" + textPart + "\"" : textPart);
+    textPart = "";
+  };
+  for (let i = 0; i < format.length; i++) {
+    if (format[i] === "%" && i + 1 < format.length) {
+      const code = format[++i];
+      if (code === "%") {
+        textPart += "%";
+      } else if (DATE_FORMATS[code]) {
+        flush();
+        parts.push(DATE_FORMATS[code]);
+      } else {
+        throw new UnsupportedMqlError("$dateToString %" + code);
+      }
+    } else {
+      textPart += format[i];
+    }
+  }
+  flush();
+  return parts.join("");
+}
+
+// ============================================================================
+// DOCUMENT SHAPES
+// ============================================================================
+// A shape says where each field of the documents flowing through a pipeline
+// lives in SQL. Entries are keyed by dotted path:
+//   { kind: "value", sql, type }         a scalar expression
+//   { kind: "json", sql, keys }          a JSONB value (keys: path inside it)
+//   { kind: "list", sql, countSql }      a PostgreSQL array ($push, $addToSet)
+//   { kind: "array", table, ... }        rows of another table: an embedded
+//                                        array or a $lookup result
+//   { kind: "rows", sql, columns }       the result of a subquery: a $facet
+//                                        or a $lookup with a pipeline
+// Reading "a.b" finds the entry for "a.b", the entries under it (a
+// subdocument), or the entry for a prefix of it (a JSONB path, or the
+// elements of an array).
+
+class Shape {
+  constructor(entries) {
+    this.entries = new Map(entries || []);
+  }
+
+  clone() {
+    return new Shape(this.entries);
+  }
+
+  under(prefix) {
+    const start = prefix + ".";
+    return [...this.entries].filter(([key]) => key.startsWith(start)).map(([key, node]) => [key.slice(start.length), node]);
+  }
+
+  remove(prefix) {
+    for (const key of [...this.entries.keys()]) {
+      if (key === prefix || key.startsWith(prefix + ".")) this.entries.delete(key);
+    }
+  }
+
+  set(key, node) {
+    this.remove(key);
+    this.entries.set(key, node);
+  }
+
+  resolve(fieldPath) {
+    if (this.entries.has(fieldPath)) return this.entries.get(fieldPath);
+    const under = this.under(fieldPath);
+    if (under.length > 0) return { kind: "doc", shape: new Shape(under) };
+
+    const parts = fieldPath.split(".");
+    for (let i = parts.length - 1; i > 0; i--) {
+      const node = this.entries.get(parts.slice(0, i).join("."));
+      if (!node) continue;
+      const rest = parts.slice(i);
+      if (node.kind === "json") return Object.assign({}, node, { keys: node.keys.concat(rest) });
+      if (node.kind === "array") return { kind: "elements", array: node, rest: rest.join(".") };
+      if (node.kind === "rows") return { kind: "rowValues", rows: node, rest: rest.join(".") };
+      return MISSING;
+    }
+    return MISSING;
+  }
+}
+
+function jsonKey(key) {
+  return /^\d+$/.test(key) ? key : sqlString(key);
+}
+
+// JSONB value at node.keys
+function jsonValueSql(node) {
+  return node.sql + node.keys.map(key => "->" + jsonKey(key)).join("");
+}
+
+// Text at node.keys
+function jsonTextSql(node) {
+  if (node.keys.length === 0) return node.sql;
+  const keys = node.keys.map(jsonKey);
+  return node.sql + keys.slice(0, -1).map(key => "->" + key).join("") + "->>" + keys[keys.length - 1];
+}
+
+// Casts JSON text for comparison with a value of the given type
+const JSON_TEXT_CASTS = {
+  int: "numeric", bigint: "numeric", bigserial: "numeric", numeric: "numeric", "double precision": "numeric",
+  boolean: "boolean", timestamptz: "timestamptz"
+};
+
+function castJsonText(sql, type) {
+  return JSON_TEXT_CASTS[type] ? "(" + sql + ")::" + JSON_TEXT_CASTS[type] : sql;
+}
+
+// ============================================================================
+// TRANSLATOR
+// ============================================================================
+
+class Translator {
+  constructor(options = {}) {
+    this.schema = options.schema || loadSchema();
+    this.warnings = [];
+    this.aliasCounts = new Map();
+    this.subqueries = 0;
+    // $lookup let variables, visible inside the lookup's pipeline
+    this.outerVars = new Map();
+  }
+
+  warn(message) {
+    if (!this.warnings.includes(message)) this.warnings.push(message);
+  }
+
+  alias(table) {
+    const base = TABLE_ALIASES[table] || table.slice(0, 2);
+    const count = (this.aliasCounts.get(base) || 0) + 1;
+    this.aliasCounts.set(base, count);
+    return count === 1 ? base : base + count;
+  }
+
+  // ----- schema -------------------------------------------------------------
+
+  tableColumns(table) {
+    const columns = this.schema.tables[table];
+    if (!columns) throw new UnsupportedMqlError("collection " + table, "No table for collection " + table);
+    return columns;
+  }
+
+  isEnum(type) {
+    return this.schema.enums.includes(type);
+  }
+
+  // Document path → column for a collection's own columns
+  fieldColumns(table) {
+    const correspondences = this.schema.correspondences.get(table) || new Map();
+    const result = new Map();
+    Object.keys(this.tableColumns(table)).forEach(column => {
+      result.set(correspondences.has(column) ? correspondences.get(column) : column, column);
+    });
+    return result;
+  }
+
+  // Element path → column for an embedded table
+  elementColumns(table) {
+    const embedded = EMBEDDED_TABLES[table];
+    const result = new Map();
+    Object.entries(embedded.columns).forEach(([column, fieldPath]) => result.set(fieldPath, column));
+    Object.keys(this.tableColumns(table)).forEach(column => {
+      if (!["id", embedded.parentKey, "created_at"].includes(column) && !Object.keys(embedded.columns).includes(column)) {
+        result.set(column, column);
+      }
+    });
+    return result;
+  }
+
+  columnNode(table, alias, column) {
+    const type = this.tableColumns(table)[column];
+    const sql = alias + "." + column;
+    return type === "jsonb" ? { kind: "json", sql: sql, keys: [], table: table, column: column }
+      : { kind: "value", sql: sql, type: type, table: table, column: column };
+  }
+
+  collectionShape(collection, alias) {
+    const shape = new Shape();
+    for (const [fieldPath, column] of this.fieldColumns(collection)) {
+      shape.entries.set(fieldPath, this.columnNode(collection, alias, column));
+    }
+    Object.entries(ARRAY_FIELDS[collection] || {}).forEach(([field, table]) => {
+      shape.entries.set(field, {
+        kind: "array", table: table, embedded: true, foreignColumn: EMBEDDED_TABLES[table].parentKey,
+        keySql: alias + ".id", unique: false, order: ELEMENT_ORDER[table] || null, implicit: true, joined: null
+      });
+    });
+    Object.entries(REFERENCE_ARRAYS[collection] || {}).forEach(([field, reference]) => {
+      shape.entries.set(field, {
+        kind: "array", table: reference.table, embedded: false, foreignColumn: reference.foreignColumn,
+        element: reference.element, keySql: alias + ".id", unique: false, order: null, implicit: true, joined: null
+      });
+    });
+    return shape;
+  }
+
+  elementShape(node, alias) {
+    if (node.element) return new Shape([["__value", this.columnNode(node.table, alias, node.element)]]);
+    if (!node.embedded) return this.collectionShape(node.table, alias);
+    const shape = new Shape();
+    for (const [fieldPath, column] of this.elementColumns(node.table)) {
+      shape.entries.set(fieldPath, this.columnNode(node.table, alias, column));
+    }
+    return shape;
+  }
+
+  // Rows of an array node: FROM item, join condition and element shape
+  source(node) {
+    const alias = this.alias(node.table);
+    return {
+      from: node.table + " " + alias,
+      alias: alias,
+      condition: alias + "." + node.foreignColumn + " = " + node.keySql,
+      shape: this.elementShape(node, alias),
+      order: node.order ? alias + "." + node.order : null
+    };
+  }
+
+  // Correlated subquery over an array's rows
+  arraySubquery(node, select, options = {}) {
+    const source = this.source(node);
+    const ctx = { shape: source.shape, vars: new Map(options.vars || []) };
+    if (options.as) ctx.vars.set(options.as, source.shape);
+    const conditions = [source.condition];
+    if (options.filter) conditions.push(options.filter(ctx, source));
+    const sql = "SELECT " + select(ctx, source) + " FROM " + source.from + " WHERE " + conditions.join(" AND ") +
+      (options.ordered && source.order ? " ORDER BY " + source.order + (options.descending ? " DESC" : "") : "") +
+      (options.limit ? " LIMIT " + options.limit : "");
+    return "(" + sql + ")";
+  }
+
+  // ----- nodes → SQL --------------------------------------------------------
+
+  /**
+   * The SQL of a resolved node as a single value.
+   *
+   * @returns {{ sql: string, type: string|null, json?: string }}
+   */
+  scalar(node) {
+    switch (node.kind) {
+      case "value":
+        return { sql: node.sql, type: node.type };
+      case "json": {
+        if (node.keys.length === 0) return { sql: node.sql, type: "jsonb" };
+        const type = node.types && node.types[node.keys.join(".")];
+        if (JSON_TEXT_CASTS[type]) return { sql: castJsonText(jsonTextSql(node), type), type: type };
+        return { sql: jsonTextSql(node), type: "jsontext", json: jsonValueSql(node) };
+      }
+      case "list":
+        return { sql: node.sql, type: node.json ? "jsonb" : "array" };
+      case "missing":
+        return { sql: "NULL", type: null };
+      case "doc":
+        return { sql: this.jsonObject(node.shape), type: "jsonb" };
+      case "object":
+        return {
+          sql: "jsonb_build_object(" + Object.entries(node.fields).map(([key, field]) =>
+            sqlString(key) + ", " + this.scalar(field).sql).join(", ") + ")",
+          type: "jsonb"
+        };
+      case "array":
+        return {
+          sql: this.arraySubquery(node, (ctx, source) => "COALESCE(jsonb_agg(" +
+            (node.element ? this.scalar(ctx.shape.entries.get("__value")).sql : this.jsonObject(ctx.shape)) +
+            (source.order ? " ORDER BY " + source.order : "") + "), '[]'::jsonb)"),
+          type: "jsonb"
+        };
+      case "elements":
+        if (node.array.joined && node.array.unique) return this.scalar(node.array.joinedShape.resolve(node.rest));
+        return {
+          sql: "ARRAY" + this.arraySubquery(node.array, ctx => this.scalar(ctx.shape.resolve(node.rest)).sql, { ordered: true }),
+          type: "array"
+        };
+      case "filtered":
+      case "mapped":
+        return { sql: this.collectionSubquery(node, "json"), type: "jsonb" };
+      case "rows":
+      case "rowValues": {
+        const rows = this.rowsOf(node);
+        const alias = "r" + (++this.subqueries);
+        return {
+          sql: "(SELECT COALESCE(jsonb_agg(" + (rows.scalar ? alias + ".value" : "to_jsonb(" + alias + ")") + "), '[]'::jsonb) FROM (\n" +
+            indent(rows.sql) + "\n) " + alias + ")",
+          type: "jsonb"
+        };
+      }
+      default:
+        throw new Error("Unknown node kind " + node.kind);
+    }
+  }
+
+  // jsonb_build_object over the entries of a shape; arrays that were never
+  // asked for are left out
+  jsonObject(shape) {
+    const tree = {};
+    const keys = [...shape.entries.keys()].sort();
+    for (const key of keys) {
+      const node = shape.entries.get(key);
+      if (node.kind === "array" && node.implicit) continue;
+      if (keys.some(other => key.startsWith(other + ".") && shape.entries.get(other).kind !== "array")) continue;
+      let branch = tree;
+      const parts = key.split(".");
+      parts.slice(0, -1).forEach(part => { branch = branch[part] = branch[part] || {}; });
+      branch[parts[parts.length - 1]] = node;
+    }
+    const build = branch => "jsonb_build_object(" + Object.entries(branch).map(([key, value]) =>
+      sqlString(key) + ", " + (value.kind ? this.scalar(value).sql : build(value))).join(", ") + ")";
+    return build(tree);
+  }
+
+  // Subquery over the elements of a $filter / $map result
+  collectionSubquery(node, mode) {
+    const array = node.array;
+    const filter = node.cond ? (ctx => this.condition(node.cond, ctx)) : null;
+    const vars = node.vars;
+    if (mode === "count") return this.arraySubquery(array, () => "COUNT(*)", { as: node.as, filter: filter, vars: vars });
+    const value = ctx => node.kind === "mapped" ? this.scalar(this.operand(node.in, ctx)).sql
+      : this.jsonObject(ctx.shape);
+    return this.arraySubquery(array, ctx => "COALESCE(jsonb_agg(" + value(ctx) + "), '[]'::jsonb)",
+      { as: node.as, filter: filter, vars: vars });
+  }
+
+  // ----- expressions --------------------------------------------------------
+
+  /**
+   * Resolves an aggregation expression to a node: field paths stay nodes so
+   * array operators can see arrays, everything else becomes a value.
+   */
+  operand(value, ctx) {
+    if (typeof value === "string" && value.startsWith("$$")) return this.variable(value.slice(2), ctx);
+    if (typeof value === "string" && value.startsWith("$")) {
+      const node = ctx.shape.resolve(value.slice(1));
+      if (node.kind === "elements" && node.array.joined && node.array.unique) return node.array.joinedShape.resolve(node.rest);
+      if (node === MISSING) this.warn("No column holds " + value.slice(1) + "; it reads as NULL");
+      return node;
+    }
+    if (isSpecialValue(value) || !isPlainObject(value)) {
+      const lit = literal(value);
+      return { kind: "value", sql: lit.sql, type: lit.type };
+    }
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0].startsWith("$")) return this.operator(keys[0], value[keys[0]], ctx);
+    if (keys.some(key => key.startsWith("$"))) throw new UnsupportedMqlError("expression " + JSON.stringify(keys));
+    const fields = {};
+    keys.forEach(key => { fields[key] = this.operand(value[key], ctx); });
+    return { kind: "object", fields: fields };
+  }
+
+  variable(name, ctx) {
+    const [head, ...rest] = name.split(".");
+    if (head === "NOW" || head === "CLUSTER_TIME") return { kind: "value", sql: "now()", type: "timestamptz" };
+    if (head === "REMOVE") return MISSING;
+    let target = head === "ROOT" || head === "CURRENT" ? ctx.shape : ctx.vars.get(head) || this.outerVars.get(head);
+    if (!target) throw new UnsupportedMqlError("$$" + head);
+    if (!(target instanceof Shape)) {
+      if (rest.length === 0) return target;
+      if (target.kind !== "doc") return MISSING;
+      target = target.shape;
+    }
+    return rest.length === 0 ? { kind: "doc", shape: target } : target.resolve(rest.join("."));
+  }
+
+  /** @returns {{ sql: string, type: string|null }} */
+  expr(value, ctx) {
+    return this.scalar(this.operand(value, ctx));
+  }
+
+  text(value, ctx) {
+    const result = this.expr(value, ctx);
+    return this.isEnum(result.type) || result.type === "uuid" ? result.sql + "::text" : result.sql;
+  }
+
+  numeric(value, ctx) {
+    const result = this.expr(value, ctx);
+    return result.type === "jsontext" ? castJsonText(result.sql, "numeric") : result.sql;
+  }
+
+  operator(op, arg, ctx) {
+    const args = Array.isArray(arg) ? arg : [arg];
+    const value = (sql, type) => ({ kind: "value", sql: sql, type: type });
+
+    if (COMPARISON_OPERATORS[op]) {
+      return value(this.compareExpr(COMPARISON_OPERATORS[op], args[0], args[1], ctx), "boolean");
+    }
+    if (SCALAR_FUNCTIONS[op]) {
+      const text = ["$toUpper", "$toLower", "$strLenCP", "$strLenBytes"].includes(op);
+      const sqlArgs = args.map(item => text ? this.text(item, ctx) : this.numeric(item, ctx));
+      return value(SCALAR_FUNCTIONS[op] + "(" + sqlArgs.join(", ") + ")", text && !op.startsWith("$strLen") ? "text" : "numeric");
+    }
+    if (CASTS[op]) return value(this.expr(args[0], ctx).sql + "::" + CASTS[op], CASTS[op] === "int" ? "int" : CASTS[op]);
+    if (DATE_PARTS[op]) {
+      const date = isPlainObject(arg) && arg.date !== undefined ? arg.date : args[0];
+      return value("EXTRACT(" + DATE_PARTS[op] + " FROM " + this.expr(date, ctx).sql + ")", "numeric");
+    }
+
+    switch (op) {
+      case "$literal":
+        return value(literal(arg).sql, literal(arg).type);
+      case "$add":
+        return this.addExpr(args, ctx);
+      case "$subtract":
+        return this.subtractExpr(args, ctx);
+      case "$multiply":
+        return value("(" + args.map(item => this.numeric(item, ctx)).join(" * ") + ")", "numeric");
+      case "$divide": {
+        const left = this.expr(args[0], ctx);
+        const leftSql = ["numeric", "double precision"].includes(left.type) ? left.sql
+          : left.type === "jsontext" ? castJsonText(left.sql, "numeric") : left.sql + "::numeric";
+        return value("(" + leftSql + " / " + this.numeric(args[1], ctx) + ")", "numeric");
+      }
+      case "$mod":
+        return value("MOD(" + this.numeric(args[0], ctx) + ", " + this.numeric(args[1], ctx) + ")", "numeric");
+      case "$round":
+      case "$trunc": {
+        const number = this.expr(args[0], ctx);
+        const numberSql = number.type === "numeric" || number.type === "int" ? number.sql : "(" + number.sql + ")::numeric";
+        return value((op === "$round" ? "ROUND(" : "TRUNC(") + numberSql + (args.length > 1 ? ", " + this.expr(args[1], ctx).sql : "") + ")", "numeric");
+      }
+      case "$concat":
+        return value("(" + args.map(item => this.text(item, ctx)).join(" || ") + ")", "text");
+      case "$substr":
+      case "$substrCP":
+      case "$substrBytes": {
+        const start = args[1];
+        return value("SUBSTRING(" + this.text(args[0], ctx) + " FROM " +
+          (typeof start === "number" ? start + 1 : this.expr(start, ctx).sql + " + 1") + " FOR " + this.expr(args[2], ctx).sql + ")", "text");
+      }
+      case "$trim":
+      case "$ltrim":
+      case "$rtrim":
+        return value({ $trim: "BTRIM", $ltrim: "LTRIM", $rtrim: "RTRIM" }[op] + "(" + this.text(arg.input, ctx) +
+          (arg.chars !== undefined ? ", " + this.expr(arg.chars, ctx).sql : "") + ")", "text");
+      case "$indexOfCP":
+        return value("(STRPOS(" + this.text(args[0], ctx) + ", " + this.text(args[1], ctx) + ") - 1)", "int");
+      case "$split":
+        return { kind: "list", sql: "STRING_TO_ARRAY(" + this.text(args[0], ctx) + ", " + this.expr(args[1], ctx).sql + ")" };
+      case "$toObjectId":
+        return this.operand(args[0], ctx);
+      case "$convert":
+        if (!CASTS["$to" + String(arg.to).replace(/^./, ch => ch.toUpperCase())]) throw new UnsupportedMqlError("$convert to " + arg.to);
+        return this.operator("$to" + String(arg.to).replace(/^./, ch => ch.toUpperCase()), arg.input, ctx);
+      case "$and":
+      case "$or":
+        return value("(" + args.map(item => this.condition(item, ctx)).join(op === "$and" ? " AND " : " OR ") + ")", "boolean");
+      case "$not":
+        return value("NOT " + this.condition(args[0], ctx), "boolean");
+      case "$in":
+        return value(this.inExpr(args[0], args[1], ctx), "boolean");
+      case "$cond": {
+        const [test, then, otherwise] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+        const thenSql = this.expr(then, ctx);
+        return value("CASE WHEN " + this.condition(test, ctx) + " THEN " + thenSql.sql + " ELSE " +
+          this.expr(otherwise, ctx).sql + " END", thenSql.type);
+      }
+      case "$switch": {
+        const branches = arg.branches.map(branch => "WHEN " + this.condition(branch.case, ctx) + " THEN " + this.expr(branch.then, ctx).sql);
+        return value("CASE " + branches.join(" ") + (arg.default !== undefined ? " ELSE " + this.expr(arg.default, ctx).sql : "") + " END", null);
+      }
+      case "$ifNull": {
+        const first = this.operand(args[0], ctx);
+        const fallback = args[args.length - 1];
+        if (["array", "elements", "filtered", "mapped"].includes(first.kind) && Array.isArray(fallback) && fallback.length === 0) {
+          return first;
+        }
+        const parts = args.map(item => this.expr(item, ctx));
+        return value("COALESCE(" + parts.map(part => part.sql).join(", ") + ")", parts[0].type);
+      }
+      case "$dayOfWeek":
+        return value("(EXTRACT(DOW FROM " + this.expr(isPlainObject(arg) && arg.date !== undefined ? arg.date : args[0], ctx).sql + ") + 1)", "numeric");
+      case "$dateToString":
+        if (arg.timezone !== undefined) throw new UnsupportedMqlError("$dateToString with a timezone");
+        return value("to_char(" + this.expr(arg.date, ctx).sql + ", " + sqlString(dateFormat(arg.format || "%Y-%m-%dT%H:%M:%S.%LZ")) + ")", "text");
+      case "$dateTrunc":
+        if (arg.binSize !== undefined && arg.binSize !== 1) throw new UnsupportedMqlError("$dateTrunc with a binSize");
+        if (arg.unit === "week") this.warn("$dateTrunc weeks start on Sunday in MongoDB and on Monday in date_trunc()");
+        return value("date_trunc(" + sqlString(arg.unit) + ", " + this.expr(arg.date, ctx).sql + ")", "timestamptz");
+      case "$dateAdd":
+      case "$dateSubtract":
+        return value("(" + this.expr(arg.startDate, ctx).sql + (op === "$dateAdd" ? " + " : " - ") +
+          this.numeric(arg.amount, ctx) + " * INTERVAL " + sqlString("1 " + arg.unit) + ")", "timestamptz");
+      case "$dateDiff":
+        return value(this.dateDiff(arg, ctx), "numeric");
+      case "$dateFromString":
+        return value(this.expr(arg.dateString, ctx).sql + "::timestamptz", "timestamptz");
+      case "$size":
+        return value(this.sizeExpr(args[0], ctx), "int");
+      case "$arrayElemAt":
+        return this.elementAt(args[0], args[1], ctx);
+      case "$first":
+      case "$last":
+        return this.elementAt(args[0], op === "$first" ? 0 : -1, ctx);
+      case "$sum":
+      case "$avg":
+      case "$min":
+      case "$max":
+        return this.arrayAggregate(op, args, ctx);
+      case "$concatArrays":
+      case "$setUnion":
+      case "$setIntersection":
+      case "$setDifference":
+        return this.rowsOperation(op, args.map(item => this.operand(item, ctx)));
+      case "$filter":
+        return { kind: "filtered", array: this.arrayOperand(arg.input, ctx), as: arg.as || "this", cond: arg.cond, vars: ctx.vars };
+      case "$map":
+        return { kind: "mapped", array: this.arrayOperand(arg.input, ctx), as: arg.as || "this", in: arg.in, vars: ctx.vars };
+      default:
+        throw new UnsupportedMqlError(op);
+    }
+  }
+
+  condition(value, ctx) {
+    const result = this.expr(value, ctx);
+    return result.type === "jsontext" ? castJsonText(result.sql, "boolean") : result.sql;
+  }
+
+  compareExpr(operator, leftValue, rightValue, ctx) {
+    let left = this.expr(leftValue, ctx);
+    let right = this.expr(rightValue, ctx);
+    if (left.type === "jsontext" && right.type !== "jsontext") left = { sql: castJsonText(left.sql, right.type), type: right.type };
+    if (right.type === "jsontext" && left.type !== "jsontext") right = { sql: castJsonText(right.sql, left.type), type: left.type };
+    if (right.sql === "NULL" || left.sql === "NULL") {
+      const other = right.sql === "NULL" ? left : right;
+      if (operator === "=") return other.sql + " IS NULL";
+      if (operator === "<>") return other.sql + " IS NOT NULL";
+    }
+    if (operator === "<>") return left.sql + " IS DISTINCT FROM " + right.sql;
+    return left.sql + " " + operator + " " + right.sql;
+  }
+
+  inExpr(needle, haystack, ctx) {
+    const left = this.expr(needle, ctx);
+    if (Array.isArray(haystack)) return left.sql + " IN (" + haystack.map(item => this.expr(item, ctx).sql).join(", ") + ")";
+    const list = this.operand(haystack, ctx);
+    if (list.kind === "elements" || list.kind === "array") {
+      const node = list.kind === "elements" ? list.array : list;
+      return left.sql + " IN " + this.arraySubquery(node, inner =>
+        this.scalar(list.kind === "elements" ? inner.shape.resolve(list.rest) : { kind: "doc", shape: inner.shape }).sql);
+    }
+    return left.sql + " = ANY(" + this.scalar(list).sql + ")";
+  }
+
+  addExpr(args, ctx) {
+    const parts = args.map(item => this.expr(item, ctx));
+    const date = parts.find(part => part.type === "timestamptz");
+    if (!date) {
+      return { kind: "value", sql: "(" + parts.map((part, i) => part.type === "jsontext" ? this.numeric(args[i], ctx) : part.sql).join(" + ") + ")", type: "numeric" };
+    }
+    const offsets = parts.filter(part => part !== date).map((part, i) => this.intervalSql(part, args[parts.indexOf(part)]));
+    return { kind: "value", sql: "(" + [date.sql].concat(offsets).join(" + ") + ")", type: "timestamptz" };
+  }
+
+  subtractExpr(args, ctx) {
+    const left = this.expr(args[0], ctx);
+    const right = this.expr(args[1], ctx);
+    if (left.type === "timestamptz" && right.type === "timestamptz") {
+      return { kind: "value", sql: "(EXTRACT(EPOCH FROM (" + left.sql + " - " + right.sql + ")) * 1000)", type: "numeric" };
+    }
+    if (left.type === "timestamptz") {
+      return { kind: "value", sql: "(" + left.sql + " - " + this.intervalSql(right, args[1]) + ")", type: "timestamptz" };
+    }
+    return { kind: "value", sql: "(" + this.numeric(args[0], ctx) + " - " + this.numeric(args[1], ctx) + ")", type: "numeric" };
+  }
+
+  // Milliseconds as an interval
+  intervalSql(part, raw) {
+    if (typeof raw === "number") return nowSql(raw).replace(/^now\(\) [-+] /, "");
+    return "(" + part.sql + ") * INTERVAL '1 millisecond'";
+  }
+
+  dateDiff(arg, ctx) {
+    const start = this.expr(arg.startDate, ctx).sql;
+    const end = this.expr(arg.endDate, ctx).sql;
+    const unit = arg.unit;
+    if (["year", "quarter", "month"].includes(unit)) {
+      const years = "(EXTRACT(YEAR FROM " + end + ") - EXTRACT(YEAR FROM " + start + "))";
+      if (unit === "year") return years;
+      const months = "(" + years + " * 12 + EXTRACT(MONTH FROM " + end + ") - EXTRACT(MONTH FROM " + start + "))";
+      return unit === "month" ? months : "FLOOR(" + months + " / 3)";
+    }
+    const seconds = { week: 604800, day: 86400, hour: 3600, minute: 60, second: 1, millisecond: 0.001 }[unit];
+    if (!seconds) throw new UnsupportedMqlError("$dateDiff unit " + unit);
+    if (unit === "week") this.warn("$dateDiff weeks are counted from Sunday in MongoDB and from Monday in date_trunc()");
+    const truncate = sql => unit === "millisecond" ? sql : "date_trunc(" + sqlString(unit) + ", " + sql + ")";
+    return "FLOOR(EXTRACT(EPOCH FROM (" + truncate(end) + " - " + truncate(start) + ")) / " + seconds + ")";
+  }
+
+  // The array behind an operand, for $size, $filter, $map, ...
+  arrayOperand(value, ctx) {
+    const node = this.operand(value, ctx);
+    if (["array", "filtered", "mapped", "list", "json", "rows", "rowValues"].includes(node.kind)) return node;
+    if (node.kind === "value" && node.sql.startsWith("ARRAY[")) return { kind: "list", sql: node.sql };
+    throw new UnsupportedMqlError("array expression " + JSON.stringify(value));
+  }
+
+  sizeExpr(value, ctx) {
+    const node = this.arrayOperand(value, ctx);
+    switch (node.kind) {
+      case "array":
+        if (node.joined && node.unique) return "(CASE WHEN " + node.joined + ".id IS NULL THEN 0 ELSE 1 END)";
+        return this.arraySubquery(node, () => "COUNT(*)");
+      case "filtered":
+        return this.collectionSubquery(node, "count");
+      case "mapped":
+        return this.arraySubquery(node.array, () => "COUNT(*)");
+      case "list":
+        if (node.countSql) return node.countSql;
+        return node.json ? "jsonb_array_length(" + node.sql + ")" : "CARDINALITY(" + node.sql + ")";
+      case "rows":
+      case "rowValues":
+        return "(SELECT COUNT(*) FROM (\n" + indent(this.rowsOf(node).sql) + "\n) r" + (++this.subqueries) + ")";
+      default:
+        return "jsonb_array_length(" + jsonValueSql(node) + ")";
+    }
+  }
+
+  elementAt(arrayValue, index, ctx) {
+    if (typeof index !== "number") throw new UnsupportedMqlError("$arrayElemAt with a computed index");
+    const node = this.operand(arrayValue, ctx);
+    if (["elements", "array", "filtered"].includes(node.kind)) {
+      if (index !== 0 && index !== -1) throw new UnsupportedMqlError("$arrayElemAt beyond the first or last element");
+      const array = node.kind === "array" ? node : node.array;
+      const options = { ordered: true, descending: index === -1, limit: 1 };
+      if (node.kind === "filtered") Object.assign(options, { as: node.as, vars: node.vars, filter: ctx => this.condition(node.cond, ctx) });
+      if (node.kind === "elements") {
+        let type = null;
+        const select = inner => {
+          const value = this.scalar(inner.shape.resolve(node.rest));
+          type = value.type;
+          return value.sql;
+        };
+        const sql = this.arraySubquery(array, select, options);
+        return { kind: "value", sql: sql, type: type };
+      }
+      // A whole element: a JSONB object whose fields keep their column types
+      const types = {};
+      const sql = this.arraySubquery(array, inner => {
+        inner.shape.entries.forEach((entry, key) => { if (entry.kind === "value") types[key] = entry.type; });
+        return array.element ? this.scalar(inner.shape.entries.get("__value")).sql : this.jsonObject(inner.shape);
+      }, options);
+      return array.element ? { kind: "value", sql: sql, type: types.__value } : { kind: "json", sql: sql, keys: [], types: types };
+    }
+    if (node.kind === "rowValues") {
+      if (index !== 0) throw new UnsupportedMqlError("$arrayElemAt beyond the first element of a subquery");
+      const rows = this.rowsOf(node);
+      const alias = "r" + (++this.subqueries);
+      return { kind: "value", sql: "(SELECT " + alias + ".value FROM (\n" + indent(rows.sql) + "\n) " + alias + " LIMIT 1)", type: rows.columns[0][1] };
+    }
+    if (node.kind === "list") {
+      return { kind: "value", sql: "(" + node.sql + ")[" + (index < 0 ? "CARDINALITY(" + node.sql + ") + " + (index + 1) : index + 1) + "]", type: null };
+    }
+    if (node.kind === "json") return { kind: "json", sql: node.sql, keys: node.keys.concat(String(index)) };
+    if (node.kind === "value" || node.kind === "missing") return node;
+    throw new UnsupportedMqlError("$arrayElemAt on " + JSON.stringify(arrayValue));
+  }
+
+  // ----- subquery results ($facet, $lookup with a pipeline) ---------------
+
+  /**
+   * The rows of a level as a node: the rendered SELECT and its columns.
+   *
+   * @returns {{ kind: "rows", sql: string, columns: Array<[string, string|null]>, scalar: boolean }}
+   */
+  rowsNode(level) {
+    const items = this.selectItems(level);
+    return {
+      kind: "rows",
+      sql: this.renderSelect(level, { items: items }),
+      columns: items.map(item => [item.name, this.scalar(item.node).type]),
+      scalar: false,
+      level: level
+    };
+  }
+
+  // A rows node, or the values of one field of one ("$facet_name.field")
+  rowsOf(node) {
+    if (node.kind === "rows") return node;
+    const column = node.rows.columns.find(([name]) => name === node.rest);
+    if (!column) throw new UnsupportedMqlError("$" + node.rest + " of a subquery", "The subquery has no " + node.rest + " field");
+    const level = node.rows.level;
+    let sql;
+    if (level) {
+      const value = level.shape.resolve(node.rest);
+      sql = this.renderSelect(level, { items: [{ name: "value", node: value, sql: this.scalar(value).sql }] });
+    } else {
+      const alias = "r" + (++this.subqueries);
+      sql = "SELECT " + alias + "." + quoteName(node.rest) + " AS value\nFROM (\n" + indent(node.rows.sql) + "\n) " + alias;
+    }
+    return {
+      kind: "rows",
+      sql: sql,
+      columns: [["value", column[1]]],
+      scalar: true
+    };
+  }
+
+  // $concatArrays / set operators over subquery results → UNION ALL,
+  // UNION, INTERSECT, EXCEPT
+  rowsOperation(op, nodes) {
+    if (!nodes.every(node => node.kind === "rows" || node.kind === "rowValues")) {
+      throw new UnsupportedMqlError(op, op + " is only supported on $facet and $lookup results");
+    }
+    const parts = nodes.map(node => this.rowsOf(node));
+    const names = parts[0].columns.map(([name]) => name).join();
+    if (!parts.every(part => part.columns.map(([name]) => name).join() === names)) {
+      throw new UnsupportedMqlError(op + " of arrays with different fields");
+    }
+    const keyword = { $concatArrays: "UNION ALL", $setUnion: "UNION", $setIntersection: "INTERSECT", $setDifference: "EXCEPT" }[op];
+    if (op !== "$concatArrays" && !parts[0].scalar) this.warn(op + " compares whole rows, including _id");
+    return {
+      kind: "rows",
+      sql: parts.map(part => /\n(ORDER BY|LIMIT) /.test(part.sql) ? "(" + part.sql + ")" : part.sql).join("\n" + keyword + "\n"),
+      columns: parts[0].columns,
+      scalar: parts[0].scalar
+    };
+  }
+
+  // $sum / $avg / $min / $max as expressions: over an array, or over the
+  // arguments
+  arrayAggregate(op, args, ctx) {
+    if (args.length === 1) {
+      const node = this.operand(args[0], ctx);
+      if (node.kind === "elements") {
+        const select = inner => ACCUMULATORS[op] + "(" + this.scalar(inner.shape.resolve(node.rest)).sql + ")";
+        const sql = this.arraySubquery(node.array, select);
+        return { kind: "value", sql: op === "$sum" ? "COALESCE(" + sql + ", 0)" : sql, type: "numeric" };
+      }
+      if (node.kind === "list") {
+        const sql = "(SELECT " + ACCUMULATORS[op] + "(v) FROM UNNEST(" + node.sql + ") AS v)";
+        return { kind: "value", sql: op === "$sum" ? "COALESCE(" + sql + ", 0)" : sql, type: "numeric" };
+      }
+      return node;
+    }
+    const parts = args.map(item => this.numeric(item, ctx));
+    switch (op) {
+      case "$sum": return { kind: "value", sql: "(" + parts.map(part => "COALESCE(" + part + ", 0)").join(" + ") + ")", type: "numeric" };
+      case "$avg": return { kind: "value", sql: "((" + parts.join(" + ") + ") / " + parts.length + ".0)", type: "numeric" };
+      case "$min": return { kind: "value", sql: "LEAST(" + parts.join(", ") + ")", type: "numeric" };
+      default: return { kind: "value", sql: "GREATEST(" + parts.join(", ") + ")", type: "numeric" };
+    }
+  }
+
+  // ----- query filters ------------------------------------------------------
+
+  /**
+   * A query filter as a SQL condition, or null when it matches everything.
+   *
+   * @param {Object} query
+   * @param {Shape} shape
+   * @returns {string|null}
+   */
+  filter(query, shape) {
+    const parts = [];
+    for (const [key, value] of Object.entries(query || {})) {
+      if (key === "$and" || key === "$or" || key === "$nor") {
+        const branches = value.map(branch => this.filter(branch, shape) || "TRUE");
+        if (key === "$and") parts.push(...branches);
+        else if (key === "$or") {
+          parts.push(branches.length === 1 ? branches[0]
+            : "(" + branches.map(branch => / AND /.test(branch) ? "(" + branch + ")" : branch).join(" OR ") + ")");
+        }
+        else parts.push("NOT (" + branches.join(" OR ") + ")");
+      } else if (key === "$expr") {
+        parts.push(this.condition(value, { shape: shape, vars: new Map() }));
+      } else if (key === "$comment") {
+        continue;
+      } else if (key.startsWith("$")) {
+        throw new UnsupportedMqlError(key);
+      } else {
+        parts.push(this.fieldFilter(key, value, shape));
+      }
+    }
+    const conditions = parts.filter(part => part !== "TRUE");
+    if (conditions.length === 0) return null;
+    return conditions.map(part => /\bOR\b/.test(part) && !/^\(.*\)$/.test(part) && !part.startsWith("NOT ") ? "(" + part + ")" : part)
+      .join(" AND ");
+  }
+
+  fieldFilter(fieldPath, condition, shape) {
+    const node = shape.resolve(fieldPath);
+    if (node.kind === "elements") {
+      if (node.array.joined && node.array.unique) return this.fieldFilter(node.rest, condition, node.array.joinedShape);
+      return this.elementsFilter(node.array, inner => this.fieldFilter(node.rest, inner.condition, inner.shape), condition);
+    }
+    if (node.kind === "array") return this.arrayFilter(node, condition);
+    if (node === MISSING) this.warn("No column holds " + fieldPath + "; it reads as NULL");
+    if (node.kind === "json" && node.column) {
+      const arrayPath = (JSON_ARRAYS[node.table] || []).map(jsonPath => jsonPath.split(".")).find(parts =>
+        parts[0] === node.column && parts.length - 1 <= node.keys.length && parts.slice(1).every((key, i) => node.keys[i] === key));
+      if (arrayPath) return this.jsonArrayFilter(node, arrayPath.length - 1, condition);
+    }
+
+    const operand = this.scalar(node);
+    if (isOperatorObject(condition) && !isSpecialValue(condition)) {
+      const parts = [];
+      for (const [op, value] of Object.entries(condition)) {
+        if (op === "$options") continue;
+        const part = this.operatorCondition(op, value, operand, condition);
+        if (!parts.includes(part)) parts.push(part);
+      }
+      return parts.join(" AND ");
+    }
+    return this.operatorCondition("$eq", condition, operand, {});
+  }
+
+  // $ne / $nin / $not on an array hold when no element matches: the
+  // condition an element must not match, or null for a positive condition
+  negatedCondition(condition) {
+    if (!isOperatorObject(condition) || !Object.keys(condition).every(op => ["$ne", "$nin", "$not"].includes(op))) return null;
+    const positive = {};
+    Object.entries(condition).forEach(([op, value]) => {
+      if (op === "$ne") positive.$eq = value;
+      else if (op === "$nin") positive.$in = value;
+      else Object.assign(positive, isOperatorObject(value) ? value : { $regex: value });
+    });
+    return positive;
+  }
+
+  // EXISTS over the elements of an array
+  elementsFilter(array, build, condition) {
+    const positive = this.negatedCondition(condition);
+    const exists = "EXISTS " + this.arraySubquery(array, () => "1",
+      { filter: (ctx, source) => build({ shape: source.shape, condition: positive || condition }) });
+    return positive ? "NOT " + exists : exists;
+  }
+
+  // EXISTS over the elements of an array inside a JSONB column
+  // (debtor_snapshot.identifiers); depth is how many of node.keys lead to it
+  jsonArrayFilter(node, depth, condition) {
+    const alias = "e" + (++this.subqueries);
+    const array = { kind: "json", sql: node.sql, keys: node.keys.slice(0, depth) };
+    const rest = node.keys.slice(depth).join(".");
+    // Every path of an element is a key inside its JSON value
+    const shape = new Shape();
+    shape.resolve = fieldPath => ({ kind: "json", sql: alias + ".value", keys: fieldPath.split(".") });
+    const exists = where => "EXISTS (SELECT 1 FROM jsonb_array_elements(" + jsonValueSql(array) + ") AS " + alias + " WHERE " + where + ")";
+
+    if (rest === "") {
+      if (!isPlainObject(condition) || Object.keys(condition).join() !== "$elemMatch") {
+        throw new UnsupportedMqlError("condition on a whole array");
+      }
+      return exists(this.filter(condition.$elemMatch, shape) || "TRUE");
+    }
+    const positive = this.negatedCondition(condition);
+    const sql = exists(this.fieldFilter(rest, positive || condition, shape));
+    return positive ? "NOT " + sql : sql;
+  }
+
+  arrayFilter(node, condition) {
+    if (Array.isArray(condition) && condition.length === 0) return "NOT EXISTS " + this.arraySubquery(node, () => "1");
+    if (node.element && !(isOperatorObject(condition) && ["$elemMatch", "$size", "$exists"].some(op => condition[op] !== undefined))) {
+      return this.elementsFilter(node, inner => this.fieldFilter("__value", inner.condition, inner.shape), condition);
+    }
+    if (!isOperatorObject(condition)) throw new UnsupportedMqlError("equality on a whole array");
+    const parts = [];
+    for (const [op, value] of Object.entries(condition)) {
+      if (op === "$elemMatch") {
+        parts.push("EXISTS " + this.arraySubquery(node, () => "1", {
+          filter: (ctx, source) => isOperatorObject(value)
+            ? this.fieldFilter("__value", value, source.shape) : this.filter(value, source.shape) || "TRUE"
+        }));
+      } else if (op === "$size") {
+        parts.push(this.arraySubquery(node, () => "COUNT(*)") + " = " + value);
+      } else if (op === "$exists") {
+        parts.push(value ? "TRUE" : "FALSE");
+      } else if (op === "$ne" && Array.isArray(value) && value.length === 0) {
+        parts.push("EXISTS " + this.arraySubquery(node, () => "1"));
+      } else if (op === "$not" && isPlainObject(value) && value.$size === 0) {
+        parts.push("EXISTS " + this.arraySubquery(node, () => "1"));
+      } else {
+        throw new UnsupportedMqlError(op + " on a whole array");
+      }
+    }
+    return parts.filter(part => part !== "TRUE").join(" AND ") || "TRUE";
+  }
+
+  operatorCondition(op, value, operand, condition) {
+    const typed = raw => {
+      const lit = literal(raw);
+      if (operand.type === "jsontext") {
+        if (isPlainObject(raw) && !isSpecialValue(raw) || Array.isArray(raw)) return { left: operand.json, right: jsonbSql(raw) };
+        return { left: castJsonText(operand.sql, lit.type), right: lit.sql };
+      }
+      if (operand.type === "jsonb") return { left: operand.sql, right: jsonbSql(raw) };
+      return { left: operand.sql, right: lit.sql };
+    };
+    const text = () => this.isEnum(operand.type) || operand.type === "uuid" ? operand.sql + "::text" : operand.sql;
+
+    switch (op) {
+      case "$eq":
+        if (value === null) return operand.sql + " IS NULL";
+        if (isPlainObject(value) && value.$regularExpression) return this.regexCondition(text(), value.$regularExpression);
+        if (operand.type === "array") return typed(value).right + " = ANY(" + operand.sql + ")";
+        return typed(value).left + " = " + typed(value).right;
+      case "$ne":
+        if (value === null) return operand.sql + " IS NOT NULL";
+        return typed(value).left + " IS DISTINCT FROM " + typed(value).right;
+      case "$gt":
+      case "$gte":
+      case "$lt":
+      case "$lte":
+        return typed(value).left + " " + COMPARISON_OPERATORS[op] + " " + typed(value).right;
+      case "$in":
+      case "$nin": {
+        const values = value.filter(item => item !== null && !(isPlainObject(item) && item.$regularExpression));
+        const regexes = value.filter(item => isPlainObject(item) && item.$regularExpression);
+        const parts = [];
+        if (values.length > 0) parts.push(typed(values[0]).left + " IN (" + values.map(item => typed(item).right).join(", ") + ")");
+        regexes.forEach(item => parts.push(this.regexCondition(text(), item.$regularExpression)));
+        if (value.includes(null)) parts.push(operand.sql + " IS NULL");
+        if (parts.length === 0) return op === "$in" ? "FALSE" : "TRUE";
+        const any = parts.length === 1 ? parts[0] : "(" + parts.join(" OR ") + ")";
+        if (op === "$in") return any;
+        return value.includes(null) ? "NOT " + any : "(" + operand.sql + " IS NULL OR NOT " + (parts.length === 1 ? "(" + any + ")" : any) + ")";
+      }
+      case "$exists":
+        return operand.sql + (value ? " IS NOT NULL" : " IS NULL");
+      case "$regex": {
+        const regex = isPlainObject(value) && value.$regularExpression ? value.$regularExpression
+          : { pattern: String(value), options: condition.$options || "" };
+        return this.regexCondition(text(), regex);
+      }
+      case "$not": {
+        const inner = isPlainObject(value) && value.$regularExpression
+          ? this.regexCondition(text(), value.$regularExpression)
+          : Object.entries(value).filter(([innerOp]) => innerOp !== "$options")
+            .map(([innerOp, innerValue]) => this.operatorCondition(innerOp, innerValue, operand, value)).join(" AND ");
+        return "NOT (" + inner + ")";
+      }
+      case "$size":
+        if (operand.type === "array") return "CARDINALITY(" + operand.sql + ") = " + value;
+        return "jsonb_array_length(" + (operand.json || operand.sql) + ") = " + value;
+      case "$mod":
+        return "MOD(" + castJsonText(operand.sql, operand.type === "jsontext" ? "numeric" : null) + ", " + value[0] + ") = " + value[1];
+      default:
+        throw new UnsupportedMqlError(op);
+    }
+  }
+
+  regexCondition(sql, regex) {
+    const options = regex.options || "";
+    if (/[^i]/.test(options)) throw new UnsupportedMqlError("regular expression option " + options.replace(/i/g, ""));
+    const insensitive = options.includes("i");
+    const like = likePattern(regex.pattern);
+    if (like !== null) return sql + (insensitive ? " ILIKE " : " LIKE ") + sqlString(like);
+    return sql + (insensitive ? " ~* " : " ~ ") + sqlString(regex.pattern);
+  }
+
+  // ----- query levels -------------------------------------------------------
+  // A level is one SELECT being built. Stages add to it until one needs the
+  // result of everything before it (a $match after $limit, a second $group),
+  // which wraps the level as a subquery of the next.
+
+  newLevel(collection) {
+    const alias = this.alias(collection);
+    const shape = this.collectionShape(collection, alias);
+    return {
+      collection: collection,
+      alias: alias,
+      from: collection + " " + alias,
+      joins: [],
+      where: [],
+      groupBy: null,
+      having: [],
+      orderBy: [],
+      limit: null,
+      offset: null,
+      distinct: false,
+      windowed: false,
+      shape: shape,
+      base: new Map(shape.entries)
+    };
+  }
+
+  // A level reading from a subquery (from), or from no table at all (null)
+  derivedLevel(collection, alias, from, shape) {
+    return {
+      collection: collection,
+      alias: alias,
+      from: from,
+      joins: [],
+      where: [],
+      groupBy: null,
+      having: [],
+      orderBy: [],
+      limit: null,
+      offset: null,
+      distinct: false,
+      windowed: false,
+      shape: shape,
+      base: null
+    };
+  }
+
+  limited(level) {
+    return level.limit !== null || level.offset !== null;
+  }
+
+  // Columns a level outputs, in shape order; arrays only when asked for
+  selectItems(level) {
+    const items = [];
+    for (const [name, node] of level.shape.entries) {
+      if (node.kind === "array" && (node.implicit || node.hidden)) continue;
+      items.push({ name: name, node: node, sql: this.scalar(node).sql });
+    }
+    return items;
+  }
+
+  // "p.*" when every column of the source collection is still there as read
+  starColumns(level) {
+    if (!level.base || level.groupBy !== null || level.distinct) return null;
+    for (const [key, node] of level.base) {
+      if (node.kind === "array") continue;
+      if (level.shape.entries.get(key) !== node) return null;
+    }
+    return [...level.shape.entries].filter(([key, node]) => level.base.get(key) !== node);
+  }
+
+  renderSelect(level, options = {}) {
+    let items;
+    let star = null;
+    if (options.items) {
+      items = options.items;
+    } else {
+      const extra = this.starColumns(level);
+      if (extra) {
+        star = level.joins.length === 0 && extra.filter(([, node]) => !(node.kind === "array" && node.implicit)).length === 0
+          ? "*" : level.alias + ".*";
+        items = extra.filter(([, node]) => !(node.kind === "array" && node.implicit))
+          .map(([name, node]) => ({ name: name, node: node, sql: this.scalar(node).sql }));
+      } else {
+        items = this.selectItems(level);
+      }
+    }
+    const rendered = new Set(items.map(item => item.name));
+    const columns = (star ? [star] : []).concat(items.map(item =>
+      item.sql === level.alias + "." + item.name || item.sql.endsWith("." + quoteName(item.name)) && !item.sql.includes("(")
+        ? item.sql : item.sql + " AS " + quoteName(item.name)));
+    if (columns.length === 0) columns.push("1");
+
+    const lines = ["SELECT " + (level.distinct ? "DISTINCT" : "")];
+    if (columns.length === 1 && columns[0].length < 40 && !level.distinct) {
+      lines[0] = "SELECT " + columns[0];
+    } else {
+      lines[0] = lines[0].trimEnd();
+      columns.forEach((column, i) => lines.push(indent(column) + (i < columns.length - 1 ? "," : "")));
+    }
+    if (level.from !== null) lines.push("FROM " + level.from);
+    level.joins.forEach(join => lines.push(join.type + " " + join.table + " ON " + join.on));
+    if (level.where.length > 0) lines.push("WHERE " + level.where.join("\n  AND "));
+    if (level.groupBy !== null && level.groupBy.length > 0) lines.push("GROUP BY " + level.groupBy.join(", "));
+    if (level.having.length > 0) lines.push("HAVING " + level.having.join("\n   AND "));
+    if (level.orderBy.length > 0 && !options.unordered) {
+      lines.push("ORDER BY " + level.orderBy.map(item => {
+        const byName = item.path && rendered.has(item.path) && level.shape.entries.get(item.path) === item.node && !star;
+        return (byName ? quoteName(item.path) : item.sql) + (item.descending ? " DESC" : "");
+      }).join(", "));
+    }
+    if (level.limit !== null) lines.push("LIMIT " + level.limit);
+    if (level.offset !== null) lines.push("OFFSET " + level.offset);
+    return lines.join("\n");
+  }
+
+  // Turns a level into the FROM subquery of a new one
+  wrap(level) {
+    const alias = "q" + (++this.subqueries);
+    const items = [];
+    const shape = new Shape();
+    let hidden = 0;
+    const exportHidden = sql => {
+      const name = "__k" + (++hidden);
+      items.push({ name: name, sql: sql });
+      return alias + "." + name;
+    };
+
+    for (const [name, node] of level.shape.entries) {
+      if (node.kind === "array") {
+        shape.entries.set(name, Object.assign({}, node, { keySql: exportHidden(node.keySql), joined: null, joinedShape: null }));
+        continue;
+      }
+      const sql = this.scalar(node).sql;
+      items.push({ name: name, node: node, sql: sql });
+      const column = alias + "." + quoteName(name);
+      if (node.kind === "json" && node.keys.length === 0 || this.scalar(node).type === "jsonb") {
+        shape.entries.set(name, { kind: "json", sql: column, keys: [] });
+      } else if (node.kind === "list") {
+        shape.entries.set(name, { kind: "list", sql: column, json: node.json });
+      } else {
+        shape.entries.set(name, { kind: "value", sql: column, type: this.scalar(node).type });
+      }
+    }
+
+    const orderBy = level.orderBy.map(item => {
+      const exported = items.find(candidate => candidate.node && candidate.sql === item.sql);
+      const sql = exported ? alias + "." + quoteName(exported.name) : exportHidden(item.sql);
+      return { sql: sql, descending: item.descending, path: exported ? exported.name : null, node: exported ? shape.entries.get(exported.name) : null };
+    });
+    const keepOrder = this.limited(level);
+    const inner = this.renderSelect(level, { items: items, unordered: !keepOrder });
+
+    const next = this.derivedLevel(level.collection, alias, "(\n" + indent(inner) + "\n) " + alias, shape);
+    next.orderBy = orderBy;
+    return next;
+  }
+
+  // ----- pipelines ----------------------------------------------------------
+
+  /**
+   * @param {string} collection
+   * @param {Object[]} stages
+   * @returns {Object} level
+   */
+  pipeline(collection, stages) {
+    let level = this.newLevel(collection);
+    stages.forEach((stage, i) => {
+      const keys = Object.keys(stage);
+      if (keys.length !== 1) throw new UnsupportedMqlError("stage with " + keys.length + " operators");
+      level = keys[0] === "$facet" ? this.facet(collection, stages.slice(0, i), stage.$facet) : this.stage(level, keys[0], stage[keys[0]]);
+    });
+    return level;
+  }
+
+  // One document holding each sub-pipeline's results: a row of subqueries,
+  // each running the stages before the $facet and then its own
+  facet(collection, before, spec) {
+    const shape = new Shape();
+    Object.entries(spec).forEach(([name, stages]) => {
+      shape.entries.set(name, this.rowsNode(this.pipeline(collection, before.concat(stages))));
+    });
+    return this.derivedLevel(collection, null, null, shape);
+  }
+
+  stage(level, name, spec) {
+    const grouped = level.groupBy !== null;
+    const needsWrap = grouped || this.limited(level) || level.windowed || level.distinct;
+    switch (name) {
+      case "$match":
+        return this.match(this.limited(level) || level.windowed || level.distinct ? this.wrap(level) : level, spec);
+      case "$project":
+        return this.project(level, spec, false);
+      case "$addFields":
+      case "$set":
+        return this.project(level, spec, true);
+      case "$unset":
+        return this.project(level, Object.fromEntries((Array.isArray(spec) ? spec : [spec]).map(key => [key, 0])), false);
+      case "$group":
+        return this.group(needsWrap ? this.wrap(level) : level, spec);
+      case "$sort":
+        return this.sort(this.limited(level) ? this.wrap(level) : level, spec);
+      case "$limit":
+        level.limit = level.limit === null ? spec : Math.min(level.limit, spec);
+        return level;
+      case "$skip":
+        if (level.limit !== null) level.limit = Math.max(level.limit - spec, 0);
+        level.offset = (level.offset || 0) + spec;
+        return level;
+      case "$count":
+        return this.count(needsWrap ? this.wrap(level) : level, spec);
+      case "$sortByCount": {
+        const next = this.group(needsWrap ? this.wrap(level) : level, { _id: spec, count: { $sum: 1 } });
+        return this.sort(next, { count: -1 });
+      }
+      case "$unwind":
+        return this.unwind(needsWrap ? this.wrap(level) : level, spec);
+      case "$lookup":
+        return this.lookup(needsWrap ? this.wrap(level) : level, spec);
+      case "$setWindowFields":
+        return this.windowFields(grouped || this.limited(level) || level.distinct ? this.wrap(level) : level, spec);
+      case "$unionWith":
+        return this.unionWith(level, spec);
+      case "$replaceRoot":
+      case "$replaceWith":
+        return this.replaceRoot(level, name === "$replaceRoot" ? spec.newRoot : spec);
+      default:
+        throw new UnsupportedMqlError(name);
+    }
+  }
+
+  match(level, query) {
+    const condition = this.filter(query, level.shape);
+    if (condition) (level.groupBy !== null ? level.having : level.where).push(condition);
+    return level;
+  }
+
+  project(level, spec, adding) {
+    const ctx = { shape: level.shape, vars: new Map() };
+    const flat = [];
+    const flatten = (value, prefix) => {
+      Object.entries(value).forEach(([key, item]) => {
+        const fieldPath = prefix ? prefix + "." + key : key;
+        if (isPlainObject(item) && !isSpecialValue(item) && Object.keys(item).length > 0 &&
+          !Object.keys(item).some(inner => inner.startsWith("$"))) {
+          flatten(item, fieldPath);
+        } else {
+          flat.push([fieldPath, item]);
+        }
+      });
+    };
+    flatten(spec, "");
+
+    const isFlag = item => item === 0 || item === 1 || item === true || item === false;
+    if (!adding && flat.every(([key, item]) => (item === 0 || item === false) || key === "_id" && isFlag(item))) {
+      const shape = level.shape.clone();
+      flat.forEach(([key, item]) => { if (item === 0 || item === false) shape.remove(key); });
+      level.shape = shape;
+      return level;
+    }
+
+    const shape = adding ? level.shape.clone() : new Shape();
+    if (!adding && !flat.some(([key]) => key === "_id") && level.shape.entries.has("_id")) {
+      shape.entries.set("_id", level.shape.entries.get("_id"));
+    }
+    if (!adding && level.shape.under("_id").length > 0 && !flat.some(([key]) => key === "_id")) {
+      level.shape.under("_id").forEach(([key, node]) => shape.entries.set("_id." + key, node));
+    }
+    for (const [key, item] of flat) {
+      if (!adding && (item === 0 || item === false)) {
+        shape.remove(key);
+      } else if (!adding && (item === 1 || item === true)) {
+        this.include(shape, level.shape, key);
+      } else {
+        this.assign(shape, key, this.operand(item, ctx));
+      }
+    }
+    level.shape = shape;
+    return level;
+  }
+
+  // Copies a field (or subdocument) into a projection
+  include(target, source, key) {
+    const node = source.resolve(key);
+    if (node.kind === "doc") {
+      node.shape.entries.forEach((inner, innerKey) => target.entries.set(key + "." + innerKey,
+        inner.kind === "array" ? Object.assign({}, inner, { implicit: false }) : inner));
+    } else if (node.kind === "array") {
+      target.set(key, Object.assign({}, node, { implicit: false }));
+    } else if (node !== MISSING) {
+      target.set(key, node);
+    }
+  }
+
+  assign(shape, key, node) {
+    if (node.kind === "doc") {
+      shape.remove(key);
+      node.shape.entries.forEach((inner, innerKey) => shape.entries.set(key + "." + innerKey, inner));
+    } else if (node.kind === "object") {
+      shape.remove(key);
+      Object.entries(node.fields).forEach(([innerKey, inner]) => this.assign(shape, key + "." + innerKey, inner));
+    } else if (node.kind === "array") {
+      shape.set(key, Object.assign({}, node, { implicit: false }));
+    } else if (node === MISSING) {
+      shape.remove(key);
+    } else {
+      shape.set(key, node);
+    }
+  }
+
+  group(level, spec) {
+    const ctx = { shape: level.shape, vars: new Map() };
+    const shape = new Shape();
+    const groupBy = [];
+    const key = spec._id;
+    if (isPlainObject(key) && !isSpecialValue(key) && !Object.keys(key).some(name => name.startsWith("$"))) {
+      Object.entries(key).forEach(([name, value]) => {
+        const node = this.expr(value, ctx);
+        groupBy.push(node.sql);
+        shape.entries.set("_id." + name, { kind: "value", sql: node.sql, type: node.type });
+      });
+    } else if (key !== null && key !== undefined && !(typeof key !== "string" && !isPlainObject(key))) {
+      const node = this.expr(key, ctx);
+      groupBy.push(node.sql);
+      shape.entries.set("_id", { kind: "value", sql: node.sql, type: node.type });
+    } else {
+      shape.entries.set("_id", { kind: "value", sql: "NULL", type: null });
+    }
+
+    for (const [name, accumulatorSpec] of Object.entries(spec)) {
+      if (name === "_id") continue;
+      const ops = Object.keys(accumulatorSpec || {});
+      if (ops.length !== 1) throw new UnsupportedMqlError("accumulator " + JSON.stringify(ops));
+      shape.entries.set(name, this.accumulator(ops[0], accumulatorSpec[ops[0]], ctx, level.orderBy));
+    }
+
+    level.groupBy = groupBy;
+    level.shape = shape;
+    level.base = null;
+    level.orderBy = [];
+    return level;
+  }
+
+  accumulator(op, arg, ctx, orderBy) {
+    const conditional = this.conditionalArgument(arg, ctx);
+    const filter = conditional ? " FILTER (WHERE " + conditional.condition + ")" : "";
+    const argument = conditional ? conditional.value : arg;
+    switch (op) {
+      case "$sum":
+        if (typeof argument === "number") {
+          return { kind: "value", sql: (argument === 1 ? "COUNT(*)" : "COUNT(*) * " + argument) + filter, type: "int" };
+        }
+        return { kind: "value", sql: "SUM(" + this.numeric(argument, ctx) + ")" + filter, type: "numeric" };
+      case "$count":
+        return { kind: "value", sql: "COUNT(*)", type: "int" };
+      case "$avg":
+      case "$min":
+      case "$max":
+      case "$stdDevPop":
+      case "$stdDevSamp": {
+        const value = this.expr(argument, ctx);
+        const sql = value.type === "jsontext" && op !== "$min" && op !== "$max" ? castJsonText(value.sql, "numeric") : value.sql;
+        return { kind: "value", sql: ACCUMULATORS[op] + "(" + sql + ")" + filter, type: op === "$min" || op === "$max" ? value.type : "numeric" };
+      }
+      case "$first":
+      case "$last": {
+        const value = this.expr(argument, ctx);
+        if (orderBy.length === 0) this.warn(op + " without a preceding $sort takes an arbitrary row of each group");
+        const order = orderBy.length === 0 ? "" : " ORDER BY " + orderBy.map(item =>
+          item.sql + ((op === "$last") !== item.descending ? " DESC" : "")).join(", ");
+        return { kind: "value", sql: "(ARRAY_AGG(" + value.sql + order + "))[1]", type: value.type };
+      }
+      case "$push": {
+        const value = this.operand(argument, ctx);
+        const json = value.kind === "object" || value.kind === "doc";
+        return { kind: "list", sql: (json ? "jsonb_agg(" : "ARRAY_AGG(") + this.scalar(value).sql + ")" + filter, json: json };
+      }
+      case "$addToSet": {
+        const value = this.expr(argument, ctx);
+        return {
+          kind: "list",
+          sql: "ARRAY_AGG(DISTINCT " + value.sql + ")" + filter,
+          countSql: "COUNT(DISTINCT " + value.sql + ")" + filter
+        };
+      }
+      default:
+        throw new UnsupportedMqlError(op + " accumulator");
+    }
+  }
+
+  // { $cond: [test, value, 0 | null] } → value with FILTER (WHERE test)
+  conditionalArgument(arg, ctx) {
+    if (!isPlainObject(arg) || !arg.$cond) return null;
+    const [test, then, otherwise] = Array.isArray(arg.$cond) ? arg.$cond : [arg.$cond.if, arg.$cond.then, arg.$cond.else];
+    if (otherwise !== null && otherwise !== 0 || then === null) return null;
+    if (otherwise === 0 && typeof then !== "number") return null;
+    return { condition: this.condition(test, ctx), value: then };
+  }
+
+  sort(level, spec) {
+    const ctx = { shape: level.shape, vars: new Map() };
+    level.orderBy = Object.entries(spec).map(([key, direction]) => {
+      if (isPlainObject(direction)) throw new UnsupportedMqlError("$sort by " + JSON.stringify(direction));
+      const node = this.operand("$" + key, ctx);
+      if (node.kind === "elements" || node.kind === "array") throw new UnsupportedMqlError("$sort on an array field");
+      return { sql: this.scalar(node).sql, descending: direction < 0, path: key, node: node };
+    });
+    return level;
+  }
+
+  count(level, name) {
+    level.groupBy = [];
+    level.shape = new Shape([[name, { kind: "value", sql: "COUNT(*)", type: "int" }]]);
+    level.base = null;
+    level.orderBy = [];
+    return level;
+  }
+
+  unwind(level, spec) {
+    const options = typeof spec === "string" ? { path: spec } : spec;
+    const field = options.path.replace(/^\$/, "");
+    const preserve = options.preserveNullAndEmptyArrays === true;
+    const node = level.shape.resolve(field);
+
+    if (node.kind === "array") {
+      let elementShape;
+      let index = null;
+      if (node.joined) {
+        const join = level.joins.find(candidate => candidate.alias === node.joined);
+        if (!preserve) join.type = "JOIN";
+        elementShape = node.joinedShape;
+      } else {
+        const source = this.source(node);
+        level.joins.push({ type: preserve ? "LEFT JOIN" : "JOIN", table: source.from, alias: source.alias, on: source.condition });
+        elementShape = source.shape;
+        if (options.includeArrayIndex) index = this.elementIndex(node, source);
+      }
+      level.shape = level.shape.clone();
+      level.shape.remove(field);
+      if (node.element) level.shape.entries.set(field, elementShape.entries.get("__value"));
+      else elementShape.entries.forEach((inner, key) => level.shape.entries.set(field + "." + key, inner));
+      if (options.includeArrayIndex) {
+        if (!index) throw new UnsupportedMqlError("$unwind with includeArrayIndex on " + field);
+        level.shape.set(options.includeArrayIndex, { kind: "value", sql: index, type: "int" });
+      }
+      return level;
+    }
+    if (options.includeArrayIndex) throw new UnsupportedMqlError("$unwind with includeArrayIndex on " + field);
+    if (node.kind === "json") {
+      const alias = "e" + (++this.subqueries);
+      level.joins.push({
+        type: preserve ? "LEFT JOIN LATERAL" : "JOIN LATERAL",
+        table: "jsonb_array_elements(" + jsonValueSql(node) + ") AS " + alias,
+        alias: alias,
+        on: "TRUE"
+      });
+      level.shape = level.shape.clone();
+      level.shape.set(field, { kind: "json", sql: alias + ".value", keys: [] });
+      return level;
+    }
+    if (node.kind === "rows" || node.kind === "rowValues") {
+      const rows = this.rowsOf(node);
+      const alias = "u" + (++this.subqueries);
+      const shape = level.shape.clone();
+      shape.remove(field);
+      rows.columns.forEach(([name, type]) => {
+        const column = alias + "." + quoteName(name);
+        shape.entries.set(rows.scalar ? field : field + "." + name,
+          type === "jsonb" ? { kind: "json", sql: column, keys: [] } : { kind: "value", sql: column, type: type });
+      });
+      const from = "(\n" + indent(rows.sql) + "\n) " + alias;
+      if (level.from === null) return this.derivedLevel(level.collection, alias, from, shape);
+      level.joins.push({ type: preserve ? "LEFT JOIN LATERAL" : "JOIN LATERAL", table: from, alias: alias, on: "TRUE" });
+      level.shape = shape;
+      return level;
+    }
+    if (node.kind === "list") {
+      const alias = "e" + (++this.subqueries);
+      const wrapped = this.wrap(level);
+      const list = wrapped.shape.entries.get(field);
+      wrapped.joins.push({ type: preserve ? "LEFT JOIN LATERAL" : "JOIN LATERAL",
+        table: (list.json ? "jsonb_array_elements(" : "UNNEST(") + list.sql + ") AS " + alias + "(value)", alias: alias, on: "TRUE" });
+      wrapped.shape.set(field, list.json ? { kind: "json", sql: alias + ".value", keys: [] } : { kind: "value", sql: alias + ".value", type: null });
+      return wrapped;
+    }
+    if (node === MISSING) throw new UnsupportedMqlError("$unwind of " + field, "No array holds " + field);
+    return level;
+  }
+
+  // Zero-based position of a joined element in its array
+  elementIndex(node, source) {
+    if (!source.order) return null;
+    const alias = this.alias(node.table);
+    return "(SELECT COUNT(*) FROM " + node.table + " " + alias + " WHERE " + alias + "." + node.foreignColumn + " = " +
+      source.alias + "." + node.foreignColumn + " AND " + alias + "." + node.order + " < " + source.order + ")";
+  }
+
+  lookup(level, spec) {
+    if (spec.pipeline) return this.pipelineLookup(level, spec);
+    const table = spec.from;
+    if (!this.schema.tables[table] || EMBEDDED_TABLES[table]) throw new UnsupportedMqlError("$lookup from " + table);
+    const local = this.operand("$" + spec.localField, { shape: level.shape, vars: new Map() });
+    if (local.kind === "elements" || local.kind === "array") throw new UnsupportedMqlError("$lookup on an array field");
+    const foreignColumn = this.fieldColumns(table).get(spec.foreignField);
+    if (!foreignColumn || this.tableColumns(table)[foreignColumn] === "jsonb") {
+      throw new UnsupportedMqlError("$lookup on " + table + "." + spec.foreignField);
+    }
+
+    const node = {
+      kind: "array", table: table, embedded: false, foreignColumn: foreignColumn, keySql: this.scalar(local).sql,
+      unique: (UNIQUE_COLUMNS[table] || []).includes(foreignColumn), order: null, implicit: false, joined: null
+    };
+    if (node.unique) {
+      const source = this.source(node);
+      level.joins.push({ type: "LEFT JOIN", table: source.from, alias: source.alias, on: source.condition });
+      node.joined = source.alias;
+      node.joinedShape = source.shape;
+    }
+    level.shape = level.shape.clone();
+    level.shape.set(spec.as, node);
+    return level;
+  }
+
+  // $lookup with let / pipeline: a subquery that reads the let variables
+  // from the outer row
+  pipelineLookup(level, spec) {
+    if (spec.localField || spec.foreignField) throw new UnsupportedMqlError("$lookup with both localField and a pipeline");
+    if (!this.schema.tables[spec.from] || EMBEDDED_TABLES[spec.from]) throw new UnsupportedMqlError("$lookup from " + spec.from);
+    const ctx = { shape: level.shape, vars: new Map() };
+    const saved = this.outerVars;
+    this.outerVars = new Map(saved);
+    Object.entries(spec.let || {}).forEach(([name, value]) => this.outerVars.set(name, this.operand(value, ctx)));
+    try {
+      const node = this.rowsNode(this.pipeline(spec.from, spec.pipeline));
+      level.shape = level.shape.clone();
+      level.shape.set(spec.as, node);
+      return level;
+    } finally {
+      this.outerVars = saved;
+    }
+  }
+
+  windowFields(level, spec) {
+    const ctx = { shape: level.shape, vars: new Map() };
+    const partition = spec.partitionBy === undefined ? []
+      : isPlainObject(spec.partitionBy) && !Object.keys(spec.partitionBy).some(key => key.startsWith("$"))
+        ? Object.values(spec.partitionBy).map(value => this.expr(value, ctx).sql)
+        : [this.expr(spec.partitionBy, ctx).sql];
+    const order = Object.entries(spec.sortBy || {}).map(([key, direction]) =>
+      this.expr("$" + key, ctx).sql + (direction < 0 ? " DESC" : ""));
+    const over = frame => "OVER (" + [
+      partition.length > 0 ? "PARTITION BY " + partition.join(", ") : null,
+      order.length > 0 ? "ORDER BY " + order.join(", ") : null,
+      frame
+    ].filter(Boolean).join(" ") + ")";
+
+    const shape = level.shape.clone();
+    for (const [name, output] of Object.entries(spec.output)) {
+      const ops = Object.keys(output).filter(key => key !== "window");
+      if (ops.length !== 1) throw new UnsupportedMqlError("window output " + JSON.stringify(ops));
+      const op = ops[0];
+      const arg = output[op];
+      let call;
+      let ranking = false;
+      let type = "numeric";
+      switch (op) {
+        case "$documentNumber": call = "ROW_NUMBER()"; ranking = true; break;
+        case "$rank": call = "RANK()"; ranking = true; break;
+        case "$denseRank": call = "DENSE_RANK()"; ranking = true; break;
+        case "$shift": {
+          const by = arg.by;
+          const value = this.expr(arg.output, ctx);
+          const args = [value.sql];
+          type = value.type;
+          if (Math.abs(by) !== 1 || arg.default !== undefined && arg.default !== null) args.push(String(Math.abs(by)));
+          if (arg.default !== undefined && arg.default !== null) args.push(this.expr(arg.default, ctx).sql);
+          call = (by < 0 ? "LAG(" : "LEAD(") + args.join(", ") + ")";
+          ranking = true;
+          break;
+        }
+        case "$count": call = "COUNT(*)"; break;
+        case "$first":
+        case "$last": {
+          const value = this.expr(arg, ctx);
+          call = (op === "$first" ? "FIRST_VALUE(" : "LAST_VALUE(") + value.sql + ")";
+          type = value.type;
+          break;
+        }
+        case "$push": call = "ARRAY_AGG(" + this.expr(arg, ctx).sql + ")"; break;
+        case "$addToSet": throw new UnsupportedMqlError("$addToSet window");
+        default:
+          if (!ACCUMULATORS[op]) throw new UnsupportedMqlError(op + " window");
+          call = ACCUMULATORS[op] + "(" + (typeof arg === "number" && op === "$sum" ? String(arg) : this.numeric(arg, ctx)) + ")";
+          if (op === "$min" || op === "$max") type = this.expr(arg, ctx).type;
+      }
+      if (ranking && order.length === 0) throw new UnsupportedMqlError(op + " without sortBy");
+      if (!ranking && !output.window && order.length > 0) {
+        this.warn(name + " has no window, so it covers the whole partition in MongoDB too; " +
+          "window: { documents: [\"unbounded\", \"current\"] } would make it a running value");
+      }
+      const frame = ranking ? null : this.windowFrame(output.window, order.length > 0);
+      shape.set(name, { kind: op === "$push" ? "list" : "value", sql: call + " " + over(frame), type: type });
+    }
+    level.shape = shape;
+    level.windowed = true;
+    return level;
+  }
+
+  windowFrame(window, sorted) {
+    if (!window) return sorted ? "ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING" : null;
+    const bound = (value, lower) => {
+      if (value === "unbounded") return lower ? "UNBOUNDED PRECEDING" : "UNBOUNDED FOLLOWING";
+      if (value === "current" || value === 0) return "CURRENT ROW";
+      const size = Math.abs(value);
+      const amount = window.unit ? "INTERVAL " + sqlString(size + " " + window.unit) : String(size);
+      return amount + (value < 0 ? " PRECEDING" : " FOLLOWING");
+    };
+    const [lower, upper] = window.documents || window.range;
+    return (window.documents ? "ROWS" : "RANGE") + " BETWEEN " + bound(lower, true) + " AND " + bound(upper, false);
+  }
+
+  unionWith(level, spec) {
+    const options = typeof spec === "string" ? { coll: spec, pipeline: [] } : spec;
+    const other = this.pipeline(options.coll, options.pipeline || []);
+    const names = [];
+    const addNames = target => this.selectItems(target).forEach(item => { if (!names.includes(item.name)) names.push(item.name); });
+    addNames(level);
+    addNames(other);
+    const itemsFor = target => {
+      const items = this.selectItems(target);
+      return names.map(name => items.find(item => item.name === name) || { name: name, sql: "NULL" });
+    };
+    const types = new Map();
+    [level, other].forEach(target => this.selectItems(target).forEach(item => {
+      const type = this.scalar(item.node).type;
+      if (!types.has(item.name) && type) types.set(item.name, type);
+    }));
+
+    const alias = "u" + (++this.subqueries);
+    const left = this.renderSelect(level, { items: itemsFor(level), unordered: !this.limited(level) });
+    const right = this.renderSelect(other, { items: itemsFor(other), unordered: !this.limited(other) });
+    const part = sql => this.limited(level) || /\nORDER BY /.test(sql) ? "(" + sql + ")" : sql;
+    const shape = new Shape(names.map(name => [name, types.get(name) === "jsonb"
+      ? { kind: "json", sql: alias + "." + quoteName(name), keys: [] }
+      : { kind: "value", sql: alias + "." + quoteName(name), type: types.get(name) || null }]));
+    return this.derivedLevel(level.collection, alias, "(\n" + indent(part(left) + "\nUNION ALL\n" + part(right)) + "\n) " + alias, shape);
+  }
+
+  replaceRoot(level, newRoot) {
+    const node = this.operand(newRoot, { shape: level.shape, vars: new Map() });
+    const shape = new Shape();
+    if (node.kind === "doc") {
+      node.shape.entries.forEach((inner, key) => shape.entries.set(key, inner));
+    } else if (node.kind === "object") {
+      Object.entries(node.fields).forEach(([key, inner]) => this.assign(shape, key, inner));
+    } else {
+      throw new UnsupportedMqlError("$replaceRoot with " + JSON.stringify(newRoot));
+    }
+    level.shape = shape;
+    level.base = null;
+    return level;
+  }
+
+  // ----- reads --------------------------------------------------------------
+
+  find(call) {
+    const [query, projection] = call.args;
+    const stages = [];
+    if (query && Object.keys(query).length > 0) stages.push({ $match: query });
+    let sort = null;
+    let skip = null;
+    let limit = call.method === "findOne" ? 1 : null;
+    let counting = false;
+    for (const cursor of call.cursor) {
+      const [arg] = cursor.args;
+      switch (cursor.name) {
+        case "sort": sort = arg; break;
+        case "skip": skip = arg; break;
+        case "limit": if (arg) limit = arg; break;
+        case "count": case "itcount": counting = true; break;
+        case "projection": call.args[1] = arg; break;
+        case "toArray": case "pretty": case "forEach": case "hint": case "batchSize": case "maxTimeMS": break;
+        default: throw new UnsupportedMqlError("." + cursor.name + "()");
+      }
+    }
+    if (sort) stages.push({ $sort: sort });
+    if (skip) stages.push({ $skip: skip });
+    if (limit !== null) stages.push({ $limit: limit });
+    const fields = call.args[1] || projection;
+    if (counting) {
+      stages.push({ $count: "count" });
+    } else if (fields && Object.keys(fields).length > 0) {
+      Object.values(fields).forEach(value => {
+        if (isPlainObject(value) && (value.$slice !== undefined || value.$elemMatch)) throw new UnsupportedMqlError("projection " + Object.keys(value)[0]);
+      });
+      stages.push({ $project: fields });
+    }
+    return this.pipeline(call.collection, stages);
+  }
+
+  countDocuments(call) {
+    const [query, options] = call.args;
+    const stages = query && Object.keys(query).length > 0 ? [{ $match: query }] : [];
+    if (options && options.skip) stages.push({ $skip: options.skip });
+    if (options && options.limit) stages.push({ $limit: options.limit });
+    stages.push({ $count: "count" });
+    return this.pipeline(call.collection, stages);
+  }
+
+  distinct(call) {
+    const [field, query] = call.args;
+    const level = this.pipeline(call.collection, query && Object.keys(query).length > 0 ? [{ $match: query }] : []);
+    const node = level.shape.resolve(field);
+    let value;
+    if (node.kind === "elements") {
+      const unwound = this.unwind(level, "$" + field.slice(0, field.length - node.rest.length - 1));
+      value = unwound.shape.resolve(field);
+    } else if (node.kind === "array") {
+      throw new UnsupportedMqlError("distinct on a whole array");
+    } else {
+      value = node;
+    }
+    level.shape = new Shape([[field, value]]);
+    level.base = null;
+    level.distinct = true;
+    return level;
+  }
+
+  // ----- writes -------------------------------------------------------------
+
+  // WHERE for statements on a collection's table, with the table aliased.
+  // A single-document write without a unique filter captures its row once,
+  // lowest id first, in a CTE that capturedTarget() puts in front
+  writeTarget(collection, query, one) {
+    const alias = this.alias(collection);
+    const shape = this.collectionShape(collection, alias);
+    const condition = this.filter(query, shape);
+    const literalId = query && Object.keys(query).length === 1 && query._id !== undefined &&
+      (isSpecialValue(query._id) || typeof query._id !== "object") ? literal(query._id).sql : null;
+    const unique = Object.entries(query || {}).some(([key, value]) => {
+      const node = shape.resolve(key);
+      return node.kind === "value" && (UNIQUE_COLUMNS[collection] || []).includes(node.column) &&
+        (!isOperatorObject(value) || isSpecialValue(value) || Object.keys(value).length === 1 && value.$eq !== undefined);
+    });
+    let where = condition;
+    let ids = "SELECT " + alias + ".id FROM " + collection + " " + alias + (condition ? " WHERE " + condition : "");
+    let capture = null;
+    if (one && !unique) {
+      capture = { name: "target_" + collection.replace(/ies$/, "y").replace(/s$/, ""), sql: ids + " ORDER BY " + alias + ".id LIMIT 1" };
+      ids = "SELECT id FROM " + capture.name;
+      where = alias + ".id = (" + ids + ")";
+      this.warn("MongoDB writes the first matching document in natural order; the SQL takes the one with the lowest id");
+    }
+    return {
+      alias: alias,
+      shape: shape,
+      where: where,
+      table: collection + " " + alias,
+      capture: capture,
+      // parent key condition for child-table statements
+      parentCondition: column => literalId ? column + " = " + literalId
+        : where === null ? null : column + " IN (" + ids + ")"
+    };
+  }
+
+  // The statements of a write with their captured target: inlined into a
+  // single statement, or one WITH statement whose CTEs share the row
+  capturedTarget(target, statements, method) {
+    if (!target.capture) return statements;
+    const { name, sql } = target.capture;
+    if (statements.length === 1) return [statements[0].split("(SELECT id FROM " + name + ")").join("(" + sql + ")")];
+
+    const tables = statements.map(statement => statement.match(/^(DELETE FROM|INSERT INTO|UPDATE)\s+(\w+)/));
+    const names = tables.map(([, verb, table]) => ({ "DELETE FROM": "deleted_", "INSERT INTO": "inserted_", "UPDATE": "updated_" })[verb] + table);
+    const twice = tables.find(([, , table], i) => tables.findIndex(other => other[2] === table) !== i);
+    if (twice) {
+      throw new UnsupportedMqlError(method + " changing " + twice[2] + " twice",
+        method + " without a unique filter would change " + twice[2] + " twice in one statement");
+    }
+    const ctes = ["WITH " + name + " AS (\n" + indent(sql) + "\n)"];
+    statements.slice(0, -1).forEach((statement, i) => ctes.push(", " + names[i] + " AS (\n" + indent(statement) + "\n)"));
+    return [ctes.join("\n") + "\n" + statements[statements.length - 1]];
+  }
+
+  // Column and value for one element of an embedded array
+  elementRow(table, element, ctx) {
+    const columns = this.elementColumns(table);
+    const types = this.tableColumns(table);
+    const row = [];
+    const used = new Set();
+    for (const [fieldPath, column] of columns) {
+      let value = element;
+      for (const key of fieldPath.split(".")) value = isPlainObject(value) && !isSpecialValue(value) ? value[key] : undefined;
+      if (value === undefined) continue;
+      used.add(fieldPath);
+      row.push([column, this.valueSql(value, types[column], ctx)]);
+    }
+    const leaves = (value, prefix) => isPlainObject(value) && !isSpecialValue(value) && !Object.keys(value).some(key => key.startsWith("$"))
+      ? [].concat(...Object.entries(value).map(([key, inner]) => leaves(inner, prefix ? prefix + "." + key : key)))
+      : [prefix];
+    leaves(element, "").forEach(leaf => {
+      if (![...used].some(fieldPath => leaf === fieldPath || leaf.startsWith(fieldPath + "."))) {
+        this.warn("No column of " + table + " holds " + leaf + "; it is not stored");
+      }
+    });
+    return row;
+  }
+
+  // A value written to a column of the given type
+  valueSql(value, type, ctx) {
+    if (ctx && (typeof value === "string" && value.startsWith("$") || isOperatorObject(value) && !isSpecialValue(value))) {
+      const result = this.expr(value, ctx);
+      return type === "jsonb" && result.type !== "jsonb" ? "to_jsonb(" + result.sql + ")" : result.sql;
+    }
+    if (type === "jsonb") return jsonbSql(value);
+    if (isPlainObject(value) && !isSpecialValue(value)) throw new UnsupportedMqlError("document value for a " + type + " column");
+    return literal(value).sql;
+  }
+
+  insertChildren(table, elements, parentKey, target, ctx) {
+    const embedded = EMBEDDED_TABLES[table];
+    return elements.map(element => {
+      const row = this.elementRow(table, element, ctx);
+      const columns = [embedded.parentKey].concat(row.map(([column]) => column));
+      const literalParent = /^'[^']*'$/.test(parentKey);
+      if (literalParent && !ctx) {
+        return "INSERT INTO " + table + " (" + columns.join(", ") + ")\nVALUES (" + [parentKey].concat(row.map(([, sql]) => sql)).join(", ") + ")";
+      }
+      return "INSERT INTO " + table + " (" + columns.join(", ") + ")\nSELECT " +
+        [target.alias + ".id"].concat(row.map(([, sql]) => sql)).join(", ") +
+        "\nFROM " + target.table + (target.where ? "\nWHERE " + target.where : "");
+    });
+  }
+
+  update(call) {
+    const [query, update, options] = call.args;
+    if (options && options.upsert) throw new UnsupportedMqlError("upsert");
+    const one = call.method === "updateOne" || call.method === "findOneAndUpdate";
+    const target = this.writeTarget(call.collection, query, one);
+    const before = [];
+    const assignments = new Map();
+    const positional = new Map();
+
+    const assign = (fieldPath, sqlFor) => {
+      const node = target.shape.resolve(fieldPath);
+      if (node.kind === "value" && node.column) {
+        assignments.set(node.column, sqlFor({ current: node.sql, type: node.type }));
+      } else if (node.kind === "json") {
+        const column = node.column || target.shape.entries.get(fieldPath.split(".").slice(0, -node.keys.length).join(".")).column;
+        const current = assignments.has(column) ? assignments.get(column) : node.sql;
+        if (node.keys.length === 0) {
+          assignments.set(column, sqlFor({ current: node.sql, type: "jsonb" }));
+        } else {
+          const value = sqlFor({ current: jsonTextSql(node), type: "jsontext", json: true });
+          assignments.set(column, value === null ? current + " #- " + sqlString("{" + node.keys.join(",") + "}")
+            : "jsonb_set(" + current + ", " + sqlString("{" + node.keys.join(",") + "}") + ", " + value + ")");
+        }
+      } else if (node.kind === "doc") {
+        throw new UnsupportedMqlError("setting subdocument " + fieldPath);
+      } else {
+        throw new UnsupportedMqlError("updating " + fieldPath, "No column holds " + fieldPath);
+      }
+    };
+    const valueFor = (value, ctx) => column => {
+      if (column.json) return isPlainObject(value) && (isSpecialValue(value) && value.$now === undefined) ? jsonbSql(value)
+        : ctx && (typeof value === "string" && value.startsWith("$") || isOperatorObject(value) && !isSpecialValue(value))
+          ? "to_jsonb(" + this.expr(value, ctx).sql + ")" : jsonbSql(value);
+      return this.valueSql(value, column.type, ctx);
+    };
+
+    if (Array.isArray(update)) {
+      this.updatePipeline(update, call, target, before, assign, valueFor);
+    } else {
+      for (const [op, fields] of Object.entries(update)) {
+        for (const [fieldPath, value] of Object.entries(fields)) {
+          if (fieldPath.includes(".$")) {
+            this.positionalUpdate(op, fieldPath, value, query, target, options, positional);
+            continue;
+          }
+          const arrayNode = target.shape.resolve(fieldPath.split(".")[0]);
+          if (arrayNode.kind === "array") {
+            before.push(...this.arrayUpdate(op, fieldPath, value, arrayNode, target));
+            continue;
+          }
+          switch (op) {
+            case "$set": assign(fieldPath, valueFor(value, null)); break;
+            case "$unset": assign(fieldPath, column => column.json ? null : "NULL"); break;
+            case "$inc":
+              assign(fieldPath, column => column.json
+                ? "to_jsonb(COALESCE((" + column.current + ")::numeric, 0) + " + literal(value).sql + ")"
+                : column.current + " + " + literal(value).sql);
+              break;
+            case "$mul": assign(fieldPath, column => column.current + " * " + literal(value).sql); break;
+            case "$min": assign(fieldPath, column => "LEAST(" + column.current + ", " + literal(value).sql + ")"); break;
+            case "$max": assign(fieldPath, column => "GREATEST(" + column.current + ", " + literal(value).sql + ")"); break;
+            case "$currentDate": assign(fieldPath, column => column.json ? "to_jsonb(now())" : "now()"); break;
+            case "$setOnInsert": break;
+            default: throw new UnsupportedMqlError(op);
+          }
+        }
+      }
+    }
+
+    const statements = before.slice();
+    positional.forEach(update => {
+      const set = [...update.sets].map(([column, sql]) => column + " = " + sql);
+      statements.push("UPDATE " + update.table + "\nSET " + set.join(",\n    ") +
+        (update.where.length > 0 ? "\nWHERE " + update.where.join("\n  AND ") : ""));
+    });
+    if (assignments.size > 0) {
+      const set = [...assignments].map(([column, sql]) => column + " = " + sql);
+      statements.push("UPDATE " + target.table + "\nSET " + set.join(",\n    ") + (target.where ? "\nWHERE " + target.where : ""));
+    }
+    if (statements.length === 0) throw new UnsupportedMqlError("update with no effect");
+    return this.capturedTarget(target, statements, call.method);
+  }
+
+  // $push / $pull / whole-array $set on an embedded array
+  arrayUpdate(op, fieldPath, value, node, target) {
+    if (node.element && fieldPath === fieldPath.split(".")[0]) return [this.referenceUpdate(op, fieldPath, value, node, target)];
+    if (!node.embedded || fieldPath !== fieldPath.split(".")[0]) throw new UnsupportedMqlError(op + " on " + fieldPath);
+    const table = node.table;
+    const parentKey = EMBEDDED_TABLES[table].parentKey;
+    switch (op) {
+      case "$push": {
+        if (isPlainObject(value) && Object.keys(value).some(key => key.startsWith("$") && key !== "$each")) {
+          throw new UnsupportedMqlError("$push with " + Object.keys(value).filter(key => key !== "$each").join(", "));
+        }
+        const elements = isPlainObject(value) && value.$each ? value.$each : [value];
+        return this.insertChildren(table, elements, target.parentCondition("x").replace(/^x = /, ""), target, null);
+      }
+      case "$pull": {
+        const alias = this.alias(table);
+        const shape = this.elementShape(node, alias);
+        const condition = isOperatorObject(value) ? null : this.filter(value, shape);
+        if (!condition) throw new UnsupportedMqlError("$pull with " + JSON.stringify(value));
+        const parent = target.parentCondition(alias + "." + parentKey);
+        return ["DELETE FROM " + table + " " + alias + "\nWHERE " + [parent, condition].filter(Boolean).join("\n  AND ")];
+      }
+      case "$set": {
+        if (!Array.isArray(value)) throw new UnsupportedMqlError("$set of " + fieldPath + " to a non-array");
+        const alias = this.alias(table);
+        const parent = target.parentCondition(alias + "." + parentKey);
+        return ["DELETE FROM " + table + " " + alias + (parent ? "\nWHERE " + parent : "")]
+          .concat(this.insertChildren(table, value, target.parentCondition("x").replace(/^x = /, ""), target, null));
+      }
+      case "$unset": {
+        const alias = this.alias(table);
+        const parent = target.parentCondition(alias + "." + parentKey);
+        return ["DELETE FROM " + table + " " + alias + (parent ? "\nWHERE " + parent : "")];
+      }
+      default:
+        throw new UnsupportedMqlError(op + " on " + fieldPath);
+    }
+  }
+
+  // $push / $addToSet onto payment_ids: the pushed rows reference the
+  // document from then on
+  referenceUpdate(op, fieldPath, value, node, target) {
+    if (op === "$pull" || op === "$pullAll" || op === "$unset" || op === "$set") {
+      throw new UnsupportedMqlError(op + " on " + fieldPath, op + " on " + fieldPath + " would leave " + node.table + " without a " +
+        node.foreignColumn + ", which is NOT NULL; move the rows to another document instead");
+    }
+    if (op !== "$push" && op !== "$addToSet") throw new UnsupportedMqlError(op + " on " + fieldPath);
+    const parent = target.parentCondition("x");
+    if (!/^x = '/.test(parent)) throw new UnsupportedMqlError(op + " on " + fieldPath + " without an _id filter");
+    const ids = isPlainObject(value) && value.$each ? value.$each : [value];
+    const alias = this.alias(node.table);
+    this.warn("Adding to " + fieldPath + " sets " + node.table + "." + node.foreignColumn + ", which moves the rows out of the document they were in");
+    return "UPDATE " + node.table + " " + alias + "\nSET " + node.foreignColumn + " = " + parent.slice(4) +
+      "\nWHERE " + alias + "." + node.element + (ids.length === 1 ? " = " + literal(ids[0]).sql
+        : " IN (" + ids.map(id => literal(id).sql).join(", ") + ")");
+  }
+
+  // "route_steps.$.field": the elements the filter (or arrayFilters) matched
+  positionalUpdate(op, fieldPath, value, query, target, options, updates) {
+    const match = fieldPath.match(/^([\w]+)\.\$(\[(\w*)\])?\.(.+)$/);
+    if (!match) throw new UnsupportedMqlError("positional update of " + fieldPath);
+    const [, arrayField, positional, identifier, rest] = match;
+    const key = arrayField + ".$" + (positional || "");
+    if (!updates.has(key)) updates.set(key, this.positionalTarget(arrayField, positional, identifier, query, target, options));
+    const update = updates.get(key);
+
+    const columnNode = update.shape.resolve(rest);
+    if (columnNode.kind === "value" && columnNode.column) {
+      const column = columnNode.column;
+      if (op === "$set") update.sets.set(column, this.valueSql(value, columnNode.type, null));
+      else if (op === "$inc") update.sets.set(column, column + " + " + literal(value).sql);
+      else if (op === "$unset") update.sets.set(column, "NULL");
+      else throw new UnsupportedMqlError(op + " on " + fieldPath);
+    } else if (columnNode.kind === "json" && columnNode.keys.length > 0 && op === "$set") {
+      const column = columnNode.column;
+      const current = update.sets.has(column) ? update.sets.get(column) : column;
+      update.sets.set(column, "jsonb_set(" + current + ", " + sqlString("{" + columnNode.keys.join(",") + "}") + ", " + jsonbSql(value) + ")");
+    } else if (columnNode.kind === "json" && columnNode.keys.length > 0) {
+      throw new UnsupportedMqlError(op + " on " + fieldPath);
+    } else {
+      throw new UnsupportedMqlError("updating " + fieldPath, "No column holds " + fieldPath);
+    }
+  }
+
+  // The child rows a positional path addresses: those matching the query's
+  // conditions on the array ($) or the arrayFilters ($[name]); $[] is all
+  positionalTarget(arrayField, positional, identifier, query, target, options) {
+    const node = target.shape.resolve(arrayField);
+    if (node.kind !== "array" || !node.embedded) throw new UnsupportedMqlError("positional update of " + arrayField);
+    const table = node.table;
+    const alias = this.alias(table);
+    const shape = this.elementShape(node, alias);
+
+    const conditions = [];
+    if (positional === undefined) {
+      Object.entries(query || {}).forEach(([key, condition]) => {
+        if (key.startsWith(arrayField + ".")) conditions.push(this.fieldFilter(key.slice(arrayField.length + 1), condition, shape));
+        else if (key === arrayField && isPlainObject(condition) && condition.$elemMatch) conditions.push(this.filter(condition.$elemMatch, shape));
+      });
+      this.warn("MongoDB's $ updates the first matching " + arrayField + " element; the UPDATE changes every matching row");
+    } else if (identifier) {
+      const filters = (options && options.arrayFilters) || [];
+      filters.forEach(arrayFilter => Object.entries(arrayFilter).forEach(([key, condition]) => {
+        if (key.startsWith(identifier + ".")) conditions.push(this.fieldFilter(key.slice(identifier.length + 1), condition, shape));
+      }));
+    }
+
+    const parentQuery = Object.fromEntries(Object.entries(query || {}).filter(([key]) => key !== arrayField && !key.startsWith(arrayField + ".")));
+    const parentTarget = this.writeTarget(target.table.split(" ")[0], parentQuery, false);
+    const parent = parentTarget.parentCondition(alias + "." + EMBEDDED_TABLES[table].parentKey);
+    return {
+      table: table + " " + alias,
+      shape: shape,
+      where: [parent].concat(conditions).filter(Boolean),
+      sets: new Map()
+    };
+  }
+
+  // Update pipelines: $set / $addFields / $unset stages evaluated on the
+  // row; $concatArrays onto an embedded array inserts child rows
+  updatePipeline(stages, call, target, before, assign, valueFor) {
+    let shape = target.shape.clone();
+    const appended = [];
+    for (const stage of stages) {
+      const [name] = Object.keys(stage);
+      const spec = stage[name];
+      const ctx = { shape: shape, vars: new Map() };
+      if (name === "$set" || name === "$addFields") {
+        const next = shape.clone();
+        for (const [key, value] of Object.entries(spec)) {
+          const current = shape.resolve(key);
+          if (current.kind === "array" && isPlainObject(value) && value.$concatArrays) {
+            const [head, ...tails] = value.$concatArrays;
+            if (head !== "$" + key) throw new UnsupportedMqlError("$concatArrays that does not start with $" + key);
+            tails.forEach(tail => {
+              if (!Array.isArray(tail)) throw new UnsupportedMqlError("$concatArrays with " + JSON.stringify(tail));
+              appended.push(...this.insertChildren(current.table, tail, null, target, ctx));
+            });
+          } else {
+            this.assign(next, key, Object.assign({ assigned: true }, this.operand(value, ctx)));
+            next.entries.get(key) && (next.entries.get(key).assigned = true);
+          }
+        }
+        shape = next;
+      } else if (name === "$unset") {
+        (Array.isArray(spec) ? spec : [spec]).forEach(key => shape.remove(key));
+      } else {
+        throw new UnsupportedMqlError(name + " in an update pipeline");
+      }
+    }
+    before.push(...appended);
+    for (const [key, node] of shape.entries) {
+      if (target.shape.entries.get(key) === node) continue;
+      if (!target.shape.entries.has(key) && !target.shape.resolve(key).kind.match(/json/)) {
+        this.warn("No column holds " + key + "; it is not stored");
+        continue;
+      }
+      assign(key, column => column.json ? "to_jsonb(" + this.scalar(node).sql + ")" : this.scalar(node).sql);
+    }
+  }
+
+  delete(call) {
+    const [query] = call.args;
+    const target = this.writeTarget(call.collection, query, call.method === "deleteOne" || call.method === "findOneAndDelete");
+    const statements = Object.values(ARRAY_FIELDS[call.collection] || {}).map(table => {
+      const alias = this.alias(table);
+      const parent = target.parentCondition(alias + "." + EMBEDDED_TABLES[table].parentKey);
+      return "DELETE FROM " + table + " " + alias + (parent ? "\nWHERE " + parent : "");
+    });
+    statements.push("DELETE FROM " + target.table + (target.where ? "\nWHERE " + target.where : ""));
+    return this.capturedTarget(target, statements, call.method);
+  }
+
+  insert(call) {
+    const documents = call.method === "insertMany" ? call.args[0] : [call.args[0]];
+    const collection = call.collection;
+    const types = this.tableColumns(collection);
+    const arrays = ARRAY_FIELDS[collection] || {};
+    const statements = [];
+    documents.forEach(document => {
+      const row = [];
+      const used = new Set(Object.keys(arrays));
+      Object.keys(REFERENCE_ARRAYS[collection] || {}).forEach(field => {
+        const reference = REFERENCE_ARRAYS[collection][field];
+        used.add(field);
+        if (Array.isArray(document[field]) && document[field].length > 0) {
+          this.warn(field + " is not stored: " + reference.table + "." + reference.foreignColumn + " links rows to the " +
+            collection.replace(/s$/, "") + " when they are inserted");
+        }
+      });
+      for (const [fieldPath, column] of this.fieldColumns(collection)) {
+        let value = document;
+        for (const key of fieldPath.split(".")) value = isPlainObject(value) && !isSpecialValue(value) ? value[key] : undefined;
+        if (value === undefined) continue;
+        used.add(fieldPath);
+        row.push([column, this.valueSql(value, types[column], null)]);
+      }
+      Object.keys(document).forEach(key => {
+        if (![...used].some(fieldPath => fieldPath === key || fieldPath.startsWith(key + "."))) {
+          this.warn("No column of " + collection + " holds " + key + "; it is not stored");
+        }
+      });
+      const children = Object.entries(arrays).filter(([field]) => Array.isArray(document[field]) && document[field].length > 0);
+      const insert = "INSERT INTO " + collection + " (" + row.map(([column]) => column).join(", ") + ")\nVALUES (" +
+        row.map(([, sql]) => sql).join(", ") + ")";
+      if (children.length === 0) {
+        statements.push(insert);
+      } else if (document._id) {
+        statements.push(insert);
+        const parentKey = literal(document._id).sql;
+        children.forEach(([field, table]) => statements.push(...this.insertChildren(table, document[field], parentKey, null, null)));
+      } else {
+        const name = "new_" + collection.replace(/ies$/, "y").replace(/s$/, "");
+        const parts = children.map(([field, table]) => {
+          const embedded = EMBEDDED_TABLES[table];
+          return document[field].map(element => {
+            const elementRow = this.elementRow(table, element, null);
+            return "INSERT INTO " + table + " (" + [embedded.parentKey].concat(elementRow.map(([column]) => column)).join(", ") +
+              ")\nSELECT id, " + elementRow.map(([, sql]) => sql).join(", ") + " FROM " + name;
+          });
+        });
+        const inserts = [].concat(...parts);
+        const ctes = ["WITH " + name + " AS (\n" + indent(insert + "\nRETURNING id") + "\n)"];
+        inserts.slice(0, -1).forEach((sql, i) => ctes.push(", " + name + "_" + (i + 1) + " AS (\n" + indent(sql) + "\n)"));
+        statements.push(ctes.join("\n") + "\n" + inserts[inserts.length - 1]);
+      }
+    });
+    return statements;
+  }
+
+  // ----- calls --------------------------------------------------------------
+
+  /** @returns {string[]} statements */
+  call(call) {
+    switch (call.method) {
+      case "find":
+      case "findOne":
+        return [this.renderSelect(this.find(call))];
+      case "countDocuments":
+      case "estimatedDocumentCount":
+      case "count":
+        return [this.renderSelect(this.countDocuments(call))];
+      case "distinct":
+        return [this.renderSelect(this.distinct(call))];
+      case "aggregate":
+        if (!Array.isArray(call.args[0])) throw new UnsupportedMqlError("aggregate without a pipeline array");
+        return [this.renderSelect(this.pipeline(call.collection, call.args[0]))];
+      case "updateOne":
+      case "updateMany":
+        return this.update(call);
+      case "deleteOne":
+      case "deleteMany":
+        return this.delete(call);
+      case "insertOne":
+      case "insertMany":
+        return this.insert(call);
+      default:
+        throw new UnsupportedMqlError(call.method + "()");
+    }
+  }
+}
+
+/**
+ * Translates one mongosh collection call.
+ *
+ * @param {string|import("./shell_parser").ShellCall} source  call text, or an
+ *                                                           already parsed call
+ * @param {Object} [options]
+ * @param {Object} [options.schema]  see tools/sql_to_mql.js loadSchema()
+ * @returns {SqlTranslation}
+ * @throws {UnsupportedMqlError|ShellSyntaxError}
+ */
+function translateMql(source, options = {}) {
+  const call = typeof source === "string" ? parseShellCall(source) : source;
+  if (!call) throw new UnsupportedMqlError("statement", "Not a db.<collection>.<method>(...) call");
+  if (!loadSchema().tables[call.collection] && !options.schema) {
+    throw new UnsupportedMqlError("collection " + call.collection, "No table for collection " + call.collection);
+  }
+  const translator = new Translator(options);
+  const statements = translator.call(call);
+  const script = statements.map(statement => statement + ";").join("\n\n");
+  return {
+    collection: call.collection,
+    method: call.method,
+    statements: statements,
+    sql: statements.length > 1 ? "BEGIN;\n\n" + script + "\n\nCOMMIT;" : script,
+    warnings: translator.warnings
+  };
+}
+
+/**
+ * The translation with the call's comments and the warnings as SQL comments.
+ *
+ * @param {SqlTranslation} translation
+ * @param {string[]} [comments]  comment lines, without "//"
+ * @returns {string}
+ */
+function formatTranslation(translation, comments = []) {
+  return comments.map(line => "-- " + line)
+    .concat(translation.warnings.map(warning => "-- Note: " + warning), translation.sql)
+    .join("\n");
+}
+
+// ============================================================================
+// SAMPLES
+// ============================================================================
+
+function describeFailure(error) {
+  if (error instanceof UnsupportedMqlError || error instanceof ShellSyntaxError) return error.message;
+  throw error;
+}
+
+/**
+ * Translates one sample's Mongo_Db_query.txt and, with options.write, saves
+ * it as the sample's Postgres_query.txt when it has none; with options.check,
+ * runs both on the fixture dataset.
+ *
+ * @param {import("./sample_loader").TrainingSample} sample
+ * @param {Object} [options]
+ * @param {boolean} [options.write]
+ * @param {boolean} [options.check]
+ * @param {string} [options.dbName]
+ * @param {string} [options.mongoContainer]
+ * @param {string} [options.postgresContainer]
+ * @returns {SampleTranslation}
+ */
+function translateSample(sample, options = {}) {
+  if (!sample.mongoQuery) return { sample: sample.id, status: "SKIP", detail: "no Mongo_Db_query.txt" };
+  let translation;
+  let comments;
+  try {
+    const found = lastShellCall(sample.mongoQuery);
+    if (!found.call) return { sample: sample.id, status: "SKIP", detail: "Mongo_Db_query.txt calls no collection method" };
+    comments = [].concat(...found.statement.commentBlocks);
+    translation = translateMql(found.call);
+  } catch (error) {
+    return { sample: sample.id, status: "UNSUPPORTED", detail: describeFailure(error) };
+  }
+
+  if (options.check) {
+    const result = verifyEquivalence({ id: sample.id, postgresQuery: translation.sql, mongoQuery: sample.mongoQuery }, {
+      dbName: options.dbName || "payment_db_translations",
+      mongoContainer: options.mongoContainer,
+      postgresContainer: options.postgresContainer
+    });
+    return { sample: sample.id, status: result.status, detail: result.detail, translation: translation };
+  }
+  if (options.write && !sample.postgresQuery) {
+    fs.writeFileSync(path.join(sample.dir, SAMPLE_PARTS.postgresQuery), formatTranslation(translation, comments) + "\n");
+    return { sample: sample.id, status: "WRITTEN", detail: null, translation: translation };
+  }
+  return { sample: sample.id, status: "TRANSLATED", detail: null, translation: translation };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = {
+    call: null, file: null, samples: null, only: null, write: false, check: false, show: false,
+    dbName: undefined, mongoContainer: null, postgresContainer: null, json: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--file": args.file = argv[++i]; break;
+      case "--samples":
+        args.samples = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : SAMPLES_DIR;
+        break;
+      case "--only": args.only = argv[++i].split(","); break;
+      case "--write": args.write = true; break;
+      case "--check": args.check = true; break;
+      case "--show": args.show = true; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--docker":
+        args.mongoContainer = "payment_mongodb";
+        args.postgresContainer = "payment_postgres";
+        break;
+      case "--json": args.json = true; break;
+      default:
+        if (argv[i].startsWith("--") || args.call !== null) throw new Error("Unknown argument: " + argv[i]);
+        args.call = argv[i];
+    }
+  }
+  if ([args.call, args.file, args.samples].filter(value => value !== null).length !== 1) {
+    throw new Error("Pass one of: a mongosh call, --file <crud|advanced|path>, --samples [dir]");
+  }
+  if ((args.check || args.write) && !args.samples) throw new Error("--check and --write need --samples");
+  if (args.check && args.write) throw new Error("--check and --write cannot be combined");
+  if (args.check && args.dbName === sharedDatabase()) {
+    throw new Error("--db must name a scratch database, not " + args.dbName);
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.call !== null) {
+    try {
+      const translation = translateMql(args.call.trim().replace(/;$/, ""));
+      console.log(args.json ? JSON.stringify(translation, null, 2) : translation.sql);
+      translation.warnings.forEach(warning => console.error("note: " + warning));
+      return 0;
+    } catch (error) {
+      console.error("✗ " + describeFailure(error));
+      return 1;
+    }
+  }
+
+  if (args.file !== null) {
+    const results = [];
+    const lines = [];
+    for (const snippet of loadSnippets([args.file])) {
+      const calls = [];
+      let failure = null;
+      try {
+        for (const statement of splitStatements(snippet.code)) {
+          const call = parseShellCall(statement.code);
+          if (call) calls.push(call);
+          else if (/\bdb\s*\.\s*\w+\s*\.\s*\w+\s*\(/.test(statement.code) || !/^(use\b|db\s*=)/.test(statement.code)) {
+            throw new UnsupportedMqlError("statement", "Not a db.<collection>.<method>(...) call: " +
+              statement.code.split("\n")[0].slice(0, 60));
+          }
+        }
+      } catch (error) {
+        failure = describeFailure(error);
+      }
+      if (calls.length === 0 && failure === null) continue;
+
+      const comments = [snippet.title].concat(snippet.notes).map(line => "-- " + line);
+      const translations = [];
+      if (failure === null) {
+        try {
+          calls.forEach(call => translations.push(translateMql(call)));
+        } catch (error) {
+          failure = describeFailure(error);
+        }
+      }
+      if (failure === null) {
+        results.push({ snippet: snippet.id, line: snippet.line, translations: translations });
+        lines.push(...comments, ...translations.map(translation => formatTranslation(translation)), "");
+      } else {
+        results.push({ snippet: snippet.id, line: snippet.line, error: failure });
+        lines.push(...comments, "-- Not translated (" + snippet.file + ":" + snippet.line + "): " + failure, "");
+      }
+    }
+    const failed = results.filter(result => result.error).length;
+    console.log(args.json ? JSON.stringify(results, null, 2) : lines.join("\n"));
+    console.error((failed === 0 ? "✓ " : "✗ ") + (results.length - failed) + " of " + results.length + " examples translated");
+    return failed === 0 ? 0 : 1;
+  }
+
+  const samples = loadSamples(args.samples).samples.filter(sample => !args.only || args.only.includes(sample.id));
+  const results = samples.map(sample => {
+    const result = translateSample(sample, {
+      write: args.write, check: args.check, dbName: args.dbName,
+      mongoContainer: args.mongoContainer, postgresContainer: args.postgresContainer
+    });
+    if (!args.json) {
+      console.log(STATUS_SYMBOLS[result.status] + " " + result.sample + "  " + result.status +
+        (result.detail ? "  " + result.detail : ""));
+      if (args.show && result.translation) console.log(formatTranslation(result.translation).replace(/^/gm, "    "));
+    }
+    return result;
+  });
+
+  const counts = {};
+  results.forEach(result => { counts[result.status] = (counts[result.status] || 0) + 1; });
+  if (args.json) {
+    console.log(JSON.stringify({ counts: counts, results: results }, null, 2));
+  } else {
+    console.log("");
+    console.log(Object.entries(counts).map(([status, count]) => count + " " + status).join(", "));
+  }
+  return (counts.DIFFERENT || 0) + (counts.ERROR || 0) === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  UnsupportedMqlError,
+  translateMql,
+  formatTranslation,
+  translateSample
+};
@@ -0,0 +1,451 @@
+// ============================================================================
+// Near-Duplicate Sample Finder
+// ============================================================================
+// Finds samples that ask for (nearly) the same query, across the training
+// samples, the titled examples of mongodb_crud_operations.js and
+// advanced_mongodb_queries.js (see tools/snippets.js), and any further
+// sample folders such as generated or extracted ones (--samples).
+//
+// Each query is reduced to a normalized syntax tree: mongosh calls through
+// tools/shell_parser.js, SELECT statements through tools/sql_parser.js.
+// Literal values become their type, object keys are sorted and SQL aliases
+// dropped, so these two normalize to the same tree:
+//
+//   db.payments.updateOne({ payment_ref: "PMT-1" }, { $set: { current_state: "SETTLED" } })
+//   db.payments.updateOne({ payment_ref: "PMT-2" }, { $set: { current_state: "FAILED" } })
+//
+// Field references such as "$amount" are kept. Statements the parsers do not
+// accept (variables, sessions, INSERT, DDL) fall back to their token sequence
+// with literals masked. Queries are compared by the overlap of their tree
+// paths (Jaccard, per engine, the higher engine counts), descriptions by the
+// share of the shorter one's content words found in the other.
+//
+// A pair is a near-duplicate when the queries are equal after normalization,
+// or when the query similarity reaches --query and the text similarity
+// reaches --text. Clusters are built around the items most worth keeping (a
+// hand-written training sample over a generated or paraphrased one, over a
+// script example): each keeps one item and recommends dropping the items
+// paired with it directly, so A ~ B and B ~ C do not drop C next to A.
+//
+// Paraphrase variants share their source's query on purpose. A variant whose
+// source is in the corpus is not compared on its own; it goes with its
+// source, kept when the source is kept and dropped when it is dropped.
+//
+// Usage:
+//   node tools/near_duplicates.js [--samples dir ...] [--no-scripts] [--json]
+//   node tools/near_duplicates.js --query 0.8 --text 0.4
+//
+// Options:
+//   --samples dir    sample folders to include (repeatable, default: training_samples)
+//   --no-scripts     leave out the examples of the two mongosh script files
+//   --query n        query similarity threshold (default 0.7)
+//   --text n         description similarity threshold (default 0.6)
+// ============================================================================
+
+const path = require("path");
+const { SAMPLES_DIR, loadSamples } = require("./sample_loader");
+const { loadSnippets } = require("./snippets");
+const { splitStatements } = require("./js_statements");
+const { splitSqlStatements, stripSqlComments } = require("./sql_statements");
+const { parseShellCall } = require("./shell_parser");
+const { parseSql } = require("./sql_parser");
+
+const DEFAULT_THRESHOLDS = { query: 0.7, text: 0.6 };
+
+// Rank of an item's origin in keep/drop decisions, lowest kept first
+const ORIGIN_RANK = { sample: 0, generated: 1, paraphrase: 2, annotation: 3, snippet: 4 };
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "each", "for", "from", "i", "in", "is", "it", "me",
+  "of", "on", "or", "show", "that", "the", "their", "them", "this", "to", "want", "we", "with", "all",
+  "get", "list", "find", "give", "see", "display", "return"
+]);
+
+/**
+ * @typedef {Object} CorpusItem
+ * @property {string} id             "Example_13", "generated/Example_04" or
+ *                                   "mongodb_crud_operations.js:<snippet id>"
+ * @property {"sample"|"generated"|"paraphrase"|"annotation"|"snippet"} origin
+ * @property {string|null} text      description, annotation or title
+ * @property {string|null} mongoQuery
+ * @property {string|null} postgresQuery
+ * @property {string|null} paraphraseOf  id of the item this one rewords
+ * @property {number} order          position in the corpus, for ties
+ */
+
+/**
+ * @typedef {Object} QueryShape
+ * @property {string} canonical      normalized statements, comparable as text
+ * @property {Set<string>} paths     leaf paths of the normalized trees
+ */
+
+/**
+ * @typedef {Object} DuplicatePair
+ * @property {string} a
+ * @property {string} b
+ * @property {number} query          query similarity, 0-1
+ * @property {number|null} text      description similarity, null without both texts
+ * @property {boolean} identical     queries equal after normalization
+ */
+
+// ============================================================================
+// CORPUS
+// ============================================================================
+
+/**
+ * Collects the items to compare.
+ *
+ * @param {{ samples?: string[], scripts?: boolean }} [options]
+ * @returns {CorpusItem[]}
+ */
+function loadCorpus(options = {}) {
+  const dirs = options.samples || [SAMPLES_DIR];
+  const items = [];
+
+  dirs.forEach(dir => {
+    const prefix = dirs.length > 1 || path.resolve(dir) !== SAMPLES_DIR ? path.basename(dir) + "/" : "";
+    loadSamples(dir).samples.forEach(sample => items.push({
+      id: prefix + sample.id,
+      origin: sample.paraphraseOf ? "paraphrase" : sample.template ? "generated" : "sample",
+      text: sample.text,
+      mongoQuery: sample.mongoQuery,
+      postgresQuery: sample.postgresQuery,
+      paraphraseOf: sample.paraphraseOf ? prefix + sample.paraphraseOf : null,
+      order: items.length
+    }));
+  });
+
+  if (options.scripts !== false) {
+    loadSnippets().forEach(snippet => {
+      const lines = [snippet.title].concat(snippet.notes);
+      const question = lines.find(line => /^Natural Language:/i.test(line));
+      items.push({
+        id: snippet.file + ":" + snippet.id,
+        origin: question ? "annotation" : "snippet",
+        text: question ? question.replace(/^Natural Language:\s*/i, "").replace(/^"|"$/g, "") : snippet.title,
+        mongoQuery: snippet.code,
+        postgresQuery: null,
+        paraphraseOf: null,
+        order: items.length
+      });
+    });
+  }
+
+  return items;
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+// Extended JSON wrappers from shell_parser.js stand for one typed literal
+const EJSON_TYPES = {
+  $oid: "objectId", $date: "date", $numberDecimal: "decimal", $numberLong: "long",
+  $regularExpression: "regex", $now: "date"
+};
+
+function mongoShape(value, literals) {
+  if (Array.isArray(value)) return value.map(item => mongoShape(item, literals));
+  if (value === null) return "<null>";
+  if (typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && EJSON_TYPES[keys[0]]) {
+      return "<" + EJSON_TYPES[keys[0]] + (literals ? ":" + JSON.stringify(value[keys[0]]) : "") + ">";
+    }
+    const shape = {};
+    keys.sort().forEach(key => { shape[key] = mongoShape(value[key], literals); });
+    return shape;
+  }
+  if (literals || (typeof value === "string" && /^\$\$?[A-Za-z_]/.test(value))) return value;
+  return "<" + typeof value + ">";
+}
+
+function sqlShape(node, literals) {
+  if (Array.isArray(node)) return node.map(item => sqlShape(item, literals));
+  if (node === null || typeof node !== "object") return node;
+  if (node.type === "literal") return "<" + node.kind + (literals ? ":" + node.value : "") + ">";
+  if (node.type === "column") return { type: "column", name: node.name };
+  if (node.type === "star") return { type: "star" };
+  const shape = {};
+  Object.keys(node).sort().filter(key => key !== "alias").forEach(key => { shape[key] = sqlShape(node[key], literals); });
+  return shape;
+}
+
+// Token sequence with literals masked, for statements the parsers reject
+function tokenShape(code, literals) {
+  return (code.replace(/\/\/[^\n]*|\/\*[\s\S]*?\*\//g, " ").match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.|'')*'|\d+(?:\.\d+)?|[A-Za-z_$][\w$]*|[^\s\w]/g) || [])
+    .map(token => /^["'\d]/.test(token) ? (literals ? token : "?") : token.toLowerCase());
+}
+
+function leafPaths(value, prefix, paths) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => leafPaths(item, prefix + "/" + index, paths));
+  } else if (value !== null && typeof value === "object") {
+    Object.keys(value).forEach(key => leafPaths(value[key], prefix + "/" + key, paths));
+  } else {
+    paths.add(prefix + "=" + value);
+  }
+  return paths;
+}
+
+function shapeOf(statements, parse, literals) {
+  const canonical = [];
+  const paths = new Set();
+  statements.forEach(code => {
+    let shape = null;
+    try {
+      shape = parse(code);
+    } catch (err) {
+      shape = null;
+    }
+    if (shape) {
+      canonical.push(JSON.stringify(shape));
+      leafPaths(shape, "", paths);
+    } else {
+      const tokens = tokenShape(code, literals);
+      if (tokens.length === 0) return;
+      canonical.push(tokens.join(" "));
+      tokens.forEach((token, position) => {
+        if (position > 0) paths.add("~" + tokens[position - 1] + " " + token);
+      });
+    }
+  });
+  return canonical.length > 0 ? { canonical: canonical.join("\n"), paths: paths } : null;
+}
+
+/**
+ * Normalized form of a mongosh script, one tree per collection call.
+ *
+ * @param {string} code
+ * @param {{ literals?: boolean }} [options]  keep literal values instead of
+ *                                            their type
+ * @returns {QueryShape|null} null for a script without statements
+ */
+function mongoQueryShape(code, options = {}) {
+  const statements = splitStatements(code).map(statement => statement.code)
+    .filter(statement => !/^\s*use\s+\w+/.test(statement));
+  return shapeOf(statements, statement => {
+    const call = parseShellCall(statement);
+    return call ? {
+      collection: call.collection,
+      method: call.method,
+      args: mongoShape(call.args, options.literals),
+      cursor: call.cursor.map(step => ({ name: step.name, args: mongoShape(step.args, options.literals) }))
+    } : null;
+  }, options.literals);
+}
+
+/**
+ * Normalized form of a PostgreSQL script, one tree per SELECT.
+ *
+ * @param {string} code
+ * @param {{ literals?: boolean }} [options]
+ * @returns {QueryShape|null}
+ */
+function sqlQueryShape(code, options = {}) {
+  const statements = splitSqlStatements(code).map(statement => stripSqlComments(statement.code).trim())
+    .filter(Boolean);
+  return shapeOf(statements, statement => sqlShape(parseSql(statement), options.literals), options.literals);
+}
+
+function textWords(text) {
+  return new Set(text.toLowerCase()
+    .replace(/"[^"]*"|'[^']*'|\d+(?:[.,]\d+)*/g, " ")
+    .split(/[^a-z_]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => word.replace(/(?:ies)$/, "y").replace(/(?<!s)s$/, "")));
+}
+
+function sharedCount(a, b) {
+  let shared = 0;
+  a.forEach(value => { if (b.has(value)) shared++; });
+  return shared;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  const shared = sharedCount(a, b);
+  return shared / (a.size + b.size - shared);
+}
+
+// Share of the shorter description's words found in the other, so a
+// one-line title can match a paragraph
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  return sharedCount(a, b) / Math.min(a.size, b.size);
+}
+
+// ============================================================================
+// CLUSTERS
+// ============================================================================
+
+// The item a paraphrase variant stands in for: its source when that is in
+// the corpus, else itself
+function familyOf(item, byId) {
+  return item.paraphraseOf && byId.has(item.paraphraseOf) ? item.paraphraseOf : item.id;
+}
+
+function linked(a, b, byId) {
+  return familyOf(a, byId) === familyOf(b, byId);
+}
+
+function byRank(a, b) {
+  return ORIGIN_RANK[a.origin] - ORIGIN_RANK[b.origin] || a.order - b.order;
+}
+
+/**
+ * Scores every pair of items and keeps the near-duplicates.
+ *
+ * @param {CorpusItem[]} items
+ * @param {{ query?: number, text?: number }} [thresholds]
+ * @returns {DuplicatePair[]}
+ */
+function findDuplicatePairs(items, thresholds = {}) {
+  const limits = Object.assign({}, DEFAULT_THRESHOLDS, thresholds);
+  const byId = new Map(items.map(item => [item.id, item]));
+  const prepared = items.filter(item => familyOf(item, byId) === item.id).map(item => ({
+    item: item,
+    mongo: item.mongoQuery ? mongoQueryShape(item.mongoQuery) : null,
+    sql: item.postgresQuery ? sqlQueryShape(item.postgresQuery) : null,
+    words: item.text ? textWords(item.text) : null
+  }));
+
+  const pairs = [];
+  for (let i = 0; i < prepared.length; i++) {
+    for (let j = i + 1; j < prepared.length; j++) {
+      const a = prepared[i];
+      const b = prepared[j];
+      if (linked(a.item, b.item, byId)) continue;
+
+      let query = null;
+      let identical = false;
+      ["mongo", "sql"].forEach(engine => {
+        if (!a[engine] || !b[engine]) return;
+        identical = identical || a[engine].canonical === b[engine].canonical;
+        query = Math.max(query || 0, jaccard(a[engine].paths, b[engine].paths));
+      });
+      if (query === null) continue;
+      const text = a.words && b.words ? overlap(a.words, b.words) : null;
+
+      if (identical || (query >= limits.query && (text === null || text >= limits.text))) {
+        pairs.push({ a: a.item.id, b: b.item.id, query: identical ? 1 : query, text: text, identical: identical });
+      }
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Builds clusters around the items worth keeping. In rank order, an item
+ * not yet placed keeps itself and drops the lower-ranked, unplaced items it
+ * is paired with directly. The paraphrase variants of a dropped item are
+ * dropped with it; those of a kept item stay.
+ *
+ * @param {CorpusItem[]} items
+ * @param {DuplicatePair[]} pairs
+ * @returns {{ keep: string, drop: string[], members: CorpusItem[], pairs: DuplicatePair[] }[]}
+ */
+function clusterDuplicates(items, pairs) {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const neighbours = new Map();
+  pairs.forEach(pair => {
+    [[pair.a, pair.b], [pair.b, pair.a]].forEach(([from, to]) => {
+      if (!neighbours.has(from)) neighbours.set(from, new Set());
+      neighbours.get(from).add(to);
+    });
+  });
+  const variants = id => items.filter(item => item.paraphraseOf === id && familyOf(item, byId) === id);
+
+  const placed = new Set();
+  const clusters = [];
+  items.filter(item => neighbours.has(item.id)).sort(byRank).forEach(keeper => {
+    if (placed.has(keeper.id)) return;
+    const dropped = [...neighbours.get(keeper.id)].map(id => byId.get(id))
+      .filter(item => !placed.has(item.id) && byRank(keeper, item) < 0)
+      .sort(byRank);
+    if (dropped.length === 0) return;
+
+    placed.add(keeper.id);
+    dropped.forEach(item => placed.add(item.id));
+    const ids = new Set([keeper.id].concat(dropped.map(item => item.id)));
+    const members = [keeper].concat(...dropped.map(item => [item].concat(variants(item.id))));
+    clusters.push({
+      keep: keeper.id,
+      drop: members.slice(1).map(member => member.id),
+      members: members,
+      pairs: pairs.filter(pair => ids.has(pair.a) && ids.has(pair.b))
+    });
+  });
+  return clusters.sort((a, b) => a.members[0].order - b.members[0].order);
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { samples: [], scripts: true, query: DEFAULT_THRESHOLDS.query, text: DEFAULT_THRESHOLDS.text, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--samples": args.samples.push(argv[++i]); break;
+      case "--no-scripts": args.scripts = false; break;
+      case "--query": args.query = parseFloat(argv[++i]); break;
+      case "--text": args.text = parseFloat(argv[++i]); break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  [args.query, args.text].forEach(value => {
+    if (!(value >= 0 && value <= 1)) throw new Error("Thresholds must be between 0 and 1");
+  });
+  if (args.samples.length === 0) args.samples.push(SAMPLES_DIR);
+  return args;
+}
+
+function percent(value) {
+  return value === null ? "  -" : String(Math.round(value * 100)).padStart(3) + "%";
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const items = loadCorpus({ samples: args.samples, scripts: args.scripts });
+  const pairs = findDuplicatePairs(items, { query: args.query, text: args.text });
+  const clusters = clusterDuplicates(items, pairs);
+
+  if (args.json) {
+    console.log(JSON.stringify(clusters.map(cluster => ({
+      keep: cluster.keep,
+      drop: cluster.drop,
+      pairs: cluster.pairs
+    })), null, 2));
+    return 0;
+  }
+
+  clusters.forEach(cluster => {
+    cluster.members.forEach(member => {
+      const kept = member.id === cluster.keep;
+      console.log((kept ? "✓ keep " : "✗ drop ") + member.id + "  (" + member.origin + ")" +
+        (member.text ? "  " + member.text.split("\n")[0].slice(0, 70) : ""));
+    });
+    cluster.pairs.forEach(pair => {
+      console.log("    " + pair.a + " ~ " + pair.b + "  query " + percent(pair.query) +
+        (pair.identical ? " (same shape)" : "") + ", text " + percent(pair.text));
+    });
+    console.log("");
+  });
+  console.log(items.length + " items compared, " + clusters.length + " near-duplicate cluster(s), " +
+    clusters.reduce((sum, cluster) => sum + cluster.drop.length, 0) + " recommended to drop");
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  loadCorpus,
+  mongoQueryShape,
+  sqlQueryShape,
+  findDuplicatePairs,
+  clusterDuplicates
+};
@@ -0,0 +1,404 @@
+// ============================================================================
+// Paraphrase Augmentation
+// ============================================================================
+// Rewords each sample's text_description.txt into several variants, so a
+// model sees different phrasings of the same request mapped to the same
+// query. Two kinds of rewrite are combined at random (seeded):
+//
+//   - templates: common request phrasings and their rewordings ("Show me"
+//     → "List", "Show the highest amounts first." → "Put the highest amounts
+//     first.")
+//   - synonyms: phrases column_mappings.md documents for exactly the same
+//     fields ("sender name" ↔ "payer name", "payment status" ↔ "transaction
+//     state")
+//
+// Literal values (quoted strings, numbers, codes such as GBP or FPS and enum
+// values such as settled) are masked before rewriting, and a variant that
+// does not contain every literal of the original the same number of times
+// is discarded.
+//
+// With --write the variants become new Example_NN folders after the last
+// sample, holding the variant text and copies of the source's query and
+// result files. Their category_mapper.txt entries repeat the source's
+// category and name it on a "Paraphrase Of:" line, which tools/sample_loader.js
+// reads as the sample's paraphraseOf. Variants are never paraphrased again,
+// and samples that already have variants are skipped.
+//
+// Usage:
+//   node tools/paraphrase.js [--samples dir] [--only Example_09,Example_12]
+//                            [--variants 3] [--seed 42] [--write] [--json]
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { buildRegistry } = require("./column_mappings");
+const { loadEnums } = require("./pg_schema");
+const { SAMPLES_DIR, CATEGORY_MAPPER_FILE, SAMPLE_PARTS, loadSamples } = require("./sample_loader");
+const { createRandom } = require("./synthetic_data");
+
+const DEFAULT_VARIANTS = 3;
+const DEFAULT_SEED = 42;
+
+// Rewrites drawn per wanted variant before giving up on a sample
+const ATTEMPTS_PER_VARIANT = 20;
+
+/**
+ * Sentence templates, tried in order; the first one whose pattern matches
+ * a sentence rewrites it with one of its variants ($1 = captured text).
+ *
+ * @type {{ pattern: RegExp, variants: string[] }[]}
+ */
+const TEMPLATES = [
+  { pattern: /^Show the (.+) first\.$/, variants: ["List the $1 first.", "Put the $1 first.", "Order the results so the $1 come first."] },
+  { pattern: /^Sort the list by (.+)\.$/, variants: ["Order the list by $1.", "Sort the results by $1."] },
+  { pattern: /^For each (\w+), (?:show me|show|I want to see) /, variants: ["For every $1, show ", "For each $1, include ", "For each $1, list "] },
+  { pattern: /^For each (\w+), (count|calculate) /, variants: ["For every $1, $2 ", "Per $1, $2 "] },
+  { pattern: /^Show me /, variants: ["List ", "Display ", "I want to see ", "Get "] },
+  { pattern: /^Find all /, variants: ["Look up all ", "Retrieve all ", "Get all ", "Search for all "] },
+  { pattern: /^Find /, variants: ["Look up ", "Retrieve ", "Locate "] },
+  { pattern: /^Give me /, variants: ["Show me ", "Provide ", "Produce "] },
+  { pattern: /^Calculate /, variants: ["Compute ", "Work out "] },
+  { pattern: /^Analyze /, variants: ["Examine ", "Look at "] },
+  { pattern: /^Add (.+) to the system\.$/, variants: ["Register $1 in the system.", "Create $1 in the system."] },
+  { pattern: /^Add /, variants: ["Create ", "Register "] },
+  { pattern: /^Remove /, variants: ["Delete "] },
+  { pattern: /^Record /, variants: ["Log "] },
+  { pattern: /^Set up /, variants: ["Create "] }
+];
+
+// "performed by" describes actor_type but is not a noun phrase
+const NOT_A_NOUN_PHRASE = /\s(?:by|of|to|from|in|on|at|for)$/i;
+
+// Last words that take no plural "s" ("money transferred", "sender details")
+const UNCOUNTABLE = /(?:ed|information|details|metadata|history|s)$/i;
+
+const MASK_START = "\u0001";
+const MASK_END = "\u0002";
+
+/**
+ * @typedef {Object} ParaphraseContext
+ * @property {string[][]} synonyms     phrase groups, see synonymGroups()
+ * @property {Set<string>} enumWords   lower-case enum values (settled, gbp, ...)
+ * @property {Set<string>} phraseWords upper-case words used in phrases (ID, BIC)
+ */
+
+/**
+ * @typedef {Object} SampleParaphrases
+ * @property {import("./sample_loader").TrainingSample} sample
+ * @property {string[]} variants
+ */
+
+// ============================================================================
+// SYNONYMS
+// ============================================================================
+
+/**
+ * Groups the phrases of column_mappings.md that mean exactly the same
+ * fields: the same tables / collections and columns / paths in both engines.
+ * Join and calculated-only phrases take no part.
+ *
+ * @param {import("./column_mappings").MappingRegistry} [registry]
+ * @returns {string[][]}
+ */
+function synonymGroups(registry = buildRegistry()) {
+  const groups = new Map();
+  Object.values(registry.phrases).forEach(slot => {
+    if (NOT_A_NOUN_PHRASE.test(slot.phrase)) return;
+    const targets = new Set();
+    ["postgresql", "mongodb"].forEach(engine => slot[engine].forEach(candidate => {
+      if (candidate.kind === "join" || !candidate.entity) return;
+      targets.add(engine + ":" + candidate.entity + ":" + (candidate.path || candidate.field));
+    }));
+    if (targets.size === 0) return;
+    const key = [...targets].sort().join("|");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(slot.phrase);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {import("./column_mappings").MappingRegistry} [options.registry]
+ * @param {Object<string, string[]>} [options.enums]
+ * @returns {ParaphraseContext}
+ */
+function createContext(options = {}) {
+  const synonyms = synonymGroups(options.registry);
+  const enums = options.enums || loadEnums();
+  const phraseWords = new Set();
+  synonyms.forEach(group => group.forEach(phrase => {
+    (phrase.match(/\b[A-Z]{2,}s?\b/g) || []).forEach(word => phraseWords.add(word));
+  }));
+  const enumWords = new Set();
+  Object.values(enums).forEach(values => values.forEach(value => enumWords.add(value.toLowerCase())));
+  return { synonyms: synonyms, enumWords: enumWords, phraseWords: phraseWords };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function matchCase(original, replacement) {
+  return /^[A-Z]/.test(original) && /^[a-z]/.test(replacement)
+    ? replacement[0].toUpperCase() + replacement.slice(1)
+    : replacement;
+}
+
+function substituteSynonyms(sentence, random, synonyms) {
+  const groupOf = new Map();
+  synonyms.forEach(group => group.forEach(phrase => groupOf.set(phrase.toLowerCase(), group)));
+  const phrases = [...groupOf.keys()].sort((a, b) => b.length - a.length);
+  if (phrases.length === 0) return sentence;
+
+  const pattern = new RegExp("\\b(" + phrases.map(escapeRegExp).join("|") + ")(s?)\\b", "gi");
+  return sentence.replace(pattern, (match, phrase, plural) => {
+    const choices = groupOf.get(phrase.toLowerCase()).filter(choice => !plural || !UNCOUNTABLE.test(choice));
+    if (choices.length === 0) return match;
+    return matchCase(phrase, random.pick(choices)) + plural;
+  });
+}
+
+// ============================================================================
+// LITERALS
+// ============================================================================
+
+// Quoted strings (not apostrophes), numbers, and upper-case codes
+const LITERAL_PATTERN = /(?<!\w)'[^'\n]*'(?!\w)|"[^"\n]*"|“[^”\n]*”|\d+(?:[.,:/-]\d+)*|\b[A-Z][A-Z0-9_]+\b/g;
+
+function literalMatches(text, context) {
+  return (text.match(LITERAL_PATTERN) || []).filter(literal => !context.phraseWords.has(literal));
+}
+
+/**
+ * The literal values of a description, with repeats: quoted strings,
+ * numbers, codes and enum values (lower-cased).
+ *
+ * @param {string} text
+ * @param {ParaphraseContext} context
+ * @returns {string[]}
+ */
+function literalsOf(text, context) {
+  const words = (text.match(/[A-Za-z_]+/g) || [])
+    .map(word => word.toLowerCase())
+    .filter(word => context.enumWords.has(word));
+  return literalMatches(text, context).concat(words).sort();
+}
+
+function sameLiterals(original, variant, context) {
+  const a = literalsOf(original, context);
+  const b = literalsOf(variant, context);
+  return a.length === b.length && a.every((literal, index) => literal === b[index]);
+}
+
+function mask(text, context) {
+  const values = [];
+  const masked = text.replace(LITERAL_PATTERN, literal => {
+    if (context.phraseWords.has(literal)) return literal;
+    values.push(literal);
+    return MASK_START + (values.length - 1) + MASK_END;
+  });
+  return { masked: masked, values: values };
+}
+
+function unmask(text, values) {
+  return text.replace(new RegExp(MASK_START + "(\\d+)" + MASK_END, "g"), (match, index) => values[Number(index)]);
+}
+
+// ============================================================================
+// PARAPHRASING
+// ============================================================================
+
+function applyTemplate(sentence, random) {
+  const template = TEMPLATES.find(candidate => candidate.pattern.test(sentence));
+  if (!template) return sentence;
+  const choice = random.pick([null].concat(template.variants));
+  return choice === null ? sentence : sentence.replace(template.pattern, choice);
+}
+
+/**
+ * One random rewording of a description.
+ *
+ * @param {string} text
+ * @param {{ pick: function(Array): * }} random  see createRandom() in tools/synthetic_data.js
+ * @param {ParaphraseContext} context
+ * @returns {string}
+ */
+function paraphrase(text, random, context) {
+  const { masked, values } = mask(text.trim(), context);
+  const sentences = masked.split(/(?<=[.!?])\s+/).map(sentence =>
+    substituteSynonyms(applyTemplate(sentence, random), random, context.synonyms));
+  return unmask(sentences.join(" "), values);
+}
+
+/**
+ * Up to `count` distinct variants of a description, each different from it
+ * and keeping its literals. Fewer come back when the text offers too little
+ * to reword.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.variants]
+ * @param {number} [options.seed]
+ * @param {ParaphraseContext} [options.context]
+ * @returns {string[]}
+ */
+function paraphraseText(text, options = {}) {
+  const count = options.variants === undefined ? DEFAULT_VARIANTS : options.variants;
+  const context = options.context || createContext();
+  const random = createRandom(options.seed === undefined ? DEFAULT_SEED : options.seed);
+  const original = text.trim();
+  const variants = [];
+  for (let attempt = 0; attempt < count * ATTEMPTS_PER_VARIANT && variants.length < count; attempt++) {
+    const variant = paraphrase(original, random, context);
+    if (variant === original || variants.includes(variant)) continue;
+    if (!sameLiterals(original, variant, context)) continue;
+    variants.push(variant);
+  }
+  return variants;
+}
+
+/**
+ * Paraphrases every sample with a description that is not itself a
+ * variant. Each sample gets its own seed (seed + sample number), so adding
+ * samples does not change the variants of the others.
+ *
+ * @param {import("./sample_loader").TrainingSample[]} samples
+ * @param {Object} [options]
+ * @param {number} [options.variants]
+ * @param {number} [options.seed]
+ * @returns {SampleParaphrases[]}
+ */
+function paraphraseSamples(samples, options = {}) {
+  const context = createContext();
+  const seed = options.seed === undefined ? DEFAULT_SEED : options.seed;
+  return samples
+    .filter(sample => sample.text && !sample.paraphraseOf)
+    .map(sample => ({
+      sample: sample,
+      variants: paraphraseText(sample.text, {
+        variants: options.variants,
+        seed: seed + (Number.isNaN(sample.number) ? 0 : sample.number),
+        context: context
+      })
+    }));
+}
+
+// ============================================================================
+// LINKED SAMPLES
+// ============================================================================
+
+/**
+ * Writes each variant as a new Example_NN folder after the last sample in
+ * samplesDir, and appends its category_mapper.txt entry.
+ *
+ * @param {SampleParaphrases[]} results
+ * @param {string} samplesDir
+ * @param {number} lastNumber  highest Example_NN number in samplesDir
+ * @returns {string[]} ids of the written samples
+ */
+function writeVariants(results, samplesDir, lastNumber) {
+  const written = [];
+  const mapper = [];
+  let number = lastNumber;
+
+  results.forEach(({ sample, variants }) => {
+    variants.forEach(variant => {
+      number++;
+      const id = "Example_" + String(number).padStart(2, "0");
+      const dir = path.join(samplesDir, id);
+      fs.mkdirSync(dir, { recursive: true });
+      for (const [part, file] of Object.entries(SAMPLE_PARTS)) {
+        if (part === "text") {
+          fs.writeFileSync(path.join(dir, file), variant + "\n");
+        } else if (fs.existsSync(path.join(sample.dir, file))) {
+          fs.copyFileSync(path.join(sample.dir, file), path.join(dir, file));
+        }
+      }
+
+      const heading = String(number).padStart(2, "0") + "_" + (sample.key ? sample.key.replace(/^\d+_/, "") : "Paraphrase");
+      mapper.push("", heading, "-".repeat(heading.length));
+      if (sample.category) mapper.push("Category: " + sample.category);
+      if (sample.categoryDescription) mapper.push("Description: " + sample.categoryDescription);
+      mapper.push("Paraphrase Of: " + sample.id);
+      written.push(id);
+    });
+  });
+
+  if (mapper.length > 0) {
+    const mapperFile = path.join(samplesDir, CATEGORY_MAPPER_FILE);
+    const existing = fs.existsSync(mapperFile) ? fs.readFileSync(mapperFile, "utf8") : "";
+    fs.writeFileSync(mapperFile, existing.replace(/\s*$/, "\n") + mapper.join("\n") + "\n");
+  }
+  return written;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { samples: SAMPLES_DIR, only: null, variants: DEFAULT_VARIANTS, seed: DEFAULT_SEED, write: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--samples": args.samples = argv[++i]; break;
+      case "--only": args.only = argv[++i].split(","); break;
+      case "--variants": args.variants = parseInt(argv[++i], 10); break;
+      case "--seed": args.seed = parseInt(argv[++i], 10); break;
+      case "--write": args.write = true; break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (!Number.isInteger(args.variants) || args.variants < 1) throw new Error("--variants must be a positive integer");
+  if (!Number.isInteger(args.seed)) throw new Error("--seed must be an integer");
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const { samples } = loadSamples(args.samples);
+  const paraphrased = new Set(samples.map(sample => sample.paraphraseOf).filter(Boolean));
+  const selected = samples.filter(sample =>
+    (!args.only || args.only.includes(sample.id)) && !(args.write && paraphrased.has(sample.id)));
+  const results = paraphraseSamples(selected, { variants: args.variants, seed: args.seed });
+
+  let written = [];
+  if (args.write) {
+    const lastNumber = samples.reduce((max, sample) => Number.isNaN(sample.number) ? max : Math.max(max, sample.number), 0);
+    written = writeVariants(results, args.samples, lastNumber);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(results.map(result => ({ sample: result.sample.id, variants: result.variants })), null, 2));
+  } else {
+    let index = 0;
+    results.forEach(({ sample, variants }) => {
+      console.log((variants.length > 0 ? "✓ " : "- ") + sample.id + "  " + sample.text.replace(/\s+/g, " "));
+      variants.forEach(variant => {
+        console.log("    " + (args.write ? written[index++] + "  " : "") + variant);
+      });
+    });
+    const total = results.reduce((sum, result) => sum + result.variants.length, 0);
+    console.log("");
+    console.log(total + " variants for " + results.filter(result => result.variants.length > 0).length +
+      " samples" + (args.write ? " written" : "") + ", " +
+      results.filter(result => result.variants.length === 0).length + " without a variant");
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  TEMPLATES,
+  synonymGroups,
+  createContext,
+  literalsOf,
+  paraphrase,
+  paraphraseText,
+  paraphraseSamples,
+  writeVariants
+};
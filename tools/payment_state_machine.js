@@ -0,0 +1,409 @@
+// ============================================================================
+// Payment and Message State Machine
+// ============================================================================
+// The legal state transitions for payments and messages, and helpers that
+// apply a transition to a MongoDB document in a single write.
+//
+// Payments move RECEIVED → VALIDATED → [PENDING_FUNDS] → ROUTED →
+// SENT_TO_SCHEME → SETTLED, and may end in REJECTED or FAILED from any
+// non-terminal state. SETTLED, REJECTED and FAILED are terminal.
+//
+// transitionPayment() guards on the current state, appends the state_history
+// event with the next seq_no, and sets current_state, last_state_changed_at
+// and updated_at in one update-pipeline findOneAndUpdate. Concurrent writers
+// therefore cannot both move a payment out of the same state or reuse a
+// seq_no. The helpers accept a collection from either mongosh or the Node.js
+// driver.
+//
+// Usage (mongosh):
+//   const sm = require("/path/to/tools/payment_state_machine.js");
+//   await sm.transitionPayment(db.payments, ObjectId("..."), "VALIDATED",
+//     { actor: { type: "SYSTEM", id: "validation-svc" }, metadata: { aml: "PASS" } });
+//
+// Usage (CLI):
+//   node tools/payment_state_machine.js           # prints both graphs
+//   node tools/payment_state_machine.js --sql     # INSERTs for the
+//                                                 # valid_*_transitions tables
+// ============================================================================
+
+const { loadEnums } = require("./pg_schema");
+
+/** Payment state → states it may move to. */
+const PAYMENT_TRANSITIONS = {
+  RECEIVED: ["VALIDATED", "REJECTED", "FAILED"],
+  VALIDATED: ["PENDING_FUNDS", "ROUTED", "REJECTED", "FAILED"],
+  PENDING_FUNDS: ["ROUTED", "REJECTED", "FAILED"],
+  ROUTED: ["SENT_TO_SCHEME", "REJECTED", "FAILED"],
+  SENT_TO_SCHEME: ["SETTLED", "REJECTED", "FAILED"],
+  SETTLED: [],
+  REJECTED: [],
+  FAILED: []
+};
+
+/**
+ * Message (batch) state → states it may move to. A batch's payments can all
+ * be decided before the batch itself moves on, so every non-terminal state
+ * may move straight to SETTLED, REJECTED or FAILED, and an accepted batch to
+ * PARTIALLY_ACCEPTED when one of its payments is rejected later.
+ */
+const MESSAGE_TRANSITIONS = {
+  RECEIVED: ["VALIDATED", "SETTLED", "REJECTED", "FAILED"],
+  VALIDATED: ["ENRICHED", "ROUTED", "ACCEPTED", "PARTIALLY_ACCEPTED", "SETTLED", "REJECTED", "FAILED"],
+  ENRICHED: ["ROUTED", "ACCEPTED", "PARTIALLY_ACCEPTED", "SETTLED", "REJECTED", "FAILED"],
+  ROUTED: ["ACCEPTED", "PARTIALLY_ACCEPTED", "SENT_TO_SCHEME", "SETTLED", "REJECTED", "FAILED"],
+  ACCEPTED: ["PARTIALLY_ACCEPTED", "SENT_TO_SCHEME", "SETTLED", "REJECTED", "FAILED"],
+  PARTIALLY_ACCEPTED: ["SENT_TO_SCHEME", "SETTLED", "REJECTED", "FAILED"],
+  SENT_TO_SCHEME: ["PARTIALLY_ACCEPTED", "SETTLED", "REJECTED", "FAILED"],
+  SETTLED: [],
+  REJECTED: [],
+  FAILED: []
+};
+
+/** State every new payment or message starts in. */
+const INITIAL_STATE = "RECEIVED";
+
+/**
+ * Raised when a document is not in a state the requested transition may
+ * start from.
+ */
+class InvalidTransitionError extends Error {
+  /**
+   * @param {string|null} from  current state (null when the document is missing)
+   * @param {string} to
+   * @param {string} [message]
+   */
+  constructor(from, to, message) {
+    super(message || "Invalid transition " + from + " → " + to);
+    this.name = "InvalidTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * @param {string|null} from   null for the initial RECEIVED event
+ * @param {string} to
+ * @param {Object<string, string[]>} [graph]
+ * @returns {boolean}
+ */
+function isValidTransition(from, to, graph = PAYMENT_TRANSITIONS) {
+  if (from === null || from === undefined) {
+    return to === INITIAL_STATE;
+  }
+  return (graph[from] || []).includes(to);
+}
+
+/**
+ * @param {string|null} from
+ * @param {string} to
+ * @param {Object<string, string[]>} [graph]
+ * @throws {InvalidTransitionError}
+ */
+function assertTransition(from, to, graph = PAYMENT_TRANSITIONS) {
+  if (!isValidTransition(from, to, graph)) {
+    throw new InvalidTransitionError(from, to);
+  }
+}
+
+/**
+ * States a document may be in for a move to `to` to be legal.
+ *
+ * @param {string} to
+ * @param {Object<string, string[]>} [graph]
+ * @returns {string[]}
+ */
+function sourceStates(to, graph = PAYMENT_TRANSITIONS) {
+  return Object.keys(graph).filter(from => graph[from].includes(to));
+}
+
+/**
+ * @param {string} state
+ * @param {Object<string, string[]>} [graph]
+ * @returns {boolean}
+ */
+function isTerminal(state, graph = PAYMENT_TRANSITIONS) {
+  return Array.isArray(graph[state]) && graph[state].length === 0;
+}
+
+// ============================================================================
+// MONGODB WRITES
+// ============================================================================
+
+/** findOneAndUpdate returns the document (driver 6, mongosh) or { value } (driver 4/5). */
+function unwrapDocument(result) {
+  if (result && typeof result === "object" && "value" in result && "ok" in result) {
+    return result.value;
+  }
+  return result;
+}
+
+// Plain objects are filters; anything else (ObjectId, string, ...) is an _id.
+// mongosh objects come from another realm, so prototypes cannot be compared.
+function idFilter(idOrFilter) {
+  const isFilter = Object.prototype.toString.call(idOrFilter) === "[object Object]" &&
+    !("_bsontype" in idOrFilter);
+  return isFilter ? idOrFilter : { _id: idOrFilter };
+}
+
+/**
+ * The arguments after the filter of find() and findOne(). mongosh takes
+ * (filter, projection, options) and the Node.js driver (filter, options), so
+ * a session passed the driver's way would be read by mongosh as a projection.
+ *
+ * @param {Object} collection         mongosh or driver collection
+ * @param {Object|null} projection
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Object[]}
+ */
+function readArguments(collection, projection, options = {}) {
+  const session = options.session ? { session: options.session } : {};
+  if (typeof collection.getFullName === "function") return [projection || {}, session];
+  return [Object.assign(projection ? { projection: projection } : {}, session)];
+}
+
+/**
+ * The guarded update that moves a document to `to`: a filter that only
+ * matches documents whose current_state may make the move, and an update
+ * pipeline that sets the new state (and appends the state_history event).
+ *
+ * @param {*} idOrFilter
+ * @param {string} to
+ * @param {Object} options              as for transitionPayment
+ * @param {Object<string, string[]>} graph
+ * @param {boolean} withHistory
+ * @returns {{ filter: Object, update: Object[] }}
+ * @throws {InvalidTransitionError}     when no state, or not options.from, may move to `to`
+ */
+function transitionUpdate(idOrFilter, to, options, graph, withHistory) {
+  const from = sourceStates(to, graph);
+  if (options.from !== undefined && !from.includes(options.from)) {
+    throw new InvalidTransitionError(options.from, to);
+  }
+  if (from.length === 0) {
+    throw new InvalidTransitionError(null, to, "No state may transition to " + to);
+  }
+
+  const filter = Object.assign({}, idFilter(idOrFilter), {
+    current_state: options.from !== undefined ? options.from : { $in: from }
+  });
+  const now = options.at || "$$NOW";
+  const set = {
+    current_state: { $literal: to },
+    last_state_changed_at: now,
+    updated_at: now
+  };
+
+  if (withHistory) {
+    const event = {
+      seq_no: { $add: [{ $ifNull: [{ $max: "$state_history.seq_no" }, 0] }, 1] },
+      from_state: "$current_state",
+      to_state: { $literal: to },
+      actor: { $literal: options.actor || { type: "SYSTEM" } },
+      occurred_at: now,
+      metadata: { $literal: Object.assign({}, options.metadata, options.reasonCode ? { reason_code: options.reasonCode } : {}) }
+    };
+    set.state_history = { $concatArrays: [{ $ifNull: ["$state_history", []] }, [event]] };
+  }
+
+  return { filter: filter, update: [{ $set: set }] };
+}
+
+async function applyTransition(collection, idOrFilter, to, options, graph, withHistory) {
+  const { filter, update } = transitionUpdate(idOrFilter, to, options, graph, withHistory);
+  const projection = { current_state: 1, last_state_changed_at: 1 };
+  if (withHistory) projection.state_history = { $slice: -1 };
+
+  const session = options.session ? { session: options.session } : {};
+  const updated = unwrapDocument(await collection.findOneAndUpdate(filter, update, Object.assign({
+    returnDocument: "after",
+    projection: projection
+  }, session)));
+
+  if (!updated) {
+    const current = await collection.findOne(idFilter(idOrFilter), ...readArguments(collection, { current_state: 1 }, options));
+    if (!current) {
+      throw new InvalidTransitionError(null, to, "No document matches " + JSON.stringify(idOrFilter));
+    }
+    throw new InvalidTransitionError(current.current_state, to);
+  }
+
+  const event = withHistory ? updated.state_history[updated.state_history.length - 1] : null;
+  return {
+    from: event ? event.from_state : (options.from !== undefined ? options.from : null),
+    to: updated.current_state,
+    seq_no: event ? event.seq_no : null,
+    at: updated.last_state_changed_at
+  };
+}
+
+/**
+ * Moves a payment to `to` if its current state allows it, appending the
+ * state_history event in the same write.
+ *
+ * @param {Object} collection           db.payments (mongosh or driver)
+ * @param {*} idOrFilter                _id, or a filter such as { payment_ref }
+ * @param {string} to
+ * @param {Object} [options]
+ * @param {string} [options.from]       require this exact current state
+ * @param {{ type: string, id?: string }} [options.actor]  default { type: "SYSTEM" }
+ * @param {Object} [options.metadata]
+ * @param {string} [options.reasonCode] stored as metadata.reason_code
+ * @param {Date} [options.at]           event time (default: server time)
+ * @param {Object} [options.session]    client session, to run inside a transaction
+ * @returns {Promise<{ from: string, to: string, seq_no: number, at: Date }>}
+ * @throws {InvalidTransitionError}
+ */
+function transitionPayment(collection, idOrFilter, to, options = {}) {
+  return applyTransition(collection, idOrFilter, to, options, PAYMENT_TRANSITIONS, true);
+}
+
+/**
+ * Moves a message to `to` if its current state allows it. Messages keep no
+ * state_history unless options.history is set, so by default only
+ * current_state, last_state_changed_at and updated_at change.
+ *
+ * @param {Object} collection           db.messages
+ * @param {*} idOrFilter
+ * @param {string} to
+ * @param {Object} [options]            as for transitionPayment
+ * @param {boolean} [options.history]  also append a state_history event
+ * @returns {Promise<{ from: string|null, to: string, seq_no: number|null, at: Date }>}
+ * @throws {InvalidTransitionError}
+ */
+function transitionMessage(collection, idOrFilter, to, options = {}) {
+  return applyTransition(collection, idOrFilter, to, options, MESSAGE_TRANSITIONS, Boolean(options.history));
+}
+
+// ============================================================================
+// CONSISTENCY
+// ============================================================================
+
+/**
+ * Checks a payment's state_history against the graph: seq_no runs 1..n,
+ * every event starts where the previous one ended, and current_state is the
+ * last to_state.
+ *
+ * @param {Object} payment
+ * @returns {string[]}  problems, empty when the history is consistent
+ */
+function checkHistory(payment) {
+  const problems = [];
+  const history = payment.state_history || [];
+  let state = null;
+  history.forEach((event, index) => {
+    const seqNo = Number(event.seq_no && event.seq_no.$numberInt !== undefined ? event.seq_no.$numberInt : event.seq_no);
+    if (seqNo !== index + 1) {
+      problems.push("event " + (index + 1) + " has seq_no " + seqNo);
+    }
+    if ((event.from_state || null) !== state) {
+      problems.push("event " + (index + 1) + " starts from " + event.from_state + ", expected " + state);
+    }
+    if (!isValidTransition(event.from_state || null, event.to_state)) {
+      problems.push("event " + (index + 1) + " is an invalid transition " + event.from_state + " → " + event.to_state);
+    }
+    state = event.to_state;
+  });
+  if (history.length > 0 && payment.current_state !== state) {
+    problems.push("current_state " + payment.current_state + " does not match last event " + state);
+  }
+  return problems;
+}
+
+/**
+ * Renders an INSERT that loads a graph into valid_payment_transitions or
+ * valid_message_transitions, including the NULL → RECEIVED entry. Rows that
+ * already exist are skipped (UNIQUE does not catch the NULL row).
+ *
+ * @param {string} table
+ * @param {Object<string, string[]>} graph
+ * @param {string} enumType
+ * @returns {string}
+ */
+function transitionsSql(table, graph, enumType) {
+  const rows = ["  (NULL::" + enumType + ", '" + INITIAL_STATE + "'::" + enumType + ")"];
+  for (const from of Object.keys(graph)) {
+    for (const to of graph[from]) {
+      rows.push("  ('" + from + "'::" + enumType + ", '" + to + "'::" + enumType + ")");
+    }
+  }
+  return "INSERT INTO " + table + " (from_state, to_state)\n" +
+    "SELECT v.from_state, v.to_state FROM (VALUES\n" + rows.join(",\n") + "\n) AS v (from_state, to_state)\n" +
+    "WHERE NOT EXISTS (\n" +
+    "  SELECT 1 FROM " + table + " t\n" +
+    "  WHERE t.from_state IS NOT DISTINCT FROM v.from_state AND t.to_state = v.to_state\n" +
+    ");\n";
+}
+
+/**
+ * Lists states in a graph that the PostgreSQL enum does not declare, and
+ * enum values the graph never mentions.
+ */
+function compareWithEnum(graph, values) {
+  const states = new Set(Object.keys(graph).concat(...Object.values(graph)));
+  return {
+    unknown: [...states].filter(state => !values.includes(state)),
+    unused: values.filter(value => !states.has(value))
+  };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function main(argv) {
+  const enums = loadEnums();
+  const graphs = [
+    ["valid_payment_transitions", PAYMENT_TRANSITIONS, "payment_state"],
+    ["valid_message_transitions", MESSAGE_TRANSITIONS, "message_state"]
+  ];
+
+  let status = 0;
+  for (const [, graph, enumType] of graphs) {
+    const difference = compareWithEnum(graph, enums[enumType] || []);
+    if (difference.unknown.length > 0 || difference.unused.length > 0) {
+      console.error("✗ " + enumType + ": unknown " + JSON.stringify(difference.unknown) +
+        ", unused " + JSON.stringify(difference.unused));
+      status = 1;
+    }
+  }
+
+  if (argv.includes("--sql")) {
+    graphs.forEach(([table, graph, enumType]) => console.log(transitionsSql(table, graph, enumType)));
+    return status;
+  }
+  if (argv.length > 0) {
+    throw new Error("Unknown argument: " + argv[0]);
+  }
+
+  graphs.forEach(([, graph, enumType]) => {
+    console.log(enumType);
+    Object.keys(graph).forEach(from => {
+      console.log("  " + from.padEnd(20) + (graph[from].length > 0 ? "→ " + graph[from].join(", ") : "(terminal)"));
+    });
+  });
+  return status;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  PAYMENT_TRANSITIONS,
+  MESSAGE_TRANSITIONS,
+  INITIAL_STATE,
+  InvalidTransitionError,
+  isValidTransition,
+  assertTransition,
+  sourceStates,
+  isTerminal,
+  transitionPayment,
+  transitionMessage,
+  transitionUpdate,
+  unwrapDocument,
+  idFilter,
+  readArguments,
+  checkHistory,
+  transitionsSql
+};
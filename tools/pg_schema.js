@@ -0,0 +1,111 @@
+// ============================================================================
+// PostgreSQL Schema Reader
+// ============================================================================
+// Reads the enum types and tables declared in init_postgresql.sql, so tools
+// use the same state, currency and role lists and the same columns as the
+// database.
+//
+// Usage:
+//   node tools/pg_schema.js            # prints { enum_name: [values...] }
+//   node tools/pg_schema.js --tables   # prints { table: { column: type } }
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const INIT_POSTGRESQL_FILE = path.join(__dirname, "..", "init_postgresql.sql");
+
+/**
+ * Parses every `CREATE TYPE name AS ENUM (...)` in a SQL script.
+ *
+ * @param {string} sql
+ * @returns {Object<string, string[]>}
+ */
+function parseEnums(sql) {
+  const enums = {};
+  const pattern = /CREATE\s+TYPE\s+(\w+)\s+AS\s+ENUM\s*\(([^)]*)\)/gi;
+  let match;
+  while ((match = pattern.exec(sql)) !== null) {
+    enums[match[1]] = (match[2].match(/'(?:[^']|'')*'/g) || []).map(value => value.slice(1, -1).replace(/''/g, "'"));
+  }
+  return enums;
+}
+
+/**
+ * @param {string} [file]
+ * @returns {Object<string, string[]>}
+ */
+function loadEnums(file = INIT_POSTGRESQL_FILE) {
+  return parseEnums(fs.readFileSync(file, "utf8"));
+}
+
+// Splits a CREATE TABLE body on commas outside parentheses
+function splitDefinitions(body) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of body) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map(part => part.replace(/--.*$/gm, "").trim()).filter(Boolean);
+}
+
+/**
+ * Parses every `CREATE TABLE name (...)` in a SQL script into its columns
+ * and their declared types (lower case, without length or precision, e.g.
+ * "numeric", "timestamptz", "payment_state"). Table constraints are skipped.
+ *
+ * @param {string} sql
+ * @returns {Object<string, Object<string, string>>}
+ */
+function parseTables(sql) {
+  const tables = {};
+  const pattern = /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(\w+)\s*\(/gi;
+  let match;
+  while ((match = pattern.exec(sql)) !== null) {
+    let depth = 1;
+    let end = pattern.lastIndex;
+    while (end < sql.length && depth > 0) {
+      if (sql[end] === "(") depth++;
+      if (sql[end] === ")") depth--;
+      end++;
+    }
+
+    const columns = {};
+    for (const definition of splitDefinitions(sql.slice(pattern.lastIndex, end - 1))) {
+      const column = definition.match(/^(\w+)\s+(\w+)/);
+      if (!column || /^(CONSTRAINT|UNIQUE|PRIMARY|FOREIGN|CHECK|EXCLUDE)$/i.test(column[1])) continue;
+      columns[column[1].toLowerCase()] = column[2].toLowerCase();
+    }
+    tables[match[1].toLowerCase()] = columns;
+  }
+  return tables;
+}
+
+/**
+ * @param {string} [file]
+ * @returns {Object<string, Object<string, string>>}
+ */
+function loadTables(file = INIT_POSTGRESQL_FILE) {
+  return parseTables(fs.readFileSync(file, "utf8"));
+}
+
+if (require.main === module) {
+  console.log(JSON.stringify(process.argv[2] === "--tables" ? loadTables() : loadEnums(), null, 2));
+}
+
+module.exports = {
+  INIT_POSTGRESQL_FILE,
+  parseEnums,
+  loadEnums,
+  parseTables,
+  loadTables
+};
@@ -0,0 +1,182 @@
+// ============================================================================
+// psql Runner
+// ============================================================================
+// Runs SQL scripts against the docker-compose PostgreSQL and captures the rows
+// a sample query returns, the counterpart of tools/mongo_shell.js.
+//
+// Environment (same defaults as test_postgresql.sh):
+//   PGHOST, PGPORT, PGUSER, PGPASSWORD, PGDATABASE
+//                 localhost, 5433, payment_user, payment_pass, payment_db
+//   PSQL          psql executable (default: "psql")
+//   PG_CONTAINER  run psql inside this container via "docker exec" instead
+//                 of locally (e.g. "payment_postgres")
+//
+// Tools that reseed PostgreSQL (TRUNCATE + fixture rows) pass a scratch
+// database name; preparePostgresDatabase() creates it from
+// init_postgresql.sql on first use and refuses the shared PGDATABASE, so the
+// docker-compose payment_db is never emptied by a check.
+// ============================================================================
+
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+const { INIT_POSTGRESQL_FILE } = require("./pg_schema");
+const { RESULT_MARKER } = require("./mongo_shell");
+const { splitSqlStatements, stripSqlComments, statementKind } = require("./sql_statements");
+
+const DEFAULT_PG_ENV = {
+  PGHOST: "localhost",
+  PGPORT: "5433",
+  PGUSER: "payment_user",
+  PGPASSWORD: "payment_pass",
+  PGDATABASE: "payment_db"
+};
+
+const PSQL_FLAGS = ["-X", "-q", "-t", "-A", "-v", "ON_ERROR_STOP=1"];
+
+/**
+ * Runs a SQL script through psql, stopping at the first error.
+ *
+ * @param {string} sql
+ * @param {Object} [options]
+ * @param {string} [options.container]  docker container to run psql in
+ * @param {string} [options.database]   database to connect to (default: PGDATABASE)
+ * @param {number} [options.timeoutMs]  default 60s
+ * @returns {{ ok: boolean, stdout: string, stderr: string }}
+ */
+function runPsql(sql, options = {}) {
+  const env = Object.assign({}, DEFAULT_PG_ENV, process.env);
+  if (options.database) env.PGDATABASE = options.database;
+  const container = options.container || process.env.PG_CONTAINER;
+  const timeout = options.timeoutMs || 60000;
+  let result;
+
+  if (container) {
+    result = spawnSync("docker", [
+      "exec", "-i", container, "psql", "-U", env.PGUSER, "-d", env.PGDATABASE
+    ].concat(PSQL_FLAGS), { input: sql, encoding: "utf8", timeout: timeout, maxBuffer: 64 * 1024 * 1024 });
+  } else {
+    result = spawnSync(process.env.PSQL || "psql", PSQL_FLAGS, {
+      input: sql, env: env, encoding: "utf8", timeout: timeout, maxBuffer: 64 * 1024 * 1024
+    });
+  }
+
+  if (result.error) {
+    return { ok: false, stdout: result.stdout || "", stderr: result.error.message };
+  }
+  return { ok: result.status === 0, stdout: result.stdout, stderr: result.stderr };
+}
+
+// ============================================================================
+// SCRATCH DATABASES
+// ============================================================================
+
+const prepared = new Set();
+
+/**
+ * The database psql connects to when no other is named.
+ *
+ * @returns {string}
+ */
+function sharedDatabase() {
+  return process.env.PGDATABASE || DEFAULT_PG_ENV.PGDATABASE;
+}
+
+/**
+ * Makes sure a scratch database exists, creating it and loading
+ * init_postgresql.sql the first time. Checked once per process.
+ *
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string} [options.container]
+ * @throws {Error} for the shared database, a malformed name or a psql failure
+ */
+function preparePostgresDatabase(name, options = {}) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(name || "")) {
+    throw new Error("Not a scratch database name: " + JSON.stringify(name));
+  }
+  if (name === sharedDatabase()) {
+    throw new Error("Refusing to reseed the shared PostgreSQL database " + name + "; pass a scratch --db name");
+  }
+  if (prepared.has(name)) return;
+
+  const exists = runPsql("SELECT 1 FROM pg_database WHERE datname = '" + name + "';", { container: options.container });
+  if (!exists.ok) throw new Error("psql: " + exists.stderr.trim());
+  if (exists.stdout.trim() === "") {
+    const create = runPsql("CREATE DATABASE " + name + ";", { container: options.container });
+    if (!create.ok) throw new Error("psql: " + create.stderr.trim());
+    const schema = runPsql(fs.readFileSync(INIT_POSTGRESQL_FILE, "utf8"), {
+      container: options.container, database: name
+    });
+    if (!schema.ok) throw new Error("psql (" + name + "): " + schema.stderr.trim());
+  }
+  prepared.add(name);
+}
+
+// ============================================================================
+// RESULT CAPTURE
+// ============================================================================
+
+function withoutSemicolon(code) {
+  return stripSqlComments(code).trim().replace(/;\s*$/, "");
+}
+
+/**
+ * Rewrites a sample query so that psql prints RESULT_MARKER followed by
+ * `{"value": [rows...]}`, the same framing parseCapturedOutput reads from
+ * mongosh.
+ *
+ * The value comes from the last statement that returns rows: a SELECT/WITH
+ * query, or an INSERT/UPDATE/DELETE with RETURNING. Statements before and
+ * after it (BEGIN, COMMIT, ...) run unchanged.
+ *
+ * @param {string} query
+ * @returns {{ script: string, operation: "read"|"write"|"other", captured: boolean, statement: string|null }}
+ */
+function buildSqlCapture(query) {
+  const statements = splitSqlStatements(query);
+  let index = -1;
+  for (let i = statements.length - 1; i >= 0 && index === -1; i--) {
+    const kind = statementKind(statements[i].code);
+    const text = stripSqlComments(statements[i].code);
+    if (kind === "read" || (kind === "write" && /\bRETURNING\b/i.test(text) && !/^\s*(WITH|DO)\b/i.test(text))) {
+      index = i;
+    }
+  }
+
+  if (index === -1) {
+    const kinds = statements.map(statement => statementKind(statement.code));
+    return {
+      script: statements.map(statement => statement.code).join("\n") + "\n",
+      operation: kinds.includes("write") ? "write" : "other",
+      captured: false,
+      statement: null
+    };
+  }
+
+  const target = statements[index];
+  const operation = statementKind(target.code);
+  const body = withoutSemicolon(target.code);
+  const select = operation === "read"
+    ? "SELECT json_build_object('value', coalesce(json_agg(__sample), '[]'::json)) FROM (\n" + body + "\n) __sample;"
+    : "WITH __sample AS (\n" + body + "\n)\nSELECT json_build_object('value', coalesce(json_agg(__sample), '[]'::json)) FROM __sample;";
+
+  const lines = statements.slice(0, index).map(statement => statement.code);
+  lines.push("\\echo " + RESULT_MARKER);
+  lines.push(select);
+  statements.slice(index + 1).forEach(statement => lines.push(statement.code));
+
+  return {
+    script: lines.join("\n") + "\n",
+    operation: operation,
+    captured: true,
+    statement: target.code
+  };
+}
+
+module.exports = {
+  DEFAULT_PG_ENV,
+  runPsql,
+  sharedDatabase,
+  preparePostgresDatabase,
+  buildSqlCapture
+};
@@ -0,0 +1,240 @@
+// ============================================================================
+// Training Sample Loader
+// ============================================================================
+// Reads every training_samples/Example_NN folder into one sample record and
+// joins it with its entry in training_samples/category_mapper.txt.
+//
+// Usage:
+//   node tools/sample_loader.js [samples_dir] [--json]
+//
+// Exits with status 1 when any sample has a missing or empty part.
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+
+const SAMPLES_DIR = path.resolve(__dirname, "..", "training_samples");
+const CATEGORY_MAPPER_FILE = "category_mapper.txt";
+const SAMPLE_DIR_PATTERN = /^Example_(\d+)$/;
+
+// Sample field → file inside an Example_NN folder
+const SAMPLE_PARTS = {
+  text: "text_description.txt",
+  mongoQuery: "Mongo_Db_query.txt",
+  mongoExpected: "MongoDb_json.txt",
+  postgresQuery: "Postgres_query.txt"
+};
+
+/**
+ * @typedef {Object} CategoryEntry
+ * @property {string} key            Mapper heading, e.g. "07_Query_By_ID"
+ * @property {number} number         Example number the heading refers to
+ * @property {string} title          Heading without the number, e.g. "Query By ID"
+ * @property {string|null} category
+ * @property {string|null} description
+ * @property {Object<string, string>} fields  Every "Name: value" line of the entry
+ */
+
+/**
+ * @typedef {Object} SampleIssue
+ * @property {string} sample         Sample id, e.g. "Example_07"
+ * @property {string|null} part      Sample field the issue is about
+ * @property {string|null} file      File name inside the sample folder
+ * @property {"missing"|"empty"|"no-category"} problem
+ */
+
+/**
+ * @typedef {Object} TrainingSample
+ * @property {string} id             Folder name, e.g. "Example_07"
+ * @property {number} number         Numeric part of the folder name
+ * @property {string} dir            Absolute path of the folder
+ * @property {string|null} key       Category mapper heading
+ * @property {string|null} title
+ * @property {string|null} category
+ * @property {string|null} categoryDescription
+ * @property {string|null} paraphraseOf   Id of the sample this one rewords
+ *                                        (see tools/paraphrase.js)
+ * @property {string|null} difficulty     Difficulty tier (see tools/tag_samples.js)
+ * @property {string|null} template       Template the sample was generated from
+ *                                        (see tools/template_generator.js)
+ * @property {string|null} text           Natural language request
+ * @property {string|null} mongoQuery     mongosh query
+ * @property {string|null} mongoExpected  Expected MongoDB output (shell JSON)
+ * @property {string|null} postgresQuery  PostgreSQL query
+ * @property {SampleIssue[]} issues
+ */
+
+// ============================================================================
+// CATEGORY MAPPER
+// ============================================================================
+
+/**
+ * Parses category_mapper.txt. Each entry is a "NN_Title" heading underlined
+ * with dashes, followed by "Name: value" lines up to the next blank line.
+ *
+ * @param {string} content
+ * @returns {Map<number, CategoryEntry>} entries keyed by example number
+ */
+function parseCategoryMapper(content) {
+  const entries = new Map();
+  const lines = content.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length - 1; i++) {
+    const heading = lines[i].trim().match(/^(\d+)_(\S+)$/);
+    if (!heading || !/^-{3,}$/.test(lines[i + 1].trim())) {
+      continue;
+    }
+
+    const fields = {};
+    let j = i + 2;
+    for (; j < lines.length && lines[j].trim() !== ""; j++) {
+      const field = lines[j].match(/^([A-Za-z][A-Za-z ]*):\s*(.*)$/);
+      if (field) {
+        fields[field[1].trim()] = field[2].trim();
+      }
+    }
+
+    const number = parseInt(heading[1], 10);
+    entries.set(number, {
+      key: heading[0],
+      number: number,
+      title: heading[2].replace(/_/g, " "),
+      category: fields.Category || null,
+      description: fields.Description || null,
+      fields: fields
+    });
+    i = j;
+  }
+
+  return entries;
+}
+
+/**
+ * @param {string} [samplesDir]
+ * @returns {Map<number, CategoryEntry>} empty when the mapper file is absent
+ */
+function loadCategoryMapper(samplesDir = SAMPLES_DIR) {
+  const file = path.join(samplesDir, CATEGORY_MAPPER_FILE);
+  if (!fs.existsSync(file)) {
+    return new Map();
+  }
+  return parseCategoryMapper(fs.readFileSync(file, "utf8"));
+}
+
+// ============================================================================
+// SAMPLES
+// ============================================================================
+
+/**
+ * Loads one Example_NN folder. Missing or whitespace-only files leave the
+ * matching field null and add an issue instead of throwing.
+ *
+ * @param {string} dir
+ * @param {Map<number, CategoryEntry>} [categories]
+ * @returns {TrainingSample}
+ */
+function loadSample(dir, categories = new Map()) {
+  const id = path.basename(dir);
+  const match = id.match(SAMPLE_DIR_PATTERN);
+  const number = match ? parseInt(match[1], 10) : NaN;
+  const entry = categories.get(number) || null;
+
+  const sample = {
+    id: id,
+    number: number,
+    dir: path.resolve(dir),
+    key: entry ? entry.key : null,
+    title: entry ? entry.title : null,
+    category: entry ? entry.category : null,
+    categoryDescription: entry ? entry.description : null,
+    paraphraseOf: entry && entry.fields["Paraphrase Of"] ? entry.fields["Paraphrase Of"] : null,
+    difficulty: entry && entry.fields.Difficulty ? entry.fields.Difficulty : null,
+    template: entry && entry.fields.Template ? entry.fields.Template : null,
+    text: null,
+    mongoQuery: null,
+    mongoExpected: null,
+    postgresQuery: null,
+    issues: []
+  };
+
+  for (const [part, file] of Object.entries(SAMPLE_PARTS)) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+      sample.issues.push({ sample: id, part: part, file: file, problem: "missing" });
+      continue;
+    }
+    const content = fs.readFileSync(filePath, "utf8").trim();
+    if (content === "") {
+      sample.issues.push({ sample: id, part: part, file: file, problem: "empty" });
+      continue;
+    }
+    sample[part] = content;
+  }
+
+  if (!entry) {
+    sample.issues.push({ sample: id, part: null, file: null, problem: "no-category" });
+  }
+
+  return sample;
+}
+
+/**
+ * Loads every Example_NN folder under samplesDir, ordered by example number.
+ *
+ * @param {string} [samplesDir]
+ * @returns {{ samples: TrainingSample[], issues: SampleIssue[] }}
+ */
+function loadSamples(samplesDir = SAMPLES_DIR) {
+  const categories = loadCategoryMapper(samplesDir);
+
+  const samples = fs.readdirSync(samplesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && SAMPLE_DIR_PATTERN.test(entry.name))
+    .map(entry => loadSample(path.join(samplesDir, entry.name), categories))
+    .sort((a, b) => a.number - b.number);
+
+  const issues = [];
+  samples.forEach(sample => issues.push(...sample.issues));
+
+  return { samples: samples, issues: issues };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function main(argv) {
+  const asJson = argv.includes("--json");
+  const samplesDir = argv.find(arg => !arg.startsWith("--")) || SAMPLES_DIR;
+  const { samples, issues } = loadSamples(samplesDir);
+
+  if (asJson) {
+    console.log(JSON.stringify({ samples: samples, issues: issues }, null, 2));
+  } else {
+    samples.forEach(sample => {
+      const status = sample.issues.length === 0 ? "✓" : "✗";
+      console.log(status + " " + sample.id + "  " + (sample.category || "(no category)") +
+        (sample.title ? " - " + sample.title : ""));
+      sample.issues.forEach(issue => {
+        console.log("    " + issue.problem + (issue.file ? ": " + issue.file : ""));
+      });
+    });
+    console.log("");
+    console.log(samples.length + " samples loaded, " + issues.length + " issue(s)");
+  }
+
+  return issues.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  SAMPLES_DIR,
+  CATEGORY_MAPPER_FILE,
+  SAMPLE_PARTS,
+  parseCategoryMapper,
+  loadCategoryMapper,
+  loadSample,
+  loadSamples
+};
@@ -0,0 +1,355 @@
+// ============================================================================
+// Schema-Linking Annotations
+// ============================================================================
+// Links the spans of each sample's text_description.txt to the schema
+// elements they refer to, for schema-linking supervision:
+//
+//   "sender name"   → payments.debtor_snapshot->>'display_name' (PostgreSQL)
+//                     payments.debtor_snapshot.display_name     (MongoDB)
+//   "settled"       → payments.payment_state = 'SETTLED' / current_state
+//   "payments"      → table / collection payments
+//
+// Spans are found through the column_mappings.md vocabulary (longest phrase
+// first, plurals allowed), table names and enum values from
+// init_postgresql.sql. Each candidate is then checked against the fields the
+// sample's two queries actually use; a link is "both" when both queries use
+// its field, "postgresql" or "mongodb" when one does, and "none" when
+// neither does (a phrase the queries ignore, or a gap in the mapping).
+// Fields the queries use that no span links to are listed as unlinked.
+//
+// --write stores each sample's annotation as schema_links.json in its
+// Example_NN folder. The files are generated on demand and not committed
+// (see .gitignore), so they cannot go stale when a sample changes.
+//
+// Usage:
+//   node tools/schema_linking.js [--samples dir] [--only Example_30,...] [--json]
+//   node tools/schema_linking.js --write
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { SAMPLES_DIR, loadSamples } = require("./sample_loader");
+const { buildRegistry, fieldCorrespondences, normalizePhrase } = require("./column_mappings");
+const { loadEnums, loadTables } = require("./pg_schema");
+const { stripSqlComments } = require("./sql_statements");
+
+const LINKS_FILE = "schema_links.json";
+
+const STATUS_SYMBOLS = { both: "✓", postgresql: "~", mongodb: "~", none: "✗" };
+
+/**
+ * @typedef {Object} SchemaElement
+ * @property {"column"|"table"|"value"} kind
+ * @property {string|null} entity     table / collection
+ * @property {string|null} field      column or JSONB accessor / field path
+ *                                    as documented, null for tables
+ * @property {string|null} value      enum value for "value" links
+ * @property {boolean} used           the engine's query uses it
+ */
+
+/**
+ * @typedef {Object} SchemaLink
+ * @property {string} span            text as written in the description
+ * @property {number} start           character offsets in the description
+ * @property {number} end
+ * @property {string} phrase          vocabulary phrase, table or enum value matched
+ * @property {SchemaElement[]} postgresql
+ * @property {SchemaElement[]} mongodb
+ * @property {"both"|"postgresql"|"mongodb"|"none"} verified
+ */
+
+/**
+ * @typedef {Object} SampleLinks
+ * @property {string} sample
+ * @property {SchemaLink[]} links
+ * @property {{ postgresql: string[], mongodb: string[] }} unlinked  fields the
+ *           queries use that no span refers to
+ */
+
+// ============================================================================
+// VOCABULARY
+// ============================================================================
+
+function stem(word) {
+  return word.replace(/ies$/, "y").replace(/(?:ss|us)$|s$/, match => match.length > 1 ? match : "");
+}
+
+/**
+ * Everything a span can match: vocabulary phrases, table names and enum
+ * values, each with its PostgreSQL and MongoDB elements. Longest first.
+ *
+ * @param {Object} [options]
+ * @param {import("./column_mappings").MappingRegistry} [options.registry]
+ * @returns {{ words: string[], phrase: string, postgresql: Object[], mongodb: Object[] }[]}
+ */
+function buildVocabulary(options = {}) {
+  const registry = options.registry || buildRegistry();
+  const tables = options.tables || loadTables();
+  const enums = options.enums || loadEnums();
+  const correspondences = options.correspondences || fieldCorrespondences();
+  const entries = [];
+  const add = (phrase, postgresql, mongodb) => {
+    const words = normalizePhrase(phrase).split(" ").filter(Boolean).map(stem);
+    if (words.length > 0) entries.push({ words: words, phrase: phrase, postgresql: postgresql, mongodb: mongodb });
+  };
+
+  Object.values(registry.phrases).forEach(slot => {
+    // Join rows document the whole JOIN / $lookup; link the column they reach
+    const elements = engine => slot[engine]
+      .filter(candidate => candidate.kind !== "calculated" && candidate.path)
+      .map(candidate => ({
+        kind: "column",
+        entity: candidate.entity,
+        field: candidate.kind === "join" ? candidate.path : candidate.field,
+        path: candidate.path,
+        value: null
+      }));
+    add(slot.phrase, elements("postgresql"), elements("mongodb"));
+  });
+
+  Object.keys(tables).forEach(table => {
+    const element = { kind: "table", entity: table, field: null, path: null, value: null };
+    add(table.replace(/_/g, " "), [element], correspondences.has(table) ? [element] : []);
+  });
+
+  Object.entries(enums).forEach(([type, values]) => values.forEach(value => {
+    const postgresql = [];
+    const mongodb = [];
+    Object.entries(tables).forEach(([table, columns]) => Object.entries(columns).forEach(([column, columnType]) => {
+      if (columnType !== type) return;
+      postgresql.push({ kind: "value", entity: table, field: column, path: column, value: value });
+      const target = correspondences.has(table) ? correspondences.get(table).get(column) : null;
+      if (target) mongodb.push({ kind: "value", entity: table, field: target, path: target, value: value });
+    }));
+    if (postgresql.length > 0) add(value.toLowerCase().replace(/_/g, " "), postgresql, mongodb);
+  }));
+
+  return entries.sort((a, b) => b.words.length - a.words.length);
+}
+
+// ============================================================================
+// QUERY FIELDS
+// ============================================================================
+
+/**
+ * Tables and fields a PostgreSQL script uses; JSONB accessors in dotted form.
+ *
+ * @param {string} sql
+ * @returns {{ entities: Set<string>, fields: Set<string>, values: Set<string> }}
+ *          values: string literals, upper-cased
+ */
+function postgresUsage(sql) {
+  const text = stripSqlComments(sql);
+  const fields = new Set();
+  const accessor = /(\w+)((?:\s*->>?\s*'[^']+')+)/g;
+  let match;
+  while ((match = accessor.exec(text)) !== null) {
+    fields.add([match[1]].concat(match[2].match(/'[^']+'/g).map(key => key.slice(1, -1))).join("."));
+  }
+  const values = new Set((text.match(/'(?:[^']|'')*'/g) || []).map(literal => literal.slice(1, -1).toUpperCase()));
+  text.replace(/'(?:[^']|'')*'/g, " ").split(/[^A-Za-z0-9_]+/).filter(Boolean)
+    .forEach(word => fields.add(word.toLowerCase()));
+  const entities = new Set();
+  const tables = /\b(?:FROM|JOIN|UPDATE|INTO|TABLE|REFERENCES)\s+([A-Za-z_]\w*)/gi;
+  while ((match = tables.exec(text)) !== null) entities.add(match[1].toLowerCase());
+  return { entities: entities, fields: fields, values: values };
+}
+
+/**
+ * Collections and field paths a mongosh script uses: object keys, "$path"
+ * references and property chains (payment.debtor_snapshot.display_name).
+ *
+ * @param {string} code
+ * @returns {{ entities: Set<string>, fields: Set<string>, values: Set<string> }}
+ */
+function mongoUsage(code) {
+  const text = code.replace(/\/\/[^\n]*|\/\*[\s\S]*?\*\//g, " ");
+  const fields = new Set();
+  (text.match(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_]\w*)*/g) || []).forEach(chain => {
+    const parts = chain.replace(/^\$+/, "").split(".");
+    for (let i = 0; i < parts.length; i++) fields.add(parts.slice(i).join("."));
+  });
+  const values = new Set((text.match(/"[^"]*"|'[^']*'/g) || []).map(literal => literal.slice(1, -1).toUpperCase()));
+  const entities = new Set();
+  const collections = /\bdb\.(\w+)\.|\bfrom\s*:\s*["'](\w+)["']|getCollection\(\s*["'](\w+)["']/g;
+  let match;
+  while ((match = collections.exec(text)) !== null) entities.add(match[1] || match[2] || match[3]);
+  return { entities: entities, fields: fields, values: values };
+}
+
+function isUsed(element, usage) {
+  if (element.entity && !usage.entities.has(element.entity)) return false;
+  if (element.kind === "table") return true;
+  if (!element.path || !usage.fields.has(element.path)) return false;
+  return element.kind !== "value" || usage.values.has(element.value.toUpperCase());
+}
+
+// ============================================================================
+// LINKING
+// ============================================================================
+
+/**
+ * Links the spans of a description to schema elements and checks them
+ * against the queries.
+ *
+ * @param {string} text
+ * @param {{ postgresQuery?: string|null, mongoQuery?: string|null }} queries
+ * @param {Object} [options]
+ * @param {Array} [options.vocabulary]  see buildVocabulary()
+ * @returns {{ links: SchemaLink[], unlinked: { postgresql: string[], mongodb: string[] } }}
+ */
+function linkText(text, queries, options = {}) {
+  const vocabulary = options.vocabulary || buildVocabulary();
+  const usage = {
+    postgresql: queries.postgresQuery ? postgresUsage(queries.postgresQuery) : null,
+    mongodb: queries.mongoQuery ? mongoUsage(queries.mongoQuery) : null
+  };
+
+  const tokens = [];
+  const pattern = /[A-Za-z0-9_]+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({ word: stem(match[0].toLowerCase()), start: match.index, end: match.index + match[0].length });
+  }
+
+  const taken = new Array(tokens.length).fill(false);
+  const links = [];
+  vocabulary.forEach(entry => {
+    const size = entry.words.length;
+    for (let i = 0; i + size <= tokens.length; i++) {
+      if (taken.slice(i, i + size).some(Boolean)) continue;
+      if (!entry.words.every((word, k) => tokens[i + k].word === word)) continue;
+
+      const check = engine => entry[engine].map(element => ({
+        kind: element.kind,
+        entity: element.entity,
+        field: element.field,
+        value: element.value,
+        used: usage[engine] ? isUsed(element, usage[engine]) : false
+      }));
+      const postgresql = check("postgresql");
+      const mongodb = check("mongodb");
+      const usedIn = { postgresql: postgresql.some(e => e.used), mongodb: mongodb.some(e => e.used) };
+      // A table name or enum value the queries do not touch is ordinary prose
+      const vocabularyPhrase = entry.postgresql.concat(entry.mongodb).some(element => element.kind === "column");
+      if (!vocabularyPhrase && !usedIn.postgresql && !usedIn.mongodb) continue;
+
+      for (let k = i; k < i + size; k++) taken[k] = true;
+      links.push({
+        span: text.slice(tokens[i].start, tokens[i + size - 1].end),
+        start: tokens[i].start,
+        end: tokens[i + size - 1].end,
+        phrase: entry.phrase,
+        postgresql: postgresql,
+        mongodb: mongodb,
+        verified: usedIn.postgresql && usedIn.mongodb ? "both"
+          : usedIn.postgresql ? "postgresql" : usedIn.mongodb ? "mongodb" : "none"
+      });
+    }
+  });
+  links.sort((a, b) => a.start - b.start);
+
+  const unlinked = { postgresql: [], mongodb: [] };
+  ["postgresql", "mongodb"].forEach(engine => {
+    if (!usage[engine]) return;
+    const linked = new Set();
+    links.forEach(link => link[engine].forEach(element => {
+      if (element.used && element.field) linked.add(element.entity + "." + element.field);
+    }));
+    const known = new Set();
+    vocabulary.forEach(entry => entry[engine].forEach(element => {
+      if (element.kind === "column" && isUsed(element, usage[engine])) known.add(element.entity + "." + element.field);
+    }));
+    unlinked[engine] = [...known].filter(field => !linked.has(field)).sort();
+  });
+
+  return { links: links, unlinked: unlinked };
+}
+
+/**
+ * @param {import("./sample_loader").TrainingSample} sample
+ * @param {Object} [options]  see linkText()
+ * @returns {SampleLinks}
+ */
+function linkSample(sample, options = {}) {
+  const result = sample.text
+    ? linkText(sample.text, sample, options)
+    : { links: [], unlinked: { postgresql: [], mongodb: [] } };
+  return { sample: sample.id, links: result.links, unlinked: result.unlinked };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { samples: SAMPLES_DIR, only: null, write: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--samples": args.samples = argv[++i]; break;
+      case "--only": args.only = argv[++i].split(","); break;
+      case "--write": args.write = true; break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  return args;
+}
+
+function describeElement(element) {
+  if (element.kind === "table") return element.entity;
+  return element.entity + "." + element.field + (element.value ? " = " + element.value : "");
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const samples = loadSamples(args.samples).samples
+    .filter(sample => !args.only || args.only.includes(sample.id));
+  const vocabulary = buildVocabulary();
+  const annotations = samples.map(sample => linkSample(sample, { vocabulary: vocabulary }));
+
+  if (args.write) {
+    annotations.forEach((annotation, index) => {
+      fs.writeFileSync(path.join(samples[index].dir, LINKS_FILE), JSON.stringify(annotation, null, 2) + "\n");
+    });
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(annotations, null, 2));
+    return 0;
+  }
+
+  const counts = { both: 0, postgresql: 0, mongodb: 0, none: 0 };
+  annotations.forEach(annotation => {
+    console.log(annotation.sample);
+    annotation.links.forEach(link => {
+      counts[link.verified]++;
+      const show = engine => link[engine].filter(element => element.used).map(describeElement).join(", ") || "-";
+      console.log("  " + STATUS_SYMBOLS[link.verified] + " \"" + link.span + "\"  PostgreSQL: " + show("postgresql") +
+        "  MongoDB: " + show("mongodb"));
+    });
+    ["postgresql", "mongodb"].forEach(engine => {
+      if (annotation.unlinked[engine].length > 0) {
+        console.log("    unlinked " + engine + ": " + annotation.unlinked[engine].join(", "));
+      }
+    });
+  });
+  console.log("");
+  console.log(Object.values(counts).reduce((sum, count) => sum + count, 0) + " links: " + counts.both +
+    " used by both queries, " + (counts.postgresql + counts.mongodb) + " by one, " + counts.none + " by neither" +
+    (args.write ? "; " + LINKS_FILE + " written for " + annotations.length + " samples" : ""));
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  LINKS_FILE,
+  buildVocabulary,
+  postgresUsage,
+  mongoUsage,
+  linkText,
+  linkSample
+};
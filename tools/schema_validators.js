@@ -0,0 +1,516 @@
+// ============================================================================
+// MongoDB Collection Validators
+// ============================================================================
+// Builds $jsonSchema validators for institutions, parties, messages and
+// payments from the sample documents in payment_model_mongodb.md, restricts
+// states, party types, route roles, identifier types and currencies to the
+// enums in init_postgresql.sql, and applies them to a database with collMod.
+//
+// The same schemas can check documents offline (Extended JSON datasets such
+// as tools/fixtures/training_dataset.js or `synthetic_data.js --format json`)
+// before they are loaded or turned into training samples.
+//
+// Usage:
+//   node tools/schema_validators.js                  # print the validators
+//   node tools/schema_validators.js --script         # print the mongosh migration
+//   node tools/schema_validators.js --apply --docker # run it in payment_mongodb
+//   node tools/schema_validators.js --check          # validate the fixture dataset
+//   node tools/schema_validators.js --check data.json
+//
+// Options:
+//   --db <name>         database to migrate (default: payment_db)
+//   --level <level>     validationLevel: moderate (default), strict or off
+//   --action <action>   validationAction: error (default) or warn
+//   --docker            run mongosh inside the payment_mongodb container
+//   --json              with --check, print violations as JSON
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { loadEnums } = require("./pg_schema");
+const { runMongosh } = require("./mongo_shell");
+const { COLLECTIONS } = require("./dataset_seed");
+const trainingDataset = require("./fixtures/training_dataset");
+
+const MODEL_FILE = path.join(__dirname, "..", "payment_model_mongodb.md");
+
+// Fields every document must carry. Kept to what the inserts in
+// mongodb_crud_operations.js always provide ("Insert institution with only
+// required fields", "Insert payment with minimal fields", ...).
+const REQUIRED_FIELDS = {
+  institutions: {
+    "": ["legal_name", "created_at", "updated_at"]
+  },
+  parties: {
+    "": ["party_type", "display_name", "created_at", "updated_at"],
+    "identifiers": ["type", "value"]
+  },
+  messages: {
+    "": ["source_system", "current_state", "received_at", "last_state_changed_at", "created_at", "updated_at"],
+    "totals": ["count", "by_currency"],
+    "totals.by_currency": ["currency", "count", "sum"]
+  },
+  payments: {
+    "": [
+      "message_id", "scheme", "amount", "currency", "current_state", "last_state_changed_at",
+      "instructed_on", "debtor_snapshot", "creditor_snapshot", "created_at", "updated_at"
+    ],
+    "debtor_snapshot": ["display_name", "identifiers"],
+    "debtor_snapshot.identifiers": ["type", "value"],
+    "creditor_snapshot": ["display_name", "identifiers"],
+    "creditor_snapshot.identifiers": ["type", "value"],
+    "route_steps": ["step_no", "role", "institution_snapshot"],
+    "route_steps.institution_snapshot": ["legal_name"],
+    "state_history": ["seq_no", "from_state", "to_state", "occurred_at"]
+  }
+};
+
+// Paths whose values are constrained beyond the inferred type: an enum from
+// init_postgresql.sql (null allowed when the sample holds null), a BSON type
+// or a pattern. Array paths address the array's items.
+const FIELD_RULES = {
+  institutions: {
+    "bic": { pattern: "^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$" },
+    "lei": { pattern: "^[A-Z0-9]{18}[0-9]{2}$" },
+    "country_code": { pattern: "^[A-Z]{2}$" }
+  },
+  parties: {
+    "party_type": { enumType: "party_type" },
+    "identifiers.type": { enumType: "identifier_type" }
+  },
+  messages: {
+    "current_state": { enumType: "message_state" },
+    "totals.by_currency.currency": { enumType: "currency_code" },
+    "totals.by_currency.sum": { bsonType: "decimal" }
+  },
+  payments: {
+    "amount": { bsonType: "decimal" },
+    "currency": { enumType: "currency_code" },
+    "current_state": { enumType: "payment_state" },
+    "debtor_snapshot.identifiers.type": { enumType: "identifier_type" },
+    "creditor_snapshot.identifiers.type": { enumType: "identifier_type" },
+    "route_steps.role": { enumType: "route_role" },
+    "route_steps.institution_snapshot.country_code": { pattern: "^[A-Z]{2}$" },
+    "state_history.from_state": { enumType: "payment_state" },
+    "state_history.to_state": { enumType: "payment_state" }
+  }
+};
+
+// Free-form sub-documents: only their type is checked
+const OPEN_OBJECTS = ["attributes", "metadata", "actor", "route_summary", "address"];
+
+/**
+ * @typedef {Object} Violation
+ * @property {string} collection
+ * @property {number} index     position of the document in its collection
+ * @property {string} id        the document's _id, when it has one
+ * @property {string} path      dotted path of the offending value
+ * @property {string} message
+ */
+
+// ============================================================================
+// MODEL SAMPLES
+// ============================================================================
+
+/**
+ * Reads the "### Sample: `collection`" JSON blocks of the model document.
+ *
+ * @param {string} markdown
+ * @returns {Object<string, Object[]>}  collection -> sample documents
+ */
+function parseModelSamples(markdown) {
+  const samples = {};
+  const pattern = /^###\s+Sample:\s+`(\w+)`[^\n]*\n+```json\n([\s\S]*?)\n```/gm;
+  let match;
+  while ((match = pattern.exec(markdown)) !== null) {
+    (samples[match[1]] = samples[match[1]] || []).push(JSON.parse(match[2]));
+  }
+  return samples;
+}
+
+/**
+ * @param {string} [file]
+ * @returns {Object<string, Object[]>}
+ */
+function loadModelSamples(file = MODEL_FILE) {
+  return parseModelSamples(fs.readFileSync(file, "utf8"));
+}
+
+// ============================================================================
+// SCHEMA INFERENCE
+// ============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * BSON type name of an Extended JSON value.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function bsonTypeOf(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "string") return "string";
+  if (typeof value === "boolean") return "bool";
+  if (typeof value === "number") return Number.isInteger(value) ? "int" : "double";
+  if (value instanceof Date) return "date";
+  if ("$oid" in value) return "objectId";
+  if ("$date" in value) return "date";
+  if ("$numberDecimal" in value) return "decimal";
+  if ("$numberLong" in value) return "long";
+  if ("$numberInt" in value) return "int";
+  if ("$numberDouble" in value) return "double";
+  return "object";
+}
+
+function addTypes(schema, types) {
+  const current = [].concat(schema.bsonType || []);
+  types.forEach(type => {
+    if (!current.includes(type)) current.push(type);
+  });
+  schema.bsonType = current.length === 1 ? current[0] : current;
+}
+
+/**
+ * Widens `schema` so that it accepts `value`.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} key  field name, used to leave OPEN_OBJECTS unspecified
+ */
+function mergeValue(schema, value, key) {
+  const type = bsonTypeOf(value);
+  // Counters are written as int by mongosh and as long by some drivers
+  addTypes(schema, type === "int" ? ["int", "long"] : [type]);
+
+  if (type === "object" && !OPEN_OBJECTS.includes(key)) {
+    schema.properties = schema.properties || {};
+    Object.keys(value).forEach(name => {
+      schema.properties[name] = schema.properties[name] || {};
+      mergeValue(schema.properties[name], value[name], name);
+    });
+  } else if (type === "array") {
+    value.forEach(item => {
+      schema.items = schema.items || {};
+      mergeValue(schema.items, item, key);
+    });
+  }
+}
+
+/**
+ * Follows a dotted path through properties and array items.
+ *
+ * @param {Object} schema
+ * @param {string} fieldPath
+ * @returns {Object|null}
+ */
+function schemaAt(schema, fieldPath) {
+  let node = schema;
+  for (const name of fieldPath ? fieldPath.split(".") : []) {
+    while (node && node.items) node = node.items;
+    node = node && node.properties ? node.properties[name] : null;
+  }
+  while (node && node.items) node = node.items;
+  return node || null;
+}
+
+/**
+ * Builds the $jsonSchema of one collection from its model samples.
+ *
+ * @param {string} collection
+ * @param {Object[]} samples
+ * @param {Object<string, string[]>} enums  as returned by pg_schema.loadEnums
+ * @returns {Object}
+ */
+function buildCollectionSchema(collection, samples, enums) {
+  const schema = {};
+  samples.forEach(sample => mergeValue(schema, sample, ""));
+  schema.bsonType = "object";
+
+  const rules = FIELD_RULES[collection] || {};
+  Object.keys(rules).forEach(fieldPath => {
+    const node = schemaAt(schema, fieldPath);
+    if (!node) throw new Error(collection + "." + fieldPath + " is not in the model samples");
+    const rule = rules[fieldPath];
+    if (rule.bsonType) node.bsonType = rule.bsonType;
+    if (rule.pattern) node.pattern = rule.pattern;
+    if (rule.enumType) {
+      if (!enums[rule.enumType]) throw new Error("Unknown enum type: " + rule.enumType);
+      const nullable = [].concat(node.bsonType).includes("null");
+      node.enum = enums[rule.enumType].concat(nullable ? [null] : []);
+      delete node.bsonType;
+    }
+  });
+
+  const required = REQUIRED_FIELDS[collection] || {};
+  Object.keys(required).forEach(fieldPath => {
+    const node = schemaAt(schema, fieldPath);
+    if (!node) throw new Error(collection + "." + fieldPath + " is not in the model samples");
+    node.required = required[fieldPath].slice();
+  });
+
+  return schema;
+}
+
+/**
+ * Builds the validator ({ $jsonSchema }) of every payment collection.
+ *
+ * @param {Object} [options]
+ * @param {Object<string, Object[]>} [options.samples]  default: payment_model_mongodb.md
+ * @param {Object<string, string[]>} [options.enums]    default: init_postgresql.sql
+ * @returns {Object<string, { $jsonSchema: Object }>}
+ */
+function buildValidators(options = {}) {
+  const samples = options.samples || loadModelSamples();
+  const enums = options.enums || loadEnums();
+  const validators = {};
+  COLLECTIONS.forEach(collection => {
+    if (!samples[collection]) throw new Error("No model sample for collection " + collection);
+    const schema = buildCollectionSchema(collection, samples[collection], enums);
+    schema.title = collection + " (payment_model_mongodb.md)";
+    validators[collection] = { $jsonSchema: schema };
+  });
+  return validators;
+}
+
+// ============================================================================
+// OFFLINE VALIDATION
+// ============================================================================
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? String(value) : text.length > 60 ? text.slice(0, 57) + "..." : text;
+}
+
+function matchesType(value, bsonType) {
+  const actual = bsonTypeOf(value);
+  return [].concat(bsonType).includes(actual);
+}
+
+/**
+ * Checks an Extended JSON document against the $jsonSchema subset the
+ * validators use (bsonType, required, properties, items, enum, pattern).
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [fieldPath]
+ * @returns {{ path: string, message: string }[]}
+ */
+function validateDocument(schema, value, fieldPath = "") {
+  const errors = [];
+  const at = fieldPath || "(document)";
+
+  if (schema.bsonType && !matchesType(value, schema.bsonType)) {
+    errors.push({ path: at, message: "expected " + [].concat(schema.bsonType).join("|") + ", got " + bsonTypeOf(value) });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.some(allowed => allowed === (value === undefined ? null : value))) {
+    errors.push({ path: at, message: describeValue(value) + " is not one of " + schema.enum.filter(v => v !== null).join(", ") });
+    return errors;
+  }
+  if (schema.pattern && typeof value === "string" && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: at, message: describeValue(value) + " does not match /" + schema.pattern + "/" });
+  }
+
+  if (isPlainObject(value) && bsonTypeOf(value) === "object") {
+    (schema.required || []).forEach(name => {
+      if (!(name in value)) errors.push({ path: fieldPath ? fieldPath + "." + name : name, message: "is required" });
+    });
+    Object.keys(schema.properties || {}).forEach(name => {
+      if (name in value) {
+        const childPath = fieldPath ? fieldPath + "." + name : name;
+        errors.push(...validateDocument(schema.properties[name], value[name], childPath));
+      }
+    });
+  } else if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateDocument(schema.items, item, fieldPath + "." + index));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validates a dataset ({ collection: [documents...] }) against the validators.
+ *
+ * @param {Object<string, Object[]>} dataset
+ * @param {Object<string, { $jsonSchema: Object }>} [validators]
+ * @returns {Violation[]}
+ */
+function validateDataset(dataset, validators = buildValidators()) {
+  const violations = [];
+  Object.keys(validators).forEach(collection => {
+    (dataset[collection] || []).forEach((document, index) => {
+      const id = document && document._id ? (document._id.$oid || String(document._id)) : "";
+      validateDocument(validators[collection].$jsonSchema, document).forEach(error => {
+        violations.push({ collection: collection, index: index, id: id, path: error.path, message: error.message });
+      });
+    });
+  });
+  return violations;
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Renders a mongosh script that attaches the validators: collMod for
+ * existing collections, create for missing ones. Each collection prints one
+ * "✓"/"✗" line with the number of stored documents that do not match; under
+ * the default "moderate" level those can still be updated but not made worse.
+ *
+ * @param {Object<string, { $jsonSchema: Object }>} validators
+ * @param {Object} [options]
+ * @param {string} [options.dbName]           default "payment_db"
+ * @param {string} [options.validationLevel]  default "moderate"
+ * @param {string} [options.validationAction] default "error"
+ * @returns {string}
+ */
+function migrationScript(validators, options = {}) {
+  const dbName = options.dbName || "payment_db";
+  const level = options.validationLevel || "moderate";
+  const action = options.validationAction || "error";
+
+  return [
+    "// Apply $jsonSchema validators to " + dbName + " (generated by tools/schema_validators.js)",
+    "db = db.getSiblingDB(" + JSON.stringify(dbName) + ");",
+    "var validators = " + JSON.stringify(validators, null, 2) + ";",
+    "var existing = db.getCollectionNames();",
+    "var failed = 0;",
+    "Object.keys(validators).forEach(function (name) {",
+    "  var options = { validator: validators[name], validationLevel: " + JSON.stringify(level) +
+      ", validationAction: " + JSON.stringify(action) + " };",
+    "  var exists = existing.indexOf(name) !== -1;",
+    "  var command = Object.assign(exists ? { collMod: name } : { create: name }, options);",
+    "  var result;",
+    "  try {",
+    "    result = db.runCommand(command);",
+    "  } catch (error) {",
+    "    result = { ok: 0, errmsg: error.message };",
+    "  }",
+    "  if (!result.ok) {",
+    "    failed++;",
+    "    print(\"✗ \" + name + \": \" + result.errmsg);",
+    "    return;",
+    "  }",
+    "  var invalid = db.getCollection(name).countDocuments({ $nor: [validators[name]] });",
+    "  print(\"✓ \" + name + (exists ? \" (collMod)\" : \" (created)\") + \": \" + invalid + \" existing document(s) do not match\");",
+    "});",
+    "if (failed > 0) quit(1);",
+    ""
+  ].join("\n");
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = {
+    mode: "print", files: [], dbName: "payment_db", validationLevel: "moderate",
+    validationAction: "error", docker: false, json: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--script": args.mode = "script"; break;
+      case "--apply": args.mode = "apply"; break;
+      case "--check": args.mode = "check"; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--level": args.validationLevel = argv[++i]; break;
+      case "--action": args.validationAction = argv[++i]; break;
+      case "--docker": args.docker = true; break;
+      case "--json": args.json = true; break;
+      default:
+        if (args.mode === "check" && !argv[i].startsWith("--")) {
+          args.files.push(argv[i]);
+          break;
+        }
+        throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (!["off", "moderate", "strict"].includes(args.validationLevel)) {
+    throw new Error("--level must be off, moderate or strict");
+  }
+  if (!["error", "warn"].includes(args.validationAction)) {
+    throw new Error("--action must be error or warn");
+  }
+  return args;
+}
+
+function loadDataset(file) {
+  const content = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (Array.isArray(content)) {
+    const collection = COLLECTIONS.find(name => path.basename(file).includes(name));
+    if (!collection) throw new Error(file + ": cannot tell which collection the documents belong to");
+    return { [collection]: content };
+  }
+  return content;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const validators = buildValidators();
+
+  if (args.mode === "print") {
+    console.log(JSON.stringify(validators, null, 2));
+    return 0;
+  }
+
+  const script = migrationScript(validators, args);
+  if (args.mode === "script") {
+    process.stdout.write(script);
+    return 0;
+  }
+
+  if (args.mode === "apply") {
+    const run = runMongosh(script, { container: args.docker ? "payment_mongodb" : null });
+    process.stdout.write(run.stdout);
+    if (!run.ok) console.error("✗ " + (run.stderr.trim() || "mongosh failed"));
+    return run.ok ? 0 : 1;
+  }
+
+  const sources = args.files.length > 0
+    ? args.files.map(file => ({ name: file, dataset: loadDataset(file) }))
+    : [{ name: "tools/fixtures/training_dataset.js", dataset: trainingDataset }];
+  const results = sources.map(source => ({ source: source.name, violations: validateDataset(source.dataset, validators) }));
+
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(result => {
+      const count = COLLECTIONS.reduce((sum, name) => {
+        const source = sources.find(s => s.name === result.source);
+        return sum + (source.dataset[name] || []).length;
+      }, 0);
+      console.log((result.violations.length === 0 ? "✓ " : "✗ ") + result.source + ": " + count + " documents, " +
+        result.violations.length + " violation(s)");
+      result.violations.forEach(violation => {
+        console.log("  " + violation.collection + "[" + violation.index + "]" + (violation.id ? " " + violation.id : "") +
+          " " + violation.path + ": " + violation.message);
+      });
+    });
+  }
+  return results.some(result => result.violations.length > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  MODEL_FILE,
+  REQUIRED_FIELDS,
+  FIELD_RULES,
+  parseModelSamples,
+  loadModelSamples,
+  bsonTypeOf,
+  buildCollectionSchema,
+  buildValidators,
+  validateDocument,
+  validateDataset,
+  migrationScript
+};
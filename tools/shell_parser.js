@@ -0,0 +1,478 @@
+// ============================================================================
+// mongosh Call Parser
+// ============================================================================
+// Reads collection calls as written in mongodb_crud_operations.js and the
+// Mongo_Db_query.txt files, e.g.
+//
+//   db.payments.find({ amount: { $gt: 1000 } }, { payment_ref: 1 }).sort({ amount: -1 }).limit(10)
+//
+// into the collection, the method, the cursor methods chained after it, and
+// each argument as a value. Arguments are parsed, not evaluated: object and
+// array literals (unquoted keys, single quotes, trailing commas), regex
+// literals, ObjectId(), ISODate(), new Date(...), NumberDecimal(),
+// NumberInt(), NumberLong() and Date.now() arithmetic. Variables, functions
+// and other JavaScript raise a ShellSyntaxError, except the callbacks of
+// cursor methods (.forEach(function (doc) { ... })), which are kept as source
+// text.
+//
+// Values come back as Extended JSON: { $oid }, { $date }, { $numberDecimal },
+// { $numberLong } and { $regularExpression: { pattern, options } }. The
+// current time, new Date() or new Date(Date.now() - 86400000), is
+// { $now: <offset in ms> }, which is not Extended JSON.
+//
+// Usage:
+//   node tools/shell_parser.js 'db.payments.find({ scheme: "FPS" }).limit(5)'
+// ============================================================================
+
+const { splitStatements, splitArguments, callChain } = require("./js_statements");
+
+/**
+ * @typedef {Object} ShellCall
+ * @property {string} collection
+ * @property {string} method                 find, aggregate, updateOne, ...
+ * @property {Array<*>} args                 parsed arguments
+ * @property {{ name: string, args: Array<*> }[]} cursor  chained calls
+ *                                           (sort, limit, skip, ...);
+ *                                           forEach / map keep their
+ *                                           callback as source text
+ */
+
+/** Raised for source outside the literal subset described above. */
+class ShellSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [position]  offset in the parsed source
+   */
+  constructor(message, position) {
+    super(position === undefined ? message : message + " (at offset " + position + ")");
+    this.name = "ShellSyntaxError";
+    this.position = position;
+  }
+}
+
+const PUNCTUATION = "{}[](),:.+-*/";
+
+// Cursor methods whose argument is a JavaScript callback
+const CURSOR_CALLBACKS = new Set(["forEach", "map"]);
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+// A "/" starts a regex literal where a value is expected
+function regexAllowed(tokens) {
+  if (tokens.length === 0) return true;
+  const last = tokens[tokens.length - 1];
+  return last.type === "punct" && "{[(,:+-*/".includes(last.value);
+}
+
+/**
+ * @param {string} source
+ * @returns {{ type: "ident"|"number"|"string"|"regex"|"punct"|"end", value: *, position: number }[]}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (source.startsWith("//", i)) {
+      const end = source.indexOf("\n", i);
+      i = end === -1 ? source.length : end;
+    } else if (source.startsWith("/*", i)) {
+      const end = source.indexOf("*/", i + 2);
+      if (end === -1) throw new ShellSyntaxError("Unterminated comment", i);
+      i = end + 2;
+    } else if (ch === "\"" || ch === "'" || ch === "`") {
+      let value = "";
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (ch === "`" && source.startsWith("${", j)) throw new ShellSyntaxError("Template substitutions are not supported", j);
+        if (source[j] === "\\") {
+          const escaped = source[j + 1];
+          value += { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", v: "\v", 0: "\0" }[escaped] || escaped;
+          j += 2;
+        } else {
+          value += source[j++];
+        }
+      }
+      if (j >= source.length) throw new ShellSyntaxError("Unterminated string", i);
+      tokens.push({ type: "string", value: value, position: i });
+      i = j + 1;
+    } else if (ch === "/" && regexAllowed(tokens)) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length && (source[j] !== "/" || inClass)) {
+        if (source[j] === "\\") j++;
+        else if (source[j] === "[") inClass = true;
+        else if (source[j] === "]") inClass = false;
+        else if (source[j] === "\n") throw new ShellSyntaxError("Unterminated regular expression", i);
+        j++;
+      }
+      if (j >= source.length) throw new ShellSyntaxError("Unterminated regular expression", i);
+      const flags = source.slice(j + 1).match(/^[a-z]*/)[0];
+      tokens.push({ type: "regex", value: { pattern: source.slice(i + 1, j), options: flags }, position: i });
+      i = j + 1 + flags.length;
+    } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[i + 1] || ""))) {
+      const match = source.slice(i).match(/^(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)/);
+      tokens.push({ type: "number", value: match[0], position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      const word = source.slice(i).match(/^[A-Za-z_$][\w$]*/)[0];
+      tokens.push({ type: "ident", value: word, position: i });
+      i += word.length;
+    } else if (PUNCTUATION.includes(ch)) {
+      tokens.push({ type: "punct", value: ch, position: i });
+      i++;
+    } else {
+      throw new ShellSyntaxError("Unexpected character " + JSON.stringify(ch), i);
+    }
+  }
+  tokens.push({ type: "end", value: "", position: source.length });
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+function isNow(value) {
+  return value !== null && typeof value === "object" && Object.keys(value).length === 1 && value.$now !== undefined;
+}
+
+function dateFromText(text, position) {
+  const date = new Date(text);
+  if (isNaN(date.getTime())) throw new ShellSyntaxError("Invalid date " + JSON.stringify(text), position);
+  return { $date: date.toISOString() };
+}
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== "end") this.index++;
+    return token;
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return token.type === "punct" && token.value === value;
+  }
+
+  acceptPunct(value) {
+    if (!this.isPunct(value)) return false;
+    this.index++;
+    return true;
+  }
+
+  expectPunct(value) {
+    if (!this.acceptPunct(value)) this.fail("expected \"" + value + "\"");
+  }
+
+  fail(message, token = this.peek()) {
+    throw new ShellSyntaxError(message + ", found " + (token.type === "end" ? "end of input" : JSON.stringify(
+      typeof token.value === "string" ? token.value : "/" + token.value.pattern + "/")), token.position);
+  }
+
+  parseValue() {
+    const value = this.additive();
+    if (this.peek().type !== "end") this.fail("expected end of value");
+    return value;
+  }
+
+  // ----- arithmetic ---------------------------------------------------------
+  // Only numbers and the current time take part: 24 * 60 * 60 * 1000,
+  // Date.now() - 86400000
+
+  additive() {
+    let left = this.multiplicative();
+    while (this.isPunct("+") || this.isPunct("-")) {
+      const token = this.next();
+      const right = this.multiplicative();
+      left = this.arithmetic(token, left, right);
+    }
+    return left;
+  }
+
+  multiplicative() {
+    let left = this.unary();
+    while (this.isPunct("*") || this.isPunct("/")) {
+      const token = this.next();
+      const right = this.unary();
+      left = this.arithmetic(token, left, right);
+    }
+    return left;
+  }
+
+  arithmetic(token, left, right) {
+    const op = token.value;
+    if (typeof left === "number" && typeof right === "number") {
+      switch (op) {
+        case "+": return left + right;
+        case "-": return left - right;
+        case "*": return left * right;
+        default: return left / right;
+      }
+    }
+    if (op === "+" && typeof left === "string" && typeof right === "string") return left + right;
+    if (isNow(left) && typeof right === "number" && (op === "+" || op === "-")) {
+      return { $now: left.$now + (op === "+" ? right : -right) };
+    }
+    if (isNow(right) && typeof left === "number" && op === "+") return { $now: right.$now + left };
+    throw new ShellSyntaxError("Unsupported arithmetic with \"" + op + "\"", token.position);
+  }
+
+  unary() {
+    if (this.isPunct("-") || this.isPunct("+")) {
+      const token = this.next();
+      const value = this.unary();
+      if (typeof value !== "number") throw new ShellSyntaxError("Unary " + token.value + " needs a number", token.position);
+      return token.value === "-" ? -value : value;
+    }
+    return this.primary();
+  }
+
+  // ----- values -------------------------------------------------------------
+
+  primary() {
+    const token = this.peek();
+    switch (token.type) {
+      case "string":
+        this.next();
+        return token.value;
+      case "number":
+        this.next();
+        return Number(token.value);
+      case "regex":
+        this.next();
+        return { $regularExpression: token.value };
+      case "ident":
+        return this.identifierValue();
+      case "punct":
+        if (token.value === "{") return this.object();
+        if (token.value === "[") return this.array();
+        if (token.value === "(") {
+          this.next();
+          const value = this.additive();
+          this.expectPunct(")");
+          return value;
+        }
+        break;
+      default:
+        break;
+    }
+    return this.fail("expected a value");
+  }
+
+  object() {
+    this.expectPunct("{");
+    const value = {};
+    while (!this.isPunct("}")) {
+      const token = this.next();
+      let key;
+      if (token.type === "ident" || token.type === "string") key = token.value;
+      else if (token.type === "number") key = String(Number(token.value));
+      else this.fail("expected a key", token);
+      this.expectPunct(":");
+      value[key] = this.additive();
+      if (!this.acceptPunct(",")) break;
+    }
+    this.expectPunct("}");
+    return value;
+  }
+
+  array() {
+    this.expectPunct("[");
+    const items = [];
+    while (!this.isPunct("]")) {
+      items.push(this.additive());
+      if (!this.acceptPunct(",")) break;
+    }
+    this.expectPunct("]");
+    return items;
+  }
+
+  callArguments() {
+    this.expectPunct("(");
+    const args = [];
+    while (!this.isPunct(")")) {
+      args.push(this.additive());
+      if (!this.acceptPunct(",")) break;
+    }
+    this.expectPunct(")");
+    return args;
+  }
+
+  identifierValue() {
+    const token = this.next();
+    switch (token.value) {
+      case "true": return true;
+      case "false": return false;
+      case "null": return null;
+      case "undefined": return null;
+      case "Infinity": return Infinity;
+      default: break;
+    }
+
+    if (token.value === "new") {
+      const name = this.next();
+      if (name.type !== "ident" || name.value !== "Date") this.fail("only new Date(...) is supported", name);
+      return this.date(this.callArguments(), name);
+    }
+
+    let name = token.value;
+    while (this.isPunct(".")) {
+      this.next();
+      const member = this.next();
+      if (member.type !== "ident") this.fail("expected a property name", member);
+      name += "." + member.value;
+    }
+    if (!this.isPunct("(")) {
+      throw new ShellSyntaxError("Variables are not supported (" + name + ")", token.position);
+    }
+    const args = this.callArguments();
+    const text = args.length > 0 ? args[0] : undefined;
+
+    switch (name) {
+      case "ObjectId":
+      case "ObjectID":
+        if (typeof text !== "string" || !/^[0-9a-f]{24}$/i.test(text)) {
+          throw new ShellSyntaxError("ObjectId() needs a 24-digit hex string", token.position);
+        }
+        return { $oid: text.toLowerCase() };
+      case "ISODate":
+      case "Date":
+        return this.date(args, token);
+      case "Date.now":
+        return { $now: 0 };
+      case "NumberDecimal":
+      case "Decimal128":
+        return { $numberDecimal: String(text) };
+      case "NumberLong":
+        return { $numberLong: String(text) };
+      case "NumberInt":
+        return Number(text);
+      default:
+        throw new ShellSyntaxError("Function calls are not supported (" + name + "())", token.position);
+    }
+  }
+
+  date(args, token) {
+    if (args.length === 0) return { $now: 0 };
+    const [value] = args;
+    if (isNow(value)) return value;
+    if (typeof value === "string") return dateFromText(value, token.position);
+    if (typeof value === "number") return { $date: new Date(value).toISOString() };
+    if (value && value.$date) return value;
+    throw new ShellSyntaxError("Unsupported Date() argument", token.position);
+  }
+}
+
+/**
+ * Parses one literal argument.
+ *
+ * @param {string} source
+ * @returns {*}
+ * @throws {ShellSyntaxError}
+ */
+function parseShellValue(source) {
+  return new Parser(source).parseValue();
+}
+
+/**
+ * Parses a `db.<collection>.<method>(...)` statement with its cursor
+ * chain. Returns null when the statement is not a collection call (use,
+ * print, variable declarations, ...).
+ *
+ * @param {string} code
+ * @returns {ShellCall|null}
+ * @throws {ShellSyntaxError} when the call's arguments cannot be parsed
+ */
+function parseShellCall(code) {
+  const chain = callChain(code.trim().replace(/^(?:const|let|var)\s+[\w$]+\s*=\s*/, ""));
+  if (!chain || chain.length === 0) return null;
+
+  let head = chain[0].name.match(/^db\.([\w$]+)\.([\w$]+)$/);
+  let collection = head && head[1];
+  if (!head) {
+    head = chain[0].name.match(/^db\.getCollection$/);
+    if (!head || chain.length < 2) return null;
+    collection = parseShellValue(chain[0].args);
+    const method = chain[1].name.match(/^([\w$]+)$/);
+    if (typeof collection !== "string" || !method) return null;
+    chain.splice(0, 2, { name: "db." + collection + "." + method[1], args: chain[1].args });
+    head = chain[0].name.match(/^db\.([\w$]+)\.([\w$]+)$/);
+  }
+
+  const parseArgs = source => splitArguments(source).map(parseShellValue);
+  return {
+    collection: collection,
+    method: head[2],
+    args: parseArgs(chain[0].args),
+    cursor: chain.slice(1).map(call => ({
+      name: call.name,
+      args: CURSOR_CALLBACKS.has(call.name) ? splitArguments(call.args) : parseArgs(call.args)
+    }))
+  };
+}
+
+/**
+ * The last collection call in a mongosh script.
+ *
+ * @param {string} source
+ * @returns {{ call: ShellCall|null, statement: import("./js_statements").ScriptStatement|null }}
+ * @throws {ShellSyntaxError}
+ */
+function lastShellCall(source) {
+  const statements = splitStatements(source);
+  for (let i = statements.length - 1; i >= 0; i--) {
+    if (!/\bdb\s*\.\s*[\w$]+\s*\.\s*[\w$]+\s*\(|\bdb\.getCollection\(/.test(statements[i].code)) continue;
+    const call = parseShellCall(statements[i].code);
+    if (call) return { call: call, statement: statements[i] };
+  }
+  return { call: null, statement: null };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function main(argv) {
+  if (argv.length !== 1 || argv[0].startsWith("--")) {
+    throw new Error("Usage: node tools/shell_parser.js '<mongosh call>'");
+  }
+  try {
+    const call = parseShellCall(argv[0]);
+    if (!call) {
+      console.error("✗ Not a db.<collection>.<method>(...) call");
+      return 1;
+    }
+    console.log(JSON.stringify(call, null, 2));
+    return 0;
+  } catch (error) {
+    if (!(error instanceof ShellSyntaxError)) throw error;
+    console.error("✗ " + error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  ShellSyntaxError,
+  tokenize,
+  parseShellValue,
+  parseShellCall,
+  lastShellCall
+};
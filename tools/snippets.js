@@ -0,0 +1,398 @@
+// ============================================================================
+// MongoDB Script Snippets
+// ============================================================================
+// Splits mongodb_crud_operations.js and advanced_mongodb_queries.js into
+// snippets, one per titled example, addressable by section banner and title:
+//
+//   payments-update-operations/update-state-history-with-incrementing-seq-no
+//   ("PAYMENTS - UPDATE Operations" / "Update state_history with incrementing seq_no")
+//
+// Statements without a title of their own (the rest of a transaction, ...)
+// belong to the snippet before them. Each snippet declares its fixtures: the
+// collections it touches and the hardcoded ObjectIds it uses, taken from
+// tools/fixtures/training_dataset.js. Its standalone script loads them into
+// an empty database first, so one example runs without the rest of the file.
+//
+// Usage:
+//   node tools/snippets.js                                  # list snippet ids
+//   node tools/snippets.js --file advanced --json           # snippet records
+//   node tools/snippets.js --show payments-update-operations/update-payment-state
+//   node tools/snippets.js --write snippets_out             # one script per snippet
+//   node tools/snippets.js --run payments-delete-operations --docker
+//
+// A selector is a snippet id, a section id (every snippet in it), a
+// "Section / Title" key (case-insensitive) or "all".
+//
+// Options:
+//   --file <crud|advanced|path>   script to split (default: both files)
+//   --db <name>                   database --run loads fixtures into
+//                                 (default: payment_db_snippets, emptied first)
+//   --docker                      run mongosh inside the payment_mongodb container
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { splitStatements, findClosing } = require("./js_statements");
+const { COLLECTIONS, mongoSeedScript } = require("./dataset_seed");
+const { runMongosh, buildCaptureScript, parseCapturedOutput } = require("./mongo_shell");
+const trainingDataset = require("./fixtures/training_dataset");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const SCRIPT_FILES = {
+  crud: path.join(ROOT_DIR, "mongodb_crud_operations.js"),
+  advanced: path.join(ROOT_DIR, "advanced_mongodb_queries.js")
+};
+const DEFAULT_DB = "payment_db_snippets";
+
+/**
+ * @typedef {Object} Snippet
+ * @property {string} id                 "<section-slug>/<title-slug>"
+ * @property {string} key                "<Section> / <Title>"
+ * @property {string} file               script file name
+ * @property {number} line               1-based line of the first statement
+ * @property {string} section            banner title, e.g. "PAYMENTS - UPDATE Operations"
+ * @property {string} title              comment title, e.g. "Update payment state"
+ * @property {string[]} notes            further lines of the title comment
+ *                                       ("Natural Language: ...", "Maps: ...")
+ * @property {string} code               statements of the snippet
+ * @property {"read"|"write"|"other"} operation
+ * @property {{ collections: string[], objectIds: string[], missing: string[] }} fixtures
+ * @property {boolean} requiresReplicaSet  uses sessions/transactions
+ */
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function slugify(text) {
+  return text.toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "untitled";
+}
+
+function isRule(line) {
+  return /^\s*={10,}\s*$/.test(line);
+}
+
+/**
+ * Returns the title of a "// ===\n// TITLE\n// ===" section banner, or null.
+ * The file header (a banner with several lines of text) is not a section.
+ */
+function bannerTitle(block) {
+  const text = block.filter(line => !isRule(line));
+  return block.length >= 3 && isRule(block[0]) && isRule(block[block.length - 1]) && text.length === 1
+    ? text[0].trim()
+    : null;
+}
+
+function isHeader(block) {
+  return block.length > 0 && isRule(block[0]);
+}
+
+// Collections a snippet reads or writes, including $lookup / $unionWith targets
+function referencedCollections(code) {
+  const names = new Set();
+  const patterns = [
+    /\bdb\.([A-Za-z_]\w*)\.\w+\s*\(/g,
+    /\bdb\.getCollection\(\s*["']([^"']+)["']\s*\)/g,
+    /\b(?:from|coll)\s*:\s*["']([^"']+)["']/g
+  ];
+  patterns.forEach(pattern => {
+    let match;
+    while ((match = pattern.exec(code)) !== null) names.add(match[1]);
+  });
+  return Array.from(names).sort();
+}
+
+function referencedObjectIds(code) {
+  const ids = new Set();
+  const pattern = /ObjectId\(\s*["']([0-9a-fA-F]{24})["']\s*\)/g;
+  let match;
+  while ((match = pattern.exec(code)) !== null) ids.add(match[1].toLowerCase());
+  return Array.from(ids);
+}
+
+function datasetIds(dataset) {
+  const ids = new Set();
+  Object.keys(dataset).forEach(collection => {
+    (dataset[collection] || []).forEach(document => {
+      if (document._id && document._id.$oid) ids.add(document._id.$oid);
+    });
+  });
+  return ids;
+}
+
+/**
+ * Splits a mongosh script into titled snippets.
+ *
+ * @param {string} source
+ * @param {Object} [options]
+ * @param {string} [options.file]     file name recorded on each snippet
+ * @param {Object} [options.dataset]  fixture dataset (default: training dataset)
+ * @returns {Snippet[]}
+ */
+function parseSnippets(source, options = {}) {
+  const file = options.file || "";
+  const known = datasetIds(options.dataset || trainingDataset);
+  const snippets = [];
+  const seen = new Map();
+  let section = "";
+  let current = null;
+
+  splitStatements(source).forEach(statement => {
+    let titleBlock = null;
+    statement.commentBlocks.forEach(block => {
+      const banner = bannerTitle(block);
+      if (banner) {
+        section = banner;
+        titleBlock = null;
+      } else if (!isHeader(block) && block.some(line => line.trim())) {
+        titleBlock = block.map(line => line.trim()).filter(Boolean);
+      }
+    });
+
+    // The database switch at the top of a file is not an example
+    if (/^db\s*=\s*db\.getSiblingDB\(/.test(statement.code)) {
+      current = null;
+      return;
+    }
+
+    if (current && !titleBlock && current.section === section) {
+      current.code += "\n\n" + statement.code;
+      return;
+    }
+
+    const title = titleBlock ? titleBlock[0] : "Statement at line " + statement.line;
+    const baseId = slugify(section || path.basename(file, ".js")) + "/" + slugify(title);
+    const count = (seen.get(baseId) || 0) + 1;
+    seen.set(baseId, count);
+
+    current = {
+      id: count === 1 ? baseId : baseId + "-" + count,
+      key: (section ? section + " / " : "") + title,
+      file: file,
+      line: statement.line,
+      section: section,
+      title: title,
+      notes: titleBlock ? titleBlock.slice(1) : [],
+      code: statement.code
+    };
+    snippets.push(current);
+  });
+
+  snippets.forEach(snippet => {
+    const objectIds = referencedObjectIds(snippet.code);
+    snippet.operation = buildCaptureScript(snippet.code).operation;
+    snippet.fixtures = {
+      collections: referencedCollections(snippet.code),
+      objectIds: objectIds,
+      missing: objectIds.filter(id => !known.has(id))
+    };
+    snippet.requiresReplicaSet = /\bstartSession\s*\(/.test(snippet.code);
+  });
+  return snippets;
+}
+
+/**
+ * Loads the snippets of one or more script files.
+ *
+ * @param {string[]} [files]  paths or SCRIPT_FILES keys (default: both files)
+ * @param {Object} [options]
+ * @returns {Snippet[]}
+ */
+function loadSnippets(files = Object.keys(SCRIPT_FILES), options = {}) {
+  return [].concat(...files.map(file => {
+    const fullPath = SCRIPT_FILES[file] || path.resolve(file);
+    return parseSnippets(fs.readFileSync(fullPath, "utf8"), Object.assign({}, options, { file: path.basename(fullPath) }));
+  }));
+}
+
+/**
+ * Picks snippets by id, section id, "Section / Title" key or "all".
+ *
+ * @param {Snippet[]} snippets
+ * @param {string} selector
+ * @returns {Snippet[]}
+ */
+function selectSnippets(snippets, selector) {
+  if (selector === "all") return snippets;
+  const wanted = selector.trim().toLowerCase();
+  const exact = snippets.filter(snippet => snippet.id === wanted || snippet.key.toLowerCase() === wanted);
+  if (exact.length > 0) return exact;
+  return snippets.filter(snippet => snippet.id.startsWith(wanted.replace(/\/$/, "") + "/") ||
+    snippet.section.toLowerCase() === wanted);
+}
+
+// ============================================================================
+// STANDALONE SCRIPTS
+// ============================================================================
+
+/**
+ * The dataset a snippet runs against: the fixture dataset, minus documents
+ * the snippet inserts itself with an explicit _id.
+ *
+ * @param {Snippet} snippet
+ * @param {Object<string, Object[]>} [dataset]
+ * @returns {Object<string, Object[]>}
+ */
+function fixtureDataset(snippet, dataset = trainingDataset) {
+  const inserted = new Set();
+  const pattern = /\bdb\.(\w+)\.insert(?:One|Many)\s*\(/g;
+  let match;
+  while ((match = pattern.exec(snippet.code)) !== null) {
+    const open = match.index + match[0].length - 1;
+    const args = snippet.code.slice(open, findClosing(snippet.code, open) + 1);
+    const explicitIds = args.match(/(?<![\w$])_id\s*:\s*ObjectId\(\s*["'][0-9a-fA-F]{24}["']\s*\)/g) || [];
+    explicitIds.forEach(text => inserted.add(match[1] + ":" + text.match(/[0-9a-fA-F]{24}/)[0].toLowerCase()));
+  }
+
+  const result = {};
+  COLLECTIONS.forEach(collection => {
+    result[collection] = (dataset[collection] || []).filter(document =>
+      !inserted.has(collection + ":" + (document._id && document._id.$oid)));
+  });
+  return result;
+}
+
+/**
+ * Renders a mongosh script that loads the snippet's fixtures into `dbName`
+ * and runs the snippet. With `capture`, the script also prints the snippet's
+ * value the way tools/mongo_shell.js captures sample queries.
+ *
+ * @param {Snippet} snippet
+ * @param {Object} [options]
+ * @param {string} [options.dbName]   default "payment_db_snippets"
+ * @param {Object} [options.dataset]
+ * @param {boolean} [options.capture]
+ * @returns {string}
+ */
+function snippetScript(snippet, options = {}) {
+  const header = [
+    "// " + snippet.file + ":" + snippet.line + " - " + snippet.key,
+    "// Snippet id: " + snippet.id
+  ].concat(snippet.notes.map(note => "// " + note));
+  if (snippet.requiresReplicaSet) header.push("// Needs a replica set (sessions/transactions)");
+
+  const code = options.capture ? buildCaptureScript(snippet.code).script : snippet.code + "\n";
+  return header.join("\n") + "\n\n" +
+    mongoSeedScript(fixtureDataset(snippet, options.dataset), { dbName: options.dbName || DEFAULT_DB }) +
+    "\n" + code;
+}
+
+/**
+ * Runs a snippet on its own against freshly loaded fixtures.
+ *
+ * @param {Snippet} snippet
+ * @param {Object} [options]
+ * @param {string} [options.dbName]
+ * @param {Object} [options.dataset]
+ * @param {string} [options.container]
+ * @returns {{ id: string, ok: boolean, value: *, detail: string|null }}
+ */
+function runSnippet(snippet, options = {}) {
+  const run = runMongosh(snippetScript(snippet, Object.assign({}, options, { capture: true })), {
+    container: options.container
+  });
+  const output = parseCapturedOutput(run.stdout);
+  if (!run.ok || !output.found) {
+    const message = (run.stderr || output.log || "no output").trim().split("\n").slice(-3).join(" | ");
+    return { id: snippet.id, ok: false, value: null, detail: message };
+  }
+  return { id: snippet.id, ok: true, value: output.value, detail: null };
+}
+
+function describeValue(value) {
+  if (Array.isArray(value)) return value.length + " document(s)";
+  if (value === null) return "null";
+  if (typeof value === "object") return Object.keys(value).length + " field(s)";
+  return JSON.stringify(value);
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { files: [], mode: "list", selector: null, out: null, dbName: DEFAULT_DB, container: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--file": args.files.push(argv[++i]); break;
+      case "--show": args.mode = "show"; args.selector = argv[++i]; break;
+      case "--run": args.mode = "run"; args.selector = argv[++i]; break;
+      case "--write": args.mode = "write"; args.out = argv[++i]; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--docker": args.container = "payment_mongodb"; break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if ((args.mode === "show" || args.mode === "run") && !args.selector) {
+    throw new Error("--" + args.mode + " needs a snippet id, section or \"all\"");
+  }
+  if (args.mode === "write" && !args.out) throw new Error("--write needs a directory");
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const all = loadSnippets(args.files.length > 0 ? args.files : undefined);
+  const snippets = args.selector ? selectSnippets(all, args.selector) : all;
+  if (args.selector && snippets.length === 0) {
+    console.error("No snippet matches \"" + args.selector + "\"");
+    return 1;
+  }
+
+  if (args.mode === "list") {
+    if (args.json) {
+      console.log(JSON.stringify(snippets, null, 2));
+    } else {
+      snippets.forEach(snippet => {
+        console.log(snippet.id.padEnd(90) + " " + (snippet.file + ":" + snippet.line).padEnd(34) + " " + snippet.operation +
+          (snippet.requiresReplicaSet ? " (replica set)" : "") +
+          (snippet.fixtures.missing.length > 0 ? " (no fixture for " + snippet.fixtures.missing.join(", ") + ")" : ""));
+      });
+    }
+    return 0;
+  }
+
+  if (args.mode === "show") {
+    process.stdout.write(snippets.map(snippet => snippetScript(snippet, { dbName: args.dbName })).join("\n"));
+    return 0;
+  }
+
+  if (args.mode === "write") {
+    snippets.forEach(snippet => {
+      const file = path.join(args.out, snippet.id + ".js");
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, snippetScript(snippet, { dbName: args.dbName }));
+    });
+    console.error("✓ Wrote " + snippets.length + " snippets to " + args.out);
+    return 0;
+  }
+
+  const results = snippets.map(snippet => runSnippet(snippet, { dbName: args.dbName, container: args.container }));
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(result => {
+      console.log((result.ok ? "✓ " : "✗ ") + result.id + ": " + (result.ok ? describeValue(result.value) : result.detail));
+    });
+    console.log("");
+    console.log(results.filter(result => result.ok).length + "/" + results.length + " snippets ran");
+  }
+  return results.every(result => result.ok) ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  SCRIPT_FILES,
+  parseSnippets,
+  loadSnippets,
+  selectSnippets,
+  fixtureDataset,
+  snippetScript,
+  runSnippet
+};
@@ -0,0 +1,357 @@
+// ============================================================================
+// Train / Validation / Test Splitter
+// ============================================================================
+// Splits the training samples into train, validation and test sets without
+// leaking one query into two sets. Samples are first grouped; a group always
+// lands in a single split:
+//   - paraphrase variants join the sample they reword (Paraphrase Of)
+//   - samples generated from the same template join each other (Template)
+//   - samples whose PostgreSQL or MongoDB query has the same skeleton, i.e.
+//     is equal once comments, literals and layout are removed, join each other
+//
+// Groups are stratified on the category and difficulty tier of their first
+// sample (the tier from category_mapper.txt, or computed by tag_samples.js
+// when the sample is not tagged yet). Groups are ordered by stratum, shuffled
+// with the seed inside each stratum, and dealt to whichever split is furthest
+// below its share, so every stratum is spread over the splits in proportion.
+//
+// The manifest records the seed, the ratios, a SHA-256 hash of every sample's
+// files and of the whole corpus, and the split of each sample. --check
+// re-splits with the manifest's settings and reports samples whose split or
+// content changed since.
+//
+// Usage:
+//   node tools/split_dataset.js [--samples dir] [--ratios 80,10,10] [--seed n]
+//   node tools/split_dataset.js --out split_manifest.json
+//   node tools/split_dataset.js --check split_manifest.json
+//
+// Options:
+//   --ratios a,b,c   relative sizes of train, validation and test (default 80,10,10)
+//   --seed n         shuffle seed (default 7)
+//   --out file       write the manifest to file
+//   --json           print the manifest instead of the summary
+//   --check file     compare the corpus and the split against a manifest;
+//                    exits 1 when anything differs
+// ============================================================================
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { SAMPLES_DIR, SAMPLE_PARTS, loadSamples } = require("./sample_loader");
+const { stripSqlComments } = require("./sql_statements");
+const { createRandom } = require("./synthetic_data");
+const { tagSample } = require("./tag_samples");
+
+const SPLITS = ["train", "validation", "test"];
+const DEFAULT_RATIOS = [80, 10, 10];
+const DEFAULT_SEED = 7;
+const MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} SampleGroup
+ * @property {string} id             First sample of the group, e.g. "Example_09"
+ * @property {string} stratum        "<category> / <difficulty>"
+ * @property {import("./sample_loader").TrainingSample[]} samples
+ */
+
+/**
+ * @typedef {Object} SplitManifest
+ * @property {number} version
+ * @property {number} seed
+ * @property {Object<string, number>} ratios    split → fraction
+ * @property {string} corpusHash                 hash of all sample hashes
+ * @property {Object<string, number>} counts     split → number of samples
+ * @property {{ id: string, split: string, group: string, stratum: string, hash: string }[]} samples
+ */
+
+// ============================================================================
+// GROUPS
+// ============================================================================
+
+function sqlSkeleton(code) {
+  return stripSqlComments(code)
+    .replace(/'(?:[^']|'')*'/g, "?")
+    .replace(/\b\d+(?:\.\d+)?\b/g, "?")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+function mongoSkeleton(code) {
+  return code
+    .replace(/("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, literal) => literal ? "?" : "")
+    .replace(/\b\d+(?:\.\d+)?\b/g, "?")
+    .replace(/\s+/g, "");
+}
+
+/**
+ * Hash of a sample's files, in SAMPLE_PARTS order.
+ *
+ * @param {import("./sample_loader").TrainingSample} sample
+ * @returns {string}
+ */
+function sampleHash(sample) {
+  const hash = crypto.createHash("sha256");
+  Object.keys(SAMPLE_PARTS).forEach(part => hash.update(part + "\0" + (sample[part] || "") + "\0"));
+  return hash.digest("hex");
+}
+
+/**
+ * Groups samples that must share a split (see the header), in order of
+ * their first sample.
+ *
+ * @param {import("./sample_loader").TrainingSample[]} samples
+ * @returns {SampleGroup[]}
+ */
+function groupSamples(samples) {
+  const parent = new Map(samples.map(sample => [sample.id, sample.id]));
+  const find = id => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootA > rootB ? rootA : rootB, rootA > rootB ? rootB : rootA);
+  };
+
+  const firstByKey = new Map();
+  const link = (key, sample) => {
+    if (firstByKey.has(key)) {
+      union(firstByKey.get(key), sample.id);
+    } else {
+      firstByKey.set(key, sample.id);
+    }
+  };
+  samples.forEach(sample => {
+    if (sample.paraphraseOf && parent.has(sample.paraphraseOf)) union(sample.paraphraseOf, sample.id);
+    if (sample.template) link("template:" + sample.template, sample);
+    if (sample.postgresQuery) link("sql:" + sqlSkeleton(sample.postgresQuery), sample);
+    if (sample.mongoQuery) link("mongo:" + mongoSkeleton(sample.mongoQuery), sample);
+  });
+
+  const groups = new Map();
+  samples.slice().sort((a, b) => a.number - b.number).forEach(sample => {
+    const root = find(sample.id);
+    if (!groups.has(root)) {
+      groups.set(root, {
+        id: sample.id,
+        stratum: (sample.category || "Uncategorized") + " / " + (sample.difficulty || tagSample(sample).difficulty),
+        samples: []
+      });
+    }
+    groups.get(root).samples.push(sample);
+  });
+  return [...groups.values()];
+}
+
+// ============================================================================
+// SPLIT
+// ============================================================================
+
+function normalizeRatios(ratios) {
+  if (ratios.length !== SPLITS.length || ratios.some(ratio => !(ratio >= 0)) || ratios.every(ratio => ratio === 0)) {
+    throw new Error("Ratios must be " + SPLITS.length + " non-negative numbers, not all zero");
+  }
+  const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+  const normalized = {};
+  SPLITS.forEach((split, index) => { normalized[split] = ratios[index] / total; });
+  return normalized;
+}
+
+/**
+ * Assigns every group to a split (see the header for the procedure).
+ *
+ * @param {SampleGroup[]} groups
+ * @param {{ ratios?: number[], seed?: number }} [options]
+ * @returns {Map<string, string>} sample id → split
+ */
+function splitGroups(groups, options = {}) {
+  const ratios = normalizeRatios(options.ratios || DEFAULT_RATIOS);
+  const random = createRandom(options.seed === undefined ? DEFAULT_SEED : options.seed);
+
+  const strata = new Map();
+  groups.forEach(group => {
+    if (!strata.has(group.stratum)) strata.set(group.stratum, []);
+    strata.get(group.stratum).push(group);
+  });
+  const ordered = [];
+  [...strata.keys()].sort().forEach(stratum => {
+    const members = strata.get(stratum).slice();
+    for (let i = members.length - 1; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      [members[i], members[j]] = [members[j], members[i]];
+    }
+    ordered.push(...members);
+  });
+
+  const counts = {};
+  SPLITS.forEach(split => { counts[split] = 0; });
+  const assignment = new Map();
+  let seen = 0;
+  ordered.forEach(group => {
+    seen += group.samples.length;
+    const split = SPLITS.reduce((best, candidate) =>
+      ratios[candidate] * seen - counts[candidate] > ratios[best] * seen - counts[best] ? candidate : best);
+    counts[split] += group.samples.length;
+    group.samples.forEach(sample => assignment.set(sample.id, split));
+  });
+  return assignment;
+}
+
+/**
+ * Groups and splits the samples and describes the result as a manifest.
+ *
+ * @param {import("./sample_loader").TrainingSample[]} samples
+ * @param {{ ratios?: number[], seed?: number }} [options]
+ * @returns {SplitManifest}
+ */
+function buildManifest(samples, options = {}) {
+  const seed = options.seed === undefined ? DEFAULT_SEED : options.seed;
+  const groups = groupSamples(samples);
+  const assignment = splitGroups(groups, { ratios: options.ratios, seed: seed });
+
+  const entries = [];
+  groups.forEach(group => group.samples.forEach(sample => entries.push({
+    id: sample.id,
+    split: assignment.get(sample.id),
+    group: group.id,
+    stratum: group.stratum,
+    hash: sampleHash(sample)
+  })));
+  entries.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+  const corpus = crypto.createHash("sha256");
+  entries.forEach(entry => corpus.update(entry.id + "\0" + entry.hash + "\n"));
+  const counts = {};
+  SPLITS.forEach(split => { counts[split] = entries.filter(entry => entry.split === split).length; });
+
+  return {
+    version: MANIFEST_VERSION,
+    seed: seed,
+    ratios: normalizeRatios(options.ratios || DEFAULT_RATIOS),
+    corpusHash: corpus.digest("hex"),
+    counts: counts,
+    samples: entries
+  };
+}
+
+/**
+ * Compares the current corpus against a manifest, re-split with the
+ * manifest's seed and ratios.
+ *
+ * @param {import("./sample_loader").TrainingSample[]} samples
+ * @param {SplitManifest} manifest
+ * @returns {{ sample: string, problem: "added"|"removed"|"changed"|"moved", detail: string }[]}
+ */
+function checkManifest(samples, manifest) {
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error("Unsupported manifest version: " + manifest.version);
+  }
+  const current = buildManifest(samples, {
+    seed: manifest.seed,
+    ratios: SPLITS.map(split => manifest.ratios[split])
+  });
+  const before = new Map(manifest.samples.map(entry => [entry.id, entry]));
+  const after = new Map(current.samples.map(entry => [entry.id, entry]));
+  const differences = [];
+
+  current.samples.forEach(entry => {
+    const old = before.get(entry.id);
+    if (!old) {
+      differences.push({ sample: entry.id, problem: "added", detail: "now in " + entry.split });
+      return;
+    }
+    if (old.hash !== entry.hash) {
+      differences.push({ sample: entry.id, problem: "changed", detail: "files differ from the manifest" });
+    }
+    if (old.split !== entry.split) {
+      differences.push({ sample: entry.id, problem: "moved", detail: old.split + " → " + entry.split });
+    }
+  });
+  manifest.samples.forEach(entry => {
+    if (!after.has(entry.id)) {
+      differences.push({ sample: entry.id, problem: "removed", detail: "was in " + entry.split });
+    }
+  });
+  return differences;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { samples: SAMPLES_DIR, ratios: DEFAULT_RATIOS, seed: DEFAULT_SEED, out: null, json: false, check: null };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--samples": args.samples = argv[++i]; break;
+      case "--ratios": args.ratios = argv[++i].split(",").map(Number); break;
+      case "--seed": args.seed = parseInt(argv[++i], 10); break;
+      case "--out": args.out = argv[++i]; break;
+      case "--json": args.json = true; break;
+      case "--check": args.check = argv[++i]; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (Number.isNaN(args.seed)) throw new Error("--seed must be an integer");
+  normalizeRatios(args.ratios);
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const { samples } = loadSamples(args.samples);
+
+  if (args.check) {
+    const manifest = JSON.parse(fs.readFileSync(args.check, "utf8"));
+    const differences = checkManifest(samples, manifest);
+    differences.forEach(difference => {
+      console.log("✗ " + difference.sample + "  " + difference.problem + ": " + difference.detail);
+    });
+    console.log(differences.length === 0
+      ? "✓ " + samples.length + " samples match " + path.basename(args.check)
+      : differences.length + " difference(s) from " + path.basename(args.check));
+    return differences.length === 0 ? 0 : 1;
+  }
+
+  const manifest = buildManifest(samples, { ratios: args.ratios, seed: args.seed });
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(manifest, null, 2) + "\n");
+  }
+  if (args.json) {
+    console.log(JSON.stringify(manifest, null, 2));
+    return 0;
+  }
+
+  const groups = new Map();
+  manifest.samples.forEach(entry => {
+    if (!groups.has(entry.group)) groups.set(entry.group, []);
+    groups.get(entry.group).push(entry);
+  });
+  SPLITS.forEach(split => {
+    const entries = manifest.samples.filter(entry => entry.split === split);
+    console.log(split + " (" + entries.length + ")");
+    [...groups.values()].filter(members => members[0].split === split).forEach(members => {
+      console.log("  " + members.map(entry => entry.id).join(", ") + "  " + members[0].stratum);
+    });
+  });
+  console.log("");
+  console.log(manifest.samples.length + " samples in " + groups.size + " groups: " +
+    SPLITS.map(split => manifest.counts[split] + " " + split).join(", ") + "; corpus " + manifest.corpusHash.slice(0, 12) +
+    (args.out ? "; manifest written to " + args.out : ""));
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  SPLITS,
+  sampleHash,
+  groupSamples,
+  splitGroups,
+  buildManifest,
+  checkManifest
+};
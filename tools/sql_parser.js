@@ -0,0 +1,955 @@
+// ============================================================================
+// SQL Query Parser
+// ============================================================================
+// Parses the PostgreSQL SELECT statements used in the training samples and
+// advanced_postgresql_queries.sql into a small syntax tree: CTEs, UNION /
+// INTERSECT / EXCEPT, joins, WHERE, GROUP BY (including ROLLUP, CUBE and
+// GROUPING SETS), HAVING, ORDER BY, LIMIT / OFFSET, subqueries, CASE,
+// casts, JSONB operators and window functions.
+//
+// Only queries are parsed. INSERT, UPDATE, DELETE, DDL and DO blocks raise a
+// SqlSyntaxError, as does anything outside the grammar above.
+//
+// Usage:
+//   node tools/sql_parser.js "SELECT ..."        # prints the syntax tree
+//   node tools/sql_parser.js --file query.sql
+// ============================================================================
+
+const fs = require("fs");
+
+/**
+ * @typedef {Object} Token
+ * @property {"ident"|"keyword"|"number"|"string"|"op"|"end"} type
+ * @property {string} value      identifiers lower-cased unless quoted,
+ *                               keywords upper-cased
+ * @property {boolean} [quoted]  "quoted" identifier
+ * @property {number} position   offset in the source
+ */
+
+/**
+ * Expression nodes carry a `type`:
+ *   column     { table, name }                 p.amount, amount
+ *   star       { table }                       *, p.*
+ *   literal    { kind, value }                 'GBP', 10.5, NULL, TRUE
+ *   cast       { expr, to }                    x::numeric, CAST(x AS text),
+ *                                              INTERVAL '30 days'
+ *   unary      { op, expr }                    NOT x, -x
+ *   binary     { op, left, right }             arithmetic, comparisons,
+ *                                              AND / OR, ||, ->, ->>, @>, ?
+ *   is         { expr, test, not }             x IS [NOT] NULL / TRUE / FALSE
+ *   distinct   { left, right, not }            x IS [NOT] DISTINCT FROM y
+ *   in         { expr, list | query, not }
+ *   between    { expr, low, high, not }
+ *   like       { expr, pattern, not, insensitive }
+ *   quantified { op, left, quantifier, query } x > ANY (SELECT ...)
+ *   exists     { query, not }
+ *   subquery   { query }                       scalar subquery
+ *   row        { items }                       (scheme, currency)
+ *   case       { operand, whens: [{ when, then }], else }
+ *   extract    { field, expr }
+ *   func       { name, args, distinct, star, filter, order, over }
+ *
+ * `over` is { partition: Expr[], order: OrderItem[], frame } where frame is
+ * { unit: "ROWS"|"RANGE"|"GROUPS", start, end } and bounds are
+ * { kind: "UNBOUNDED"|"CURRENT"|"OFFSET", offset, direction }.
+ */
+
+/**
+ * @typedef {Object} OrderItem
+ * @property {Object} expr
+ * @property {boolean} desc
+ * @property {"FIRST"|"LAST"|null} nulls
+ */
+
+/**
+ * @typedef {Object} TableRef
+ * @property {string|null} table    table or CTE name
+ * @property {Object|null} query    derived table: (SELECT ...) alias
+ * @property {string} alias         alias, or the table name
+ */
+
+/**
+ * @typedef {Object} Join
+ * @property {"INNER"|"LEFT"|"RIGHT"|"FULL"|"CROSS"} kind
+ * @property {TableRef} source
+ * @property {Object|null} on
+ * @property {string[]|null} using
+ * @property {boolean} lateral
+ */
+
+/**
+ * @typedef {Object} SelectQuery
+ * @property {"select"} type
+ * @property {boolean} distinct
+ * @property {Object[]|null} distinctOn
+ * @property {{ expr: Object, alias: string|null }[]} items
+ * @property {TableRef|null} from
+ * @property {Join[]} joins
+ * @property {Object|null} where
+ * @property {Object[]} groupBy        expressions, or { type: "grouping",
+ *                                     kind: "ROLLUP"|"CUBE"|"GROUPING SETS", sets }
+ * @property {Object|null} having
+ * @property {OrderItem[]} orderBy
+ * @property {Object|null} limit
+ * @property {Object|null} offset
+ * @property {{ name: string, columns: string[]|null, query: Object }[]} with
+ * @property {boolean} recursive
+ */
+
+/**
+ * @typedef {Object} CompoundQuery
+ * @property {"compound"} type
+ * @property {"UNION"|"INTERSECT"|"EXCEPT"} op
+ * @property {boolean} all
+ * @property {SelectQuery|CompoundQuery} left
+ * @property {SelectQuery|CompoundQuery} right
+ * @property {OrderItem[]} orderBy
+ * @property {Object|null} limit
+ * @property {Object|null} offset
+ * @property {{ name: string, columns: string[]|null, query: Object }[]} with
+ * @property {boolean} recursive
+ */
+
+/** Raised for statements outside the supported grammar. */
+class SqlSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [position]  offset in the source
+   */
+  constructor(message, position) {
+    super(message + (position !== undefined ? " (at offset " + position + ")" : ""));
+    this.name = "SqlSyntaxError";
+    this.position = position;
+  }
+}
+
+const KEYWORDS = new Set([
+  "ALL", "AND", "ANY", "AS", "ASC", "BETWEEN", "BY", "CASE", "CAST", "CROSS", "CUBE", "CURRENT", "DESC",
+  "DISTINCT", "ELSE", "END", "ESCAPE", "EXCEPT", "EXISTS", "EXTRACT", "FALSE", "FETCH", "FILTER", "FIRST",
+  "FOLLOWING", "FROM", "FULL", "GROUP", "GROUPING", "GROUPS", "HAVING", "ILIKE", "IN", "INNER", "INTERSECT",
+  "IS", "JOIN", "LAST", "LATERAL", "LEFT", "LIKE", "LIMIT", "NATURAL", "NEXT", "NOT", "NULL", "NULLS",
+  "OFFSET", "ON", "ONLY", "OR", "ORDER", "OUTER", "OVER", "PARTITION", "PRECEDING", "RANGE", "RECURSIVE",
+  "RIGHT", "ROLLUP", "ROW", "ROWS", "SELECT", "SETS", "SOME", "THEN", "TRUE", "UNBOUNDED", "UNION",
+  "USING", "WHEN", "WHERE", "WINDOW", "WITH"
+]);
+
+// Keywords that end a select item or table reference, so they are never
+// taken as an alias written without AS
+const CLAUSE_KEYWORDS = new Set([
+  "FROM", "WHERE", "GROUP", "HAVING", "ORDER", "LIMIT", "OFFSET", "FETCH", "UNION", "INTERSECT", "EXCEPT",
+  "JOIN", "INNER", "LEFT", "RIGHT", "FULL", "CROSS", "NATURAL", "ON", "USING", "WINDOW", "AND", "OR",
+  "THEN", "ELSE", "END", "WHEN", "AS", "SELECT", "WITH", "LATERAL", "NOT", "IS", "IN", "LIKE", "ILIKE",
+  "BETWEEN", "ASC", "DESC", "NULLS", "OVER", "FILTER"
+]);
+
+// Keywords that may still be column or function names (row, first, ...)
+const NON_RESERVED = new Set(["CURRENT", "FIRST", "LAST", "NEXT", "ROW", "ROWS", "RANGE", "GROUPS",
+  "PRECEDING", "FOLLOWING", "UNBOUNDED", "PARTITION", "SETS", "ONLY", "FILTER", "ESCAPE", "NULLS",
+  "ROLLUP", "CUBE", "GROUPING", "RECURSIVE", "OVER"]);
+
+const OPERATORS = ["->>", "::", "->", "@>", "<@", "<>", "!=", "<=", ">=", "||", "?", "=", "<", ">", "+", "-",
+  "*", "/", "%", "(", ")", ",", ".", ";", "[", "]"];
+
+const TYPED_LITERALS = new Set(["interval", "date", "timestamp", "timestamptz", "time"]);
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+/**
+ * @param {string} sql
+ * @returns {Token[]}
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (sql.startsWith("--", i)) {
+      while (i < sql.length && sql[i] !== "\n") i++;
+    } else if (sql.startsWith("/*", i)) {
+      const end = sql.indexOf("*/", i + 2);
+      if (end === -1) throw new SqlSyntaxError("Unterminated comment", i);
+      i = end + 2;
+    } else if (ch === "'") {
+      let value = "";
+      let j = i + 1;
+      for (;;) {
+        if (j >= sql.length) throw new SqlSyntaxError("Unterminated string", i);
+        if (sql[j] === "'") {
+          if (sql[j + 1] === "'") {
+            value += "'";
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[j++];
+      }
+      tokens.push({ type: "string", value: value, position: i });
+      i = j + 1;
+    } else if (ch === "\"") {
+      const end = sql.indexOf("\"", i + 1);
+      if (end === -1) throw new SqlSyntaxError("Unterminated quoted identifier", i);
+      tokens.push({ type: "ident", value: sql.slice(i + 1, end), quoted: true, position: i });
+      i = end + 1;
+    } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(sql[i + 1] || ""))) {
+      const match = sql.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+      tokens.push({ type: "number", value: match[0], position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const word = sql.slice(i).match(/^[A-Za-z_][\w$]*/)[0];
+      const upper = word.toUpperCase();
+      tokens.push(KEYWORDS.has(upper)
+        ? { type: "keyword", value: upper, position: i }
+        : { type: "ident", value: word.toLowerCase(), position: i });
+      i += word.length;
+    } else {
+      const op = OPERATORS.find(candidate => sql.startsWith(candidate, i));
+      if (!op) throw new SqlSyntaxError("Unexpected character " + JSON.stringify(ch), i);
+      tokens.push({ type: "op", value: op, position: i });
+      i += op.length;
+    }
+  }
+  tokens.push({ type: "end", value: "", position: sql.length });
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+class Parser {
+  constructor(sql) {
+    this.tokens = tokenize(sql);
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== "end") this.index++;
+    return token;
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === "keyword" && token.value === value;
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === "op" && token.value === value;
+  }
+
+  acceptKeyword(...values) {
+    if (values.every((value, offset) => this.isKeyword(value, offset))) {
+      this.index += values.length;
+      return true;
+    }
+    return false;
+  }
+
+  acceptOp(value) {
+    if (this.isOp(value)) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  expectKeyword(value) {
+    if (!this.acceptKeyword(value)) this.fail("expected " + value);
+  }
+
+  expectOp(value) {
+    if (!this.acceptOp(value)) this.fail("expected \"" + value + "\"");
+  }
+
+  fail(message) {
+    const token = this.peek();
+    throw new SqlSyntaxError(message + ", found " + (token.type === "end" ? "end of statement" : JSON.stringify(token.value)),
+      token.position);
+  }
+
+  // Identifier, or a non-reserved keyword used as one
+  identifier() {
+    const token = this.peek();
+    if (token.type === "ident") {
+      this.index++;
+      return token.value;
+    }
+    if (token.type === "keyword" && NON_RESERVED.has(token.value)) {
+      this.index++;
+      return token.value.toLowerCase();
+    }
+    return this.fail("expected an identifier");
+  }
+
+  isIdentifier(offset = 0) {
+    const token = this.peek(offset);
+    return token.type === "ident" || (token.type === "keyword" && NON_RESERVED.has(token.value));
+  }
+
+  // ----- statements ---------------------------------------------------------
+
+  statement() {
+    const first = this.peek();
+    if (!(first.type === "keyword" && (first.value === "SELECT" || first.value === "WITH")) && !this.isOp("(")) {
+      this.fail("expected SELECT or WITH");
+    }
+    const query = this.query();
+    this.acceptOp(";");
+    if (this.peek().type !== "end") this.fail("expected end of statement");
+    return query;
+  }
+
+  query() {
+    let ctes = [];
+    let recursive = false;
+    if (this.acceptKeyword("WITH")) {
+      recursive = this.acceptKeyword("RECURSIVE");
+      do {
+        const name = this.identifier();
+        let columns = null;
+        if (this.acceptOp("(")) {
+          columns = [];
+          do columns.push(this.identifier()); while (this.acceptOp(","));
+          this.expectOp(")");
+        }
+        this.expectKeyword("AS");
+        this.expectOp("(");
+        ctes.push({ name: name, columns: columns, query: this.query() });
+        this.expectOp(")");
+      } while (this.acceptOp(","));
+    }
+
+    let query = this.compoundTerm();
+    for (;;) {
+      const op = ["UNION", "INTERSECT", "EXCEPT"].find(keyword => this.isKeyword(keyword));
+      if (!op) break;
+      this.next();
+      const all = this.acceptKeyword("ALL");
+      if (!all) this.acceptKeyword("DISTINCT");
+      query = {
+        type: "compound", op: op, all: all, left: query, right: this.compoundTerm(),
+        orderBy: [], limit: null, offset: null, with: [], recursive: false
+      };
+    }
+
+    if (this.acceptKeyword("ORDER")) {
+      this.expectKeyword("BY");
+      query.orderBy = this.orderList();
+    }
+    this.limitClauses(query);
+    query.with = ctes;
+    query.recursive = recursive;
+    return query;
+  }
+
+  compoundTerm() {
+    if (this.acceptOp("(")) {
+      const query = this.query();
+      this.expectOp(")");
+      return query;
+    }
+    return this.select();
+  }
+
+  limitClauses(query) {
+    for (;;) {
+      if (this.acceptKeyword("LIMIT")) {
+        query.limit = this.acceptKeyword("ALL") ? null : this.expression();
+      } else if (this.acceptKeyword("OFFSET")) {
+        query.offset = this.expression();
+        if (!this.acceptKeyword("ROWS")) this.acceptKeyword("ROW");
+      } else if (this.acceptKeyword("FETCH")) {
+        if (!this.acceptKeyword("FIRST")) this.expectKeyword("NEXT");
+        query.limit = this.isKeyword("ROW") || this.isKeyword("ROWS")
+          ? { type: "literal", kind: "number", value: "1" }
+          : this.expression();
+        if (!this.acceptKeyword("ROWS")) this.expectKeyword("ROW");
+        this.expectKeyword("ONLY");
+      } else {
+        return;
+      }
+    }
+  }
+
+  select() {
+    this.expectKeyword("SELECT");
+    const query = {
+      type: "select", distinct: false, distinctOn: null, items: [], from: null, joins: [],
+      where: null, groupBy: [], having: null, orderBy: [], limit: null, offset: null, with: [], recursive: false
+    };
+
+    if (this.acceptKeyword("DISTINCT")) {
+      query.distinct = true;
+      if (this.acceptKeyword("ON")) {
+        this.expectOp("(");
+        query.distinctOn = this.expressionList();
+        this.expectOp(")");
+      }
+    } else {
+      this.acceptKeyword("ALL");
+    }
+
+    do query.items.push(this.selectItem()); while (this.acceptOp(","));
+
+    if (this.acceptKeyword("FROM")) {
+      query.from = this.tableRef();
+      for (;;) {
+        if (this.acceptOp(",")) {
+          query.joins.push({ kind: "CROSS", source: this.tableRef(), on: null, using: null, lateral: false });
+          continue;
+        }
+        const join = this.join();
+        if (!join) break;
+        query.joins.push(join);
+      }
+    }
+    if (this.acceptKeyword("WHERE")) query.where = this.expression();
+    if (this.acceptKeyword("GROUP")) {
+      this.expectKeyword("BY");
+      do query.groupBy.push(this.groupItem()); while (this.acceptOp(","));
+    }
+    if (this.acceptKeyword("HAVING")) query.having = this.expression();
+    if (this.isKeyword("WINDOW")) this.fail("named windows are not supported");
+    return query;
+  }
+
+  selectItem() {
+    if (this.acceptOp("*")) return { expr: { type: "star", table: null }, alias: null };
+    if (this.isIdentifier() && this.isOp(".", 1) && this.isOp("*", 2)) {
+      const table = this.identifier();
+      this.index += 2;
+      return { expr: { type: "star", table: table }, alias: null };
+    }
+    const expr = this.expression();
+    return { expr: expr, alias: this.alias() };
+  }
+
+  alias() {
+    if (this.acceptKeyword("AS")) return this.identifier();
+    const token = this.peek();
+    if (token.type === "ident") return this.identifier();
+    if (token.type === "keyword" && NON_RESERVED.has(token.value) && !CLAUSE_KEYWORDS.has(token.value)) {
+      return this.identifier();
+    }
+    return null;
+  }
+
+  tableRef() {
+    const lateral = this.acceptKeyword("LATERAL");
+    let source;
+    if (this.acceptOp("(")) {
+      const query = this.query();
+      this.expectOp(")");
+      source = { table: null, query: query, alias: null };
+    } else {
+      let table = this.identifier();
+      if (this.acceptOp(".")) table = this.identifier();
+      if (this.isOp("(")) this.fail("table functions are not supported");
+      source = { table: table, query: null, alias: null };
+    }
+    source.alias = this.alias() || source.table;
+    if (source.query && !source.alias) this.fail("a subquery in FROM needs an alias");
+    if (lateral) source.lateral = true;
+    return source;
+  }
+
+  join() {
+    const natural = this.acceptKeyword("NATURAL");
+    let kind = null;
+    if (this.acceptKeyword("JOIN")) kind = "INNER";
+    else if (this.acceptKeyword("INNER", "JOIN")) kind = "INNER";
+    else if (this.acceptKeyword("CROSS", "JOIN")) kind = "CROSS";
+    else {
+      for (const side of ["LEFT", "RIGHT", "FULL"]) {
+        if (this.acceptKeyword(side)) {
+          this.acceptKeyword("OUTER");
+          this.expectKeyword("JOIN");
+          kind = side;
+          break;
+        }
+      }
+    }
+    if (!kind) {
+      if (natural) this.fail("expected JOIN");
+      return null;
+    }
+    if (natural) this.fail("NATURAL joins are not supported");
+
+    const source = this.tableRef();
+    const join = { kind: kind, source: source, on: null, using: null, lateral: Boolean(source.lateral) };
+    delete source.lateral;
+    if (kind !== "CROSS") {
+      if (this.acceptKeyword("ON")) {
+        join.on = this.expression();
+      } else if (this.acceptKeyword("USING")) {
+        this.expectOp("(");
+        join.using = [];
+        do join.using.push(this.identifier()); while (this.acceptOp(","));
+        this.expectOp(")");
+      } else {
+        this.fail("expected ON or USING");
+      }
+    }
+    return join;
+  }
+
+  groupItem() {
+    for (const kind of ["ROLLUP", "CUBE"]) {
+      if (this.isKeyword(kind) && this.isOp("(", 1)) {
+        this.index += 2;
+        const sets = this.groupingElements();
+        return { type: "grouping", kind: kind, sets: sets };
+      }
+    }
+    if (this.acceptKeyword("GROUPING", "SETS")) {
+      this.expectOp("(");
+      return { type: "grouping", kind: "GROUPING SETS", sets: this.groupingElements() };
+    }
+    return this.expression();
+  }
+
+  // Elements of ROLLUP / CUBE / GROUPING SETS, each a list of expressions;
+  // consumes the closing parenthesis
+  groupingElements() {
+    const sets = [];
+    do {
+      if (this.acceptOp("(")) {
+        sets.push(this.isOp(")") ? [] : this.expressionList());
+        this.expectOp(")");
+      } else {
+        sets.push([this.expression()]);
+      }
+    } while (this.acceptOp(","));
+    this.expectOp(")");
+    return sets;
+  }
+
+  orderList() {
+    const items = [];
+    do {
+      const expr = this.expression();
+      let desc = false;
+      if (this.acceptKeyword("DESC")) desc = true;
+      else this.acceptKeyword("ASC");
+      let nulls = null;
+      if (this.acceptKeyword("NULLS")) {
+        if (this.acceptKeyword("FIRST")) nulls = "FIRST";
+        else if (this.acceptKeyword("LAST")) nulls = "LAST";
+        else this.fail("expected FIRST or LAST");
+      }
+      items.push({ expr: expr, desc: desc, nulls: nulls });
+    } while (this.acceptOp(","));
+    return items;
+  }
+
+  expressionList() {
+    const list = [];
+    do list.push(this.expression()); while (this.acceptOp(","));
+    return list;
+  }
+
+  // ----- expressions, loosest binding first ---------------------------------
+
+  expression() {
+    return this.or();
+  }
+
+  or() {
+    let left = this.and();
+    while (this.acceptKeyword("OR")) {
+      left = { type: "binary", op: "OR", left: left, right: this.and() };
+    }
+    return left;
+  }
+
+  and() {
+    let left = this.not();
+    while (this.acceptKeyword("AND")) {
+      left = { type: "binary", op: "AND", left: left, right: this.not() };
+    }
+    return left;
+  }
+
+  not() {
+    if (this.acceptKeyword("NOT")) return { type: "unary", op: "NOT", expr: this.not() };
+    return this.comparison();
+  }
+
+  comparison() {
+    const left = this.other();
+
+    const token = this.peek();
+    if (token.type === "op" && ["=", "<>", "!=", "<", "<=", ">", ">="].includes(token.value)) {
+      this.next();
+      const op = token.value === "!=" ? "<>" : token.value;
+      const quantifier = ["ANY", "SOME", "ALL"].find(keyword => this.isKeyword(keyword));
+      if (quantifier) {
+        this.next();
+        this.expectOp("(");
+        if (!this.isKeyword("SELECT") && !this.isKeyword("WITH")) this.fail("expected a subquery");
+        const query = this.query();
+        this.expectOp(")");
+        return { type: "quantified", op: op, left: left, quantifier: quantifier === "SOME" ? "ANY" : quantifier, query: query };
+      }
+      return { type: "binary", op: op, left: left, right: this.other() };
+    }
+
+    if (this.acceptKeyword("IS")) {
+      const not = this.acceptKeyword("NOT");
+      if (this.acceptKeyword("DISTINCT")) {
+        this.expectKeyword("FROM");
+        return { type: "distinct", left: left, right: this.other(), not: not };
+      }
+      for (const test of ["NULL", "TRUE", "FALSE"]) {
+        if (this.acceptKeyword(test)) return { type: "is", expr: left, test: test, not: not };
+      }
+      this.fail("expected NULL, TRUE, FALSE or DISTINCT FROM");
+    }
+
+    const not = this.isKeyword("NOT") && ["IN", "BETWEEN", "LIKE", "ILIKE"].some(keyword => this.isKeyword(keyword, 1));
+    if (not) this.next();
+
+    if (this.acceptKeyword("IN")) {
+      this.expectOp("(");
+      let node;
+      if (this.isKeyword("SELECT") || this.isKeyword("WITH")) {
+        node = { type: "in", expr: left, list: null, query: this.query(), not: not };
+      } else {
+        node = { type: "in", expr: left, list: this.expressionList(), query: null, not: not };
+      }
+      this.expectOp(")");
+      return node;
+    }
+    if (this.acceptKeyword("BETWEEN")) {
+      const low = this.other();
+      this.expectKeyword("AND");
+      return { type: "between", expr: left, low: low, high: this.other(), not: not };
+    }
+    for (const keyword of ["LIKE", "ILIKE"]) {
+      if (this.acceptKeyword(keyword)) {
+        const pattern = this.other();
+        if (this.acceptKeyword("ESCAPE")) this.fail("LIKE ... ESCAPE is not supported");
+        return { type: "like", expr: left, pattern: pattern, not: not, insensitive: keyword === "ILIKE" };
+      }
+    }
+    return left;
+  }
+
+  // ||, JSONB operators
+  other() {
+    let left = this.additive();
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== "op" || !["||", "->", "->>", "@>", "<@", "?"].includes(token.value)) return left;
+      this.next();
+      left = { type: "binary", op: token.value, left: left, right: this.additive() };
+    }
+  }
+
+  additive() {
+    let left = this.multiplicative();
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== "op" || (token.value !== "+" && token.value !== "-")) return left;
+      this.next();
+      left = { type: "binary", op: token.value, left: left, right: this.multiplicative() };
+    }
+  }
+
+  multiplicative() {
+    let left = this.unary();
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== "op" || !["*", "/", "%"].includes(token.value)) return left;
+      this.next();
+      left = { type: "binary", op: token.value, left: left, right: this.unary() };
+    }
+  }
+
+  unary() {
+    if (this.acceptOp("-")) {
+      const expr = this.unary();
+      if (expr.type === "literal" && expr.kind === "number") {
+        return { type: "literal", kind: "number", value: "-" + expr.value };
+      }
+      return { type: "unary", op: "-", expr: expr };
+    }
+    if (this.acceptOp("+")) return this.unary();
+    return this.postfix();
+  }
+
+  postfix() {
+    let expr = this.primary();
+    while (this.acceptOp("::")) {
+      expr = { type: "cast", expr: expr, to: this.typeName() };
+    }
+    if (this.isOp("[")) this.fail("array subscripts are not supported");
+    return expr;
+  }
+
+  typeName() {
+    let name = this.identifier();
+    if (name === "double" && this.peek().value === "precision") name += " " + this.identifier();
+    if (name === "character" && this.peek().value === "varying") name += " " + this.identifier();
+    if ((name === "timestamp" || name === "time") && (this.isKeyword("WITH") || this.peek().value === "without")) {
+      const zone = this.isKeyword("WITH") ? (this.next(), "with") : this.identifier();
+      if (this.identifier() !== "time" || this.identifier() !== "zone") this.fail("expected TIME ZONE");
+      name = zone === "with" ? name + "tz" : name;
+    }
+    if (this.acceptOp("(")) {
+      while (!this.acceptOp(")")) this.next();
+    }
+    if (this.isOp("[")) this.fail("array types are not supported");
+    return name;
+  }
+
+  primary() {
+    const token = this.peek();
+
+    if (token.type === "number") {
+      this.next();
+      return { type: "literal", kind: "number", value: token.value };
+    }
+    if (token.type === "string") {
+      this.next();
+      return { type: "literal", kind: "string", value: token.value };
+    }
+    if (token.type === "keyword") {
+      switch (token.value) {
+        case "NULL": this.next(); return { type: "literal", kind: "null", value: null };
+        case "TRUE": this.next(); return { type: "literal", kind: "boolean", value: true };
+        case "FALSE": this.next(); return { type: "literal", kind: "boolean", value: false };
+        case "CASE": this.next(); return this.caseExpression();
+        case "CAST": {
+          this.next();
+          this.expectOp("(");
+          const expr = this.expression();
+          this.expectKeyword("AS");
+          const to = this.typeName();
+          this.expectOp(")");
+          return { type: "cast", expr: expr, to: to };
+        }
+        case "EXTRACT": {
+          this.next();
+          this.expectOp("(");
+          const field = this.peek().type === "string" ? this.next().value.toLowerCase() : this.identifier();
+          this.expectKeyword("FROM");
+          const expr = this.expression();
+          this.expectOp(")");
+          return { type: "extract", field: field, expr: expr };
+        }
+        case "EXISTS": {
+          this.next();
+          this.expectOp("(");
+          const query = this.query();
+          this.expectOp(")");
+          return { type: "exists", query: query, not: false };
+        }
+        case "ROW":
+          if (this.isOp("(", 1)) {
+            this.next();
+            this.next();
+            const items = this.expressionList();
+            this.expectOp(")");
+            return { type: "row", items: items };
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (this.acceptOp("(")) {
+      if (this.isKeyword("SELECT") || this.isKeyword("WITH")) {
+        const query = this.query();
+        this.expectOp(")");
+        return { type: "subquery", query: query };
+      }
+      const items = this.expressionList();
+      this.expectOp(")");
+      return items.length === 1 ? items[0] : { type: "row", items: items };
+    }
+
+    if (this.isIdentifier()) {
+      const name = this.identifier();
+      // Typed literal: INTERVAL '30 days', DATE '2025-01-15', ...
+      if (TYPED_LITERALS.has(name) && this.peek().type === "string") {
+        return { type: "cast", expr: { type: "literal", kind: "string", value: this.next().value }, to: name };
+      }
+      if (this.isOp("(")) return this.functionCall(name);
+      if (this.acceptOp(".")) {
+        if (this.isOp("*")) this.fail("table.* is only allowed in the select list");
+        return { type: "column", table: name, name: this.identifier() };
+      }
+      return { type: "column", table: null, name: name };
+    }
+
+    return this.fail("expected an expression");
+  }
+
+  caseExpression() {
+    const node = { type: "case", operand: null, whens: [], else: null };
+    if (!this.isKeyword("WHEN")) node.operand = this.expression();
+    while (this.acceptKeyword("WHEN")) {
+      const when = this.expression();
+      this.expectKeyword("THEN");
+      node.whens.push({ when: when, then: this.expression() });
+    }
+    if (node.whens.length === 0) this.fail("expected WHEN");
+    if (this.acceptKeyword("ELSE")) node.else = this.expression();
+    this.expectKeyword("END");
+    return node;
+  }
+
+  functionCall(name) {
+    this.expectOp("(");
+    const node = { type: "func", name: name, args: [], distinct: false, star: false, filter: null, order: [], over: null };
+    if (this.acceptOp("*")) {
+      node.star = true;
+    } else if (!this.isOp(")")) {
+      node.distinct = this.acceptKeyword("DISTINCT");
+      node.args = this.expressionList();
+      if (this.acceptKeyword("ORDER")) {
+        this.expectKeyword("BY");
+        node.order = this.orderList();
+      }
+    }
+    this.expectOp(")");
+
+    if (this.acceptKeyword("FILTER")) {
+      this.expectOp("(");
+      this.expectKeyword("WHERE");
+      node.filter = this.expression();
+      this.expectOp(")");
+    }
+    if (this.acceptKeyword("OVER")) {
+      if (!this.isOp("(")) this.fail("named windows are not supported");
+      node.over = this.windowSpec();
+    }
+    return node;
+  }
+
+  windowSpec() {
+    this.expectOp("(");
+    const spec = { partition: [], order: [], frame: null };
+    if (this.acceptKeyword("PARTITION")) {
+      this.expectKeyword("BY");
+      spec.partition = this.expressionList();
+    }
+    if (this.acceptKeyword("ORDER")) {
+      this.expectKeyword("BY");
+      spec.order = this.orderList();
+    }
+    const unit = ["ROWS", "RANGE", "GROUPS"].find(keyword => this.isKeyword(keyword));
+    if (unit) {
+      this.next();
+      if (this.acceptKeyword("BETWEEN")) {
+        const start = this.frameBound();
+        this.expectKeyword("AND");
+        spec.frame = { unit: unit, start: start, end: this.frameBound() };
+      } else {
+        spec.frame = { unit: unit, start: this.frameBound(), end: { kind: "CURRENT", offset: null, direction: null } };
+      }
+    }
+    this.expectOp(")");
+    return spec;
+  }
+
+  frameBound() {
+    if (this.acceptKeyword("UNBOUNDED")) {
+      if (this.acceptKeyword("PRECEDING")) return { kind: "UNBOUNDED", offset: null, direction: "PRECEDING" };
+      this.expectKeyword("FOLLOWING");
+      return { kind: "UNBOUNDED", offset: null, direction: "FOLLOWING" };
+    }
+    if (this.acceptKeyword("CURRENT")) {
+      this.expectKeyword("ROW");
+      return { kind: "CURRENT", offset: null, direction: null };
+    }
+    const offset = this.additive();
+    if (this.acceptKeyword("PRECEDING")) return { kind: "OFFSET", offset: offset, direction: "PRECEDING" };
+    this.expectKeyword("FOLLOWING");
+    return { kind: "OFFSET", offset: offset, direction: "FOLLOWING" };
+  }
+}
+
+/**
+ * Parses one SELECT (or WITH ... SELECT) statement.
+ *
+ * @param {string} sql
+ * @returns {SelectQuery|CompoundQuery}
+ * @throws {SqlSyntaxError}
+ */
+function parseSql(sql) {
+  return new Parser(sql).statement();
+}
+
+// ============================================================================
+// TRAVERSAL
+// ============================================================================
+
+/**
+ * Calls `callback(node, parent)` for every query and expression node in the
+ * tree, subqueries and CTEs included, parents before children.
+ *
+ * @param {Object} node
+ * @param {function(Object, Object|null): void} callback
+ */
+function visit(node, callback, parent = null) {
+  if (node === null || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach(child => visit(child, callback, parent));
+    return;
+  }
+  if (node.type) callback(node, parent);
+  const self = node.type ? node : parent;
+  for (const key of Object.keys(node)) {
+    if (key === "type") continue;
+    const value = node[key];
+    if (value !== null && typeof value === "object") visit(value, callback, self);
+  }
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function main(argv) {
+  let sql;
+  if (argv[0] === "--file") {
+    sql = fs.readFileSync(argv[1], "utf8");
+  } else if (argv.length === 1 && !argv[0].startsWith("--")) {
+    sql = argv[0];
+  } else {
+    throw new Error("Usage: node tools/sql_parser.js \"SELECT ...\" | --file <path>");
+  }
+
+  try {
+    console.log(JSON.stringify(parseSql(sql), null, 2));
+    return 0;
+  } catch (error) {
+    if (!(error instanceof SqlSyntaxError)) throw error;
+    console.error("✗ " + error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  SqlSyntaxError,
+  tokenize,
+  parseSql,
+  visit
+};
@@ -0,0 +1,197 @@
+// ============================================================================
+// SQL Script Statement Splitter
+// ============================================================================
+// Splits PostgreSQL scripts (Postgres_query.txt, advanced_postgresql_queries.sql,
+// ...) into statements. Each statement keeps the "--" comment blocks that
+// precede it, grouped by blank lines, like tools/js_statements.js does for
+// mongosh scripts.
+//
+// Handles quoted strings, quoted identifiers, dollar-quoted bodies (DO $$ ...
+// $$), block comments and psql meta-commands (\c payment_db).
+// ============================================================================
+
+/**
+ * @typedef {Object} SqlStatement
+ * @property {string} code              Statement source, trimmed, with its ";"
+ * @property {number} line              1-based line of the first character
+ * @property {string[][]} commentBlocks Comment lines since the previous
+ *                                      statement, grouped by blank lines
+ */
+
+/**
+ * @param {string} source
+ * @returns {SqlStatement[]}
+ */
+function splitSqlStatements(source) {
+  const statements = [];
+  let start = -1;
+  let line = 1;
+  let startLine = 1;
+  let blocks = [];
+  let currentBlock = null;
+  let lastCommentEnd = -1;
+
+  function push(end) {
+    const code = source.slice(start, end).trim();
+    if (code !== "" && code !== ";") {
+      statements.push({ code: code, line: startLine, commentBlocks: blocks });
+    }
+    start = -1;
+    blocks = [];
+    currentBlock = null;
+  }
+
+  function begin(i) {
+    if (start === -1) {
+      start = i;
+      startLine = line;
+    }
+  }
+
+  function comment(from, to, lines) {
+    if (start !== -1) return;
+    const gap = source.slice(lastCommentEnd === -1 ? from : lastCommentEnd, from);
+    if (!currentBlock || /\n\s*\n/.test(gap)) {
+      currentBlock = [];
+      blocks.push(currentBlock);
+    }
+    currentBlock.push(...lines);
+    lastCommentEnd = to;
+  }
+
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === "\n") {
+      line++;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === "-" && source[i + 1] === "-") {
+      const end = source.indexOf("\n", i);
+      const stop = end === -1 ? source.length : end;
+      comment(i, stop, [source.slice(i + 2, stop).trim()]);
+      i = stop;
+      continue;
+    }
+    if (ch === "/" && source[i + 1] === "*") {
+      const end = source.indexOf("*/", i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      const text = source.slice(i + 2, end === -1 ? source.length : end);
+      comment(i, stop, text.split("\n").map(l => l.replace(/^\s*\*?\s?/, "").trimEnd()));
+      line += (text.match(/\n/g) || []).length;
+      i = stop;
+      continue;
+    }
+
+    // psql meta-command: runs to the end of the line
+    if (ch === "\\" && start === -1) {
+      begin(i);
+      const end = source.indexOf("\n", i);
+      const stop = end === -1 ? source.length : end;
+      push(stop);
+      i = stop;
+      continue;
+    }
+
+    begin(i);
+
+    if (ch === "'" || ch === "\"") {
+      let j = i + 1;
+      while (j < source.length) {
+        if (source[j] === ch && source[j + 1] === ch) {
+          j += 2;
+          continue;
+        }
+        if (source[j] === ch) break;
+        if (source[j] === "\n") line++;
+        j++;
+      }
+      i = j + 1;
+      continue;
+    }
+
+    if (ch === "$") {
+      const tag = source.slice(i).match(/^\$([A-Za-z_]\w*)?\$/);
+      if (tag) {
+        const close = source.indexOf(tag[0], i + tag[0].length);
+        const stop = close === -1 ? source.length : close + tag[0].length;
+        line += (source.slice(i, stop).match(/\n/g) || []).length;
+        i = stop;
+        continue;
+      }
+    }
+
+    if (ch === ";") {
+      push(i + 1);
+    }
+    i++;
+  }
+
+  if (start !== -1) {
+    push(source.length);
+  }
+
+  return statements;
+}
+
+/**
+ * Removes "--" and block comments from a statement, leaving string literals
+ * untouched.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+function stripSqlComments(code) {
+  return code.replace(/('(?:[^']|'')*')|--[^\n]*|\/\*[\s\S]*?\*\//g, (match, literal) => literal || "");
+}
+
+/**
+ * Classifies a statement by its leading keyword.
+ *
+ * @param {string} code
+ * @returns {"read"|"write"|"ddl"|"transaction"|"meta"|"other"}
+ */
+function statementKind(code) {
+  const text = stripSqlComments(code).trim();
+  if (text.startsWith("\\")) return "meta";
+  const keyword = (text.match(/^\(*\s*([A-Za-z]+)/) || [])[1];
+  switch ((keyword || "").toUpperCase()) {
+    case "SELECT":
+    case "VALUES":
+    case "TABLE":
+      return "read";
+    case "WITH":
+      return /\b(INSERT|UPDATE|DELETE)\b/i.test(text) ? "write" : "read";
+    case "INSERT":
+    case "UPDATE":
+    case "DELETE":
+    case "MERGE":
+    case "DO":
+      return "write";
+    case "CREATE":
+    case "ALTER":
+    case "DROP":
+    case "TRUNCATE":
+      return "ddl";
+    case "BEGIN":
+    case "COMMIT":
+    case "ROLLBACK":
+    case "START":
+      return "transaction";
+    default:
+      return "other";
+  }
+}
+
+module.exports = {
+  splitSqlStatements,
+  stripSqlComments,
+  statementKind
+};
@@ -0,0 +1,2089 @@
+// ============================================================================
+// SQL → MongoDB Aggregation Translator
+// ============================================================================
+// Translates PostgreSQL SELECT queries over the relational payment schema
+// (init_postgresql.sql) into db.<collection>.aggregate([...]) pipelines over
+// the document model (payment_model_mongodb.md), so new SQL→MQL training
+// pairs can be generated and the hand-written Mongo_Db_query.txt files can
+// be checked against their Postgres_query.txt.
+//
+// Schema knowledge:
+//   - payments, messages, parties and institutions are collections; columns
+//     map to fields through column_mappings.md (payment_state → current_state,
+//     total_payments → totals.count, id → _id, ...)
+//   - payment_events, payment_route_steps and party_identifiers are embedded
+//     arrays (state_history, route_steps, identifiers): reading or joining
+//     them $unwinds the array, and their parent key is the parent's _id
+//   - joins from payments to parties through debtor_id / creditor_id, and from
+//     route steps to institutions, read the snapshot copied into the document
+//     (debtor_snapshot, institution_snapshot) when every column the query
+//     uses is in it, and $lookup otherwise (or always, with --no-snapshots)
+//   - any other equi-join becomes $lookup + $unwind
+//
+// Supported: joins (INNER / LEFT), WHERE, GROUP BY, HAVING, aggregates
+// (with FILTER), window functions, DISTINCT, ORDER BY, LIMIT / OFFSET,
+// UNION [ALL], CTEs and derived tables used as the FROM source, and
+// subqueries (scalar, IN, EXISTS, ANY / ALL) as $lookup pipelines, with
+// columns of the enclosing query passed in as let variables. Everything else
+// (RIGHT / FULL / CROSS joins, INTERSECT, EXCEPT, ROLLUP, recursive CTEs,
+// ...) raises an UnsupportedSqlError naming the construct.
+//
+// Unaliased columns are output under the MongoDB field they read
+// (payment_state → current_state), the convention tools/verify_cross_engine.js
+// compares by. MongoDB sorts nulls first in ascending order where PostgreSQL
+// sorts them last; explicit NULLS FIRST / LAST are honoured. Running window
+// aggregates keep PostgreSQL's default RANGE frame, where rows tied on the
+// window order share one result: a range window on a single numeric or date
+// key, a documents window when the order ends ties on a unique column of a
+// single table. Other window orders raise an UnsupportedSqlError.
+//
+// Usage:
+//   node tools/sql_to_mql.js "SELECT ..."                  # prints the pipeline
+//   node tools/sql_to_mql.js --file advanced_postgresql_queries.sql
+//   node tools/sql_to_mql.js --samples [dir] [--only Example_09,...] [--show]
+//   node tools/sql_to_mql.js --samples --check [--docker] [--db name]
+//
+// Options:
+//   --file <path>      translate every SELECT in a SQL script; comments are
+//                      kept, so the output is a mongosh script of new pairs
+//   --samples [dir]    translate each sample's Postgres_query.txt (default:
+//                      training_samples/)
+//   --check            run each translation and the hand-written
+//                      Mongo_Db_query.txt on tools/fixtures/training_dataset.js
+//                      and compare the results
+//   --show             print the translated pipelines in --samples mode
+//   --no-snapshots     always $lookup parties and institutions
+//   --db <name>        scratch MongoDB database --check seeds (default:
+//                      payment_db_translations; never the shared payment_db).
+//                      --check runs no psql, so PostgreSQL is not touched
+//   --docker           run mongosh in the payment_mongodb container
+//   --json             machine-readable output
+//
+// Exits with status 1 when a query cannot be translated (single query or
+// --file), or when --check finds a difference or an error.
+// ============================================================================
+
+const fs = require("fs");
+const { parseSql, SqlSyntaxError } = require("./sql_parser");
+const { loadTables, loadEnums } = require("./pg_schema");
+const { fieldCorrespondences } = require("./column_mappings");
+const { COLLECTIONS, mongoSeedScript, uuidToObjectId } = require("./dataset_seed");
+const { splitSqlStatements, statementKind } = require("./sql_statements");
+const { SAMPLES_DIR, loadSamples } = require("./sample_loader");
+const { runMongosh, buildCaptureScript, parseCapturedOutput } = require("./mongo_shell");
+const { normalize } = require("./ejson");
+const { isOrdered, compareAligned, getPath } = require("./verify_cross_engine");
+const trainingDataset = require("./fixtures/training_dataset");
+
+/**
+ * @typedef {Object} OutputColumn
+ * @property {string} name       field in the output documents
+ * @property {string} column     column name PostgreSQL gives the result
+ * @property {string|null} type  PostgreSQL type, when known
+ */
+
+/**
+ * @typedef {Object} Translation
+ * @property {string} collection
+ * @property {Object[]} pipeline          stages; values in Extended JSON
+ *                                        ({ $date }, { $oid })
+ * @property {OutputColumn[]|null} columns  null for SELECT *
+ * @property {string[]} warnings          places where the pipeline only
+ *                                        approximates the SQL
+ */
+
+/**
+ * @typedef {Object} TranslationResult
+ * @property {string} sample
+ * @property {"TRANSLATED"|"EQUIVALENT"|"DIFFERENT"|"UNSUPPORTED"|"SKIP"|"ERROR"} status
+ * @property {string|null} detail
+ * @property {Translation} [translation]
+ */
+
+/** Raised for SQL the translator has no MongoDB equivalent for. */
+class UnsupportedSqlError extends Error {
+  /**
+   * @param {string} construct  e.g. "RIGHT JOIN", "correlated subquery"
+   * @param {string} [message]
+   */
+  constructor(construct, message) {
+    super(message || construct + " is not supported");
+    this.name = "UnsupportedSqlError";
+    this.construct = construct;
+  }
+}
+
+const STATUS_SYMBOLS = { TRANSLATED: "✓", EQUIVALENT: "✓", DIFFERENT: "✗", UNSUPPORTED: "-", SKIP: "-", ERROR: "!" };
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+// Tables stored as arrays inside another collection's documents; columns map
+// to fields of the array elements (see tools/dataset_seed.js)
+const EMBEDDED_TABLES = {
+  payment_events: {
+    parent: "payments",
+    array: "state_history",
+    parentKey: "payment_id",
+    columns: {
+      seq_no: "seq_no", from_state: "from_state", to_state: "to_state",
+      reason_code: "metadata.reason_code", reason_text: "reason_text",
+      actor_type: "actor.type", actor_id: "actor.id", occurred_at: "occurred_at", metadata: "metadata"
+    }
+  },
+  payment_route_steps: {
+    parent: "payments",
+    array: "route_steps",
+    parentKey: "payment_id",
+    columns: {
+      step_no: "step_no", role: "role", institution_name: "institution_snapshot.legal_name",
+      bic: "institution_snapshot.bic", lei: "institution_snapshot.lei",
+      country_code: "institution_snapshot.country_code", metadata: "metadata"
+    }
+  },
+  party_identifiers: {
+    parent: "parties",
+    array: "identifiers",
+    parentKey: "party_id",
+    columns: { id_type: "type", id_value: "value", scheme: "scheme" }
+  }
+};
+
+// Foreign keys whose target row is copied into the referencing document.
+// `key` is the field holding the reference (null when only the copy is
+// kept); `lookup` joins on the copy when a $lookup is needed.
+const SNAPSHOTS = [
+  {
+    table: "payments", column: "debtor_id", target: "parties", path: "debtor_snapshot", key: "debtor_id",
+    columns: { display_name: "display_name" }
+  },
+  {
+    table: "payments", column: "creditor_id", target: "parties", path: "creditor_snapshot", key: "creditor_id",
+    columns: { display_name: "display_name" }
+  },
+  {
+    table: "payment_route_steps", column: "institution_id", target: "institutions", path: "institution_snapshot", key: null,
+    columns: { legal_name: "legal_name", bic: "bic", lei: "lei", country_code: "country_code" },
+    lookup: { localField: "institution_snapshot.bic", foreignField: "bic" }
+  }
+];
+
+const AGGREGATES = new Set(["count", "sum", "avg", "min", "max", "array_agg", "stddev", "stddev_samp",
+  "stddev_pop", "bool_and", "bool_or"]);
+
+const ACCUMULATORS = {
+  sum: "$sum", avg: "$avg", min: "$min", max: "$max", array_agg: "$push", stddev: "$stdDevSamp",
+  stddev_samp: "$stdDevSamp", stddev_pop: "$stdDevPop", bool_and: "$min", bool_or: "$max"
+};
+
+const COMPARISONS = { "=": "$eq", "<>": "$ne", "<": "$lt", "<=": "$lte", ">": "$gt", ">=": "$gte" };
+const FLIPPED = { "=": "=", "<>": "<>", "<": ">", "<=": ">=", ">": "<", ">=": "<=" };
+
+const TIMESTAMP_TYPES = new Set(["timestamptz", "timestamp", "date"]);
+// Columns unique in every table that has them: no two rows tie on them
+const UNIQUE_COLUMNS = ["id", "payment_ref", "external_ref", "bic", "lei"];
+const INTEGER_TYPES = new Set(["int", "integer", "int2", "int4", "int8", "smallint", "bigint", "serial", "bigserial"]);
+const NUMERIC_TYPES = new Set(["numeric", "decimal", "real", "float", "float4", "float8", "double precision"]);
+const TEXT_TYPES = new Set(["text", "varchar", "character varying", "char", "character", "bpchar", "unknown"]);
+
+const CASTS = {
+  text: "$toString", varchar: "$toString", "character varying": "$toString", char: "$toString",
+  numeric: "$toDecimal", decimal: "$toDecimal",
+  int: "$toInt", integer: "$toInt", int4: "$toInt", smallint: "$toInt", int2: "$toInt",
+  bigint: "$toLong", int8: "$toLong",
+  "double precision": "$toDouble", float: "$toDouble", float8: "$toDouble", real: "$toDouble", float4: "$toDouble",
+  boolean: "$toBool", bool: "$toBool",
+  timestamptz: "$toDate", timestamp: "$toDate"
+};
+
+const DATE_PARTS = {
+  year: "$year", month: "$month", day: "$dayOfMonth", hour: "$hour", minute: "$minute", second: "$second",
+  doy: "$dayOfYear", isodow: "$isoDayOfWeek", week: "$isoWeek", isoyear: "$isoWeekYear"
+};
+
+const DATE_UNITS = {
+  second: "second", seconds: "second", sec: "second", secs: "second",
+  minute: "minute", minutes: "minute", min: "minute", mins: "minute",
+  hour: "hour", hours: "hour", day: "day", days: "day", week: "week", weeks: "week",
+  month: "month", months: "month", mon: "month", mons: "month",
+  quarter: "quarter", year: "year", years: "year"
+};
+
+const SCALAR_FUNCTIONS = {
+  abs: "$abs", ceil: "$ceil", ceiling: "$ceil", floor: "$floor", sqrt: "$sqrt", exp: "$exp", ln: "$ln",
+  trunc: "$trunc", upper: "$toUpper", lower: "$toLower", length: "$strLenCP", char_length: "$strLenCP",
+  jsonb_array_length: "$size", array_length: "$size"
+};
+
+const CURRENT_TIME = {
+  current_timestamp: { expr: "$$NOW", type: "timestamptz" },
+  localtimestamp: { expr: "$$NOW", type: "timestamp" },
+  current_date: { expr: { $dateTrunc: { date: "$$NOW", unit: "day" } }, type: "date" }
+};
+
+let defaultSchema = null;
+
+/**
+ * Tables and column correspondences the translator works from.
+ *
+ * @returns {{ tables: Object<string, Object<string, string>>, correspondences: Map<string, Map<string, string>>, enums: string[] }}
+ */
+function loadSchema() {
+  if (!defaultSchema) {
+    defaultSchema = {
+      tables: loadTables(),
+      correspondences: fieldCorrespondences(),
+      enums: Object.keys(loadEnums())
+    };
+  }
+  return defaultSchema;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function describeColumn(node) {
+  return node.table ? node.table + "." + node.name : node.name;
+}
+
+function splitConjuncts(node) {
+  if (!node) return [];
+  if (node.type === "binary" && node.op === "AND") return splitConjuncts(node.left).concat(splitConjuncts(node.right));
+  return [node];
+}
+
+// Calls fn for each expression node, without entering subqueries
+function eachExpression(node, fn) {
+  if (node === null || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach(child => eachExpression(child, fn));
+    return;
+  }
+  if (node.type) fn(node);
+  for (const key of Object.keys(node)) {
+    if (key !== "query" && key !== "type") eachExpression(node[key], fn);
+  }
+}
+
+function isAggregate(node) {
+  return node.type === "func" && node.over === null && AGGREGATES.has(node.name);
+}
+
+function isWindow(node) {
+  return node.type === "func" && node.over !== null;
+}
+
+function dateLiteral(text) {
+  let value = text.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) value += "T00:00:00Z";
+  value = value.replace(/^(\d{4}-\d{2}-\d{2})\s+/, "$1T").replace(/([+-]\d{2})$/, "$1:00");
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) value += "Z";
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new UnsupportedSqlError("timestamp literal", "Cannot read timestamp '" + text + "'");
+  return date.toISOString();
+}
+
+function intervalLiteral(text) {
+  const match = text.trim().toLowerCase().match(/^(-?\d+)\s*([a-z]+)$/);
+  if (!match || !DATE_UNITS[match[2]]) {
+    throw new UnsupportedSqlError("interval", "Only single-unit intervals are supported ('" + text + "')");
+  }
+  return { unit: DATE_UNITS[match[2]], amount: Number(match[1]) };
+}
+
+// PostgreSQL LIKE pattern → anchored regular expression
+function likeRegex(pattern) {
+  const body = pattern.replace(/^%+|%+$/g, "").split("").map(ch => {
+    if (ch === "%") return ".*";
+    if (ch === "_") return ".";
+    return ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }).join("");
+  return (pattern.startsWith("%") ? "" : "^") + body + (pattern.endsWith("%") && pattern.length > 0 ? "" : "$");
+}
+
+// { a: { b: 1 } } → [["a.b", 1]]
+function flattenObject(value, prefix, out = []) {
+  for (const key of Object.keys(value)) {
+    const item = value[key];
+    if (Array.isArray(item)) {
+      throw new UnsupportedSqlError("@> with arrays", "JSONB containment of arrays is not supported");
+    }
+    if (item !== null && typeof item === "object") flattenObject(item, prefix + "." + key, out);
+    else out.push([prefix + "." + key, item]);
+  }
+  return out;
+}
+
+// Wraps constants so $project does not read them as inclusion flags
+function projectionValue(value) {
+  if (typeof value === "string" && value.startsWith("$")) return value;
+  if (value !== null && typeof value === "object") return value;
+  return { $literal: value };
+}
+
+// ============================================================================
+// TRANSLATOR
+// ============================================================================
+
+/**
+ * A scope is the state of one SELECT while its pipeline is built:
+ *   sources   tables in FROM / JOIN and where their fields sit in the
+ *             pipeline documents
+ *   computed  expressions already materialized by an earlier stage ($group
+ *             keys and accumulators, window outputs): key → { expr, type }
+ *   stages    the pipeline so far
+ *   pending   $lookup stages for subqueries, emitted before the next stage
+ */
+class Translator {
+  constructor(options = {}) {
+    this.schema = options.schema || loadSchema();
+    this.snapshots = options.snapshots !== false;
+    this.warnings = [];
+    this.counter = 0;
+  }
+
+  warn(message) {
+    if (!this.warnings.includes(message)) this.warnings.push(message);
+  }
+
+  emit(scope, stage) {
+    scope.stages.push(...scope.pending.splice(0), stage);
+  }
+
+  // ----- queries ------------------------------------------------------------
+
+  /**
+   * @param {Object} node     parsed query
+   * @param {Object} env      { ctes: Map, outer: scope|null, outputNames: string[]|null }
+   * @returns {Translation}
+   */
+  query(node, env) {
+    if (node.recursive) throw new UnsupportedSqlError("WITH RECURSIVE");
+    let ctes = env.ctes;
+    if (node.with.length > 0) {
+      ctes = new Map(env.ctes);
+      for (const cte of node.with) {
+        ctes.set(cte.name, { query: cte.query, columns: cte.columns, ctes: ctes });
+      }
+    }
+    const inner = Object.assign({}, env, { ctes: ctes });
+    return node.type === "compound" ? this.compound(node, inner) : this.select(node, inner);
+  }
+
+  compound(node, env) {
+    if (node.op !== "UNION") throw new UnsupportedSqlError(node.op);
+    const left = this.query(node.left, Object.assign({}, env, { outer: null }));
+    if (!left.columns) throw new UnsupportedSqlError("SELECT * in UNION");
+    const right = this.query(node.right, Object.assign({}, env, {
+      outer: null, outputNames: left.columns.map(column => column.name)
+    }));
+
+    const scope = { env: env, sources: [], computed: new Map(), stages: left.pipeline.slice(), pending: [] };
+    this.emit(scope, { $unionWith: { coll: right.collection, pipeline: right.pipeline } });
+    if (!node.all) this.distinct(scope);
+
+    const names = left.columns.map(column => column.name);
+    if (node.orderBy.length > 0) {
+      const sort = {};
+      for (const item of node.orderBy) {
+        const name = this.outputReference(item.expr, names, null, scope);
+        if (name === null) throw new UnsupportedSqlError("ORDER BY expression on UNION", "ORDER BY on a UNION must name output columns");
+        if (item.nulls) throw new UnsupportedSqlError("NULLS FIRST / LAST on UNION");
+        sort[name] = item.desc ? -1 : 1;
+      }
+      this.emit(scope, { $sort: sort });
+    }
+    this.limit(node, scope);
+    return { collection: left.collection, pipeline: scope.stages, columns: left.columns };
+  }
+
+  select(query, env) {
+    let q = query;
+    if (!q.from) throw new UnsupportedSqlError("SELECT without FROM");
+    if (q.distinctOn) throw new UnsupportedSqlError("DISTINCT ON");
+
+    const scope = { env: env, sources: [], computed: new Map(), stages: [], pending: [], grouped: null };
+    const collection = this.from(q.from, scope);
+
+    let conditions = [];
+    for (const join of q.joins) {
+      conditions = conditions.concat(this.join(join, scope, q));
+    }
+    conditions = conditions.concat(splitConjuncts(q.where));
+    for (const condition of conditions) {
+      eachExpression(condition, node => {
+        if (isAggregate(node) || isWindow(node)) {
+          throw new UnsupportedSqlError("aggregate in WHERE", "Aggregates and window functions are not allowed in WHERE");
+        }
+      });
+    }
+    if (conditions.length > 0) this.match(conditions, scope);
+
+    // SELECT * on one collection keeps whole documents; elsewhere * stands
+    // for the columns of its tables
+    let names = null;
+    const wholeDocuments = q.items.length === 1 && q.items[0].expr.type === "star" &&
+      scope.sources.length === 1 && scope.sources[0].kind !== "element";
+    if (!wholeDocuments) {
+      q = Object.assign({}, q, { items: [].concat(...q.items.map(item => this.expandStar(item, scope))) });
+      names = this.outputNames(q, scope);
+    }
+
+    this.group(q, scope, names);
+    if (q.having) {
+      if (!scope.grouped) throw new UnsupportedSqlError("HAVING without GROUP BY");
+      this.match(splitConjuncts(q.having), scope);
+    }
+    this.windows(q, scope, names);
+
+    if (names === null) {
+      if (scope.grouped) throw new UnsupportedSqlError("SELECT * with GROUP BY");
+      if (q.distinct) this.distinct(scope);
+      this.order(q, scope);
+      this.limit(q, scope);
+      return { collection: collection, pipeline: scope.stages, columns: scope.sources[0].columns || null };
+    }
+
+    this.project(q, scope, names);
+    return {
+      collection: collection,
+      pipeline: scope.stages,
+      columns: q.items.map((item, i) => ({
+        name: names[i],
+        column: env.outputNames ? names[i] : item.alias || this.sqlName(item.expr),
+        type: this.typeOf(item.expr, Object.assign({}, scope, { computed: new Map() }))
+      }))
+    };
+  }
+
+  // ----- FROM and JOIN ------------------------------------------------------
+
+  from(ref, scope) {
+    const cte = ref.table !== null ? scope.env.ctes.get(ref.table) : undefined;
+    if (ref.query || cte) {
+      if (ref.lateral) throw new UnsupportedSqlError("LATERAL");
+      const derived = ref.query
+        ? this.query(ref.query, { ctes: scope.env.ctes, outer: null, outputNames: null })
+        : this.query(cte.query, { ctes: cte.ctes, outer: null, outputNames: cte.columns });
+      scope.stages.push(...derived.pipeline);
+      scope.sources.push({ alias: ref.alias, table: null, kind: "derived", prefix: "", columns: derived.columns });
+      return derived.collection;
+    }
+
+    const table = ref.table;
+    const embedded = EMBEDDED_TABLES[table];
+    if (embedded) {
+      scope.stages.push({ $unwind: "$" + embedded.array });
+      scope.sources.push({
+        alias: ref.alias, table: table, kind: "element", prefix: embedded.array + ".", parentPrefix: "", embedded: embedded
+      });
+      return embedded.parent;
+    }
+    this.requireCollection(table);
+    scope.sources.push({ alias: ref.alias, table: table, kind: "document", prefix: "" });
+    return table;
+  }
+
+  requireCollection(table) {
+    if (!COLLECTIONS.includes(table)) {
+      throw new UnsupportedSqlError("table " + table, this.schema.tables[table]
+        ? "Table " + table + " has no MongoDB collection"
+        : "Table " + table + " is not in init_postgresql.sql");
+    }
+  }
+
+  /**
+   * Adds the stages for one join and returns the ON conditions still to be
+   * applied as a filter.
+   */
+  join(join, scope, q) {
+    if (join.kind !== "INNER" && join.kind !== "LEFT") throw new UnsupportedSqlError(join.kind + " JOIN");
+    if (join.lateral) throw new UnsupportedSqlError("LATERAL");
+    const ref = join.source;
+    if (ref.query || scope.env.ctes.has(ref.table)) {
+      throw new UnsupportedSqlError("join to a derived table", "Only tables can be joined (" + ref.alias + " is a subquery or CTE)");
+    }
+    const table = ref.table;
+    if (!this.schema.tables[table]) throw new UnsupportedSqlError("table " + table, "Table " + table + " is not in init_postgresql.sql");
+    if (scope.sources.some(source => source.alias === ref.alias)) {
+      throw new UnsupportedSqlError("duplicate alias", "Alias " + ref.alias + " is used twice");
+    }
+
+    const conjuncts = join.using
+      ? join.using.map(name => ({
+        type: "binary", op: "=",
+        left: { type: "column", table: this.findSource({ type: "column", table: null, name: name }, scope).alias, name: name },
+        right: { type: "column", table: ref.alias, name: name }
+      }))
+      : splitConjuncts(join.on);
+
+    const joined = side => side.table === ref.alias ||
+      (side.table === null && this.schema.tables[table][side.name] !== undefined &&
+        !scope.sources.some(source => this.hasColumn(source, side.name)));
+    let key = null;
+    for (const conjunct of conjuncts) {
+      if (key || conjunct.type !== "binary" || conjunct.op !== "=" ||
+        conjunct.left.type !== "column" || conjunct.right.type !== "column") continue;
+      const [foreign, local] = joined(conjunct.right) ? [conjunct.right, conjunct.left] : [conjunct.left, conjunct.right];
+      if (!joined(foreign) || joined(local)) continue;
+      key = { conjunct: conjunct, local: local, localSource: this.findSource(local, scope), foreign: foreign.name };
+    }
+    if (!key) {
+      throw new UnsupportedSqlError("join condition",
+        "JOIN " + table + " needs an equality between one of its columns and a table already in FROM");
+    }
+    const rest = conjuncts.filter(conjunct => conjunct !== key.conjunct);
+    if (join.kind === "LEFT" && rest.length > 0) {
+      throw new UnsupportedSqlError("LEFT JOIN with extra ON conditions");
+    }
+
+    const left = join.kind === "LEFT";
+    const local = key.localSource;
+    const localColumn = key.local.name;
+    const embedded = EMBEDDED_TABLES[table];
+    const unwind = path => left ? { $unwind: { path: "$" + path, preserveNullAndEmptyArrays: true } } : { $unwind: "$" + path };
+
+    // Embedded table joined through its parent: unwind the array
+    if (embedded && key.foreign === embedded.parentKey && local.table === embedded.parent &&
+      localColumn === "id" && local.kind === "document") {
+      const path = local.prefix + embedded.array;
+      this.emit(scope, unwind(path));
+      scope.sources.push({
+        alias: ref.alias, table: table, kind: "element", prefix: path + ".", parentPrefix: local.prefix, embedded: embedded
+      });
+      return rest;
+    }
+
+    // Parent of an unwound element: the document it came from
+    if (local.kind === "element" && localColumn === local.embedded.parentKey && table === local.embedded.parent &&
+      key.foreign === "id") {
+      scope.sources.push({ alias: ref.alias, table: table, kind: "document", prefix: local.parentPrefix });
+      return rest;
+    }
+
+    const snapshot = SNAPSHOTS.find(entry => entry.table === local.table && entry.column === localColumn &&
+      entry.target === table) || null;
+    if (snapshot && key.foreign === "id" && this.snapshots) {
+      const used = this.usedColumns(ref.alias, table, q, scope, key.conjunct);
+      const available = Object.keys(snapshot.columns).concat(snapshot.key ? ["id"] : []);
+      if (used.every(column => available.includes(column))) {
+        const base = local.prefix;
+        if (!left) {
+          this.emit(scope, { $match: { [base + (snapshot.key || snapshot.path)]: { $ne: null } } });
+        }
+        scope.sources.push({
+          alias: ref.alias, table: table, kind: "snapshot", prefix: base + snapshot.path + ".",
+          keyPath: snapshot.key ? base + snapshot.key : null, snapshot: snapshot
+        });
+        this.warn(table + " columns for " + ref.alias + " are read from " + snapshot.path +
+          " (copied when the document was written), not joined");
+        return rest;
+      }
+    }
+
+    if (embedded) {
+      throw new UnsupportedSqlError("join on " + table,
+        table + " is embedded in " + embedded.parent + " and can only be joined through " + embedded.parentKey);
+    }
+    this.requireCollection(table);
+
+    let localField;
+    let foreignField;
+    if (snapshot && !snapshot.key && key.foreign === "id") {
+      localField = local.prefix + snapshot.lookup.localField;
+      foreignField = snapshot.lookup.foreignField;
+    } else {
+      localField = this.resolveColumn(key.local, scope).path;
+      foreignField = this.documentPath(table, key.foreign);
+    }
+    this.emit(scope, { $lookup: { from: table, localField: localField, foreignField: foreignField, as: ref.alias } });
+    this.emit(scope, unwind(ref.alias));
+    scope.sources.push({ alias: ref.alias, table: table, kind: "document", prefix: ref.alias + "." });
+    return rest;
+  }
+
+  // Columns of `alias` the query mentions anywhere but in its join key
+  usedColumns(alias, table, q, scope, joinKey) {
+    const others = [q.from].concat(q.joins.map(join => join.source)).filter(ref => ref.alias !== alias);
+    const otherHas = name => others.some(ref => ref.table && this.schema.tables[ref.table] &&
+      this.schema.tables[ref.table][name] !== undefined) || scope.sources.some(source => this.hasColumn(source, name));
+    const used = new Set();
+    const collect = node => {
+      if (node === null || typeof node !== "object" || node === joinKey) return;
+      if (Array.isArray(node)) {
+        node.forEach(collect);
+        return;
+      }
+      if (node.type === "star" && (node.table === alias || node.table === null)) {
+        Object.keys(this.schema.tables[table]).forEach(name => used.add(name));
+      }
+      if (node.type === "column" && (node.table === alias ||
+        (node.table === null && this.schema.tables[table][node.name] !== undefined && !otherHas(node.name)))) {
+        used.add(node.name);
+      }
+      Object.keys(node).forEach(key => collect(node[key]));
+    };
+    collect(q);
+    return [...used];
+  }
+
+  expandStar(item, scope) {
+    if (item.expr.type !== "star") return [item];
+    const sources = item.expr.table === null
+      ? scope.sources
+      : scope.sources.filter(source => source.alias === item.expr.table);
+    if (sources.length === 0) throw new UnsupportedSqlError("unknown column", "Table alias " + item.expr.table + " is not in FROM");
+
+    const items = [];
+    for (const source of sources) {
+      let columns;
+      if (source.kind === "derived") {
+        if (source.columns === null) throw new UnsupportedSqlError("* over SELECT *", "* cannot expand a subquery that selects *");
+        columns = source.columns.map(column => column.column);
+      } else {
+        columns = Object.keys(this.schema.tables[source.table]);
+      }
+      for (const name of columns) {
+        if (source.kind === "element" && name === "id") continue;
+        const expr = { type: "column", table: source.alias, name: name };
+        try {
+          this.resolveColumn(expr, scope);
+          items.push({ expr: expr, alias: null });
+        } catch (error) {
+          if (!(error instanceof UnsupportedSqlError)) throw error;
+          this.warn((source.table || source.alias) + "." + name + " has no MongoDB field and is left out of *");
+        }
+      }
+    }
+    return items;
+  }
+
+  // ----- columns ------------------------------------------------------------
+
+  hasColumn(source, name) {
+    if (source.kind === "derived") return source.columns === null || source.columns.some(column => column.column === name);
+    return this.schema.tables[source.table][name] !== undefined;
+  }
+
+  documentPath(table, column) {
+    const mapped = this.schema.correspondences.get(table);
+    if (mapped && mapped.has(column)) return mapped.get(column);
+    return this.schema.tables[table][column] !== undefined ? column : null;
+  }
+
+  findSource(node, scope) {
+    const matches = node.table !== null
+      ? scope.sources.filter(source => source.alias === node.table)
+      : scope.sources.filter(source => this.hasColumn(source, node.name));
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) throw new UnsupportedSqlError("ambiguous column", "Column " + node.name + " is ambiguous");
+    if (this.resolvesOutside(node, scope.env.outer)) {
+      throw new UnsupportedSqlError("correlated subquery",
+        "Subqueries may only refer to the query directly around them (" + describeColumn(node) + ")");
+    }
+    throw new UnsupportedSqlError("unknown column", node.table
+      ? "Table alias " + node.table + " is not in FROM"
+      : "Column " + node.name + " is not in " + scope.sources.map(source => source.table || source.alias).join(", "));
+  }
+
+  // A column of the query around a subquery: not in this scope, but in the
+  // one that the $lookup running the subquery belongs to
+  isOuterColumn(node, scope) {
+    const outer = scope.env.outer;
+    if (!outer || !scope.env.variables) return false;
+    const local = node.table !== null
+      ? scope.sources.some(source => source.alias === node.table)
+      : scope.sources.some(source => this.hasColumn(source, node.name));
+    if (local) return false;
+    return node.table !== null
+      ? outer.sources.some(source => source.alias === node.table)
+      : outer.sources.some(source => this.hasColumn(source, node.name));
+  }
+
+  // Outer columns reach the subquery pipeline as $lookup let variables
+  outerColumn(node, scope) {
+    const outer = scope.env.outer;
+    if (outer.grouped) {
+      throw new UnsupportedSqlError("correlated subquery after GROUP BY",
+        "Subqueries after GROUP BY cannot refer to " + describeColumn(node));
+    }
+    const column = this.resolveColumn(node, outer);
+    if (column.path === null) {
+      throw new UnsupportedSqlError("correlated subquery",
+        "Subqueries may only refer to the query directly around them (" + describeColumn(node) + ")");
+    }
+    const variables = scope.env.variables;
+    let name = [...variables.keys()].find(key => variables.get(key) === "$" + column.path);
+    if (!name) {
+      const base = column.relative.replace(/\./g, "_").replace(/^_+/, "").toLowerCase() || "outer";
+      name = base;
+      for (let n = 2; variables.has(name); n++) name = base + n;
+      variables.set(name, "$" + column.path);
+    }
+    return { path: null, expr: "$$" + name, relative: column.relative, type: column.type, source: null };
+  }
+
+  resolvesOutside(node, outer) {
+    for (let scope = outer; scope; scope = scope.env.outer) {
+      const found = node.table !== null
+        ? scope.sources.some(source => source.alias === node.table)
+        : scope.sources.some(source => this.hasColumn(source, node.name));
+      if (found) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @returns {{ path: string|null, relative: string, type: string|null, source: Object|null }}
+   */
+  resolveColumn(node, scope) {
+    if (node.table === null && CURRENT_TIME[node.name] && !scope.sources.some(source => this.hasColumn(source, node.name))) {
+      return { path: null, expr: CURRENT_TIME[node.name].expr, relative: node.name, type: CURRENT_TIME[node.name].type, source: null };
+    }
+    if (this.isOuterColumn(node, scope)) return this.outerColumn(node, scope);
+    const source = this.findSource(node, scope);
+    if (!this.hasColumn(source, node.name)) {
+      throw new UnsupportedSqlError("unknown column", "Column " + node.name + " is not in " + (source.table || source.alias));
+    }
+
+    let relative = null;
+    let path = null;
+    if (source.kind === "derived") {
+      relative = source.columns === null ? node.name : source.columns.find(column => column.column === node.name).name;
+      path = source.prefix + relative;
+    } else if (source.kind === "document") {
+      relative = this.documentPath(source.table, node.name);
+      path = relative === null ? null : source.prefix + relative;
+    } else if (source.kind === "element") {
+      if (node.name === source.embedded.parentKey) {
+        relative = "_id";
+        path = source.parentPrefix + "_id";
+      } else if (node.name === "id") {
+        relative = source.embedded.array;
+        path = source.prefix.slice(0, -1);
+        this.warn(source.table + ".id has no MongoDB field; the " + source.embedded.array + " element stands in for it");
+      } else if (source.embedded.columns[node.name]) {
+        relative = source.embedded.columns[node.name];
+        path = source.prefix + relative;
+      }
+    } else if (source.kind === "snapshot") {
+      if (node.name === "id") {
+        relative = "_id";
+        path = source.keyPath;
+      } else {
+        relative = source.snapshot.columns[node.name];
+        path = source.prefix + relative;
+      }
+    }
+    if (path === null) {
+      throw new UnsupportedSqlError("unmapped column", (source.table || source.alias) + "." + node.name + " has no MongoDB field");
+    }
+
+    const type = source.kind === "derived"
+      ? (source.columns === null ? null : source.columns.find(column => column.column === node.name).type)
+      : this.schema.tables[source.table][node.name];
+    return { path: path, relative: relative, type: type, source: source };
+  }
+
+  // Field path an expression reads directly (a column, JSONB accessor or
+  // materialized expression), else null
+  pathOf(node, scope) {
+    const computed = this.computedFor(node, scope);
+    if (computed) return typeof computed.expr === "string" && computed.expr.startsWith("$") && !computed.expr.startsWith("$$")
+      ? computed.expr.slice(1) : null;
+    if (node.type === "column") {
+      if (scope.grouped) return null;
+      return this.resolveColumn(node, scope).path;
+    }
+    if (node.type === "binary" && (node.op === "->" || node.op === "->>")) {
+      const base = this.pathOf(node.left, scope);
+      if (base === null || node.right.type !== "literal" || node.right.kind !== "string") return null;
+      return base + "." + node.right.value;
+    }
+    return null;
+  }
+
+  exprKey(node, scope) {
+    return JSON.stringify(node, (key, value) => {
+      if (value && value.type === "column") {
+        try {
+          return { column: this.resolveColumn(value, Object.assign({}, scope, { grouped: null })).path || value.name };
+        } catch (error) {
+          return value;
+        }
+      }
+      return value;
+    });
+  }
+
+  computedFor(node, scope) {
+    if (scope.computed.size === 0) return undefined;
+    return scope.computed.get(this.exprKey(node, scope));
+  }
+
+  // ----- types --------------------------------------------------------------
+
+  typeOf(node, scope) {
+    const computed = this.computedFor(node, scope);
+    if (computed) return computed.type;
+    switch (node.type) {
+      case "column":
+        try {
+          return this.resolveColumn(node, Object.assign({}, scope, { grouped: null })).type;
+        } catch (error) {
+          return null;
+        }
+      case "literal":
+        if (node.kind === "number") return /^-?\d+$/.test(node.value) ? "integer" : "numeric";
+        if (node.kind === "string") return "unknown";
+        return node.kind === "boolean" ? "boolean" : null;
+      case "cast":
+        return node.to;
+      case "binary": {
+        if (node.op === "->>" || node.op === "||") return "text";
+        if (node.op === "->") return "jsonb";
+        if (!["+", "-", "*", "/", "%"].includes(node.op)) return "boolean";
+        const left = this.typeOf(node.left, scope);
+        const right = this.typeOf(node.right, scope);
+        if (node.op === "-" && left === "date" && right === "date") return "integer";
+        if (node.op === "-" && TIMESTAMP_TYPES.has(left) && TIMESTAMP_TYPES.has(right)) return "interval";
+        if (TIMESTAMP_TYPES.has(left) || TIMESTAMP_TYPES.has(right)) return "timestamptz";
+        if (left === "interval" || right === "interval") return "interval";
+        if (INTEGER_TYPES.has(left) && INTEGER_TYPES.has(right)) return "bigint";
+        return "numeric";
+      }
+      case "unary":
+        return node.op === "-" ? this.typeOf(node.expr, scope) : "boolean";
+      case "func":
+        switch (node.name) {
+          case "count": case "row_number": case "rank": case "dense_rank": case "length": case "char_length":
+            return "bigint";
+          case "sum":
+            return INTEGER_TYPES.has(this.typeOf(node.args[0], scope)) ? "bigint" : "numeric";
+          case "avg": case "round": case "stddev": case "stddev_samp": case "stddev_pop":
+            return "numeric";
+          case "date":
+            return "date";
+          case "now": case "date_trunc":
+            return "timestamptz";
+          case "upper": case "lower": case "concat": case "substring": case "substr": case "trim":
+            return "text";
+          default:
+            return node.args.length > 0 ? this.typeOf(node.args[0], scope) : null;
+        }
+      case "extract":
+        return "numeric";
+      case "case":
+        return this.typeOf(node.whens[0].then, scope);
+      case "subquery":
+        return null;
+      default:
+        return "boolean";
+    }
+  }
+
+  // ----- constants ----------------------------------------------------------
+
+  // Value of a literal for comparison with a column of `type`, or undefined
+  // when the node is not a constant
+  constantValue(node, type) {
+    if (node.type === "literal") {
+      if (node.kind === "string") return this.typedString(node.value, type);
+      if (node.kind === "number") return Number(node.value);
+      return node.value;
+    }
+    if (node.type === "cast" && node.expr.type === "literal" && node.expr.kind === "string") {
+      return this.typedString(node.expr.value, node.to);
+    }
+    return undefined;
+  }
+
+  typedString(value, type) {
+    if (TIMESTAMP_TYPES.has(type)) return { $date: dateLiteral(value) };
+    if (type === "interval") return undefined;
+    if (type === "uuid") {
+      const objectId = uuidToObjectId(value);
+      if (objectId) return { $oid: objectId };
+      this.warn("UUID '" + value + "' was not seeded from an ObjectId and is compared as a string");
+      return value;
+    }
+    if (type === "jsonb" || type === "json") {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new UnsupportedSqlError("JSON literal", "Cannot parse JSON literal " + value);
+      }
+    }
+    if ((INTEGER_TYPES.has(type) || NUMERIC_TYPES.has(type)) && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) return Number(value);
+    return value;
+  }
+
+  intervalOf(node) {
+    if (node.type === "cast" && node.to === "interval" && node.expr.type === "literal" && node.expr.kind === "string") {
+      return intervalLiteral(node.expr.value);
+    }
+    return null;
+  }
+
+  // Both sides of a comparison, literals typed after the other side
+  operands(left, right, scope) {
+    const leftValue = this.constantValue(left, this.typeOf(right, scope));
+    const rightValue = this.constantValue(right, this.typeOf(left, scope));
+    return [
+      leftValue !== undefined && left.type !== "cast" ? this.literal(leftValue) : this.toExpr(left, scope),
+      rightValue !== undefined && right.type !== "cast" ? this.literal(rightValue) : this.toExpr(right, scope)
+    ];
+  }
+
+  literal(value) {
+    if (typeof value === "string" && value.startsWith("$")) return { $literal: value };
+    if (value !== null && typeof value === "object" && value.$date === undefined && value.$oid === undefined) {
+      return { $literal: value };
+    }
+    return value;
+  }
+
+  // ----- filters ------------------------------------------------------------
+
+  match(conditions, scope) {
+    const parts = conditions.map(condition => this.toFilter(condition, scope) || { $expr: this.toExpr(condition, scope) });
+    // Conditions on the same field merge when their operators differ
+    // ({ $gte: a } and { $lt: b }); anything else falls back to $and
+    const operators = value => value !== null && typeof value === "object" && !Array.isArray(value) &&
+      Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith("$") && key !== "$date" && key !== "$oid");
+    let filter = {};
+    for (const part of parts) {
+      const clash = Object.keys(part).some(key => filter[key] !== undefined && (key.startsWith("$") ||
+        !(operators(filter[key]) && operators(part[key]) && Object.keys(part[key]).every(op => filter[key][op] === undefined))));
+      if (clash) {
+        filter = { $and: parts };
+        break;
+      }
+      for (const key of Object.keys(part)) {
+        filter[key] = filter[key] === undefined ? part[key] : Object.assign({}, filter[key], part[key]);
+      }
+    }
+    this.emit(scope, { $match: filter });
+  }
+
+  /**
+   * Query-language form of a condition, or null when it needs $expr.
+   */
+  toFilter(node, scope) {
+    switch (node.type) {
+      case "binary": {
+        if (node.op === "AND" || node.op === "OR") {
+          const left = this.toFilter(node.left, scope);
+          const right = this.toFilter(node.right, scope);
+          if (!left || !right) return null;
+          const op = node.op === "AND" ? "$and" : "$or";
+          return { [op]: [].concat(left[op] && Object.keys(left).length === 1 ? left[op] : [left],
+            right[op] && Object.keys(right).length === 1 ? right[op] : [right]) };
+        }
+        if (COMPARISONS[node.op]) {
+          let field = node.left;
+          let other = node.right;
+          let op = node.op;
+          let path = this.pathOf(field, scope);
+          if (path === null) {
+            [field, other, op] = [node.right, node.left, FLIPPED[node.op]];
+            path = this.pathOf(field, scope);
+          }
+          if (path === null) return null;
+          const value = this.constantValue(other, this.typeOf(field, scope));
+          if (value === undefined || (value !== null && typeof value === "object" && value.$date === undefined &&
+            value.$oid === undefined)) return null;
+          if (op === "=") return { [path]: value };
+          return { [path]: { [COMPARISONS[op]]: value } };
+        }
+        if (node.op === "@>") {
+          const path = this.pathOf(node.left, scope);
+          const value = this.constantValue(node.right, "jsonb");
+          if (path === null || value === null || typeof value !== "object" || Array.isArray(value)) return null;
+          const filter = {};
+          flattenObject(value, path).forEach(([key, item]) => { filter[key] = item; });
+          return filter;
+        }
+        if (node.op === "?") {
+          const path = this.pathOf(node.left, scope);
+          if (path === null || node.right.type !== "literal" || node.right.kind !== "string") return null;
+          return { [path + "." + node.right.value]: { $exists: true } };
+        }
+        return null;
+      }
+      case "unary": {
+        if (node.op !== "NOT") return null;
+        const inner = this.toFilter(node.expr, scope);
+        return inner ? { $nor: [inner] } : null;
+      }
+      case "is": {
+        const path = this.pathOf(node.expr, scope);
+        if (path === null) return null;
+        const value = node.test === "NULL" ? null : node.test === "TRUE";
+        return { [path]: node.not ? { $ne: value } : value };
+      }
+      case "in": {
+        const path = node.list ? this.pathOf(node.expr, scope) : null;
+        if (path === null) return null;
+        const type = this.typeOf(node.expr, scope);
+        const values = node.list.map(item => this.constantValue(item, type));
+        if (values.some(value => value === undefined)) return null;
+        return { [path]: { [node.not ? "$nin" : "$in"]: values } };
+      }
+      case "between": {
+        const path = this.pathOf(node.expr, scope);
+        if (path === null) return null;
+        const type = this.typeOf(node.expr, scope);
+        const low = this.constantValue(node.low, type);
+        const high = this.constantValue(node.high, type);
+        if (low === undefined || high === undefined) return null;
+        if (node.not) return { $or: [{ [path]: { $lt: low } }, { [path]: { $gt: high } }] };
+        return { [path]: { $gte: low, $lte: high } };
+      }
+      case "like": {
+        const path = this.pathOf(node.expr, scope);
+        if (path === null || node.pattern.type !== "literal" || node.pattern.kind !== "string") return null;
+        const regex = { $regex: likeRegex(node.pattern.value) };
+        if (node.insensitive) regex.$options = "i";
+        return { [path]: node.not ? { $not: regex } : regex };
+      }
+      case "column": {
+        const path = this.pathOf(node, scope);
+        return path === null ? null : { [path]: true };
+      }
+      default:
+        return null;
+    }
+  }
+
+  // ----- expressions --------------------------------------------------------
+
+  toExpr(node, scope) {
+    const computed = this.computedFor(node, scope);
+    if (computed) return computed.expr;
+
+    switch (node.type) {
+      case "column":
+        return this.columnExpr(node, scope);
+      case "literal":
+        if (node.kind === "number") return Number(node.value);
+        return this.literal(node.value);
+      case "cast":
+        return this.castExpr(node, scope);
+      case "unary":
+        if (node.op === "NOT") return { $not: [this.toExpr(node.expr, scope)] };
+        return { $multiply: [-1, this.toExpr(node.expr, scope)] };
+      case "binary":
+        return this.binaryExpr(node, scope);
+      case "is": {
+        const value = this.toExpr(node.expr, scope);
+        const test = node.test === "NULL"
+          ? { $eq: [{ $ifNull: [value, null] }, null] }
+          : { $eq: [value, node.test === "TRUE"] };
+        return node.not ? { $not: [test] } : test;
+      }
+      case "distinct": {
+        const test = { $ne: [{ $ifNull: [this.toExpr(node.left, scope), null] }, { $ifNull: [this.toExpr(node.right, scope), null] }] };
+        return node.not ? { $not: [test] } : test;
+      }
+      case "in":
+        return this.inExpr(node, scope);
+      case "between": {
+        const [low, value] = this.operands(node.low, node.expr, scope);
+        const high = this.operands(node.expr, node.high, scope)[1];
+        const test = { $and: [{ $gte: [value, low] }, { $lte: [value, high] }] };
+        return node.not ? { $not: [test] } : test;
+      }
+      case "like": {
+        if (node.pattern.type !== "literal" || node.pattern.kind !== "string") {
+          throw new UnsupportedSqlError("LIKE with a computed pattern");
+        }
+        const match = { input: this.toExpr(node.expr, scope), regex: likeRegex(node.pattern.value) };
+        if (node.insensitive) match.options = "i";
+        return node.not ? { $not: [{ $regexMatch: match }] } : { $regexMatch: match };
+      }
+      case "case":
+        return this.caseExpr(node, scope);
+      case "extract":
+        return this.extractExpr(node.field, node.expr, scope);
+      case "func":
+        return this.functionExpr(node, scope);
+      case "subquery": {
+        const sub = this.subquery(node.query, scope, false);
+        // COUNT over no rows is 0, but $group over no documents outputs nothing
+        const inner = node.query;
+        if (inner.type === "select" && inner.groupBy.length === 0 && inner.items[0].expr.type === "func" &&
+          inner.items[0].expr.name === "count" && inner.items[0].expr.over === null) {
+          return { $ifNull: [{ $first: "$" + sub.field }, 0] };
+        }
+        return { $first: "$" + sub.field };
+      }
+      case "exists": {
+        const sub = this.subquery(node.query, scope, true);
+        const test = { $gt: [{ $size: "$" + sub.name }, 0] };
+        return node.not ? { $not: [test] } : test;
+      }
+      case "quantified":
+        return this.quantifiedExpr(node, scope);
+      case "row":
+        throw new UnsupportedSqlError("row value", "Row values are only supported on the left of IN (...)");
+      case "star":
+        throw new UnsupportedSqlError("* in an expression");
+      default:
+        throw new UnsupportedSqlError(node.type);
+    }
+  }
+
+  columnExpr(node, scope) {
+    const column = this.resolveColumn(node, scope);
+    if (column.path === null) return column.expr;
+    if (!scope.grouped) return "$" + column.path;
+
+    // Columns functionally dependent on a grouped primary key
+    const grouped = scope.grouped;
+    if (!grouped.keySources.includes(column.source)) {
+      throw new UnsupportedSqlError("ungrouped column",
+        "Column " + describeColumn(node) + " must appear in GROUP BY or be used in an aggregate");
+    }
+    let name = column.relative.replace(/\./g, "_");
+    while (grouped.stage.$group[name] !== undefined) name += "_";
+    grouped.stage.$group[name] = { $first: "$" + column.path };
+    scope.computed.set(this.exprKey(node, scope), { expr: "$" + name, type: column.type });
+    return "$" + name;
+  }
+
+  castExpr(node, scope) {
+    if (node.expr.type === "literal" && node.expr.kind === "string") {
+      if (node.to === "interval") throw new UnsupportedSqlError("interval outside date arithmetic");
+      return this.literal(this.typedString(node.expr.value, node.to));
+    }
+    const value = this.toExpr(node.expr, scope);
+    const from = this.typeOf(node.expr, scope);
+    if (from === node.to || (TEXT_TYPES.has(node.to) && TEXT_TYPES.has(from))) return value;
+    if (node.to === "date") return { $dateTrunc: { date: { $toDate: value }, unit: "day" } };
+    if (node.to === "jsonb" || node.to === "json" || this.schema.enums.includes(node.to)) return value;
+    if (TEXT_TYPES.has(node.to) && this.schema.enums.includes(from)) return value;
+    if (CASTS[node.to]) return { [CASTS[node.to]]: value };
+    throw new UnsupportedSqlError("cast to " + node.to);
+  }
+
+  stringExpr(node, scope) {
+    const value = this.toExpr(node, scope);
+    const type = this.typeOf(node, scope);
+    return TEXT_TYPES.has(type) || this.schema.enums.includes(type) || typeof value === "string" && !value.startsWith("$")
+      ? value : { $toString: value };
+  }
+
+  binaryExpr(node, scope) {
+    switch (node.op) {
+      case "AND":
+      case "OR": {
+        const op = node.op === "AND" ? "$and" : "$or";
+        const parts = [node.left, node.right].map(side => this.toExpr(side, scope));
+        return { [op]: [].concat(...parts.map(part => part && part[op] ? part[op] : [part])) };
+      }
+      case "||": {
+        const parts = [node.left, node.right].map(side => this.stringExpr(side, scope));
+        return { $concat: [].concat(...parts.map(part => part && part.$concat ? part.$concat : [part])) };
+      }
+      case "->":
+      case "->>": {
+        const path = this.pathOf(node, scope);
+        if (path === null) throw new UnsupportedSqlError("JSON operator on an expression");
+        return "$" + path;
+      }
+      case "@>": {
+        const path = this.pathOf(node.left, scope);
+        const value = this.constantValue(node.right, "jsonb");
+        if (path === null || value === null || typeof value !== "object" || Array.isArray(value)) {
+          throw new UnsupportedSqlError("@> on an expression");
+        }
+        const tests = flattenObject(value, path).map(([key, item]) => ({ $eq: ["$" + key, item] }));
+        return tests.length === 1 ? tests[0] : { $and: tests };
+      }
+      case "?": {
+        const path = this.pathOf(node.left, scope);
+        if (path === null || node.right.type !== "literal") throw new UnsupportedSqlError("? on an expression");
+        return { $ne: [{ $type: "$" + path + "." + node.right.value }, "missing"] };
+      }
+      case "<@":
+        throw new UnsupportedSqlError("<@");
+      default:
+        break;
+    }
+
+    if (COMPARISONS[node.op]) {
+      return { [COMPARISONS[node.op]]: this.operands(node.left, node.right, scope) };
+    }
+
+    // Date arithmetic with an interval literal
+    const leftInterval = this.intervalOf(node.left);
+    const rightInterval = this.intervalOf(node.right);
+    if (leftInterval || rightInterval) {
+      if (rightInterval && (node.op === "+" || node.op === "-")) {
+        return { [node.op === "+" ? "$dateAdd" : "$dateSubtract"]: Object.assign(
+          { startDate: this.toExpr(node.left, scope) }, rightInterval) };
+      }
+      if (leftInterval && node.op === "+") {
+        return { $dateAdd: Object.assign({ startDate: this.toExpr(node.right, scope) }, leftInterval) };
+      }
+      throw new UnsupportedSqlError("interval arithmetic");
+    }
+
+    const left = this.toExpr(node.left, scope);
+    const right = this.toExpr(node.right, scope);
+    // date - date is a number of days
+    if (node.op === "-" && this.typeOf(node.left, scope) === "date" && this.typeOf(node.right, scope) === "date") {
+      return { $dateDiff: { startDate: right, endDate: left, unit: "day" } };
+    }
+    switch (node.op) {
+      case "+": return { $add: [left, right] };
+      case "-": return { $subtract: [left, right] };
+      case "*": return { $multiply: [left, right] };
+      case "%": return { $mod: [left, right] };
+      case "/": {
+        const divide = { $divide: [left, right] };
+        // PostgreSQL divides integers without a remainder
+        return INTEGER_TYPES.has(this.typeOf(node.left, scope)) && INTEGER_TYPES.has(this.typeOf(node.right, scope))
+          ? { $trunc: [divide, 0] } : divide;
+      }
+      default:
+        throw new UnsupportedSqlError("operator " + node.op);
+    }
+  }
+
+  inExpr(node, scope) {
+    let test;
+    if (node.query) {
+      const sub = this.subquery(node.query, scope, false);
+      test = { $in: [this.toExpr(node.expr, scope), "$" + sub.field] };
+    } else if (node.expr.type === "row") {
+      test = {
+        $or: node.list.map(item => {
+          if (item.type !== "row" || item.items.length !== node.expr.items.length) {
+            throw new UnsupportedSqlError("row value", "IN list items must be rows of the same length");
+          }
+          return { $and: item.items.map((value, i) => ({ $eq: this.operands(node.expr.items[i], value, scope) })) };
+        })
+      };
+    } else {
+      test = {
+        $in: [this.toExpr(node.expr, scope), node.list.map(item => this.operands(node.expr, item, scope)[1])]
+      };
+    }
+    return node.not ? { $not: [test] } : test;
+  }
+
+  quantifiedExpr(node, scope) {
+    const sub = this.subquery(node.query, scope, false);
+    const value = this.toExpr(node.left, scope);
+    const values = "$" + sub.field;
+    if (node.op === "=" && node.quantifier === "ANY") return { $in: [value, values] };
+    if (node.op === "<>" && node.quantifier === "ALL") return { $not: [{ $in: [value, values] }] };
+    if (node.op === "=" || node.op === "<>") throw new UnsupportedSqlError(node.op + " " + node.quantifier);
+
+    // x > ANY → x > min, x > ALL → x > max (and the mirror image for <)
+    const greater = node.op === ">" || node.op === ">=";
+    const bound = (greater === (node.quantifier === "ANY")) ? { $min: values } : { $max: values };
+    const test = { [COMPARISONS[node.op]]: [value, bound] };
+    return node.quantifier === "ANY" ? { $and: [{ $gt: [{ $size: values }, 0] }, test] } : test;
+  }
+
+  caseExpr(node, scope) {
+    const branches = node.whens.map(when => ({
+      case: node.operand
+        ? { $eq: this.operands(node.operand, when.when, scope) }
+        : this.toExpr(when.when, scope),
+      then: this.toExpr(when.then, scope)
+    }));
+    const fallback = node.else ? this.toExpr(node.else, scope) : null;
+    if (branches.length === 1) return { $cond: [branches[0].case, branches[0].then, fallback] };
+    return { $switch: { branches: branches, default: fallback } };
+  }
+
+  extractExpr(field, expr, scope) {
+    const value = this.toExpr(expr, scope);
+    switch (field) {
+      case "epoch":
+        // interval differences are milliseconds, timestamps dates
+        return this.typeOf(expr, scope) === "interval"
+          ? { $divide: [value, 1000] }
+          : { $divide: [{ $toLong: value }, 1000] };
+      case "dow":
+        return { $subtract: [{ $dayOfWeek: value }, 1] };
+      case "quarter":
+        return { $ceil: { $divide: [{ $month: value }, 3] } };
+      default:
+        if (DATE_PARTS[field]) return { [DATE_PARTS[field]]: value };
+        throw new UnsupportedSqlError("EXTRACT(" + field.toUpperCase() + ")");
+    }
+  }
+
+  functionExpr(node, scope) {
+    if (isAggregate(node)) {
+      throw new UnsupportedSqlError("aggregate " + node.name, "Aggregate " + node.name + "() is not allowed here");
+    }
+    if (isWindow(node)) throw new UnsupportedSqlError("window function " + node.name + " here");
+    if (node.distinct || node.filter || node.order.length > 0) throw new UnsupportedSqlError(node.name + " with DISTINCT, FILTER or ORDER BY");
+
+    const args = () => node.args.map(arg => this.toExpr(arg, scope));
+    switch (node.name) {
+      case "coalesce":
+        return node.args.length === 1 ? this.toExpr(node.args[0], scope) : { $ifNull: args() };
+      case "nullif": {
+        const [value, other] = this.operands(node.args[0], node.args[1], scope);
+        return { $cond: [{ $eq: [value, other] }, null, value] };
+      }
+      case "round":
+        return { $round: [this.toExpr(node.args[0], scope), node.args[1] ? this.toExpr(node.args[1], scope) : 0] };
+      case "power":
+        return { $pow: args() };
+      case "mod":
+        return { $mod: args() };
+      case "greatest":
+        return { $max: args() };
+      case "least":
+        return { $min: args() };
+      case "now":
+        return "$$NOW";
+      case "date":
+        return { $dateTrunc: { date: this.toExpr(node.args[0], scope), unit: "day" } };
+      case "concat":
+        return { $concat: node.args.map(arg => ({ $ifNull: [this.stringExpr(arg, scope), ""] })) };
+      case "trim":
+        return { $trim: { input: this.toExpr(node.args[0], scope) } };
+      case "substring":
+      case "substr": {
+        const [input, from, length] = args();
+        return { $substrCP: [input, { $subtract: [from, 1] }, length === undefined ? { $strLenCP: input } : length] };
+      }
+      case "date_trunc": {
+        const unit = node.args[0].type === "literal" ? DATE_UNITS[String(node.args[0].value).toLowerCase()] : null;
+        if (!unit) throw new UnsupportedSqlError("date_trunc unit");
+        const trunc = { date: this.toExpr(node.args[1], scope), unit: unit };
+        if (unit === "week") trunc.startOfWeek = "monday";
+        return { $dateTrunc: trunc };
+      }
+      case "date_part":
+        if (node.args[0].type !== "literal") throw new UnsupportedSqlError("date_part field");
+        return this.extractExpr(String(node.args[0].value).toLowerCase(), node.args[1], scope);
+      default:
+        if (SCALAR_FUNCTIONS[node.name]) {
+          return { [SCALAR_FUNCTIONS[node.name]]: node.args.length === 1 ? this.toExpr(node.args[0], scope) : args() };
+        }
+        throw new UnsupportedSqlError("function " + node.name + "()");
+    }
+  }
+
+  // Subquery as a $lookup with a pipeline; returns the array field it fills
+  // and the path of its one column inside it
+  subquery(query, scope, exists) {
+    // The same subquery used twice reads the field the first $lookup filled
+    const key = JSON.stringify(query) + (exists ? " EXISTS" : "");
+    if (!scope.subqueries) scope.subqueries = new Map();
+    if (scope.subqueries.has(key)) return scope.subqueries.get(key);
+
+    const variables = new Map();
+    const inner = this.query(query, { ctes: scope.env.ctes, outer: scope, outputNames: null, variables: variables });
+    if (!exists && (!inner.columns || inner.columns.length !== 1)) {
+      throw new UnsupportedSqlError("subquery with several columns", "Subqueries used as values must return one column");
+    }
+    const name = "__sub" + this.counter++;
+    const pipeline = exists ? inner.pipeline.concat([{ $limit: 1 }]) : inner.pipeline;
+    const lookup = { from: inner.collection };
+    if (variables.size > 0) lookup.let = Object.fromEntries(variables);
+    scope.pending.push({ $lookup: Object.assign(lookup, { pipeline: pipeline, as: name }) });
+    const sub = { name: name, field: exists ? name : name + "." + inner.columns[0].name };
+    scope.subqueries.set(key, sub);
+    return sub;
+  }
+
+  // ----- grouping -----------------------------------------------------------
+
+  // GROUP BY 1 and GROUP BY alias refer to select items
+  groupKey(expr, q) {
+    if (expr.type === "literal" && expr.kind === "number") {
+      const item = q.items[Number(expr.value) - 1];
+      if (!item) throw new UnsupportedSqlError("GROUP BY position", "GROUP BY " + expr.value + " is not in the select list");
+      return item.expr;
+    }
+    if (expr.type === "column" && expr.table === null) {
+      const item = q.items.find(candidate => candidate.alias === expr.name);
+      if (item && !isAggregate(item.expr)) return item.expr;
+    }
+    return expr;
+  }
+
+  accumulator(node, scope) {
+    if (node.order.length > 0) throw new UnsupportedSqlError("ORDER BY inside " + node.name + "()");
+    const filter = node.filter ? this.toExpr(node.filter, scope) : null;
+    const arg = node.star ? null : this.toExpr(node.args[0], scope);
+    const filtered = (value, otherwise) => filter ? { $cond: [filter, value, otherwise] } : value;
+
+    if (node.name === "count") {
+      if (node.star) return { op: { $sum: filtered(1, 0) } };
+      if (node.distinct) {
+        return {
+          op: { $addToSet: filtered(arg, "$$REMOVE") },
+          post: name => ({ $size: { $filter: { input: "$" + name, cond: { $ne: ["$$this", null] } } } })
+        };
+      }
+      // COUNT(CASE WHEN c THEN 1 END) counts the rows where c holds
+      const counted = node.args[0];
+      if (counted.type === "case" && !counted.operand && counted.whens.length === 1 &&
+        (counted.else === null || (counted.else.type === "literal" && counted.else.kind === "null")) &&
+        counted.whens[0].then.type === "literal" && counted.whens[0].then.kind !== "null") {
+        return { op: { $sum: filtered({ $cond: [this.toExpr(counted.whens[0].when, scope), 1, 0] }, 0) } };
+      }
+      return { op: { $sum: filtered({ $cond: [{ $eq: [{ $ifNull: [arg, null] }, null] }, 0, 1] }, 0) } };
+    }
+    if (node.distinct) throw new UnsupportedSqlError(node.name + "(DISTINCT ...)");
+    if (node.star) throw new UnsupportedSqlError(node.name + "(*)");
+    return { op: { [ACCUMULATORS[node.name]]: filtered(arg, node.name === "array_agg" ? "$$REMOVE" : null) } };
+  }
+
+  group(q, scope, names) {
+    const keys = q.groupBy.map(expr => this.groupKey(expr, q));
+    keys.forEach(key => {
+      if (key.type === "grouping") throw new UnsupportedSqlError(key.kind);
+    });
+
+    const aggregates = [];
+    const seen = new Set();
+    const collect = node => eachExpression(node, child => {
+      if (!isAggregate(child)) return;
+      const key = this.exprKey(child, scope);
+      if (!seen.has(key)) {
+        seen.add(key);
+        aggregates.push({ node: child, key: key });
+      }
+    });
+    q.items.forEach(item => collect(item.expr));
+    collect(q.having);
+    q.orderBy.forEach(item => collect(item.expr));
+    if (keys.length === 0 && aggregates.length === 0) return;
+
+    const itemKeys = q.items.map(item => this.exprKey(item.expr, scope));
+    const used = new Set(["_id"]);
+    const nameFor = (key, fallback) => {
+      const index = itemKeys.indexOf(key);
+      let name = (index !== -1 && names ? names[index] : fallback).replace(/\./g, "_").replace(/^_id$/, "id");
+      while (used.has(name)) name += "_";
+      used.add(name);
+      return name;
+    };
+
+    const keyEntries = keys.map((expr, i) => {
+      const key = this.exprKey(expr, scope);
+      const fallback = expr.type === "column" ? this.resolveColumn(expr, scope).relative : "key" + i;
+      return { expr: expr, key: key, name: nameFor(key, fallback) };
+    });
+    const id = keyEntries.length === 0 ? null
+      : keyEntries.length === 1 ? this.toExpr(keyEntries[0].expr, scope)
+        : Object.fromEntries(keyEntries.map(entry => [entry.name, this.toExpr(entry.expr, scope)]));
+    const stage = { $group: { _id: id } };
+
+    const computed = [];
+    keyEntries.forEach(entry => computed.push([entry.key, {
+      expr: keyEntries.length === 1 ? "$_id" : "$_id." + entry.name,
+      type: this.typeOf(entry.expr, scope)
+    }]));
+    aggregates.forEach((aggregate, i) => {
+      const name = nameFor(aggregate.key, "__agg" + i);
+      const accumulator = this.accumulator(aggregate.node, scope);
+      stage.$group[name] = accumulator.op;
+      computed.push([aggregate.key, {
+        expr: accumulator.post ? accumulator.post(name) : "$" + name,
+        type: this.typeOf(aggregate.node, scope)
+      }]);
+    });
+    this.emit(scope, stage);
+    scope.subqueries = null;
+
+    computed.forEach(([key, value]) => scope.computed.set(key, value));
+    scope.grouped = {
+      stage: stage,
+      keySources: keyEntries
+        .filter(entry => entry.expr.type === "column" && entry.expr.name === "id")
+        .map(entry => this.resolveColumn(entry.expr, Object.assign({}, scope, { grouped: null })).source)
+    };
+  }
+
+  // ----- window functions ---------------------------------------------------
+
+  windowOutput(node, scope, sortBy) {
+    if (node.filter || node.distinct) throw new UnsupportedSqlError("FILTER or DISTINCT in a window function");
+    const sorted = Object.keys(sortBy).length > 0;
+    const needsOrder = () => {
+      if (!sorted) throw new UnsupportedSqlError(node.name.toUpperCase() + "() without ORDER BY");
+    };
+    const frame = node.over.frame;
+
+    switch (node.name) {
+      case "row_number":
+        needsOrder();
+        return { $documentNumber: {} };
+      case "rank":
+      case "dense_rank":
+        needsOrder();
+        if (Object.keys(sortBy).length !== 1) {
+          throw new UnsupportedSqlError(node.name.toUpperCase() + "() over several sort keys");
+        }
+        return node.name === "rank" ? { $rank: {} } : { $denseRank: {} };
+      case "lag":
+      case "lead": {
+        needsOrder();
+        const offset = node.args[1] ? this.constantValue(node.args[1], "integer") : 1;
+        if (!Number.isInteger(offset)) throw new UnsupportedSqlError(node.name.toUpperCase() + "() with a computed offset");
+        const shift = { output: this.toExpr(node.args[0], scope), by: node.name === "lag" ? -offset : offset };
+        if (node.args[2]) {
+          const fallback = this.constantValue(node.args[2], this.typeOf(node.args[0], scope));
+          if (fallback === undefined) throw new UnsupportedSqlError(node.name.toUpperCase() + "() with a computed default");
+          shift.default = fallback;
+        }
+        return { $shift: shift };
+      }
+      default:
+        break;
+    }
+
+    let output;
+    if (node.name === "first_value" || node.name === "last_value") {
+      output = { [node.name === "first_value" ? "$first" : "$last"]: this.toExpr(node.args[0], scope) };
+    } else if (AGGREGATES.has(node.name)) {
+      const accumulator = this.accumulator(node, scope);
+      if (accumulator.post) throw new UnsupportedSqlError(node.name + "(DISTINCT ...) OVER");
+      output = accumulator.op;
+    } else {
+      throw new UnsupportedSqlError(node.name.toUpperCase() + "()");
+    }
+
+    if (frame) {
+      if (frame.unit === "GROUPS") throw new UnsupportedSqlError("GROUPS frame");
+      const bound = item => {
+        if (item.kind === "UNBOUNDED") return "unbounded";
+        if (item.kind === "CURRENT") return "current";
+        const offset = this.constantValue(item.offset, "integer");
+        if (typeof offset !== "number") throw new UnsupportedSqlError("computed frame offset");
+        return item.direction === "PRECEDING" ? -offset : offset;
+      };
+      output.window = { [frame.unit === "ROWS" ? "documents" : "range"]: [bound(frame.start), bound(frame.end)] };
+    } else if (sorted) {
+      output.window = this.defaultFrame(node.over.order, scope);
+    }
+    return output;
+  }
+
+  // RANGE BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW, the frame of an
+  // ordered window without one: rows tied on the order are peers
+  defaultFrame(order, scope) {
+    if (order.length === 1) {
+      const type = this.typeOf(order[0].expr, scope);
+      if (INTEGER_TYPES.has(type) || NUMERIC_TYPES.has(type)) return { range: ["unbounded", "current"] };
+      if (TIMESTAMP_TYPES.has(type)) return { range: ["unbounded", "current"], unit: "millisecond" };
+    }
+    const unique = order.some(item => item.expr.type === "column" && scope.sources.length === 1 &&
+      scope.sources[0].kind === "document" && UNIQUE_COLUMNS.includes(item.expr.name));
+    if (unique) return { documents: ["unbounded", "current"] };
+    throw new UnsupportedSqlError("window ORDER BY with ties", "A running aggregate over ORDER BY " +
+      order.map(item => this.sqlName(item.expr)).join(", ") + " sums tied rows together (RANGE frame); " +
+      "order by a single numeric or date column, add a unique column, or give a ROWS frame");
+  }
+
+  windows(q, scope, names) {
+    const calls = [];
+    const seen = new Set();
+    const collect = node => eachExpression(node, child => {
+      if (!isWindow(child)) return;
+      const key = this.exprKey(child, scope);
+      if (!seen.has(key)) {
+        seen.add(key);
+        calls.push({ node: child, key: key });
+      }
+    });
+    q.items.forEach(item => collect(item.expr));
+    q.orderBy.forEach(item => collect(item.expr));
+    if (calls.length === 0) return;
+
+    const itemKeys = q.items.map(item => this.exprKey(item.expr, scope));
+    const precomputed = {};
+    const stages = [];
+    const outputs = [];
+
+    calls.forEach((call, i) => {
+      const over = call.node.over;
+      const partitionBy = over.partition.length === 0 ? undefined
+        : over.partition.length === 1 ? this.toExpr(over.partition[0], scope)
+          : Object.fromEntries(over.partition.map((expr, j) => ["p" + j, this.toExpr(expr, scope)]));
+      const sortBy = {};
+      over.order.forEach(item => {
+        let path = this.pathOf(item.expr, scope);
+        if (path === null) {
+          path = "__sort" + Object.keys(precomputed).length;
+          precomputed[path] = this.toExpr(item.expr, scope);
+        }
+        sortBy[path] = item.desc ? -1 : 1;
+      });
+
+      const index = itemKeys.indexOf(call.key);
+      const name = index !== -1 && names ? names[index] : "__win" + i;
+      const output = this.windowOutput(call.node, scope, sortBy);
+      const unordered = over.order.length === 0 && !over.frame;
+
+      const partitionKey = JSON.stringify(partitionBy === undefined ? null : partitionBy);
+      const sortKey = JSON.stringify(sortBy);
+      let target = stages.find(stage => stage.partitionKey === partitionKey && (stage.sortKey === sortKey || unordered));
+      if (!target) {
+        const spec = {};
+        if (partitionBy !== undefined) spec.partitionBy = partitionBy;
+        if (Object.keys(sortBy).length > 0) spec.sortBy = sortBy;
+        spec.output = {};
+        target = { partitionKey: partitionKey, sortKey: sortKey, stage: { $setWindowFields: spec } };
+        stages.push(target);
+      }
+      target.stage.$setWindowFields.output[name] = output;
+      outputs.push([call.key, { expr: "$" + name, type: this.typeOf(call.node, scope) }]);
+    });
+
+    if (Object.keys(precomputed).length > 0) this.emit(scope, { $set: precomputed });
+    stages.forEach(stage => this.emit(scope, stage.stage));
+    outputs.forEach(([key, value]) => scope.computed.set(key, value));
+  }
+
+  // ----- output -------------------------------------------------------------
+
+  sqlName(expr) {
+    switch (expr.type) {
+      case "column": return expr.name;
+      case "binary": return expr.op === "->" || expr.op === "->>" ? this.sqlName(expr.right) : "?column?";
+      case "literal": return expr.kind === "string" ? expr.value : "?column?";
+      case "func": return expr.name;
+      case "cast": return expr.expr.type === "literal" ? expr.to : this.sqlName(expr.expr);
+      case "extract": return "extract";
+      case "case": return "case";
+      case "exists": return "exists";
+      default: return "?column?";
+    }
+  }
+
+  // Unaliased columns keep the name of the field they read
+  defaultName(expr, scope) {
+    if (expr.type === "column") return this.resolveColumn(expr, scope).relative;
+    if (expr.type === "binary" && (expr.op === "->" || expr.op === "->>")) {
+      let base = expr;
+      const keys = [];
+      while (base.type === "binary" && (base.op === "->" || base.op === "->>") && base.right.type === "literal") {
+        keys.unshift(base.right.value);
+        base = base.left;
+      }
+      if (base.type === "column") return [this.resolveColumn(base, scope).relative].concat(keys).join(".");
+    }
+    const name = this.sqlName(expr);
+    return name === "?column?" || name.startsWith("$") ? "column" : name;
+  }
+
+  outputNames(q, scope) {
+    let names = q.items.map(item => item.alias || this.defaultName(item.expr, scope));
+    const forced = scope.env.outputNames;
+    if (forced) {
+      if (forced.length !== names.length) {
+        throw new UnsupportedSqlError("column count", "Expected " + forced.length + " columns, found " + names.length);
+      }
+      names = forced.slice();
+    }
+    const seen = new Set();
+    return names.map(name => {
+      let unique = name;
+      for (let n = 2; seen.has(unique); n++) unique = name + "_" + n;
+      if (unique !== name) this.warn("Output column " + name + " appears twice; the second is named " + unique);
+      seen.add(unique);
+      return unique;
+    });
+  }
+
+  // Output column an ORDER BY item names (by alias, position or the same
+  // expression), else null
+  outputReference(expr, names, itemKeys, scope) {
+    if (expr.type === "literal" && expr.kind === "number") {
+      const name = names[Number(expr.value) - 1];
+      if (!name) throw new UnsupportedSqlError("ORDER BY position", "ORDER BY " + expr.value + " is not in the select list");
+      return name;
+    }
+    if (expr.type === "column" && expr.table === null && names.includes(expr.name)) return expr.name;
+    if (itemKeys) {
+      const index = itemKeys.indexOf(this.exprKey(expr, scope));
+      if (index !== -1) return names[index];
+    }
+    return null;
+  }
+
+  project(q, scope, names) {
+    const itemKeys = q.items.map(item => this.exprKey(item.expr, scope));
+    const values = q.items.map(item => this.toExpr(item.expr, scope));
+    const references = q.orderBy.map(item => this.outputReference(item.expr, names, itemKeys, scope));
+
+    // Sort on the fields before projecting when every key is a plain field
+    // and not all of them are output columns
+    const early = !q.distinct && q.orderBy.length > 0 && references.some(name => name === null) &&
+      q.orderBy.every((item, i) => !item.nulls && (references[i] === null
+        ? this.pathOf(item.expr, scope) !== null
+        : typeof values[names.indexOf(references[i])] === "string" && values[names.indexOf(references[i])].startsWith("$") &&
+          !values[names.indexOf(references[i])].startsWith("$$")));
+    if (early) {
+      const sort = {};
+      q.orderBy.forEach((item, i) => {
+        const path = references[i] === null ? this.pathOf(item.expr, scope) : values[names.indexOf(references[i])].slice(1);
+        sort[path] = item.desc ? -1 : 1;
+      });
+      this.emit(scope, { $sort: sort });
+    }
+
+    const projection = {};
+    if (!names.includes("_id")) projection._id = 0;
+    names.forEach((name, i) => {
+      projection[name] = values[i] === "$" + name ? 1 : projectionValue(values[i]);
+    });
+
+    const hidden = [];
+    const flags = {};
+    const sort = {};
+    if (!early) {
+      q.orderBy.forEach((item, i) => {
+        let name = references[i];
+        if (name === null) {
+          if (q.distinct) {
+            throw new UnsupportedSqlError("ORDER BY outside the select list", "With DISTINCT, ORDER BY must use output columns");
+          }
+          name = "__sort" + hidden.length;
+          projection[name] = projectionValue(this.toExpr(item.expr, scope));
+          hidden.push(name);
+        }
+        // MongoDB puts nulls first ascending and last descending; other
+        // orders sort on a flag computed from the projected key
+        if (item.nulls && (item.nulls === "LAST") !== item.desc) {
+          const flag = "__nulls" + hidden.length;
+          flags[flag] = { $cond: [{ $eq: [{ $ifNull: ["$" + name, null] }, null] }, 1, 0] };
+          hidden.push(flag);
+          sort[flag] = item.nulls === "LAST" ? 1 : -1;
+        }
+        sort[name] = item.desc ? -1 : 1;
+      });
+    }
+
+    this.emit(scope, { $project: projection });
+    if (Object.keys(flags).length > 0) this.emit(scope, { $set: flags });
+    if (q.distinct) this.distinct(scope);
+    if (Object.keys(sort).length > 0) this.emit(scope, { $sort: sort });
+    this.limit(q, scope);
+    if (hidden.length > 0) this.emit(scope, { $unset: hidden });
+  }
+
+  order(q, scope) {
+    if (q.orderBy.length === 0) return;
+    const sort = {};
+    q.orderBy.forEach(item => {
+      const path = this.pathOf(item.expr, scope);
+      if (path === null || item.nulls) throw new UnsupportedSqlError("ORDER BY expression with SELECT *");
+      sort[path] = item.desc ? -1 : 1;
+    });
+    this.emit(scope, { $sort: sort });
+  }
+
+  distinct(scope) {
+    this.emit(scope, { $group: { _id: "$$ROOT" } });
+    this.emit(scope, { $replaceWith: "$_id" });
+  }
+
+  limit(q, scope) {
+    const count = node => {
+      const value = node ? this.constantValue(node, "integer") : null;
+      if (node && !Number.isInteger(value)) throw new UnsupportedSqlError("computed LIMIT or OFFSET");
+      return value;
+    };
+    const offset = count(q.offset);
+    const limit = count(q.limit);
+    if (offset) this.emit(scope, { $skip: offset });
+    if (limit !== null) this.emit(scope, { $limit: limit });
+  }
+}
+
+/**
+ * Translates one SELECT statement.
+ *
+ * @param {string} sql
+ * @param {Object} [options]
+ * @param {boolean} [options.snapshots]  read parties / institutions from the
+ *                                       embedded snapshots (default true)
+ * @param {Object} [options.schema]      see loadSchema()
+ * @returns {Translation}
+ * @throws {UnsupportedSqlError|SqlSyntaxError}
+ */
+function translateSql(sql, options = {}) {
+  const translator = new Translator(options);
+  const result = translator.query(parseSql(sql), { ctes: new Map(), outer: null, outputNames: null });
+  return {
+    collection: result.collection,
+    pipeline: result.pipeline,
+    columns: result.columns,
+    warnings: translator.warnings
+  };
+}
+
+// ============================================================================
+// SHELL FORMATTING
+// ============================================================================
+
+const LINE_WIDTH = 100;
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function formatInline(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return "[" + value.map(formatInline).join(", ") + "]";
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === "$date") return "ISODate(" + JSON.stringify(value.$date) + ")";
+  if (keys.length === 1 && keys[0] === "$oid") return "ObjectId(" + JSON.stringify(value.$oid) + ")";
+  if (keys.length === 0) return "{}";
+  return "{ " + keys.map(key => formatKey(key) + ": " + formatInline(value[key])).join(", ") + " }";
+}
+
+function formatValue(value, indent) {
+  const inline = formatInline(value);
+  if (value === null || typeof value !== "object" || indent.length + inline.length <= LINE_WIDTH ||
+    inline.startsWith("ISODate(") || inline.startsWith("ObjectId(")) {
+    return inline;
+  }
+  const inner = indent + "  ";
+  if (Array.isArray(value)) {
+    return "[\n" + value.map(item => inner + formatValue(item, inner)).join(",\n") + "\n" + indent + "]";
+  }
+  return "{\n" + Object.keys(value).map(key => inner + formatKey(key) + ": " + formatValue(value[key], inner))
+    .join(",\n") + "\n" + indent + "}";
+}
+
+/**
+ * Renders a translation as a mongosh statement, in the layout of the
+ * hand-written Mongo_Db_query.txt files.
+ *
+ * @param {Translation} translation
+ * @returns {string}
+ */
+function formatShell(translation) {
+  const stages = translation.pipeline.map(stage => "  " + formatValue(stage, "  "));
+  return "db." + translation.collection + ".aggregate([\n" + stages.join(",\n") + "\n]);";
+}
+
+// ============================================================================
+// SAMPLES
+// ============================================================================
+
+function lastQuery(sql) {
+  const statements = splitSqlStatements(sql).filter(statement => statementKind(statement.code) === "read");
+  return statements.length > 0 ? statements[statements.length - 1] : null;
+}
+
+function runCapture(query, options) {
+  const capture = buildCaptureScript(query);
+  const run = runMongosh(mongoSeedScript(options.dataset || trainingDataset, { dbName: options.dbName }) + "\n" +
+    capture.script, { container: options.container });
+  const output = parseCapturedOutput(run.stdout);
+  if (!run.ok || !output.found) {
+    return { ok: false, detail: (run.stderr || output.log || "no output").trim().split("\n").slice(-3).join(" | ") };
+  }
+  return { ok: true, value: output.value };
+}
+
+/**
+ * Puts the translated result and the hand-written one into comparison form:
+ * documents projected onto the translation's output fields.
+ */
+function alignTranslation(translated, handWritten, columns) {
+  const rows = (Array.isArray(translated) ? translated : [translated]).map(normalize);
+  let documents = handWritten === null || handWritten === undefined ? []
+    : Array.isArray(handWritten) ? handWritten : [handWritten];
+  documents = documents.map(normalize);
+
+  const names = columns ? columns.map(column => column.name) : null;
+  const scalar = documents.every(document => document === null || typeof document !== "object" ||
+    Object.keys(document).some(key => key.startsWith("$")));
+  if (names && names.length === 1 && documents.length > 0 && scalar) {
+    return { translated: rows.map(row => getPath(row, names[0])), handWritten: documents };
+  }
+  const project = document => {
+    if (!names) return document;
+    const projected = {};
+    names.forEach(name => {
+      const value = document !== null && typeof document === "object" ? getPath(document, name) : undefined;
+      projected[name] = value === undefined ? null : value;
+    });
+    return projected;
+  };
+  return { translated: rows.map(project), handWritten: documents.map(project) };
+}
+
+/**
+ * Translates one sample's Postgres_query.txt and, with options.check, runs
+ * the translation and the hand-written query on the fixture dataset.
+ *
+ * @param {import("./sample_loader").TrainingSample} sample
+ * @param {Object} [options]
+ * @param {boolean} [options.check]
+ * @param {boolean} [options.snapshots]
+ * @param {string} [options.dbName]
+ * @param {string} [options.container]
+ * @param {Object} [options.dataset]
+ * @returns {TranslationResult}
+ */
+function translateSample(sample, options = {}) {
+  const statement = sample.postgresQuery ? lastQuery(sample.postgresQuery) : null;
+  if (!statement) return { sample: sample.id, status: "SKIP", detail: "Postgres_query.txt has no SELECT" };
+
+  let translation;
+  try {
+    translation = translateSql(statement.code, { snapshots: options.snapshots });
+  } catch (error) {
+    if (!(error instanceof UnsupportedSqlError) && !(error instanceof SqlSyntaxError)) throw error;
+    return { sample: sample.id, status: "UNSUPPORTED", detail: error.message };
+  }
+  if (!options.check) return { sample: sample.id, status: "TRANSLATED", detail: null, translation: translation };
+
+  if (!sample.mongoQuery || buildCaptureScript(sample.mongoQuery).operation !== "read") {
+    return { sample: sample.id, status: "SKIP", detail: "Mongo_Db_query.txt has no read to compare with", translation: translation };
+  }
+  const runOptions = { dbName: options.dbName || "payment_db_translations", container: options.container, dataset: options.dataset };
+  const translated = runCapture(formatShell(translation), runOptions);
+  if (!translated.ok) return { sample: sample.id, status: "ERROR", detail: "translation: " + translated.detail, translation: translation };
+  const handWritten = runCapture(sample.mongoQuery, runOptions);
+  if (!handWritten.ok) return { sample: sample.id, status: "ERROR", detail: "Mongo_Db_query.txt: " + handWritten.detail, translation: translation };
+
+  const aligned = alignTranslation(translated.value, handWritten.value, translation.columns);
+  const comparison = compareAligned(aligned.translated, aligned.handWritten, isOrdered(statement.code));
+  return {
+    sample: sample.id,
+    status: comparison.equivalent ? "EQUIVALENT" : "DIFFERENT",
+    detail: comparison.detail,
+    translation: translation
+  };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = {
+    sql: null, file: null, samples: null, only: null, check: false, show: false,
+    snapshots: true, dbName: undefined, container: null, json: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--file": args.file = argv[++i]; break;
+      case "--samples":
+        args.samples = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : SAMPLES_DIR;
+        break;
+      case "--only": args.only = argv[++i].split(","); break;
+      case "--check": args.check = true; break;
+      case "--show": args.show = true; break;
+      case "--no-snapshots": args.snapshots = false; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--docker": args.container = "payment_mongodb"; break;
+      case "--json": args.json = true; break;
+      default:
+        if (argv[i].startsWith("--") || args.sql !== null) throw new Error("Unknown argument: " + argv[i]);
+        args.sql = argv[i];
+    }
+  }
+  if ([args.sql, args.file, args.samples].filter(value => value !== null).length !== 1) {
+    throw new Error("Pass one of: a SQL query, --file <path>, --samples [dir]");
+  }
+  if (args.check && !args.samples) throw new Error("--check needs --samples");
+  if (args.check && args.dbName === "payment_db") throw new Error("--db must name a scratch database, not payment_db");
+  return args;
+}
+
+function describeFailure(error) {
+  if (error instanceof UnsupportedSqlError || error instanceof SqlSyntaxError) return error.message;
+  throw error;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const options = { snapshots: args.snapshots };
+
+  if (args.sql !== null) {
+    try {
+      const translation = translateSql(args.sql, options);
+      console.log(args.json ? JSON.stringify(translation, null, 2) : formatShell(translation));
+      translation.warnings.forEach(warning => console.error("note: " + warning));
+      return 0;
+    } catch (error) {
+      console.error("✗ " + describeFailure(error));
+      return 1;
+    }
+  }
+
+  if (args.file !== null) {
+    const results = [];
+    const lines = [];
+    for (const statement of splitSqlStatements(fs.readFileSync(args.file, "utf8"))) {
+      if (statementKind(statement.code) !== "read") continue;
+      const comments = [].concat(...statement.commentBlocks.slice(-1)).map(line => "// " + line);
+      try {
+        const translation = translateSql(statement.code, options);
+        results.push({ line: statement.line, translation: translation });
+        lines.push(...comments, ...translation.warnings.map(warning => "// Note: " + warning), formatShell(translation), "");
+      } catch (error) {
+        const detail = describeFailure(error);
+        results.push({ line: statement.line, error: detail });
+        lines.push(...comments, "// Not translated (" + args.file + ":" + statement.line + "): " + detail, "");
+      }
+    }
+    const failed = results.filter(result => result.error).length;
+    console.log(args.json ? JSON.stringify(results, null, 2) : lines.join("\n"));
+    console.error((failed === 0 ? "✓ " : "✗ ") + (results.length - failed) + " of " + results.length + " queries translated");
+    return failed === 0 ? 0 : 1;
+  }
+
+  const samples = loadSamples(args.samples).samples.filter(sample => !args.only || args.only.includes(sample.id));
+  const results = samples.map(sample => {
+    const result = translateSample(sample, Object.assign({}, options, {
+      check: args.check, dbName: args.dbName, container: args.container
+    }));
+    if (!args.json) {
+      console.log(STATUS_SYMBOLS[result.status] + " " + result.sample + "  " + result.status +
+        (result.detail ? "  " + result.detail : ""));
+      if (args.show && result.translation) {
+        console.log(formatShell(result.translation).replace(/^/gm, "    "));
+      }
+    }
+    return result;
+  });
+
+  const counts = {};
+  results.forEach(result => { counts[result.status] = (counts[result.status] || 0) + 1; });
+  if (args.json) {
+    console.log(JSON.stringify({ counts: counts, results: results }, null, 2));
+  } else {
+    console.log("");
+    console.log(Object.entries(counts).map(([status, count]) => count + " " + status).join(", "));
+  }
+  return (counts.DIFFERENT || 0) + (counts.ERROR || 0) === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  UnsupportedSqlError,
+  EMBEDDED_TABLES,
+  SNAPSHOTS,
+  loadSchema,
+  translateSql,
+  formatShell,
+  translateSample
+};
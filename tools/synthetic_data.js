@@ -0,0 +1,585 @@
+// ============================================================================
+// Synthetic Payment Data Generator
+// ============================================================================
+// Generates a payment_db dataset of any size from a seed. The same seed and
+// options always give the same institutions, parties, messages and payments,
+// down to ObjectIds and timestamps, so window-function, time-series and
+// rollup queries return repeatable results.
+//
+// Payments carry a state_history that walks the payment lifecycle (settled,
+// rejected, failed or still in flight), route_steps through the debtor's and
+// creditor's banks, party snapshots, Decimal128 amounts and currencies from
+// the currency_code enum in init_postgresql.sql. Amounts and message totals
+// have each currency's minor units (tools/money.js). Messages hold their
+// payment_ids and per-currency totals.
+//
+// The dataset has the same shape as tools/fixtures/training_dataset.js and is
+// rendered with tools/dataset_seed.js.
+//
+// Usage:
+//   node tools/synthetic_data.js [--seed 42] [--institutions 8] [--parties 40]
+//                                [--messages 30] [--payments 300]
+//                                [--start 2025-01-01] [--days 30]
+//                                [--format mongosh|sql|json] [--db payment_db]
+//                                [--out <file>]
+//   node tools/synthetic_data.js ... --apply mongo|postgres|both [--docker]
+//
+// --apply replaces the contents of the payment collections/tables.
+// ============================================================================
+
+const fs = require("fs");
+const { loadEnums } = require("./pg_schema");
+const { mongoSeedScript, postgresSeedSql } = require("./dataset_seed");
+const { runMongosh } = require("./mongo_shell");
+const { runPsql } = require("./pg_shell");
+const { assertTransition } = require("./payment_state_machine");
+const { deriveMessageState } = require("./message_rollup");
+const { money, toDecimal, totalsByCurrency } = require("./money");
+const { ibanCheckDigits, leiCheckDigits, assertInstitution, assertParty } = require("./identifier_validation");
+
+const DEFAULT_OPTIONS = {
+  seed: 42,
+  institutions: 8,
+  parties: 40,
+  messages: 30,
+  payments: 300,
+  start: "2025-01-01T00:00:00Z",
+  days: 30
+};
+
+// ============================================================================
+// RANDOMNESS
+// ============================================================================
+
+/**
+ * mulberry32: small, fast, seedable PRNG returning floats in [0, 1).
+ *
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seeded helpers over mulberry32: int, chance, pick, weighted, digits, ...
+ *
+ * @param {number} seed
+ * @returns {Object}
+ */
+function createRandom(seed) {
+  const next = mulberry32(seed);
+  const random = {
+    next: next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: probability => next() < probability,
+    pick: list => list[Math.floor(next() * list.length)],
+    weighted: entries => {
+      const total = entries.reduce((sum, entry) => sum + entry[1], 0);
+      let roll = next() * total;
+      for (const [value, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return value;
+      }
+      return entries[entries.length - 1][0];
+    },
+    digits: count => Array.from({ length: count }, () => Math.floor(next() * 10)).join(""),
+    letters: count => Array.from({ length: count }, () => String.fromCharCode(65 + Math.floor(next() * 26))).join(""),
+    hex: count => Array.from({ length: count }, () => Math.floor(next() * 16).toString(16)).join("")
+  };
+  return random;
+}
+
+// ============================================================================
+// REFERENCE DATA
+// ============================================================================
+
+const COUNTRIES = {
+  GB: { currency: "GBP", suffixes: ["Ltd", "PLC", "LLP"], phone: "+44-20" },
+  DE: { currency: "EUR", suffixes: ["GmbH", "AG"], phone: "+49-30" },
+  FR: { currency: "EUR", suffixes: ["SA", "SARL"], phone: "+33-1" },
+  NL: { currency: "EUR", suffixes: ["BV", "NV"], phone: "+31-20" },
+  IE: { currency: "EUR", suffixes: ["Ltd", "DAC"], phone: "+353-1" },
+  US: { currency: "USD", suffixes: ["Inc", "LLC", "Corp"], phone: "+1-212" },
+  CH: { currency: "CHF", suffixes: ["AG", "SA"], phone: "+41-44" },
+  JP: { currency: "JPY", suffixes: ["KK"], phone: "+81-3" },
+  SG: { currency: "SGD", suffixes: ["Pte Ltd"], phone: "+65-6" },
+  IN: { currency: "INR", suffixes: ["Pvt Ltd"], phone: "+91-22" },
+  AU: { currency: "AUD", suffixes: ["Pty Ltd"], phone: "+61-2" },
+  CA: { currency: "CAD", suffixes: ["Inc", "Ltd"], phone: "+1-416" }
+};
+
+const COUNTRY_WEIGHTS = [["GB", 30], ["DE", 12], ["FR", 8], ["NL", 6], ["IE", 4], ["US", 14],
+  ["CH", 5], ["JP", 5], ["SG", 4], ["IN", 4], ["AU", 4], ["CA", 4]];
+
+// IBAN BBAN layouts: "a" = letters (taken from the bank's BIC), "n" = digits
+const IBAN_LAYOUTS = { GB: [["a", 4], ["n", 14]], IE: [["a", 4], ["n", 14]], NL: [["a", 4], ["n", 10]], DE: [["n", 18]], FR: [["n", 23]], CH: [["n", 17]] };
+
+const BANK_WORDS = ["Northern", "Royal", "Harbour", "Crown", "Summit", "Meridian", "Atlas", "Pioneer",
+  "Union", "Capital", "Alpine", "Pacific", "Continental", "Heritage", "Sterling", "Metro"];
+const BANK_KINDS = ["Bank", "Savings Bank", "Trust Bank", "Commercial Bank", "Banking Corporation"];
+const COMPANY_WORDS = ["Acme", "Globex", "Initech", "Umbrella", "Stark", "Wayne", "Hooli", "Vandelay",
+  "Oceanic", "Cyberdyne", "Soylent", "Tyrell", "Wonka", "Gringotts", "Nakatomi", "Monarch", "Aperture", "Zenith"];
+const COMPANY_KINDS = ["Manufacturing", "Wholesale", "Logistics", "Retail", "Foods", "Pharma", "Energy",
+  "Holdings", "Textiles", "Software", "Trading", "Construction"];
+
+const CURRENCY_WEIGHTS = { GBP: 35, EUR: 30, USD: 15 };
+
+const SCHEMES = { GBP: ["FPS", "FPS", "BACS", "CHAPS"], EUR: ["SEPA", "SEPA", "SEPA_INST"] };
+
+const ACTORS = {
+  RECEIVED: "ingestion-svc",
+  VALIDATED: "validation-svc",
+  PENDING_FUNDS: "funding-svc",
+  ROUTED: "routing-svc",
+  SENT_TO_SCHEME: "scheme-gateway",
+  SETTLED: "scheme-gateway"
+};
+
+const REJECTION_REASONS = ["INSUFFICIENT_FUNDS", "AML_HIT", "INVALID_ACCOUNT", "DUPLICATE"];
+const FAILURE_REASONS = ["SCHEME_TIMEOUT", "SCHEME_REJECTED", "ROUTING_UNAVAILABLE"];
+
+// ============================================================================
+// IDENTIFIERS
+// ============================================================================
+
+// Check digits come from tools/identifier_validation.js, which also checks
+// every generated institution and party
+function lei(random) {
+  const base = random.digits(4) + "00" + random.letters(4) + random.digits(8);
+  return base + leiCheckDigits(base);
+}
+
+function ibanFromBban(country, bban) {
+  return country + ibanCheckDigits(country, bban) + bban;
+}
+
+function randomBban(random, country, bankCode) {
+  return IBAN_LAYOUTS[country].map(([kind, length]) => kind === "a" ? bankCode.slice(0, length) : random.digits(length)).join("");
+}
+
+function partyIdentifiers(random, country, institution) {
+  const bankCode = institution.bic.slice(0, 4);
+  if (country === "GB") {
+    const sortCode = random.digits(6);
+    const account = random.digits(8);
+    return [
+      { type: "ACCOUNT_NO", value: account, scheme: "GB-ACCOUNT" },
+      { type: "SORT_CODE", value: sortCode.replace(/(\d\d)(?=\d)/g, "$1-"), scheme: "GB-SORTCODE" },
+      { type: "IBAN", value: ibanFromBban("GB", bankCode + sortCode + account), scheme: "IBAN" }
+    ];
+  }
+  if (IBAN_LAYOUTS[country]) {
+    return [{ type: "IBAN", value: ibanFromBban(country, randomBban(random, country, bankCode)), scheme: "IBAN" }];
+  }
+  if (country === "IN") {
+    return [
+      { type: "ACCOUNT_NO", value: random.digits(12), scheme: "IN-ACCOUNT" },
+      { type: "IFSC", value: bankCode + "0" + random.digits(6), scheme: "IFSC" }
+    ];
+  }
+  return [{ type: "ACCOUNT_NO", value: random.digits(10), scheme: country + "-ACCOUNT" }];
+}
+
+// ============================================================================
+// EXTENDED JSON HELPERS
+// ============================================================================
+
+function objectId(kind, counter, date) {
+  const seconds = Math.floor(date.getTime() / 1000).toString(16).padStart(8, "0");
+  return { $oid: seconds + kind + counter.toString(16).padStart(14, "0") };
+}
+
+function isoDate(date) {
+  return { $date: date.toISOString() };
+}
+
+function decimal(cents) {
+  const negative = cents < 0;
+  const text = String(Math.abs(cents)).padStart(3, "0");
+  return { $numberDecimal: (negative ? "-" : "") + text.slice(0, -2) + "." + text.slice(-2) };
+}
+
+function addSeconds(date, seconds) {
+  return new Date(date.getTime() + seconds * 1000);
+}
+
+function dayStamp(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+function generateInstitutions(random, count, start) {
+  const used = new Set();
+  const institutions = [];
+  for (let i = 0; i < count; i++) {
+    const country = i === 0 ? "GB" : random.weighted(COUNTRY_WEIGHTS);
+    let name;
+    do {
+      name = random.pick(BANK_WORDS) + " " + random.pick(BANK_KINDS) + " " + country;
+    } while (used.has(name));
+    used.add(name);
+
+    let bankCode;
+    do {
+      bankCode = random.letters(4);
+    } while (used.has(bankCode));
+    used.add(bankCode);
+
+    institutions.push({
+      _id: objectId("01", i + 1, start),
+      legal_name: name,
+      bic: bankCode + country + random.letters(1) + random.digits(1) + "XXX",
+      lei: lei(random),
+      country_code: country,
+      created_at: isoDate(start),
+      updated_at: isoDate(start)
+    });
+  }
+  return institutions;
+}
+
+function generateParties(random, count, institutions, start) {
+  const used = new Set();
+  const parties = [];
+  for (let i = 0; i < count; i++) {
+    const institution = random.pick(institutions);
+    const country = institution.country_code;
+    const partyType = i === 0 ? "DEBTOR" : i === 1 ? "CREDITOR"
+      : random.weighted([["DEBTOR", 40], ["CREDITOR", 40], ["BOTH", 15], ["INTERMEDIARY", 5]]);
+
+    let base;
+    do {
+      base = random.pick(COMPANY_WORDS) + " " + random.pick(COMPANY_KINDS);
+    } while (used.has(base) && used.size < COMPANY_WORDS.length * COMPANY_KINDS.length);
+    used.add(base);
+    const displayName = base + " " + random.pick(COUNTRIES[country].suffixes);
+    const created = addSeconds(start, random.int(60, 3600));
+
+    parties.push({
+      _id: objectId("02", i + 1, created),
+      party_type: partyType,
+      display_name: displayName,
+      institution_id: institution._id,
+      email: "payments@" + base.toLowerCase().replace(/[^a-z]+/g, "-") + ".example",
+      phone: COUNTRIES[country].phone + "-" + random.digits(4) + "-" + random.digits(4),
+      identifiers: partyIdentifiers(random, country, institution),
+      created_at: isoDate(created),
+      updated_at: isoDate(created)
+    });
+  }
+  return parties;
+}
+
+function currencyWeights(currencies) {
+  return currencies.map(currency => [currency, CURRENCY_WEIGHTS[currency] || 20 / (currencies.length - 3)]);
+}
+
+/** Amount in minor units, log-uniform between 1.00 and 250,000.00. */
+function amountCents(random) {
+  const major = Math.pow(10, random.next() * Math.log10(250000));
+  return Math.max(100, Math.round(major * 100));
+}
+
+/**
+ * Walks the payment lifecycle: RECEIVED → VALIDATED → [PENDING_FUNDS] →
+ * ROUTED → SENT_TO_SCHEME → SETTLED, ending early in REJECTED, FAILED or, for
+ * payments received near the end of the window, an in-flight state. Every
+ * step is checked against tools/payment_state_machine.js.
+ */
+function lifecycle(random, received, recent) {
+  const outcome = random.weighted([["SETTLED", 70], ["REJECTED", 10], ["FAILED", 8], ["IN_FLIGHT", recent ? 40 : 0]]);
+  const path = ["RECEIVED", "VALIDATED"];
+  if (random.chance(0.2)) path.push("PENDING_FUNDS");
+  path.push("ROUTED", "SENT_TO_SCHEME", "SETTLED");
+
+  let states = path;
+  let terminal = null;
+  if (outcome === "REJECTED") {
+    states = path.slice(0, random.int(2, path.indexOf("ROUTED")));
+    terminal = { state: "REJECTED", reason: random.pick(REJECTION_REASONS), actor: states[states.length - 1] === "PENDING_FUNDS" ? "funding-svc" : "validation-svc" };
+  } else if (outcome === "FAILED") {
+    states = path.slice(0, random.int(path.indexOf("ROUTED") + 1, path.length - 1));
+    terminal = { state: "FAILED", reason: random.pick(FAILURE_REASONS), actor: states[states.length - 1] === "ROUTED" ? "routing-svc" : "scheme-gateway" };
+  } else if (outcome === "IN_FLIGHT") {
+    states = path.slice(0, random.int(1, path.length - 1));
+  }
+
+  const history = [];
+  let at = received;
+  let previous = null;
+  states.forEach((state, index) => {
+    if (index > 0) at = addSeconds(at, random.int(5, state === "SETTLED" ? 1800 : 300));
+    const metadata = {};
+    if (state === "VALIDATED") metadata.aml = "PASS";
+    if (state === "ROUTED") metadata.corridor = random.pick(["Direct", "Correspondent"]);
+    assertTransition(previous, state);
+    history.push({
+      seq_no: index + 1,
+      from_state: previous,
+      to_state: state,
+      actor: { type: "SYSTEM", id: ACTORS[state] },
+      occurred_at: isoDate(at),
+      metadata: metadata
+    });
+    previous = state;
+  });
+  if (terminal) {
+    at = addSeconds(at, random.int(5, 600));
+    assertTransition(previous, terminal.state);
+    history.push({
+      seq_no: history.length + 1,
+      from_state: previous,
+      to_state: terminal.state,
+      actor: { type: "SYSTEM", id: terminal.actor },
+      occurred_at: isoDate(at),
+      metadata: { reason_code: terminal.reason }
+    });
+  }
+  return history;
+}
+
+function snapshot(party) {
+  return { display_name: party.display_name, identifiers: party.identifiers.map(identifier => Object.assign({}, identifier)) };
+}
+
+function institutionSnapshot(institution) {
+  return { legal_name: institution.legal_name, bic: institution.bic, lei: institution.lei, country_code: institution.country_code };
+}
+
+function routeSteps(random, debtorBank, creditorBank, institutions, roles) {
+  const steps = [{ role: "SENDER_BANK", institution: debtorBank, metadata: { channel: random.pick(["API", "FILE", "PORTAL"]) } }];
+  const others = institutions.filter(institution => institution !== debtorBank && institution !== creditorBank);
+  const indirect = others.length > 0 && (debtorBank.country_code !== creditorBank.country_code || random.chance(0.3));
+  if (indirect) {
+    const via = random.pick(others);
+    const role = random.pick(roles.filter(r => r === "CORRESPONDENT" || r === "INTERMEDIARY"));
+    steps.push({ role: role, institution: via, metadata: { corridor: debtorBank.country_code + "-" + via.country_code + "-" + creditorBank.country_code } });
+  }
+  if (creditorBank !== debtorBank || indirect) {
+    steps.push({ role: "RECEIVER_BANK", institution: creditorBank, metadata: {} });
+  }
+  return {
+    method: indirect ? "INDIRECT" : "DIRECT",
+    steps: steps.map((step, index) => ({
+      step_no: index + 1,
+      role: step.role,
+      institution_snapshot: institutionSnapshot(step.institution),
+      metadata: step.metadata
+    }))
+  };
+}
+
+/**
+ * Generates a dataset.
+ *
+ * @param {Object} [options]  see DEFAULT_OPTIONS
+ * @returns {{ institutions: Object[], parties: Object[], messages: Object[], payments: Object[] }}
+ */
+function generateDataset(options = {}) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+  const enums = loadEnums();
+  const random = createRandom(settings.seed);
+  const start = new Date(settings.start);
+  if (isNaN(start.getTime())) {
+    throw new Error("Invalid start date: " + settings.start);
+  }
+
+  const institutions = generateInstitutions(random, Math.max(1, settings.institutions), start);
+  const parties = generateParties(random, Math.max(2, settings.parties), institutions, start);
+  institutions.forEach(assertInstitution);
+  parties.forEach(assertParty);
+  const debtors = parties.filter(party => party.party_type === "DEBTOR" || party.party_type === "BOTH");
+  const creditors = parties.filter(party => party.party_type === "CREDITOR" || party.party_type === "BOTH");
+  const institutionById = new Map(institutions.map(institution => [institution._id.$oid, institution]));
+  const currencies = currencyWeights(enums.currency_code);
+  const windowEnd = start.getTime() + settings.days * 86400000;
+
+  // Messages arrive spread over the window, in time order
+  const messageCount = Math.max(1, settings.messages);
+  const arrivals = Array.from({ length: messageCount }, () => random.int(0, settings.days * 86400 - 1)).sort((a, b) => a - b);
+  const batchCounters = new Map();
+  const messages = arrivals.map((offset, index) => {
+    const received = addSeconds(start, offset);
+    const day = dayStamp(received);
+    batchCounters.set(day, (batchCounters.get(day) || 0) + 1);
+    return {
+      _id: objectId("03", index + 1, received),
+      external_ref: "BATCH_" + day + "_" + String(batchCounters.get(day)).padStart(3, "0"),
+      source_system: random.pick(["UpstreamGateway-A", "UpstreamGateway-B", "UpstreamGateway-C"]),
+      current_state: "RECEIVED",
+      received_at: isoDate(received),
+      last_state_changed_at: isoDate(received),
+      attributes: { format: "ISO20022-pacs.008", file_hash: "sha256:" + random.hex(16) },
+      payment_ids: [],
+      totals: { count: 0, by_currency: [] },
+      created_at: isoDate(received),
+      updated_at: isoDate(received)
+    };
+  });
+
+  // Every message gets at least one payment while there are enough of them
+  const owners = Array.from({ length: Math.max(0, settings.payments) }, (_, i) => i < messageCount ? i : random.int(0, messageCount - 1))
+    .sort((a, b) => a - b);
+  const refCounters = new Map();
+  const messageStates = messages.map(() => []);
+  const messageLastChange = messages.map(message => message.received_at.$date);
+
+  const payments = owners.map((owner, index) => {
+    const message = messages[owner];
+    const instructed = addSeconds(new Date(message.received_at.$date), random.int(1, 120));
+    const day = dayStamp(instructed);
+    refCounters.set(day, (refCounters.get(day) || 0) + 1);
+
+    const debtor = random.pick(debtors);
+    const home = COUNTRIES[institutionById.get(debtor.institution_id.$oid).country_code].currency;
+    const currency = random.chance(0.6) ? home : random.weighted(currencies);
+    let creditor = random.pick(creditors);
+    while (creditor === debtor && creditors.length > 1) creditor = random.pick(creditors);
+
+    const history = lifecycle(random, instructed, instructed.getTime() > windowEnd - 2 * 86400000);
+    const last = history[history.length - 1];
+    const routed = history.some(event => event.to_state === "ROUTED");
+    const route = routed
+      ? routeSteps(random, institutionById.get(debtor.institution_id.$oid), institutionById.get(creditor.institution_id.$oid), institutions, enums.route_role)
+      : { method: null, steps: [] };
+
+    messageStates[owner].push(last.to_state);
+    if (last.occurred_at.$date > messageLastChange[owner]) messageLastChange[owner] = last.occurred_at.$date;
+
+    return {
+      _id: objectId("04", index + 1, instructed),
+      message_id: message._id,
+      payment_ref: "PMT-" + day + "-" + String(refCounters.get(day)).padStart(4, "0"),
+      scheme: random.pick(SCHEMES[currency] || ["SWIFT"]),
+      amount: toDecimal(money(decimal(amountCents(random)), currency)),
+      currency: currency,
+      current_state: last.to_state,
+      last_state_changed_at: last.occurred_at,
+      instructed_on: isoDate(instructed),
+      debtor_snapshot: snapshot(debtor),
+      creditor_snapshot: snapshot(creditor),
+      debtor_id: debtor._id,
+      creditor_id: creditor._id,
+      route_steps: route.steps,
+      state_history: history,
+      route_summary: route.method ? { method: route.method } : {},
+      attributes: {
+        priority: random.weighted([["NORMAL", 80], ["HIGH", 20]]),
+        fee_model: random.pick(["OUR", "SHA", "BEN"])
+      },
+      created_at: isoDate(instructed),
+      updated_at: last.occurred_at
+    };
+  });
+
+  // Message totals and state follow from their payments
+  messages.forEach((message, index) => {
+    const own = payments.filter(payment => payment.message_id === message._id);
+    message.payment_ids = own.map(payment => payment._id);
+    message.totals = totalsByCurrency(own);
+    message.current_state = deriveMessageState(messageStates[index]).state || "RECEIVED";
+    message.last_state_changed_at = { $date: messageLastChange[index] };
+    message.updated_at = { $date: messageLastChange[index] };
+  });
+
+  return { institutions: institutions, parties: parties, messages: messages, payments: payments };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = Object.assign({}, DEFAULT_OPTIONS, {
+    format: "mongosh", dbName: "payment_db", out: null, apply: null, docker: false
+  });
+  const numeric = ["seed", "institutions", "parties", "messages", "payments", "days"];
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (numeric.includes(name)) {
+      args[name] = parseInt(argv[++i], 10);
+      if (isNaN(args[name])) throw new Error("--" + name + " needs a number");
+      continue;
+    }
+    switch (argv[i]) {
+      case "--start": args.start = argv[++i]; break;
+      case "--format": args.format = argv[++i]; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--out": args.out = argv[++i]; break;
+      case "--apply": args.apply = argv[++i]; break;
+      case "--docker": args.docker = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (!["mongosh", "sql", "json"].includes(args.format)) {
+    throw new Error("--format must be mongosh, sql or json");
+  }
+  if (args.apply && !["mongo", "postgres", "both"].includes(args.apply)) {
+    throw new Error("--apply must be mongo, postgres or both");
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const dataset = generateDataset(args);
+  const summary = Object.keys(dataset).map(name => dataset[name].length + " " + name).join(", ");
+
+  if (args.apply) {
+    let ok = true;
+    if (args.apply !== "postgres") {
+      const run = runMongosh(mongoSeedScript(dataset, { dbName: args.dbName }), {
+        container: args.docker ? "payment_mongodb" : null, timeoutMs: 300000
+      });
+      console.error((run.ok ? "✓" : "✗") + " MongoDB " + args.dbName + (run.ok ? ": " + summary : ": " + run.stderr.trim()));
+      ok = ok && run.ok;
+    }
+    if (args.apply !== "mongo") {
+      const run = runPsql(postgresSeedSql(dataset), {
+        container: args.docker ? "payment_postgres" : null, timeoutMs: 300000
+      });
+      console.error((run.ok ? "✓" : "✗") + " PostgreSQL" + (run.ok ? ": " + summary : ": " + run.stderr.trim()));
+      ok = ok && run.ok;
+    }
+    return ok ? 0 : 1;
+  }
+
+  let output;
+  if (args.format === "json") {
+    output = JSON.stringify(dataset, null, 2) + "\n";
+  } else if (args.format === "sql") {
+    output = postgresSeedSql(dataset);
+  } else {
+    output = mongoSeedScript(dataset, { dbName: args.dbName });
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+    console.error("Wrote " + summary + " (seed " + args.seed + ") to " + args.out);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  mulberry32,
+  createRandom,
+  generateDataset
+};
@@ -0,0 +1,438 @@
+// ============================================================================
+// Sample Operator and Difficulty Tagger
+// ============================================================================
+// Tags every training sample with the operators its queries use, its join
+// depth and a difficulty tier:
+//
+//   Mongo Operators: aggregate, $match, $lookup, $unwind, $group, $sort
+//   SQL Operators: JOIN, GROUP BY, ORDER BY
+//   Join Depth: 1
+//   Difficulty: intermediate
+//
+// MongoDB operators are the $-keys of Mongo_Db_query.txt (stages and
+// expression operators), the collection methods it calls and "session" /
+// "transaction" for multi-document transactions. SQL operators are the
+// features of Postgres_query.txt (JOIN, CTE, WINDOW, ROLLUP, ...). Join depth
+// is the most JOINs or $lookups a single statement chains.
+//
+// The difficulty tier comes from a score per engine (see OPERATOR_WEIGHTS:
+// joins count once per level, windows, CTEs, $facet, rollups and
+// transactions weigh most); the harder engine decides:
+//   basic (0), intermediate (1-2), advanced (3-4), expert (5+)
+//
+// --write puts the tags under the Category line of each entry in
+// category_mapper.txt, replacing earlier tags. --coverage lists the
+// catalogued operators (MONGO_CATALOGUE, SQL_CATALOGUE) with how often the
+// samples and the advanced query files use them, and which neither does.
+//
+// Usage:
+//   node tools/tag_samples.js [--samples dir] [--only Example_10,...] [--json]
+//   node tools/tag_samples.js --write
+//   node tools/tag_samples.js --coverage [--json]
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { SAMPLES_DIR, CATEGORY_MAPPER_FILE, loadSamples } = require("./sample_loader");
+const { splitStatements } = require("./js_statements");
+const { splitSqlStatements, stripSqlComments, statementKind } = require("./sql_statements");
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+
+// Query files whose coverage --coverage reports next to the samples'
+const ADVANCED_FILES = {
+  mongodb: path.join(REPO_ROOT, "advanced_mongodb_queries.js"),
+  postgresql: path.join(REPO_ROOT, "advanced_postgresql_queries.sql")
+};
+
+// Operators --coverage reports on, in report order
+const MONGO_CATALOGUE = [
+  "$match", "$project", "$addFields", "$set", "$unset", "$group", "$sort", "$limit", "$skip",
+  "$count", "$sortByCount", "$unwind", "$lookup", "$graphLookup", "$facet", "$bucket",
+  "$bucketAuto", "$unionWith", "$setWindowFields", "$replaceRoot", "$replaceWith", "$merge",
+  "$out", "$densify", "$fill", "$sample", "$redact",
+  "$expr", "$elemMatch", "$cond", "$switch", "$filter", "$map", "$reduce", "$dateToString",
+  "$dateTrunc", "$dateDiff", "$regexMatch", "$push", "$addToSet",
+  "session", "transaction"
+];
+
+/**
+ * SQL features and how to recognise them in a statement with comments and
+ * string literals removed.
+ *
+ * @type {{ name: string, pattern: RegExp }[]}
+ */
+const SQL_FEATURES = [
+  { name: "WHERE", pattern: /\bWHERE\b/i },
+  { name: "ORDER BY", pattern: /\bORDER\s+BY\b/i },
+  { name: "LIMIT", pattern: /\bLIMIT\b|\bFETCH\s+FIRST\b/i },
+  { name: "DISTINCT", pattern: /\bDISTINCT\b(?!\s+ON\b)/i },
+  { name: "DISTINCT ON", pattern: /\bDISTINCT\s+ON\b/i },
+  { name: "GROUP BY", pattern: /\bGROUP\s+BY\b/i },
+  { name: "HAVING", pattern: /\bHAVING\b/i },
+  { name: "JOIN", pattern: /\bJOIN\b/i },
+  { name: "LEFT JOIN", pattern: /\bLEFT\s+(?:OUTER\s+)?JOIN\b/i },
+  { name: "RIGHT JOIN", pattern: /\bRIGHT\s+(?:OUTER\s+)?JOIN\b/i },
+  { name: "FULL JOIN", pattern: /\bFULL\s+(?:OUTER\s+)?JOIN\b/i },
+  { name: "CROSS JOIN", pattern: /\bCROSS\s+JOIN\b/i },
+  { name: "LATERAL", pattern: /\bLATERAL\b/i },
+  { name: "SUBQUERY", pattern: /\(\s*SELECT\b/i },
+  { name: "EXISTS", pattern: /\bEXISTS\s*\(/i },
+  { name: "CTE", pattern: /(?:^|[\s(])WITH\s+(?:RECURSIVE\s+)?\w+(?:\s*\([^)]*\))?\s+AS\s*(?:NOT\s+)?(?:MATERIALIZED\s+)?\(/i },
+  { name: "RECURSIVE CTE", pattern: /\bWITH\s+RECURSIVE\b/i },
+  { name: "WINDOW", pattern: /\bOVER\s*(?:\(|\w)/i },
+  { name: "ROLLUP", pattern: /\bROLLUP\s*\(/i },
+  { name: "CUBE", pattern: /\bCUBE\s*\(/i },
+  { name: "GROUPING SETS", pattern: /\bGROUPING\s+SETS\b/i },
+  { name: "UNION", pattern: /\bUNION\b/i },
+  { name: "INTERSECT", pattern: /\bINTERSECT\b/i },
+  { name: "EXCEPT", pattern: /\bEXCEPT\b/i },
+  { name: "CASE", pattern: /\bCASE\b/i },
+  { name: "FILTER", pattern: /\bFILTER\s*\(\s*WHERE\b/i },
+  { name: "JSONB", pattern: /->>?|#>>?|@>|\bjsonb_\w+\s*\(/i },
+  { name: "INSERT", pattern: /\bINSERT\s+INTO\b/i },
+  { name: "UPDATE", pattern: /\bUPDATE\s+\w+(?:\s+\w+)?\s+SET\b/i },
+  { name: "DELETE", pattern: /\bDELETE\s+FROM\b/i },
+  { name: "UPSERT", pattern: /\bON\s+CONFLICT\b/i },
+  { name: "RETURNING", pattern: /\bRETURNING\b/i },
+  { name: "DO BLOCK", pattern: /^\s*DO\b/i }
+];
+
+const SQL_CATALOGUE = SQL_FEATURES.map(feature => feature.name).concat(["TRANSACTION", "DDL"]);
+
+const COLLECTION_METHODS = [
+  "find", "findOne", "aggregate", "countDocuments", "estimatedDocumentCount", "distinct",
+  "insertOne", "insertMany", "updateOne", "updateMany", "replaceOne", "deleteOne", "deleteMany",
+  "findOneAndUpdate", "findOneAndReplace", "findOneAndDelete", "bulkWrite", "createIndex",
+  "createCollection", "watch"
+];
+
+// Score each operator adds to its engine's difficulty; joins add
+// JOIN_WEIGHT per level of join depth instead
+const OPERATOR_WEIGHTS = {
+  $group: 1, $sortByCount: 1, $bucket: 1, $bucketAuto: 1, $unwind: 1, $expr: 1, $elemMatch: 1,
+  $cond: 1, $switch: 1, $filter: 1, $map: 1, $reduce: 2, $facet: 2, $unionWith: 2,
+  $setWindowFields: 3, $graphLookup: 3, $merge: 1, session: 2, transaction: 1,
+  "GROUP BY": 1, "HAVING": 1, "SUBQUERY": 1, "EXISTS": 1, "LATERAL": 2, "CTE": 2,
+  "RECURSIVE CTE": 3, "WINDOW": 3, "ROLLUP": 3, "CUBE": 3, "GROUPING SETS": 3, "UNION": 1,
+  "INTERSECT": 1, "EXCEPT": 1, "FILTER": 1, "UPSERT": 1, "TRANSACTION": 2, "DO BLOCK": 2
+};
+const JOIN_WEIGHT = 1;
+
+// Lowest score of each tier, hardest first
+const DIFFICULTY_TIERS = [["expert", 5], ["advanced", 3], ["intermediate", 1], ["basic", 0]];
+
+// Mapper fields --write manages, in the order they are written
+const TAG_FIELDS = ["Mongo Operators", "SQL Operators", "Join Depth", "Difficulty"];
+
+/**
+ * @typedef {Object} EngineTags
+ * @property {string[]} operators
+ * @property {number} joinDepth
+ * @property {number} score
+ */
+
+/**
+ * @typedef {Object} SampleTags
+ * @property {string} sample
+ * @property {string[]} mongoOperators
+ * @property {string[]} sqlOperators
+ * @property {number} joinDepth
+ * @property {number} score
+ * @property {"basic"|"intermediate"|"advanced"|"expert"} difficulty
+ */
+
+// ============================================================================
+// OPERATORS
+// ============================================================================
+
+function stripJsComments(code) {
+  return code.replace(/("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`)|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+    (match, literal) => literal || "");
+}
+
+// Catalogue order first, then alphabetical
+function ordered(names, catalogue) {
+  const rank = name => catalogue.includes(name) ? catalogue.indexOf(name) : catalogue.length;
+  return [...new Set(names)].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function score(operators, joinDepth) {
+  return operators.reduce((sum, operator) => sum + (OPERATOR_WEIGHTS[operator] || 0), 0) + joinDepth * JOIN_WEIGHT;
+}
+
+/**
+ * Operators of a mongosh script: collection methods, $-keys (stages and
+ * expression operators) and session / transaction.
+ *
+ * @param {string} code
+ * @returns {EngineTags}
+ */
+function mongoTags(code) {
+  const text = stripJsComments(code);
+  const operators = [];
+  let joinDepth = 0;
+
+  const methods = new RegExp("\\.\\s*(" + COLLECTION_METHODS.join("|") + ")\\s*\\(", "g");
+  let match;
+  while ((match = methods.exec(text)) !== null) operators.push(match[1]);
+  const keys = /(?:^|[{,\s(\[])["']?(\$[A-Za-z]+)["']?\s*:/g;
+  while ((match = keys.exec(text)) !== null) operators.push(match[1]);
+  if (/\bstartSession\s*\(/.test(text)) operators.push("session");
+  if (/\b(?:startTransaction|withTransaction)\s*\(/.test(text)) operators.push("transaction");
+
+  splitStatements(code).forEach(statement => {
+    const lookups = (stripJsComments(statement.code).match(/["']?\$(?:lookup|graphLookup)["']?\s*:/g) || []).length;
+    joinDepth = Math.max(joinDepth, lookups);
+  });
+
+  const unique = ordered(operators, COLLECTION_METHODS.concat(MONGO_CATALOGUE));
+  return { operators: unique, joinDepth: joinDepth, score: score(unique, joinDepth) };
+}
+
+/**
+ * Features of a PostgreSQL script (see SQL_FEATURES), plus TRANSACTION and
+ * DDL statements.
+ *
+ * @param {string} code
+ * @returns {EngineTags}
+ */
+function sqlTags(code) {
+  const operators = [];
+  let joinDepth = 0;
+
+  splitSqlStatements(code).forEach(statement => {
+    const kind = statementKind(statement.code);
+    if (kind === "transaction") operators.push("TRANSACTION");
+    if (kind === "ddl") operators.push("DDL");
+    const text = stripSqlComments(statement.code).replace(/'(?:[^']|'')*'/g, "''");
+    SQL_FEATURES.forEach(feature => {
+      if (feature.pattern.test(text)) operators.push(feature.name);
+    });
+    joinDepth = Math.max(joinDepth, (text.match(/\bJOIN\b/gi) || []).length);
+  });
+
+  const unique = ordered(operators, SQL_CATALOGUE);
+  return { operators: unique, joinDepth: joinDepth, score: score(unique, joinDepth) };
+}
+
+/**
+ * @param {number} value
+ * @returns {"basic"|"intermediate"|"advanced"|"expert"}
+ */
+function difficultyTier(value) {
+  return DIFFICULTY_TIERS.find(([, minimum]) => value >= minimum)[0];
+}
+
+/**
+ * @param {import("./sample_loader").TrainingSample} sample
+ * @returns {SampleTags}
+ */
+function tagSample(sample) {
+  const mongo = sample.mongoQuery ? mongoTags(sample.mongoQuery) : { operators: [], joinDepth: 0, score: 0 };
+  const sql = sample.postgresQuery ? sqlTags(sample.postgresQuery) : { operators: [], joinDepth: 0, score: 0 };
+  const value = Math.max(mongo.score, sql.score);
+  return {
+    sample: sample.id,
+    mongoOperators: mongo.operators,
+    sqlOperators: sql.operators,
+    joinDepth: Math.max(mongo.joinDepth, sql.joinDepth),
+    score: value,
+    difficulty: difficultyTier(value)
+  };
+}
+
+// ============================================================================
+// CATEGORY MAPPER
+// ============================================================================
+
+function tagLines(tags) {
+  return [
+    "Mongo Operators: " + (tags.mongoOperators.join(", ") || "none"),
+    "SQL Operators: " + (tags.sqlOperators.join(", ") || "none"),
+    "Join Depth: " + tags.joinDepth,
+    "Difficulty: " + tags.difficulty
+  ];
+}
+
+/**
+ * Puts each sample's tags under the Category line of its mapper entry
+ * (right under the heading when there is none), replacing earlier tags.
+ *
+ * @param {string} content              category_mapper.txt
+ * @param {Map<number, SampleTags>} tagsByNumber
+ * @returns {{ content: string, tagged: number[] }}
+ */
+function applyTags(content, tagsByNumber) {
+  const lines = content.split(/\r?\n/);
+  const output = [];
+  const tagged = [];
+  const isTagLine = line => TAG_FIELDS.some(field => line.startsWith(field + ":"));
+
+  for (let i = 0; i < lines.length; i++) {
+    const heading = lines[i].trim().match(/^(\d+)_\S+$/);
+    const tags = heading && i + 1 < lines.length && /^-{3,}$/.test(lines[i + 1].trim())
+      ? tagsByNumber.get(parseInt(heading[1], 10))
+      : null;
+    if (!tags) {
+      output.push(lines[i]);
+      continue;
+    }
+
+    output.push(lines[i], lines[i + 1]);
+    const fields = [];
+    let j = i + 2;
+    for (; j < lines.length && lines[j].trim() !== ""; j++) {
+      if (!isTagLine(lines[j])) fields.push(lines[j]);
+    }
+    const after = fields.findIndex(line => /^Category:/.test(line)) + 1;
+    fields.splice(after, 0, ...tagLines(tags));
+    output.push(...fields);
+    tagged.push(tags.number);
+    i = j - 1;
+  }
+  return { content: output.join("\n"), tagged: tagged };
+}
+
+/**
+ * Writes the tags into samplesDir/category_mapper.txt.
+ *
+ * @param {string} samplesDir
+ * @param {import("./sample_loader").TrainingSample[]} samples
+ * @returns {{ tagged: string[], untagged: string[] }} samples with and
+ *          without a mapper entry to write to
+ */
+function writeTags(samplesDir, samples) {
+  const file = path.join(samplesDir, CATEGORY_MAPPER_FILE);
+  const tagsByNumber = new Map(samples.map(sample => [sample.number, Object.assign({ number: sample.number }, tagSample(sample))]));
+  const result = applyTags(fs.existsSync(file) ? fs.readFileSync(file, "utf8") : "", tagsByNumber);
+  fs.writeFileSync(file, result.content);
+  return {
+    tagged: samples.filter(sample => result.tagged.includes(sample.number)).map(sample => sample.id),
+    untagged: samples.filter(sample => !result.tagged.includes(sample.number)).map(sample => sample.id)
+  };
+}
+
+// ============================================================================
+// COVERAGE
+// ============================================================================
+
+/**
+ * How many samples and advanced-file statements use each catalogued
+ * operator.
+ *
+ * @param {import("./sample_loader").TrainingSample[]} samples
+ * @returns {{ engine: string, operator: string, samples: number, advanced: number }[]}
+ */
+function operatorCoverage(samples) {
+  const count = (tagLists, operator) => tagLists.filter(operators => operators.includes(operator)).length;
+
+  const sampleTags = samples.map(tagSample);
+  const mongoFile = fs.readFileSync(ADVANCED_FILES.mongodb, "utf8");
+  const sqlFile = fs.readFileSync(ADVANCED_FILES.postgresql, "utf8");
+  const advancedMongo = splitStatements(mongoFile).map(statement => mongoTags(statement.code).operators);
+  const advancedSql = splitSqlStatements(sqlFile).map(statement => sqlTags(statement.code).operators);
+
+  return MONGO_CATALOGUE.map(operator => ({
+    engine: "mongodb",
+    operator: operator,
+    samples: count(sampleTags.map(tags => tags.mongoOperators), operator),
+    advanced: count(advancedMongo, operator)
+  })).concat(SQL_CATALOGUE.map(operator => ({
+    engine: "postgresql",
+    operator: operator,
+    samples: count(sampleTags.map(tags => tags.sqlOperators), operator),
+    advanced: count(advancedSql, operator)
+  })));
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { samples: SAMPLES_DIR, only: null, write: false, coverage: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--samples": args.samples = argv[++i]; break;
+      case "--only": args.only = argv[++i].split(","); break;
+      case "--write": args.write = true; break;
+      case "--coverage": args.coverage = true; break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (args.write && args.coverage) throw new Error("--write and --coverage cannot be combined");
+  return args;
+}
+
+function printCoverage(coverage) {
+  ["mongodb", "postgresql"].forEach(engine => {
+    console.log(engine === "mongodb" ? "MongoDB" : "PostgreSQL");
+    coverage.filter(row => row.engine === engine).forEach(row => {
+      const status = row.samples > 0 ? "✓" : row.advanced > 0 ? "-" : "✗";
+      console.log("  " + status + " " + row.operator.padEnd(18) + String(row.samples).padStart(4) + " samples" +
+        String(row.advanced).padStart(5) + " in " + path.basename(ADVANCED_FILES[engine]));
+    });
+    console.log("");
+  });
+  const uncovered = coverage.filter(row => row.samples === 0 && row.advanced === 0).map(row => row.operator);
+  const advancedOnly = coverage.filter(row => row.samples === 0 && row.advanced > 0).map(row => row.operator);
+  console.log(advancedOnly.length + " operators only in the advanced files: " + (advancedOnly.join(", ") || "none"));
+  console.log(uncovered.length + " operators used nowhere: " + (uncovered.join(", ") || "none"));
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const samples = loadSamples(args.samples).samples
+    .filter(sample => !args.only || args.only.includes(sample.id));
+
+  if (args.coverage) {
+    const coverage = operatorCoverage(samples);
+    if (args.json) {
+      console.log(JSON.stringify(coverage, null, 2));
+    } else {
+      printCoverage(coverage);
+    }
+    return 0;
+  }
+
+  const tags = samples.map(tagSample);
+  let written = null;
+  if (args.write) written = writeTags(args.samples, samples);
+
+  if (args.json) {
+    console.log(JSON.stringify(tags, null, 2));
+  } else {
+    tags.forEach(item => {
+      const missing = written && written.untagged.includes(item.sample);
+      console.log((missing ? "✗ " : "✓ ") + item.sample + "  " + item.difficulty + " (score " + item.score +
+        ", join depth " + item.joinDepth + ")" + (missing ? "  no category_mapper.txt entry" : ""));
+      console.log("    MongoDB:    " + (item.mongoOperators.join(", ") || "-"));
+      console.log("    PostgreSQL: " + (item.sqlOperators.join(", ") || "-"));
+    });
+    const tiers = {};
+    tags.forEach(item => { tiers[item.difficulty] = (tiers[item.difficulty] || 0) + 1; });
+    console.log("");
+    console.log(DIFFICULTY_TIERS.slice().reverse().map(([tier]) => (tiers[tier] || 0) + " " + tier).join(", ") +
+      (written ? "; tags written for " + written.tagged.length + " samples" : ""));
+  }
+
+  return written && written.untagged.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  MONGO_CATALOGUE,
+  SQL_CATALOGUE,
+  mongoTags,
+  sqlTags,
+  difficultyTier,
+  tagSample,
+  applyTags,
+  writeTags,
+  operatorCoverage
+};
@@ -0,0 +1,644 @@
+// ============================================================================
+// Template Sample Generator
+// ============================================================================
+// Generates new training triples (text_description.txt, Mongo_Db_query.txt,
+// Postgres_query.txt) from parameterized templates: payments in a state, an
+// amount range, the top senders, the success rate per scheme, ... Slots are
+// filled from the dataset the check seeds (tools/synthetic_data.js with the
+// same seed, or tools/fixtures/training_dataset.js with --fixture) and from
+// the enums in init_postgresql.sql, so every filter names values that exist.
+//
+// With --check or --write every instance is run on both engines (see
+// tools/verify_cross_engine.js). Only instances whose SQL and MongoDB
+// results are equivalent and not empty are written: as Example_NN folders
+// after the last sample, with the captured MongoDB result as
+// MongoDb_json.txt. Their category_mapper.txt entries name the template and
+// its parameters. Instances whose SQL is already in the corpus are skipped,
+// so re-running with the same seed adds nothing.
+//
+// --write always draws from and checks on tools/fixtures/training_dataset.js:
+// verify_mongo_samples.js, verify_cross_engine.js and evaluate.js seed that
+// fixture, so MongoDb_json.txt must be captured on it too.
+//
+// Usage:
+//   node tools/template_generator.js [--templates top_senders,...] [--count 3] [--show]
+//   node tools/template_generator.js --write [--docker] [--samples dir]
+//
+// Options:
+//   --templates <ids>  comma-separated template ids (default: all)
+//   --count <n>        instances per template (default: 3)
+//   --seed <n>         seed for slot values and the synthetic dataset (default: 42)
+//   --fixture          draw from and check on tools/fixtures/training_dataset.js
+//                      (implied by --write)
+//   --show             print the generated queries
+//   --check            run every instance on both engines without writing
+//   --write            check every instance and write the equivalent ones
+//   --samples <dir>    corpus --write adds to (default: training_samples/)
+//   --db <name>        scratch database the check seeds on both engines
+//                      (default: payment_db_generated; never the shared
+//                      PGDATABASE, payment_db)
+//   --docker           run mongosh and psql in the docker-compose containers
+//   --json             machine-readable output
+//
+// Exits with status 1 when a checked instance is DIFFERENT or fails to run.
+// ============================================================================
+
+const fs = require("fs");
+const path = require("path");
+const { loadEnums } = require("./pg_schema");
+const { sharedDatabase } = require("./pg_shell");
+const { SAMPLES_DIR, CATEGORY_MAPPER_FILE, SAMPLE_PARTS, loadSamples } = require("./sample_loader");
+const { createRandom, generateDataset } = require("./synthetic_data");
+const { verifyEquivalence } = require("./verify_cross_engine");
+const { fieldCorrespondences } = require("./column_mappings");
+const { formatResult } = require("./extract_annotations");
+const trainingDataset = require("./fixtures/training_dataset");
+
+const DEFAULT_COUNT = 3;
+const DEFAULT_SEED = 42;
+
+// Draws per wanted instance before a template gives up
+const ATTEMPTS_PER_INSTANCE = 10;
+
+const STATUS_SYMBOLS = { WRITTEN: "✓", EQUIVALENT: "✓", EMPTY: "-", DUPLICATE: "-", DIFFERENT: "✗", ERROR: "!" };
+
+/**
+ * @typedef {Object} SlotSource
+ * @property {Object} dataset                  { institutions, parties, messages, payments }
+ * @property {Object<string, string[]>} enums  from init_postgresql.sql
+ * @property {Object} random                   see createRandom() in tools/synthetic_data.js
+ */
+
+/**
+ * @typedef {Object} SampleTemplate
+ * @property {string} id
+ * @property {string} title         category mapper heading
+ * @property {string} category
+ * @property {string} description
+ * @property {function(SlotSource): (Object|null)} draw  slot values, null when
+ *                                  the dataset has nothing to fill them with
+ * @property {string[]} texts       phrasings, {slot} is replaced by the slot's value
+ * @property {function(Object): string} mongo
+ * @property {function(Object): string} postgres
+ */
+
+/**
+ * @typedef {Object} TemplateInstance
+ * @property {string} template
+ * @property {Object} params
+ * @property {string} title
+ * @property {string} text
+ * @property {string} mongoQuery
+ * @property {string} postgresQuery
+ */
+
+// ============================================================================
+// SLOT VALUES
+// ============================================================================
+
+function sqlString(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+function mongoString(value) {
+  return JSON.stringify(String(value));
+}
+
+function amountOf(payment) {
+  return parseFloat(payment.amount.$numberDecimal);
+}
+
+function dateOf(value) {
+  return new Date(value.$date);
+}
+
+// Values with how often they occur, most frequent first
+function tally(items, valueOf) {
+  const counts = new Map();
+  items.forEach(item => {
+    const value = valueOf(item);
+    if (value !== null && value !== undefined) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+}
+
+// A value occurring at least `minimum` times
+function pickFrequent(random, items, valueOf, minimum) {
+  const values = tally(items, valueOf).filter(([, count]) => count >= minimum).map(([value]) => value);
+  return values.length > 0 ? random.pick(values) : null;
+}
+
+// Rounds to two significant digits, down or up (1234 → 1200 / 1300)
+function roundAmount(value, direction) {
+  if (value < 10) return direction === "down" ? Math.floor(value) : Math.ceil(value);
+  const step = Math.pow(10, Math.floor(Math.log10(value)) - 1);
+  return (direction === "down" ? Math.floor(value / step) : Math.ceil(value / step)) * step;
+}
+
+function quantile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+function dayStart(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function outcomeStates(enums) {
+  return ["SETTLED", "REJECTED", "FAILED"].filter(state => (enums.payment_state || []).includes(state));
+}
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/** @type {SampleTemplate[]} */
+const TEMPLATES = [
+  {
+    id: "payments_by_state",
+    title: "Payments By State",
+    category: "Filtering",
+    description: "Find the payments currently in one state, with their reference, amount, currency and when the state last changed.",
+    draw: ({ dataset, enums, random }) => {
+      const state = pickFrequent(random, dataset.payments, payment => payment.current_state, 1);
+      if (!state || !(enums.payment_state || []).includes(state)) return null;
+      return { state: state, label: state.toLowerCase() };
+    },
+    texts: [
+      "Show me all payments that are currently in '{label}' status. For each payment, show the payment reference, amount, currency, and when the status last changed. Show the most recent status changes first.",
+      "List the payments whose status is '{label}'. I want to see the payment reference, the amount, the currency, and the time of the last status change, most recent first.",
+      "Which payments are in '{label}' status right now? Give me their payment references, amounts, currencies, and when their status last changed, newest first."
+    ],
+    mongo: params => [
+      "db.payments.find(",
+      "  { current_state: " + mongoString(params.state) + " },",
+      "  { _id: 0, payment_ref: 1, amount: 1, currency: 1, last_state_changed_at: 1 }",
+      ").sort({ last_state_changed_at: -1, payment_ref: 1 });"
+    ].join("\n"),
+    postgres: params => [
+      "SELECT payment_ref, amount, currency, last_state_changed_at",
+      "FROM payments",
+      "WHERE payment_state = " + sqlString(params.state),
+      "ORDER BY last_state_changed_at DESC, payment_ref;"
+    ].join("\n")
+  },
+  {
+    id: "amount_range",
+    title: "Payments In Amount Range",
+    category: "Filtering",
+    description: "Find the payments in one currency whose amount lies within a range, largest first.",
+    draw: ({ dataset, random }) => {
+      const currency = pickFrequent(random, dataset.payments, payment => payment.currency, 5);
+      if (!currency) return null;
+      const amounts = dataset.payments.filter(payment => payment.currency === currency).map(amountOf).sort((a, b) => a - b);
+      const low = roundAmount(quantile(amounts, random.int(10, 40) / 100), "down");
+      const high = roundAmount(quantile(amounts, random.int(60, 90) / 100), "up");
+      return high > low ? { currency: currency, min: String(low), max: String(high) } : null;
+    },
+    texts: [
+      "Find all {currency} payments with an amount between {min} and {max}. For each payment, show the payment reference, amount, payment scheme, and status. Show the largest amounts first.",
+      "Show me {currency} payments of at least {min} and at most {max}. Include the payment reference, the amount, the scheme, and the current status, with the highest amounts first.",
+      "Which {currency} payments were for {min} to {max}? List the payment reference, amount, scheme, and status, largest amount first."
+    ],
+    mongo: params => [
+      "db.payments.find(",
+      "  {",
+      "    currency: " + mongoString(params.currency) + ",",
+      "    amount: { $gte: NumberDecimal(\"" + params.min + "\"), $lte: NumberDecimal(\"" + params.max + "\") }",
+      "  },",
+      "  { _id: 0, payment_ref: 1, amount: 1, scheme: 1, current_state: 1 }",
+      ").sort({ amount: -1, payment_ref: 1 });"
+    ].join("\n"),
+    postgres: params => [
+      "SELECT payment_ref, amount, scheme, payment_state",
+      "FROM payments",
+      "WHERE currency = " + sqlString(params.currency),
+      "  AND amount BETWEEN " + params.min + " AND " + params.max,
+      "ORDER BY amount DESC, payment_ref;"
+    ].join("\n")
+  },
+  {
+    id: "top_senders",
+    title: "Top Senders",
+    category: "Aggregation",
+    description: "Rank the senders of payments in one currency by the total amount they sent.",
+    draw: ({ dataset, random }) => {
+      const currency = pickFrequent(random, dataset.payments, payment => payment.currency, 5);
+      if (!currency) return null;
+      const senders = tally(dataset.payments.filter(payment => payment.currency === currency),
+        payment => payment.debtor_snapshot && payment.debtor_snapshot.display_name);
+      if (senders.length < 3) return null;
+      return { currency: currency, limit: String(Math.min(senders.length - 1, random.pick([3, 5, 10]))) };
+    },
+    texts: [
+      "Who are the top {limit} senders of {currency} payments by total amount sent? For each sender, show the sender name, how many payments they sent, and the total amount. Show the largest totals first.",
+      "Find the {limit} senders who sent the most money in {currency}. Show each sender's name, their number of payments, and their total amount, highest total first.",
+      "Rank senders by the total value of their {currency} payments and show the top {limit}, with the payment count and total amount for each."
+    ],
+    mongo: params => [
+      "db.payments.aggregate([",
+      "  { $match: { currency: " + mongoString(params.currency) + " } },",
+      "  {",
+      "    $group: {",
+      "      _id: \"$debtor_snapshot.display_name\",",
+      "      payment_count: { $sum: 1 },",
+      "      total_amount: { $sum: \"$amount\" }",
+      "    }",
+      "  },",
+      "  { $sort: { total_amount: -1, _id: 1 } },",
+      "  { $limit: " + params.limit + " },",
+      "  { $project: { _id: 0, sender_name: \"$_id\", payment_count: 1, total_amount: 1 } }",
+      "]);"
+    ].join("\n"),
+    postgres: params => [
+      "SELECT",
+      "    debtor_snapshot->>'display_name' AS sender_name,",
+      "    COUNT(*) AS payment_count,",
+      "    SUM(amount) AS total_amount",
+      "FROM payments",
+      "WHERE currency = " + sqlString(params.currency),
+      "GROUP BY debtor_snapshot->>'display_name'",
+      "ORDER BY total_amount DESC, sender_name",
+      "LIMIT " + params.limit + ";"
+    ].join("\n")
+  },
+  {
+    id: "scheme_outcome_rate",
+    title: "Scheme Outcome Rate",
+    category: "Analytics",
+    description: "For each payment scheme, the share of payments that ended in one outcome state, as a percentage.",
+    draw: ({ dataset, enums, random }) => {
+      const states = outcomeStates(enums).filter(state => dataset.payments.some(payment => payment.current_state === state));
+      if (states.length === 0) return null;
+      const state = random.pick(states);
+      return { state: state, label: state.toLowerCase() };
+    },
+    texts: [
+      "Calculate the percentage of payments that ended up '{label}' for each payment scheme. For each scheme, show the total number of payments, how many are '{label}', and the percentage rounded to 2 decimal places. Show the highest percentages first.",
+      "For every payment scheme, what share of payments is in '{label}' status? Show the scheme, the total payment count, the '{label}' count, and the rate as a percentage with 2 decimals, highest rate first.",
+      "Compare payment schemes by their '{label}' rate: count all payments and the '{label}' ones per scheme, and work out the percentage (2 decimal places). Sort by the rate, highest first."
+    ],
+    mongo: params => [
+      "db.payments.aggregate([",
+      "  {",
+      "    $group: {",
+      "      _id: \"$scheme\",",
+      "      total_payments: { $sum: 1 },",
+      "      outcome_payments: { $sum: { $cond: [{ $eq: [\"$current_state\", " + mongoString(params.state) + "] }, 1, 0] } }",
+      "    }",
+      "  },",
+      "  {",
+      "    $project: {",
+      "      _id: 0,",
+      "      scheme: \"$_id\",",
+      "      total_payments: 1,",
+      "      outcome_payments: 1,",
+      "      outcome_rate: { $round: [{ $multiply: [{ $divide: [\"$outcome_payments\", \"$total_payments\"] }, 100] }, 2] }",
+      "    }",
+      "  },",
+      "  { $sort: { outcome_rate: -1, scheme: 1 } }",
+      "]);"
+    ].join("\n"),
+    postgres: params => [
+      "SELECT",
+      "    scheme,",
+      "    COUNT(*) AS total_payments,",
+      "    COUNT(*) FILTER (WHERE payment_state = " + sqlString(params.state) + ") AS outcome_payments,",
+      "    ROUND(100.0 * COUNT(*) FILTER (WHERE payment_state = " + sqlString(params.state) + ") / COUNT(*), 2) AS outcome_rate",
+      "FROM payments",
+      "GROUP BY scheme",
+      "ORDER BY outcome_rate DESC, scheme;"
+    ].join("\n")
+  },
+  {
+    id: "daily_volume",
+    title: "Daily Payment Volume",
+    category: "Time Series",
+    description: "Count and total the payments in one currency created on each day of a date range.",
+    draw: ({ dataset, random }) => {
+      const currency = pickFrequent(random, dataset.payments, payment => payment.currency, 5);
+      if (!currency) return null;
+      const days = dataset.payments.filter(payment => payment.currency === currency)
+        .map(payment => dayStart(dateOf(payment.created_at)).getTime()).sort((a, b) => a - b);
+      const from = new Date(random.pick(days));
+      const to = new Date(from.getTime() + random.int(3, 7) * 86400000);
+      return { currency: currency, from: isoDay(from), to: isoDay(to) };
+    },
+    texts: [
+      "For each day from {from} up to (but not including) {to}, show how many {currency} payments were created and their total amount. List the days in order.",
+      "Give me the daily volume of {currency} payments created on or after {from} and before {to}: the day, the number of payments, and the total amount, earliest day first.",
+      "How many {currency} payments were created per day between {from} and {to} (exclusive), and what was the total amount each day? Sort by day."
+    ],
+    mongo: params => [
+      "db.payments.aggregate([",
+      "  {",
+      "    $match: {",
+      "      currency: " + mongoString(params.currency) + ",",
+      "      created_at: { $gte: ISODate(\"" + params.from + "T00:00:00Z\"), $lt: ISODate(\"" + params.to + "T00:00:00Z\") }",
+      "    }",
+      "  },",
+      "  {",
+      "    $group: {",
+      "      _id: { $dateToString: { format: \"%Y-%m-%d\", date: \"$created_at\" } },",
+      "      payment_count: { $sum: 1 },",
+      "      total_amount: { $sum: \"$amount\" }",
+      "    }",
+      "  },",
+      "  { $sort: { _id: 1 } },",
+      "  { $project: { _id: 0, day: \"$_id\", payment_count: 1, total_amount: 1 } }",
+      "]);"
+    ].join("\n"),
+    postgres: params => [
+      "SELECT",
+      "    to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day,",
+      "    COUNT(*) AS payment_count,",
+      "    SUM(amount) AS total_amount",
+      "FROM payments",
+      "WHERE currency = " + sqlString(params.currency),
+      "  AND created_at >= TIMESTAMPTZ '" + params.from + "T00:00:00Z'",
+      "  AND created_at < TIMESTAMPTZ '" + params.to + "T00:00:00Z'",
+      "GROUP BY day",
+      "ORDER BY day;"
+    ].join("\n")
+  },
+  {
+    id: "payments_by_sender",
+    title: "Payments By Sender",
+    category: "Filtering",
+    description: "Find the payments one party sent, with the receiver of each.",
+    draw: ({ dataset, random }) => {
+      const sender = pickFrequent(random, dataset.payments,
+        payment => payment.debtor_snapshot && payment.debtor_snapshot.display_name, 2);
+      return sender ? { sender: sender } : null;
+    },
+    texts: [
+      "Find all payments sent by '{sender}'. For each payment, show the payment reference, amount, currency, receiver name, and status. Show the largest amounts first.",
+      "Show me every payment where '{sender}' is the sender, with the payment reference, amount, currency, who received it, and the current status, highest amount first.",
+      "List the payments '{sender}' has sent: payment reference, amount, currency, receiver name, and status, sorted by amount from largest to smallest."
+    ],
+    mongo: params => [
+      "db.payments.find(",
+      "  { \"debtor_snapshot.display_name\": " + mongoString(params.sender) + " },",
+      "  {",
+      "    _id: 0,",
+      "    payment_ref: 1,",
+      "    amount: 1,",
+      "    currency: 1,",
+      "    receiver_name: \"$creditor_snapshot.display_name\",",
+      "    current_state: 1",
+      "  }",
+      ").sort({ amount: -1, payment_ref: 1 });"
+    ].join("\n"),
+    postgres: params => [
+      "SELECT",
+      "    payment_ref,",
+      "    amount,",
+      "    currency,",
+      "    creditor_snapshot->>'display_name' AS receiver_name,",
+      "    payment_state",
+      "FROM payments",
+      "WHERE debtor_snapshot->>'display_name' = " + sqlString(params.sender),
+      "ORDER BY amount DESC, payment_ref;"
+    ].join("\n")
+  }
+];
+
+// ============================================================================
+// INSTANCES
+// ============================================================================
+
+function fill(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => params[name] === undefined ? match : params[name]);
+}
+
+/**
+ * Draws up to `count` distinct instances of each template.
+ *
+ * @param {SampleTemplate[]} templates
+ * @param {Object} dataset
+ * @param {Object} [options]
+ * @param {number} [options.count]
+ * @param {number} [options.seed]
+ * @param {Object<string, string[]>} [options.enums]
+ * @returns {TemplateInstance[]}
+ */
+function instantiateTemplates(templates, dataset, options = {}) {
+  const count = options.count === undefined ? DEFAULT_COUNT : options.count;
+  const random = createRandom(options.seed === undefined ? DEFAULT_SEED : options.seed);
+  const source = { dataset: dataset, enums: options.enums || loadEnums(), random: random };
+  const instances = [];
+
+  templates.forEach(template => {
+    const drawn = new Set();
+    for (let attempt = 0; attempt < count * ATTEMPTS_PER_INSTANCE && drawn.size < count; attempt++) {
+      const params = template.draw(source);
+      if (!params) continue;
+      const key = JSON.stringify(params);
+      if (drawn.has(key)) continue;
+      drawn.add(key);
+      instances.push({
+        template: template.id,
+        params: params,
+        title: template.title,
+        text: fill(random.pick(template.texts), params),
+        mongoQuery: "// " + template.title + "\n" + template.mongo(params) + "\n",
+        postgresQuery: "-- " + template.title + "\n" + template.postgres(params) + "\n"
+      });
+    }
+  });
+  return instances;
+}
+
+function describeParams(params) {
+  return Object.entries(params).map(([name, value]) => name + "=" + value).join(", ");
+}
+
+/**
+ * Runs an instance on both engines.
+ *
+ * @param {TemplateInstance} instance
+ * @param {Object} options  see verifyEquivalence() in tools/verify_cross_engine.js
+ * @returns {{ status: "EQUIVALENT"|"EMPTY"|"DIFFERENT"|"ERROR", detail: string|null, mongoValue?: * }}
+ */
+function checkInstance(instance, options) {
+  const sample = {
+    id: instance.template + " (" + describeParams(instance.params) + ")",
+    postgresQuery: instance.postgresQuery,
+    mongoQuery: instance.mongoQuery
+  };
+  const result = verifyEquivalence(sample, options);
+  if (result.status === "EQUIVALENT" && result.postgres.length === 0) {
+    return { status: "EMPTY", detail: "both queries return nothing" };
+  }
+  if (result.status === "SKIP") return { status: "ERROR", detail: result.detail };
+  return { status: result.status, detail: result.detail, mongoValue: result.mongoValue };
+}
+
+// ============================================================================
+// SAMPLE FOLDERS
+// ============================================================================
+
+/**
+ * Writes checked instances as Example_NN folders after lastNumber and
+ * appends their category_mapper.txt entries.
+ *
+ * @param {{ instance: TemplateInstance, mongoValue: * }[]} checked
+ * @param {string} samplesDir
+ * @param {number} lastNumber
+ * @returns {string[]} ids of the written samples
+ */
+function writeInstances(checked, samplesDir, lastNumber) {
+  const mapper = [];
+  const written = checked.map(({ instance, mongoValue }, index) => {
+    const number = lastNumber + index + 1;
+    const id = "Example_" + String(number).padStart(2, "0");
+    const dir = path.join(samplesDir, id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, SAMPLE_PARTS.text), instance.text + "\n");
+    fs.writeFileSync(path.join(dir, SAMPLE_PARTS.mongoQuery), instance.mongoQuery);
+    fs.writeFileSync(path.join(dir, SAMPLE_PARTS.postgresQuery), instance.postgresQuery);
+    fs.writeFileSync(path.join(dir, SAMPLE_PARTS.mongoExpected), formatResult(mongoValue));
+
+    const template = TEMPLATES.find(candidate => candidate.id === instance.template);
+    const heading = String(number).padStart(2, "0") + "_" + instance.title.replace(/\s+/g, "_");
+    mapper.push("", heading, "-".repeat(heading.length));
+    mapper.push("Category: " + template.category);
+    mapper.push("Description: " + template.description);
+    mapper.push("Template: " + instance.template);
+    mapper.push("Parameters: " + describeParams(instance.params));
+    return id;
+  });
+
+  if (mapper.length > 0) {
+    const mapperFile = path.join(samplesDir, CATEGORY_MAPPER_FILE);
+    const existing = fs.existsSync(mapperFile) ? fs.readFileSync(mapperFile, "utf8") : "";
+    fs.writeFileSync(mapperFile, existing.replace(/\s*$/, "\n") + mapper.join("\n") + "\n");
+  }
+  return written;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = {
+    templates: null, count: DEFAULT_COUNT, seed: DEFAULT_SEED, fixture: false, show: false,
+    check: false, write: false, samples: SAMPLES_DIR, dbName: "payment_db_generated",
+    mongoContainer: null, postgresContainer: null, json: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--templates": args.templates = argv[++i].split(","); break;
+      case "--count": args.count = parseInt(argv[++i], 10); break;
+      case "--seed": args.seed = parseInt(argv[++i], 10); break;
+      case "--fixture": args.fixture = true; break;
+      case "--show": args.show = true; break;
+      case "--check": args.check = true; break;
+      case "--write": args.write = true; args.check = true; args.fixture = true; break;
+      case "--samples": args.samples = argv[++i]; break;
+      case "--db": args.dbName = argv[++i]; break;
+      case "--docker":
+        args.mongoContainer = "payment_mongodb";
+        args.postgresContainer = "payment_postgres";
+        break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (!Number.isInteger(args.count) || args.count < 1) throw new Error("--count must be a positive integer");
+  if (args.check && args.dbName === sharedDatabase()) {
+    throw new Error("--db must name a scratch database, not " + args.dbName);
+  }
+  if (!Number.isInteger(args.seed)) throw new Error("--seed must be an integer");
+  (args.templates || []).forEach(id => {
+    if (!TEMPLATES.some(template => template.id === id)) {
+      throw new Error("Unknown template: " + id + " (known: " + TEMPLATES.map(template => template.id).join(", ") + ")");
+    }
+  });
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const templates = TEMPLATES.filter(template => !args.templates || args.templates.includes(template.id));
+  const dataset = args.fixture ? trainingDataset : generateDataset({ seed: args.seed });
+  const datasetName = args.fixture ? "tools/fixtures/training_dataset.js" : "tools/synthetic_data.js --seed " + args.seed;
+  const instances = instantiateTemplates(templates, dataset, { count: args.count, seed: args.seed });
+
+  const { samples } = args.write ? loadSamples(args.samples) : { samples: [] };
+  const existing = new Set(samples.map(sample => sample.postgresQuery).filter(Boolean));
+  const checkOptions = {
+    dbName: args.dbName,
+    dataset: dataset,
+    mongoContainer: args.mongoContainer,
+    postgresContainer: args.postgresContainer,
+    correspondences: fieldCorrespondences()
+  };
+
+  const results = instances.map(instance => {
+    if (!args.check) return { instance: instance, status: null, detail: null };
+    if (existing.has(instance.postgresQuery.trim())) {
+      return { instance: instance, status: "DUPLICATE", detail: "already in " + args.samples };
+    }
+    return Object.assign({ instance: instance }, checkInstance(instance, checkOptions));
+  });
+
+  if (args.write) {
+    const lastNumber = samples.reduce((max, sample) => Number.isNaN(sample.number) ? max : Math.max(max, sample.number), 0);
+    const passed = results.filter(result => result.status === "EQUIVALENT");
+    writeInstances(passed, args.samples, lastNumber).forEach((id, index) => {
+      passed[index].status = "WRITTEN";
+      passed[index].detail = id;
+    });
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(results.map(result => ({
+      template: result.instance.template,
+      params: result.instance.params,
+      status: result.status,
+      detail: result.detail,
+      text: result.instance.text,
+      mongoQuery: result.instance.mongoQuery,
+      postgresQuery: result.instance.postgresQuery
+    })), null, 2));
+  } else {
+    results.forEach(result => {
+      const instance = result.instance;
+      console.log((result.status ? STATUS_SYMBOLS[result.status] + " " : "") + instance.template +
+        "  " + describeParams(instance.params) + (result.status ? "  " + result.status : "") +
+        (result.detail ? "  " + result.detail : ""));
+      console.log("    " + instance.text);
+      if (args.show) {
+        console.log("");
+        console.log(instance.mongoQuery.replace(/^/gm, "    "));
+        console.log(instance.postgresQuery.replace(/^/gm, "    "));
+      }
+    });
+    console.log("");
+    if (args.check) {
+      const counts = {};
+      results.forEach(result => { counts[result.status] = (counts[result.status] || 0) + 1; });
+      console.log(Object.entries(counts).map(([status, count]) => count + " " + status).join(", "));
+    } else {
+      console.log(instances.length + " instances of " + templates.length + " templates (" + datasetName + ")");
+    }
+  }
+
+  return results.some(result => result.status === "DIFFERENT" || result.status === "ERROR") ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  TEMPLATES,
+  instantiateTemplates,
+  checkInstance,
+  writeInstances
+};
@@ -0,0 +1,418 @@
+// ============================================================================
+// Cross-Engine Equivalence Check
+// ============================================================================
+// Runs every training sample's Postgres_query.txt and Mongo_Db_query.txt
+// against the same logical dataset, seeded into both databases of the
+// docker-compose stack, and reports whether the two queries return the same
+// answer.
+//
+// Before each sample both databases are reset to tools/fixtures/
+// training_dataset.js (ObjectIds become UUIDs in PostgreSQL, see
+// tools/dataset_seed.js). SQL rows are then mapped onto MongoDB documents:
+//   - unaliased columns are renamed through the correspondences derived from
+//     column_mappings.md (payment_state → current_state, id → _id, ...);
+//     aliased columns are expected under the same name in MongoDB
+//   - UUIDs, timestamps and numbers are compared as ObjectIds, dates and
+//     canonical decimals
+//   - only the columns the SQL row returns are compared; documents may carry
+//     more fields
+// Rows are compared as multisets, and in order when the SQL query ends with
+// ORDER BY. Single-column results also match scalar MongoDB values
+// (countDocuments, distinct). Dates are only checked for type when the
+// samples write.
+//
+// Samples whose SQL returns no rows (DDL, DO blocks, DML without RETURNING)
+// are skipped.
+//
+// --db names the database on both engines (default payment_db_verify). In
+// PostgreSQL it is a scratch database, created from init_postgresql.sql on
+// first use (see tools/pg_shell.js); the shared PGDATABASE is refused, since
+// every sample truncates and reseeds the payment tables.
+//
+// Usage:
+//   node tools/verify_cross_engine.js [--db payment_db_verify] [--only Example_10,...]
+//                                     [--samples <dir>] [--docker] [--json]
+//
+// Exits with status 1 when any sample differs or errors.
+// ============================================================================
+
+const { SAMPLES_DIR, loadSamples } = require("./sample_loader");
+const { canonicalNumber, normalize } = require("./ejson");
+const { mongoSeedScript, postgresSeedSql, uuidToObjectId } = require("./dataset_seed");
+const { runMongosh, buildCaptureScript, parseCapturedOutput } = require("./mongo_shell");
+const { runPsql, sharedDatabase, preparePostgresDatabase, buildSqlCapture } = require("./pg_shell");
+const { stripSqlComments } = require("./sql_statements");
+const { fieldCorrespondences } = require("./column_mappings");
+const trainingDataset = require("./fixtures/training_dataset");
+
+const DEFAULT_DB = "payment_db_verify";
+
+const STATUS_SYMBOLS = { EQUIVALENT: "✓", DIFFERENT: "✗", SKIP: "-", ERROR: "!" };
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+/**
+ * @typedef {Object} EquivalenceResult
+ * @property {string} sample
+ * @property {"EQUIVALENT"|"DIFFERENT"|"SKIP"|"ERROR"} status
+ * @property {string|null} detail
+ * @property {Object[]} [postgres]  SQL rows after mapping, comparison form
+ * @property {Object[]} [mongo]     documents projected onto the same fields
+ * @property {*} [mongoValue]        the MongoDB result as captured (Extended JSON)
+ */
+
+// ============================================================================
+// VALUE NORMALIZATION
+// ============================================================================
+
+/**
+ * Brings a value from json_agg into the form ejson.normalize gives MongoDB
+ * values: seeded UUIDs become ObjectIds, timestamps dates, numbers decimals.
+ */
+function normalizeSqlValue(value) {
+  if (value === null || typeof value === "boolean") return value;
+  if (typeof value === "number") return { $number: canonicalNumber(value) };
+  if (typeof value === "string") {
+    if (UUID_PATTERN.test(value)) {
+      const objectId = uuidToObjectId(value);
+      return objectId ? { $oid: objectId } : value;
+    }
+    if (TIMESTAMP_PATTERN.test(value)) return { $date: new Date(value).toISOString() };
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(normalizeSqlValue);
+  const result = {};
+  for (const key of Object.keys(value)) {
+    result[key] = normalizeSqlValue(value[key]);
+  }
+  return result;
+}
+
+function looseDates(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(looseDates);
+  if (value.$date !== undefined && Object.keys(value).length === 1) return { $date: "*" };
+  const result = {};
+  for (const key of Object.keys(value)) {
+    result[key] = looseDates(value[key]);
+  }
+  return result;
+}
+
+/** JSON with sorted object keys, so equal values have equal keys. */
+function stableKey(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return "[" + value.map(stableKey).join(",") + "]";
+  return "{" + Object.keys(value).sort().map(key => JSON.stringify(key) + ":" + stableKey(value[key])).join(",") + "}";
+}
+
+function getPath(document, path) {
+  let value = document;
+  for (const key of path.split(".")) {
+    if (value === null || typeof value !== "object") return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+// ============================================================================
+// ROW MAPPING
+// ============================================================================
+
+/**
+ * Tables the statement reads or writes, in order of appearance.
+ *
+ * @param {string} sql
+ * @returns {string[]}
+ */
+function referencedTables(sql) {
+  const tables = [];
+  const pattern = /\b(?:FROM|JOIN|UPDATE|INTO)\s+([A-Za-z_]\w*)/gi;
+  let match;
+  while ((match = pattern.exec(stripSqlComments(sql))) !== null) {
+    const table = match[1].toLowerCase();
+    if (!tables.includes(table)) tables.push(table);
+  }
+  return tables;
+}
+
+/**
+ * Whether the statement's own result is ordered (ORDER BY outside any
+ * parentheses, so window and subquery orderings do not count).
+ *
+ * @param {string} sql
+ * @returns {boolean}
+ */
+function isOrdered(sql) {
+  let text = stripSqlComments(sql).replace(/'(?:[^']|'')*'/g, "''");
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(/\([^()]*\)/g, "()");
+  } while (text !== previous);
+  return /\bORDER\s+BY\b/i.test(text);
+}
+
+/**
+ * Renames SQL result columns to the MongoDB field paths they correspond to.
+ * Columns the statement aliases explicitly ("AS name") keep their name.
+ *
+ * @param {string} sql
+ * @param {Map<string, Map<string, string>>} correspondences
+ * @returns {function(string): string}
+ */
+function columnRenamer(sql, correspondences) {
+  const text = stripSqlComments(sql);
+  const columns = new Map();
+  for (const table of referencedTables(sql)) {
+    for (const [column, path] of correspondences.get(table) || []) {
+      if (!columns.has(column)) columns.set(column, path);
+    }
+  }
+  return column => {
+    const aliased = new RegExp("\\bAS\\s+\"?" + column + "\"?(?![\\w])", "i").test(text);
+    return !aliased && columns.has(column) ? columns.get(column) : column;
+  };
+}
+
+/**
+ * Puts both results into comparison form: SQL rows keyed by MongoDB paths,
+ * and documents projected onto those paths.
+ *
+ * @param {Object[]} rows         json_agg rows
+ * @param {*} mongoValue          captured MongoDB value (Extended JSON)
+ * @param {Object} options
+ * @param {string} options.sql    statement the rows came from
+ * @param {boolean} [options.looseDates]
+ * @param {Map<string, Map<string, string>>} [options.correspondences]
+ * @returns {{ postgres: Array, mongo: Array }}
+ */
+function alignResults(rows, mongoValue, options) {
+  const rename = columnRenamer(options.sql, options.correspondences || fieldCorrespondences());
+  const finish = options.looseDates ? looseDates : value => value;
+
+  const postgres = rows.map(row => {
+    const mapped = {};
+    for (const column of Object.keys(row)) {
+      mapped[rename(column)] = normalizeSqlValue(row[column]);
+    }
+    return mapped;
+  });
+
+  let documents = mongoValue === null || mongoValue === undefined ? []
+    : Array.isArray(mongoValue) ? mongoValue : [mongoValue];
+  documents = documents.map(normalize);
+
+  const scalarMongo = documents.every(document => document === null || typeof document !== "object" ||
+    Object.keys(document).some(key => key.startsWith("$")));
+  const singleColumn = postgres.length > 0 && postgres.every(row => Object.keys(row).length === 1);
+
+  if (documents.length > 0 && scalarMongo && singleColumn) {
+    return {
+      postgres: postgres.map(row => finish(Object.values(row)[0])),
+      mongo: documents.map(finish)
+    };
+  }
+
+  const paths = postgres.length > 0 ? Object.keys(postgres[0]) : [];
+  return {
+    postgres: postgres.map(finish),
+    mongo: documents.map(document => {
+      const projected = {};
+      for (const path of paths) {
+        const value = document !== null && typeof document === "object" ? getPath(document, path) : undefined;
+        projected[path] = value === undefined ? null : value;
+      }
+      return finish(projected);
+    })
+  };
+}
+
+/**
+ * @param {Array} postgres
+ * @param {Array} mongo
+ * @param {boolean} ordered
+ * @returns {{ equivalent: boolean, detail: string|null }}
+ */
+function compareAligned(postgres, mongo, ordered) {
+  const counts = new Map();
+  postgres.forEach(row => {
+    const key = stableKey(row);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const unmatched = [];
+  mongo.forEach(document => {
+    const key = stableKey(document);
+    if (counts.get(key)) {
+      counts.set(key, counts.get(key) - 1);
+    } else {
+      unmatched.push(key);
+    }
+  });
+  const missing = [...counts].filter(([, count]) => count > 0).map(([key]) => key);
+
+  if (missing.length > 0 || unmatched.length > 0) {
+    const parts = [postgres.length + " SQL row(s) vs " + mongo.length + " document(s)"];
+    if (missing.length > 0) parts.push("only in SQL: " + missing[0]);
+    if (unmatched.length > 0) parts.push("only in MongoDB: " + unmatched[0]);
+    return { equivalent: false, detail: parts.join("; ") };
+  }
+
+  if (ordered) {
+    const position = postgres.findIndex((row, i) => stableKey(row) !== stableKey(mongo[i]));
+    if (position !== -1) {
+      return { equivalent: false, detail: "same rows, different order (first at position " + position + ")" };
+    }
+  }
+  return { equivalent: true, detail: null };
+}
+
+// ============================================================================
+// SAMPLE CHECK
+// ============================================================================
+
+function failure(run, output) {
+  return (run.stderr || output.log || "no output").trim().split("\n").slice(-3).join(" | ");
+}
+
+/**
+ * Checks one sample.
+ *
+ * @param {import("./sample_loader").TrainingSample} sample
+ * @param {Object} options
+ * @param {string} [options.dbName]         database on both engines (default
+ *                                          "payment_db_verify"); a scratch database
+ *                                          created on first use, never PGDATABASE
+ * @param {Object} [options.dataset]
+ * @param {string} [options.mongoContainer]
+ * @param {string} [options.postgresContainer]
+ * @param {Map<string, Map<string, string>>} [options.correspondences]
+ * @returns {EquivalenceResult}
+ * @throws {Error} when dbName is the shared PostgreSQL database
+ */
+function verifyEquivalence(sample, options) {
+  const dbName = options.dbName || DEFAULT_DB;
+  if (dbName === sharedDatabase()) {
+    throw new Error("Refusing to reseed the shared PostgreSQL database " + dbName + "; pass a scratch --db name");
+  }
+  if (!sample.postgresQuery || !sample.mongoQuery) {
+    return { sample: sample.id, status: "SKIP", detail: "needs both Postgres_query.txt and Mongo_Db_query.txt" };
+  }
+
+  const sqlCapture = buildSqlCapture(sample.postgresQuery);
+  if (!sqlCapture.captured) {
+    return { sample: sample.id, status: "SKIP", detail: "Postgres_query.txt returns no rows" };
+  }
+  const mongoCapture = buildCaptureScript(sample.mongoQuery);
+  if (mongoCapture.operation === "other") {
+    return { sample: sample.id, status: "SKIP", detail: "Mongo_Db_query.txt calls no collection method" };
+  }
+
+  const dataset = options.dataset || trainingDataset;
+  try {
+    preparePostgresDatabase(dbName, { container: options.postgresContainer });
+  } catch (error) {
+    return { sample: sample.id, status: "ERROR", detail: "PostgreSQL: " + error.message };
+  }
+  const sqlRun = runPsql(postgresSeedSql(dataset) + "\n-- " + sample.id + "\n" + sqlCapture.script, {
+    container: options.postgresContainer, database: dbName
+  });
+  const sqlOutput = parseCapturedOutput(sqlRun.stdout);
+  if (!sqlRun.ok || !sqlOutput.found) {
+    return { sample: sample.id, status: "ERROR", detail: "PostgreSQL: " + failure(sqlRun, sqlOutput) };
+  }
+
+  const mongoRun = runMongosh(mongoSeedScript(dataset, { dbName: dbName }) +
+    "\n// " + sample.id + "\n" + mongoCapture.script, { container: options.mongoContainer });
+  const mongoOutput = parseCapturedOutput(mongoRun.stdout);
+  if (!mongoRun.ok || !mongoOutput.found) {
+    return { sample: sample.id, status: "ERROR", detail: "MongoDB: " + failure(mongoRun, mongoOutput) };
+  }
+
+  const sql = sqlCapture.statement;
+  const aligned = alignResults(sqlOutput.value, mongoOutput.value, {
+    sql: sql,
+    looseDates: sqlCapture.operation === "write" || mongoCapture.operation === "write",
+    correspondences: options.correspondences
+  });
+  const comparison = compareAligned(aligned.postgres, aligned.mongo, isOrdered(sql));
+
+  return {
+    sample: sample.id,
+    status: comparison.equivalent ? "EQUIVALENT" : "DIFFERENT",
+    detail: comparison.detail,
+    postgres: aligned.postgres,
+    mongo: aligned.mongo,
+    mongoValue: mongoOutput.value
+  };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = {
+    dbName: DEFAULT_DB, only: null, samples: SAMPLES_DIR,
+    mongoContainer: null, postgresContainer: null, json: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--db": args.dbName = argv[++i]; break;
+      case "--only": args.only = argv[++i].split(","); break;
+      case "--samples": args.samples = argv[++i]; break;
+      case "--docker":
+        args.mongoContainer = "payment_mongodb";
+        args.postgresContainer = "payment_postgres";
+        break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  if (args.dbName === sharedDatabase()) throw new Error("--db must name a scratch database, not " + args.dbName);
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const samples = loadSamples(args.samples).samples
+    .filter(sample => !args.only || args.only.includes(sample.id));
+  const options = Object.assign({ correspondences: fieldCorrespondences() }, args);
+
+  const results = samples.map(sample => {
+    const result = verifyEquivalence(sample, options);
+    if (!args.json) {
+      console.log(STATUS_SYMBOLS[result.status] + " " + result.sample + "  " + result.status +
+        (result.detail ? "  " + result.detail : ""));
+    }
+    return result;
+  });
+
+  const counts = { EQUIVALENT: 0, DIFFERENT: 0, SKIP: 0, ERROR: 0 };
+  results.forEach(result => counts[result.status]++);
+
+  if (args.json) {
+    console.log(JSON.stringify({ counts: counts, results: results }, null, 2));
+  } else {
+    console.log("");
+    console.log(Object.entries(counts).map(([status, count]) => count + " " + status).join(", "));
+  }
+
+  return counts.DIFFERENT + counts.ERROR === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  stableKey,
+  getPath,
+  referencedTables,
+  isOrdered,
+  alignResults,
+  compareAligned,
+  verifyEquivalence
+};
@@ -0,0 +1,127 @@
+// ============================================================================
+// MongoDB Sample Verification
+// ============================================================================
+// Runs every training sample's Mongo_Db_query.txt against a freshly seeded
+// database and checks the result against its MongoDb_json.txt.
+//
+// Before each sample the four payment collections are emptied and loaded with
+// the fixed dataset in tools/fixtures/training_dataset.js, so samples cannot
+// affect each other. Expected documents may list a subset of fields; dates
+// are only checked for type when the sample writes (its timestamps come from
+// new Date()).
+//
+// Usage:
+//   node tools/verify_mongo_samples.js [--db payment_db] [--only Example_09,...]
+//                                      [--samples <dir>] [--docker] [--json]
+//
+// Exits with status 1 when any sample fails or errors.
+// ============================================================================
+
+const { SAMPLES_DIR, loadSamples } = require("./sample_loader");
+const { parseShellJson, compareExpected } = require("./ejson");
+const { mongoSeedScript } = require("./dataset_seed");
+const { runMongosh, buildCaptureScript, parseCapturedOutput } = require("./mongo_shell");
+const trainingDataset = require("./fixtures/training_dataset");
+
+const STATUS_SYMBOLS = { PASS: "✓", FAIL: "✗", SKIP: "-", ERROR: "!" };
+
+/**
+ * @typedef {Object} SampleVerification
+ * @property {string} sample
+ * @property {"PASS"|"FAIL"|"SKIP"|"ERROR"} status
+ * @property {string|null} detail
+ * @property {*} [actual]   captured query value (canonical Extended JSON)
+ */
+
+/**
+ * Verifies one sample.
+ *
+ * @param {import("./sample_loader").TrainingSample} sample
+ * @param {Object} options
+ * @param {string} options.dbName
+ * @param {Object} [options.dataset]
+ * @param {string} [options.container]
+ * @returns {SampleVerification}
+ */
+function verifySample(sample, options) {
+  if (!sample.mongoQuery) {
+    return { sample: sample.id, status: "SKIP", detail: "no Mongo_Db_query.txt" };
+  }
+  const expected = sample.mongoExpected ? parseShellJson(sample.mongoExpected) : null;
+  if (expected === null) {
+    return { sample: sample.id, status: "SKIP", detail: "MongoDb_json.txt has no JSON" };
+  }
+
+  const capture = buildCaptureScript(sample.mongoQuery);
+  const script = mongoSeedScript(options.dataset || trainingDataset, { dbName: options.dbName }) +
+    "\n// " + sample.id + "\n" + capture.script;
+  const run = runMongosh(script, { container: options.container });
+  const output = parseCapturedOutput(run.stdout);
+
+  if (!run.ok || !output.found) {
+    const message = (run.stderr || output.log || "no output").trim().split("\n").slice(-3).join(" | ");
+    return { sample: sample.id, status: "ERROR", detail: message };
+  }
+
+  const comparison = compareExpected(expected, output.value, { looseDates: capture.operation === "write" });
+  return {
+    sample: sample.id,
+    status: comparison.match ? "PASS" : "FAIL",
+    detail: comparison.detail,
+    actual: output.value
+  };
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function parseArgs(argv) {
+  const args = { dbName: "payment_db", only: null, samples: SAMPLES_DIR, container: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--db": args.dbName = argv[++i]; break;
+      case "--only": args.only = argv[++i].split(","); break;
+      case "--samples": args.samples = argv[++i]; break;
+      case "--docker": args.container = "payment_mongodb"; break;
+      case "--json": args.json = true; break;
+      default: throw new Error("Unknown argument: " + argv[i]);
+    }
+  }
+  return args;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const samples = loadSamples(args.samples).samples
+    .filter(sample => !args.only || args.only.includes(sample.id));
+
+  const results = samples.map(sample => {
+    const result = verifySample(sample, args);
+    if (!args.json) {
+      console.log(STATUS_SYMBOLS[result.status] + " " + result.sample + "  " + result.status +
+        (result.detail ? "  " + result.detail : ""));
+    }
+    return result;
+  });
+
+  const counts = { PASS: 0, FAIL: 0, SKIP: 0, ERROR: 0 };
+  results.forEach(result => counts[result.status]++);
+
+  if (args.json) {
+    console.log(JSON.stringify({ counts: counts, results: results }, null, 2));
+  } else {
+    console.log("");
+    console.log(Object.entries(counts).map(([status, count]) => count + " " + status).join(", "));
+  }
+
+  return counts.FAIL + counts.ERROR === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  verifySample
+};